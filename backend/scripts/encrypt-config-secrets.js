@@ -0,0 +1,83 @@
+require('dotenv').config();
+const { PrismaClient } = require('@prisma/client');
+const configSecretService = require('../src/services/configSecretService');
+
+const prisma = new PrismaClient();
+
+// --dry-run: report what would change without writing
+const dryRun = process.argv.includes('--dry-run');
+
+// Encrypted value for a stored secret under the current master key - null when it already is
+const migrateValue = (value, context) => {
+  if (!value) return null;
+  return configSecretService.rewrapValue(value, context);
+};
+
+async function encryptConfigSecrets() {
+  try {
+    if (!configSecretService.isEncryptionConfigured()) {
+      console.log('❌ CONFIG_ENCRYPTION_KEY is not set!');
+      console.log('\n📝 Generate a key and add it to the .env file:');
+      console.log('   CONFIG_ENCRYPTION_KEY=$(openssl rand -base64 32)\n');
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(`🔐 ${dryRun ? 'Checking' : 'Encrypting'} stored secrets...\n`);
+    let updated = 0;
+    let failed = 0;
+
+    const configs = await prisma.workflowConfig.findMany({
+      where: { key: { in: configSecretService.SECRET_CONFIG_KEYS } }
+    });
+    for (const config of configs) {
+      try {
+        const value = migrateValue(config.value, config.key);
+        if (!value) continue;
+        if (!dryRun) {
+          await prisma.workflowConfig.update({ where: { key: config.key }, data: { value } });
+        }
+        console.log(`✅ ${config.key}: ${configSecretService.isEncrypted(config.value) ? 're-wrapped with the current key' : 'encrypted'}`);
+        updated++;
+      } catch (error) {
+        console.log(`❌ ${config.key}: ${error.message}`);
+        failed++;
+      }
+    }
+
+    const identities = await prisma.senderIdentity.findMany();
+    for (const identity of identities) {
+      const data = {};
+      for (const field of configSecretService.SECRET_IDENTITY_FIELDS) {
+        try {
+          const value = migrateValue(identity[field], `senderIdentity.${field}`);
+          if (value) data[field] = value;
+        } catch (error) {
+          console.log(`❌ ${identity.email} ${field}: ${error.message}`);
+          failed++;
+        }
+      }
+      if (Object.keys(data).length === 0) continue;
+      if (!dryRun) {
+        await prisma.senderIdentity.update({ where: { id: identity.id }, data });
+      }
+      console.log(`✅ Sender identity ${identity.email}: ${Object.keys(data).join(', ')}`);
+      updated += Object.keys(data).length;
+    }
+
+    console.log(`\n${dryRun ? '📝 Would update' : '✅ Updated'} ${updated} secret(s)${failed ? `, ${failed} failed` : ''}`);
+    if (failed) {
+      console.log('⚠️  Secrets encrypted with an old key need that key in CONFIG_ENCRYPTION_PREVIOUS_KEYS');
+      process.exitCode = 1;
+    } else if (!dryRun) {
+      console.log('💡 Every secret is now under the current key - old keys can be removed from CONFIG_ENCRYPTION_PREVIOUS_KEYS');
+    }
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+encryptConfigSecrets();
@@ -1,11 +1,25 @@
 const cron = require('node-cron');
-const nodemailer = require('nodemailer');
 const logger = require('../utils/logger');
 const emailService = require('../services/emailService');
 const stepService = require('../services/stepService');
+const stepDependencyService = require('../services/stepDependencyService');
+const workflowVersionService = require('../services/workflowVersionService');
+const timezoneService = require('../services/timezoneService');
+const templateEngine = require('../services/templateEngine');
+const templateRevisionService = require('../services/templateRevisionService');
+const languageService = require('../services/languageService');
+const emailLayoutService = require('../services/emailLayoutService');
+const sendWindowService = require('../services/sendWindowService');
+const emailTrackingService = require('../services/emailTrackingService');
+const emailThreadService = require('../services/emailThreadService');
+const emailTransportService = require('../services/emailTransportService');
+const senderIdentityService = require('../services/senderIdentityService');
+const documentService = require('../services/documentService');
+const offerLetterService = require('../services/offerLetterService');
+const jobQueueService = require('../services/jobQueueService');
+const schedulerLeaseService = require('../services/schedulerLeaseService');
 
 let prisma;
-let transporter;
 
 // ============================================================
 // IRON LADY HR ONBOARDING - FULL 11-STEP AUTOMATION
@@ -26,45 +40,20 @@ let transporter;
 const initScheduledJobs = (prismaClient) => {
   prisma = prismaClient;
   
-  // Initialize email transporter
-  transporter = nodemailer.createTransport({
-    host: process.env.SMTP_HOST,
-    port: parseInt(process.env.SMTP_PORT) || 587,
-    secure: process.env.SMTP_SECURE === 'true',
-    auth: {
-      user: process.env.SMTP_USER,
-      pass: process.env.SMTP_PASS
-    }
-  });
-
-  // Verify transporter
-  transporter.verify((error, success) => {
-    if (error) {
-      logger.error('SMTP connection error:', error);
-    } else {
-      logger.info('SMTP Server ready');
-    }
-  });
+  // Check the email transport (SMTP, Gmail API, SES or outbox) selected in Settings
+  emailTransportService.verifyTransport(prisma);
 
   // ========== CRON JOBS ==========
   
-  // Every 5 minutes - Process pending emails (only sends queued emails, doesn't trigger steps)
-  cron.schedule('*/5 * * * *', async () => {
-    await sendPendingEmails();
-  });
-
-  // Every 1 minute - Check for calendar events that should auto-complete steps
-  // This ONLY completes steps when calendar events pass their scheduled time
-  // Reduced to 1 minute for faster email delivery (max 1 minute delay)
-  cron.schedule('* * * * *', async () => {
-    logger.info('Running calendar event auto-completion check...');
-    await autoCompleteCalendarSteps();
-  });
-
-  // At 6:00 AM - Mark candidates as joined (status update only, doesn't trigger steps)
-  cron.schedule('0 6 * * *', async () => {
-    logger.info('Running 6 AM status update...');
-    await markCandidatesAsJoined();  // Pre-Day 0 status update only
+  // Schedules are listed in SCHEDULED_JOBS (bottom of this file): the job queue every minute,
+  // the 6 AM status update and the nightly job history cleanup. Every instance registers them, but a tick only runs on the instance
+  // holding the scheduler lease (LEADER ELECTION - see schedulerLeaseService), and each run is
+  // recorded in JobRun for Settings > Scheduled Jobs
+  Object.entries(SCHEDULED_JOBS).forEach(([name, job]) => {
+    if (!job.schedule) return; // Manual-only ("Run now")
+    cron.schedule(job.schedule, async () => {
+      await runScheduledJobIfLeader(name);
+    });
   });
 
   // ============================================================
@@ -74,12 +63,9 @@ const initScheduledJobs = (prismaClient) => {
   // 2. User manually clicks "Send" button
   // ============================================================
   
-  // DISABLED: Every 30 minutes - Check for automated triggers
-  // cron.schedule('*/30 * * * *', async () => {
-  //   logger.info('Running 30-minute automation check...');
-  //   await checkOfferReminders();      // Step 2
-  //   await checkFormReminders();        // Step 7
-  // });
+  // Offer reminders (Step 2) and form reminders (Step 7) are regular steps scheduled
+  // N hours after the step they follow (schedulingMethod "step" - see stepScheduleService),
+  // so autoCompleteCalendarSteps sends them like any other step
 
   // DISABLED: At 6:00 AM - Daily morning automation
   // cron.schedule('0 6 * * *', async () => {
@@ -105,43 +91,7 @@ const initScheduledJobs = (prismaClient) => {
   //   await scheduleCheckInCalls();  // Step 11
   // });
 
-  logger.info('Scheduled jobs initialized - Only calendar event auto-completion enabled');
-};
-
-// ============================================================
-// STEP 2: OFFER LETTER REMINDER
-// ============================================================
-const checkOfferReminders = async () => {
-  try {
-    const config = await getConfig();
-    if (config.step2_offer_reminder_enabled !== 'true') return;
-
-    const reminderDays = parseInt(config.step2_reminder_days) || 3;
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - reminderDays);
-
-    const candidates = await prisma.candidate.findMany({
-      where: {
-        offerSentAt: { lte: cutoffDate },
-        offerSignedAt: null,
-        signedOfferPath: null, // Also check that signed offer letter is not uploaded
-        offerReminderSent: { not: true },
-        status: { in: ['OFFER_SENT', 'OFFER_VIEWED'] }
-      }
-    });
-
-    for (const candidate of candidates) {
-      await createEmail(candidate, 'OFFER_REMINDER', config);
-      await prisma.candidate.update({
-        where: { id: candidate.id },
-        data: { offerReminderSent: true }
-      });
-      await logActivity(candidate.id, 'OFFER_REMINDER_SENT', 'Step 2: Automated offer reminder sent');
-      logger.info(`Step 2: Offer reminder queued for ${candidate.email}`);
-    }
-  } catch (error) {
-    logger.error('Step 2 Error:', error);
-  }
+  logger.info(`Scheduled jobs initialized - job queue worker ${jobQueueService.WORKER_ID}`);
 };
 
 // ============================================================
@@ -150,7 +100,7 @@ const checkOfferReminders = async () => {
 const sendDayMinus1WelcomeEmails = async () => {
   try {
     const config = await getConfig();
-    if (config.step3_welcome_email_enabled !== 'true') return;
+    if (config.step3_welcome_email_enabled !== 'true') return 0;
 
     const tomorrow = new Date();
     tomorrow.setDate(tomorrow.getDate() + 1);
@@ -176,8 +126,10 @@ const sendDayMinus1WelcomeEmails = async () => {
       await logActivity(candidate.id, 'WELCOME_EMAIL_SENT', 'Step 3: Day -1 welcome email sent automatically');
       logger.info(`Step 3: Welcome email queued for ${candidate.email}`);
     }
+    return candidates.length;
   } catch (error) {
     logger.error('Step 3 Error:', error);
+    throw error;
   }
 };
 
@@ -207,8 +159,10 @@ const markCandidatesAsJoined = async () => {
       await logActivity(candidate.id, 'CANDIDATE_JOINED', 'Candidate marked as JOINED on joining day');
       logger.info(`Candidate ${candidate.email} marked as JOINED`);
     }
+    return candidates.length;
   } catch (error) {
     logger.error('Mark Joined Error:', error);
+    throw error;
   }
 };
 
@@ -228,7 +182,8 @@ const processDayZeroAutomations = async () => {
         actualJoiningDate: { gte: today, lt: tomorrow },
         status: 'JOINED',
         hrInductionScheduled: { not: true }
-      }
+      },
+      include: { office: true }
     });
 
     for (const candidate of candidates) {
@@ -244,8 +199,10 @@ const processDayZeroAutomations = async () => {
 
       logger.info(`Day 0 automations completed for ${candidate.email}`);
     }
+    return candidates.length;
   } catch (error) {
     logger.error('Day 0 Error:', error);
+    throw error;
   }
 };
 
@@ -258,9 +215,11 @@ const scheduleHRInduction = async (candidate, config) => {
     const duration = parseInt(config.step4_hr_induction_duration) || 90;
     const meetingLink = config.step4_hr_induction_link || '';
 
-    const [hours, minutes] = inductionTime.split(':');
-    const startTime = new Date();
-    startTime.setHours(parseInt(hours), parseInt(minutes), 0, 0);
+    // TIMEZONE: Induction time is today's wall-clock time in the candidate's timezone
+    const candidateTimezone = timezoneService.getCandidateTimezone(candidate, config.company_timezone);
+    const startTime = timezoneService.zonedTimeToDate(
+      timezoneService.getZonedDateKey(new Date(), candidateTimezone), inductionTime, candidateTimezone
+    );
     const endTime = new Date(startTime);
     endTime.setMinutes(endTime.getMinutes() + duration);
 
@@ -278,7 +237,7 @@ const scheduleHRInduction = async (candidate, config) => {
       }
     });
 
-    await createEmail(candidate, 'HR_INDUCTION_INVITE', config, { meetingLink, startTime: inductionTime, duration });
+    await createEmail(candidate, 'HR_INDUCTION_INVITE', config, { meetingLink, startTime: timezoneService.formatTime(startTime, candidateTimezone), duration });
     
     await prisma.candidate.update({
       where: { id: candidate.id },
@@ -349,7 +308,7 @@ const createWhatsAppTask = async (candidate, config) => {
 const sendOnboardingForms = async () => {
   try {
     const config = await getConfig();
-    if (config.step6_onboarding_form_enabled !== 'true') return;
+    if (config.step6_onboarding_form_enabled !== 'true') return 0;
 
     const today = new Date();
     today.setHours(0, 0, 0, 0);
@@ -389,43 +348,10 @@ const sendOnboardingForms = async () => {
       await logActivity(candidate.id, 'ONBOARDING_FORM_SENT', 'Step 6: Onboarding form email sent automatically');
       logger.info(`Step 6: Onboarding form queued for ${candidate.email}`);
     }
+    return candidates.length;
   } catch (error) {
     logger.error('Step 6 Error:', error);
-  }
-};
-
-// ============================================================
-// STEP 7: FORM REMINDER
-// ============================================================
-const checkFormReminders = async () => {
-  try {
-    const config = await getConfig();
-    if (config.step7_form_reminder_enabled !== 'true') return;
-
-    const reminders = await prisma.reminder.findMany({
-      where: {
-        type: 'FORM_FOLLOWUP',
-        status: 'PENDING',
-        scheduledFor: { lte: new Date() }
-      },
-      include: { candidate: true }
-    });
-
-    for (const reminder of reminders) {
-      if (!reminder.candidate.onboardingFormCompletedAt) {
-        const formLink = config.step6_onboarding_form_url || '';
-        await createEmail(reminder.candidate, 'FORM_REMINDER', config, { formLink });
-        await logActivity(reminder.candidate.id, 'FORM_REMINDER_SENT', 'Step 7: Form reminder sent automatically');
-        logger.info(`Step 7: Form reminder queued for ${reminder.candidate.email}`);
-      }
-
-      await prisma.reminder.update({
-        where: { id: reminder.id },
-        data: { status: 'SENT', sentAt: new Date() }
-      });
-    }
-  } catch (error) {
-    logger.error('Step 7 Error:', error);
+    throw error;
   }
 };
 
@@ -435,7 +361,7 @@ const checkFormReminders = async () => {
 const sendTrainingPlans = async () => {
   try {
     const config = await getConfig();
-    if (config.step10_training_plan_enabled !== 'true') return;
+    if (config.step10_training_plan_enabled !== 'true') return 0;
 
     const trainingDay = parseInt(config.step10_training_day) || 3;
     const targetDate = new Date();
@@ -462,16 +388,18 @@ const sendTrainingPlans = async () => {
       });
 
       let trainingContent = 'Your personalized training plan will be shared by your manager.';
+      let trainingDays = [];
       if (trainingPlan?.content) {
         try {
           const content = typeof trainingPlan.content === 'string' 
             ? JSON.parse(trainingPlan.content) 
             : trainingPlan.content;
           trainingContent = content.map((day, i) => `📅 Day ${i + 1}: ${day.title}\n   ${day.description}`).join('\n\n');
+          trainingDays = content.map((day, i) => ({ day: `Day ${i + 1}`, title: day.title || '', content: day.description || '' }));
         } catch (e) {}
       }
 
-      await createEmail(candidate, 'TRAINING_PLAN', config, { trainingContent });
+      await createEmail(candidate, 'TRAINING_PLAN', config, { trainingContent, trainingDays });
       await prisma.candidate.update({
         where: { id: candidate.id },
         data: { trainingPlanSent: true }
@@ -479,8 +407,10 @@ const sendTrainingPlans = async () => {
       await logActivity(candidate.id, 'TRAINING_PLAN_SENT', 'Step 10: Training plan sent automatically');
       logger.info(`Step 10: Training plan queued for ${candidate.email}`);
     }
+    return candidates.length;
   } catch (error) {
     logger.error('Step 10 Error:', error);
+    throw error;
   }
 };
 
@@ -490,7 +420,7 @@ const sendTrainingPlans = async () => {
 const scheduleCheckInCalls = async () => {
   try {
     const config = await getConfig();
-    if (config.step11_checkin_call_enabled !== 'true') return;
+    if (config.step11_checkin_call_enabled !== 'true') return 0;
 
     const checkinDay = parseInt(config.step11_checkin_day) || 7;
     const targetDate = new Date();
@@ -504,16 +434,19 @@ const scheduleCheckInCalls = async () => {
         actualJoiningDate: { gte: targetDate, lt: nextDay },
         checkinScheduled: { not: true },
         status: { in: ['JOINED', 'ONBOARDING'] }
-      }
+      },
+      include: { office: true }
     });
 
     for (const candidate of candidates) {
       const checkinTime = config.step11_checkin_time || '10:00';
       const duration = parseInt(config.step11_checkin_duration) || 30;
 
-      const [hours, minutes] = checkinTime.split(':');
-      const startTime = new Date();
-      startTime.setHours(parseInt(hours), parseInt(minutes), 0, 0);
+      // TIMEZONE: Check-in time is today's wall-clock time in the candidate's timezone
+      const candidateTimezone = timezoneService.getCandidateTimezone(candidate, config.company_timezone);
+      const startTime = timezoneService.zonedTimeToDate(
+        timezoneService.getZonedDateKey(new Date(), candidateTimezone), checkinTime, candidateTimezone
+      );
       const endTime = new Date(startTime);
       endTime.setMinutes(endTime.getMinutes() + duration);
 
@@ -540,7 +473,7 @@ const scheduleCheckInCalls = async () => {
         }
       });
 
-      await createEmail(candidate, 'CHECKIN_INVITE', config, { dateTime: startTime.toLocaleString('en-IN'), duration });
+      await createEmail(candidate, 'CHECKIN_INVITE', config, { dateTime: timezoneService.formatDateTime(startTime, candidateTimezone), duration });
       await prisma.candidate.update({
         where: { id: candidate.id },
         data: { checkinScheduled: true }
@@ -548,8 +481,10 @@ const scheduleCheckInCalls = async () => {
       await logActivity(candidate.id, 'CHECKIN_SCHEDULED', `Step 11: Check-in call scheduled for ${checkinTime}`);
       logger.info(`Step 11: Check-in scheduled for ${candidate.email}`);
     }
+    return candidates.length;
   } catch (error) {
     logger.error('Step 11 Error:', error);
+    throw error;
   }
 };
 
@@ -559,7 +494,7 @@ const scheduleCheckInCalls = async () => {
 const scheduleCEOInduction = async (candidateId, dateTime) => {
   try {
     const config = await getConfig();
-    const candidate = await prisma.candidate.findUnique({ where: { id: candidateId } });
+    const candidate = await prisma.candidate.findUnique({ where: { id: candidateId }, include: { office: true } });
     if (!candidate) throw new Error('Candidate not found');
 
     const duration = parseInt(config.step8_ceo_induction_duration) || 60;
@@ -583,7 +518,8 @@ const scheduleCEOInduction = async (candidateId, dateTime) => {
       }
     });
 
-    await createEmail(candidate, 'CEO_INDUCTION_INVITE', config, { ceoName, dateTime: startTime.toLocaleString('en-IN'), duration });
+    const candidateTimezone = timezoneService.getCandidateTimezone(candidate, config.company_timezone);
+    await createEmail(candidate, 'CEO_INDUCTION_INVITE', config, { ceoName, dateTime: timezoneService.formatDateTime(startTime, candidateTimezone), duration });
     await prisma.candidate.update({ where: { id: candidate.id }, data: { ceoInductionScheduled: true } });
     await logActivity(candidate.id, 'CEO_INDUCTION_SCHEDULED', `Step 8: CEO Induction scheduled`);
     
@@ -600,7 +536,7 @@ const scheduleCEOInduction = async (candidateId, dateTime) => {
 const scheduleSalesInduction = async (candidateId, dateTime) => {
   try {
     const config = await getConfig();
-    const candidate = await prisma.candidate.findUnique({ where: { id: candidateId } });
+    const candidate = await prisma.candidate.findUnique({ where: { id: candidateId }, include: { office: true } });
     if (!candidate) throw new Error('Candidate not found');
 
     const salesDepts = (config.step9_sales_induction_departments || 'Sales,BD,Marketing').split(',').map(d => d.trim().toLowerCase());
@@ -629,7 +565,8 @@ const scheduleSalesInduction = async (candidateId, dateTime) => {
       }
     });
 
-    await createEmail(candidate, 'SALES_INDUCTION_INVITE', config, { salesHeadName, dateTime: startTime.toLocaleString('en-IN'), duration });
+    const candidateTimezone = timezoneService.getCandidateTimezone(candidate, config.company_timezone);
+    await createEmail(candidate, 'SALES_INDUCTION_INVITE', config, { salesHeadName, dateTime: timezoneService.formatDateTime(startTime, candidateTimezone), duration });
     await prisma.candidate.update({ where: { id: candidate.id }, data: { salesInductionScheduled: true } });
     await logActivity(candidate.id, 'SALES_INDUCTION_SCHEDULED', `Step 9: Sales Induction scheduled`);
     
@@ -641,86 +578,164 @@ const scheduleSalesInduction = async (candidateId, dateTime) => {
 };
 
 // ============================================================
-// EMAIL PROCESSOR - Sends all pending emails
+// EMAIL PROCESSOR - Sends pending emails through the job queue
 // ============================================================
-const sendPendingEmails = async () => {
-  try {
-    // Get latest HR email and SMTP credentials from database (always use current, not stored)
-    const config = await getConfig();
-    const hrEmail = config.hr_email || process.env.HR_EMAIL || process.env.EMAIL_FROM || process.env.SMTP_USER;
-    const hrName = config.hr_name || process.env.HR_NAME || 'HR Team';
-    const fromAddress = hrName && hrEmail ? `${hrName} <${hrEmail}>` : hrEmail;
-    
-    // Get SMTP credentials and settings from database if available, else use env
-    let smtpUser = config.smtp_user || process.env.SMTP_USER;
-    let smtpPass = config.smtp_pass || process.env.SMTP_PASS;
-    let smtpHost = config.smtp_host || process.env.SMTP_HOST;
-    let smtpPort = config.smtp_port || process.env.SMTP_PORT || '587';
-    let smtpSecure = config.smtp_secure !== undefined ? (config.smtp_secure === 'true') : (process.env.SMTP_SECURE === 'true');
-
-    // Validate SMTP configuration
-    if (!smtpHost || !smtpUser || !smtpPass) {
-      logger.error('SMTP configuration is missing. Cannot send pending emails. Please set SMTP_HOST, SMTP_USER, and SMTP_PASS in .env file or update HR email with SMTP credentials.');
-      return;
-    }
+// JOB QUEUE: Each due PENDING email becomes one SEND_EMAIL job ("email:<id>"), so every instance
+// can run this without sending the same email twice - see jobQueueService
+
+// Queue a SEND_EMAIL job for every PENDING email that is due
+const enqueueDueEmails = async () => {
+  const emails = await prisma.email.findMany({
+    where: { status: 'PENDING', scheduledFor: { lte: new Date() } },
+    select: { id: true },
+    take: 100
+  });
 
-    // Create dynamic transporter with current credentials
-    const dynamicTransporter = nodemailer.createTransport({
-      host: smtpHost,
-      port: parseInt(smtpPort) || 587,
-      secure: smtpSecure,
-      auth: {
-        user: smtpUser,
-        pass: smtpPass
-      }
+  for (const email of emails) {
+    await jobQueueService.enqueue(prisma, 'SEND_EMAIL', { emailId: email.id }, {
+      idempotencyKey: `email:${email.id}`
     });
+  }
+  return emails.length;
+};
 
-    // Log what we're using for debugging
-    logger.info(`📧 Scheduler HR Email Configuration - Database hr_email: ${config.hr_email || 'NOT SET'}, Using: ${hrEmail}`);
-    logger.info(`📧 Scheduler FROM ADDRESS: ${fromAddress}`);
-    logger.info(`📧 Scheduler SMTP AUTH USER: ${smtpUser} (${smtpUser === process.env.SMTP_USER ? 'from env' : 'from database'})`);
+/**
+ * SEND_EMAIL job handler - sends one Email row
+ * The email is moved PENDING -> SENDING before the SMTP call, so an attempt that dies mid-send
+ * is never retried blindly (it's dead-lettered for HR to check instead of risking a double send)
+ */
+const sendEmailJob = async (job) => {
+  const { emailId } = job.payload || {};
+  const email = await prisma.email.findUnique({
+    where: { id: emailId },
+    include: { candidate: { include: { office: true } } }
+  });
 
-    const emails = await prisma.email.findMany({
-      where: { status: 'PENDING', scheduledFor: { lte: new Date() } },
-      take: 20,
-      include: { candidate: true }
+  if (!email) {
+    logger.warn(`⏭️ [JOBS] Email ${emailId} no longer exists - nothing to send`);
+    return;
+  }
+
+  if (email.status === 'SENDING') {
+    // A previous attempt claimed this email and never recorded the result - it may have gone out
+    await prisma.email.update({
+      where: { id: email.id },
+      data: { status: 'FAILED', errorMessage: 'Sending was interrupted - check the mailbox before resending' }
     });
+    const error = new Error(`Email ${email.id} was interrupted mid-send - not retrying to avoid a duplicate`);
+    error.deadLetter = true;
+    throw error;
+  }
 
-    if (emails.length === 0) {
-      logger.debug('No pending emails to send');
-      return;
-    }
+  if (email.status !== 'PENDING') {
+    logger.info(`⏭️ [JOBS] Email ${email.id} is already ${email.status} - skipping`);
+    return;
+  }
+
+  // SEND WINDOW: Outside the candidate's send window the email waits for the next open slot
+  const { sendAt, deferred, timeZone } = await sendWindowService.checkSendWindow(prisma, email.type, email.candidate);
+  if (deferred) {
+    await prisma.email.update({
+      where: { id: email.id },
+      data: { scheduledFor: sendAt, deferredFrom: email.deferredFrom || email.scheduledFor || new Date() }
+    });
+    logger.info(`🌙 [JOBS] ${email.type} to ${email.candidate?.email} is outside the send window - deferred to ${timezoneService.formatDateTime(sendAt, timeZone)} (${timeZone})`);
+    return { deferUntil: sendAt, reason: 'Outside the send window' };
+  }
+
+  // SENDER: The step's / department's sender identity, else hr_email
+  const identity = await senderIdentityService.resolveSenderIdentity(prisma, {
+    senderIdentityId: email.senderIdentityId,
+    department: email.candidate?.department
+  });
+
+  // TRANSPORT: Whichever transport is selected in Settings, or the identity's own mailbox
+  // (throws when it isn't configured)
+  const transport = await emailTransportService.getTransport(prisma, { identity });
+
+  const toEmail = email.toEmail || email.candidate?.email;
+  logger.info(`📧 Scheduler FROM ADDRESS: ${transport.fromAddress}, via ${transport.label}`);
+  logger.info(`📧 Attempting to send pending email: ${email.type} to ${toEmail} (attempt ${job.attempts}/${job.maxAttempts})`);
+
+  // Everything the send needs is prepared (and written to the email) before the claim - a failure
+  // here leaves the email PENDING for the next attempt, never SENDING with nothing sent
+  // LAYOUT: Wrap in the branded layout, with a plain-text alternative
+  // (tracking and stored attachments as in a direct send - deferred direct sends go out here)
+  const message = await emailLayoutService.buildEmailMessage(prisma, senderIdentityService.appendSignature(email.body, identity), {
+    subject: email.subject,
+    templateRevisionId: email.templateRevisionId
+  });
+  const trackedHtml = await emailTrackingService.applyTracking(prisma, message.html, email);
+
+  // THREADS: Message-ID for matching replies, and In-Reply-To/References for follow-ups
+  const threaded = await emailThreadService.assignOutboundHeaders(prisma, email, transport.hrEmail);
 
-    logger.info(`📧 Processing ${emails.length} pending email(s)...`);
-
-    for (const email of emails) {
-      try {
-        logger.info(`📧 Attempting to send pending email: ${email.type} to ${email.toEmail} from ${fromAddress}`);
-        
-        await dynamicTransporter.sendMail({
-          from: fromAddress, // Always use current HR email from database
-          to: email.toEmail,
-          subject: email.subject,
-          html: email.body
-        });
-
-        await prisma.email.update({
-          where: { id: email.id },
-          data: { status: 'SENT', sentAt: new Date() }
-        });
-        logger.info(`✅ Email sent: ${email.type} to ${email.toEmail}`);
-      } catch (err) {
-        logger.error(`❌ Email failed: ${email.id} (${email.type} to ${email.toEmail})`, err.message);
-        logger.error('Full error:', err);
-        
-        await prisma.email.update({
-          where: { id: email.id },
-          data: { status: 'FAILED', error: err.message }
-        }).catch(updateError => {
-          logger.error('Failed to update email record status:', updateError);
-        });
+  // DOCUMENTS: Library files pinned on the email (emails queued without a direct send are pinned now)
+  const pinnedEmail = await documentService.pinEmailDocuments(prisma, email);
+  const documentAttachments = await documentService.getDocumentAttachments(prisma, pinnedEmail);
+
+  // CRITICAL: Claim the email itself (PENDING -> SENDING) so nothing else sends it meanwhile
+  const claim = await prisma.email.updateMany({
+    where: { id: email.id, status: 'PENDING' },
+    data: { status: 'SENDING' }
+  });
+  if (claim.count === 0) {
+    logger.info(`⏭️ [JOBS] Email ${email.id} was picked up elsewhere - skipping`);
+    return;
+  }
+
+  let info;
+  try {
+    info = await transport.sendMail({
+      from: transport.fromAddress, // Always use current HR email / sender identity from database
+      to: toEmail,
+      ...(transport.replyTo && { replyTo: transport.replyTo }),
+      subject: email.subject,
+      html: trackedHtml,
+      text: message.text,
+      attachments: [...emailService.getEmailAttachments(email), ...documentAttachments],
+      headers: { 'X-Tracking-ID': email.trackingId },
+      messageId: threaded.messageId,
+      ...(threaded.inReplyTo && { inReplyTo: threaded.inReplyTo }),
+      ...(threaded.references && { references: threaded.references })
+    }, { emailId: email.id });
+  } catch (err) {
+    // Nothing went out - hand the email back for the next attempt (or mark it FAILED on the last one)
+    const lastAttempt = job.attempts >= job.maxAttempts;
+    await prisma.email.update({
+      where: { id: email.id },
+      data: {
+        status: lastAttempt ? 'FAILED' : 'PENDING',
+        errorMessage: err.message,
+        retryCount: { increment: 1 }
       }
+    }).catch(updateError => {
+      logger.error('Failed to update email record status:', updateError);
+    });
+    logger.error(`❌ Email failed: ${email.id} (${email.type} to ${toEmail})`, err.message);
+    throw err;
+  }
+
+  await prisma.email.update({
+    where: { id: email.id },
+    data: {
+      status: 'SENT',
+      sentAt: new Date(),
+      errorMessage: null,
+      senderIdentityId: identity?.id || null,
+      ...(info?.messageId && info.messageId !== threaded.messageId && { messageId: info.messageId })
+    }
+  });
+  logger.info(`✅ Email sent: ${email.type} to ${toEmail}`);
+};
+
+const sendPendingEmails = async () => {
+  try {
+    const queued = await enqueueDueEmails();
+    if (queued > 0) {
+      logger.info(`📧 Queued ${queued} pending email(s)`);
     }
+    return await jobQueueService.runWorker(prisma, { SEND_EMAIL: sendEmailJob });
   } catch (error) {
     logger.error('Email Processor Error:', error);
     logger.error('Stack trace:', error.stack);
@@ -748,8 +763,11 @@ const getTemplate = async (type) => {
 
 const createEmail = async (candidate, type, config, extra = {}) => {
   const template = await getTemplate(type);
-  const subject = replacePlaceholders(template.subject, candidate, config, extra);
-  const body = replacePlaceholders(template.body, candidate, config, extra);
+  // LANGUAGE: The candidate's preferred-language variant, falling back to the default language
+  const localized = languageService.localizeTemplate(template, candidate.preferredLanguage);
+  const subject = replacePlaceholders(localized.subject, candidate, config, extra);
+  const body = replacePlaceholders(localized.body, candidate, config, extra);
+  const templateRevisionId = await templateRevisionService.getRevisionIdForSend(prisma, template);
 
   await prisma.email.create({
     data: {
@@ -757,6 +775,7 @@ const createEmail = async (candidate, type, config, extra = {}) => {
       type,
       subject,
       body,
+      templateRevisionId,
       toEmail: candidate.email,
       fromEmail: config.hr_email || process.env.SMTP_USER,
       status: 'PENDING',
@@ -768,9 +787,9 @@ const createEmail = async (candidate, type, config, extra = {}) => {
 const replacePlaceholders = (text, candidate, config, extra = {}) => {
   if (!text) return '';
   
-  const joiningDate = candidate.expectedJoiningDate 
-    ? new Date(candidate.expectedJoiningDate).toLocaleDateString('en-IN', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })
-    : '';
+  // TIMEZONE: Dates and times render in the candidate's timezone (candidate > office > company)
+  const candidateTimezone = timezoneService.getCandidateTimezone(candidate, config.company_timezone);
+  const joiningDate = timezoneService.formatCalendarDate(candidate.expectedJoiningDate);
 
   const replacements = {
     '{{firstName}}': candidate.firstName || '',
@@ -782,6 +801,7 @@ const replacePlaceholders = (text, candidate, config, extra = {}) => {
     '{{position}}': candidate.position || '',
     '{{department}}': candidate.department || '',
     '{{joiningDate}}': joiningDate,
+    '{{timezone}}': timezoneService.getTimezoneLabel(candidateTimezone),
     '{{salary}}': candidate.salary || '',
     '{{reportingManager}}': candidate.reportingManager || '',
     '{{companyName}}': config.company_name || 'Iron Lady',
@@ -810,11 +830,11 @@ const replacePlaceholders = (text, candidate, config, extra = {}) => {
     });
   }
 
-  let result = text;
-  for (const [key, value] of Object.entries(replacements)) {
-    result = result.split(key).join(value || '');
+  const context = templateEngine.placeholderMapToContext(replacements);
+  if (extra.trainingDays) {
+    context.trainingDays = extra.trainingDays; // For {{#each trainingDays}}
   }
-  return result;
+  return templateEngine.renderTemplate(text, context, { timezone: candidateTimezone });
 };
 
 const logActivity = async (candidateId, action, description) => {
@@ -835,225 +855,427 @@ const logActivity = async (candidateId, action, description) => {
 // ============================================================
 // AUTO-COMPLETE STEPS WHEN CALENDAR EVENTS PASS
 // ============================================================
-const autoCompleteCalendarSteps = async () => {
-  try {
-    const now = new Date();
-    
-    logger.info(`🕐 [AUTO-COMPLETE] Checking for past calendar events at ${now.toISOString()}...`);
-    
-    // Find calendar events that have passed their start time and are still SCHEDULED or RESCHEDULED
-    // IMPORTANT: Check for already sent emails to prevent duplicates
-    // Include RESCHEDULED status so rescheduled events can also trigger emails
-    const pastEvents = await prisma.calendarEvent.findMany({
-      where: {
-        status: { in: ['SCHEDULED', 'RESCHEDULED'] },
-        startTime: { lte: now }
-      },
-      include: {
-        candidate: {
-          include: {
-            tasks: true
-          }
+// JOB QUEUE: Each past calendar event becomes one EXECUTE_STEP job keyed by event + start time,
+// so a rescheduled event gets a fresh job and every other tick is a no-op for it
+
+// Map event types to step numbers (for backward compatibility with hardcoded steps)
+const EVENT_TYPE_TO_STEP = {
+  'OFFER_LETTER': 1,
+  'HR_INDUCTION': 4,
+  'CEO_INDUCTION': 8,
+  'SALES_INDUCTION': 9,
+  'DEPARTMENT_INDUCTION': 9, // Department induction is also step 9
+  'CHECKIN_CALL': 11,
+  'HR_CHECKIN': 11,
+  'OFFER_REMINDER': 2,
+  'WELCOME_EMAIL': 3,
+  'ONBOARDING_FORM': 6,
+  'TRAINING_PLAN': 10,
+  'WHATSAPP_TASK': 5, // WhatsApp Group Addition
+  'WHATSAPP_ADDITION': 5, // Alternative name
+  'FORM_REMINDER': 7,
+  'CUSTOM': null // Will be determined from stepNumber
+};
+
+// How long a step waiting on prerequisites is put back before it's checked again
+const PREREQUISITE_RECHECK_MS = 60 * 1000;
+
+// Queue an EXECUTE_STEP job for every calendar event that has passed its start time
+const enqueueDueCalendarSteps = async () => {
+  const now = new Date();
+
+  // Include RESCHEDULED status so rescheduled events can also trigger emails
+  const pastEvents = await prisma.calendarEvent.findMany({
+    where: {
+      status: { in: ['SCHEDULED', 'RESCHEDULED'] },
+      startTime: { lte: now }
+    },
+    select: { id: true, type: true, stepNumber: true, startTime: true }
+  });
+
+  if (pastEvents.length === 0) {
+    logger.debug(`🕐 [AUTO-COMPLETE] No past events found (checked ${now.toISOString()})`);
+    return 0;
+  }
+
+  for (const event of pastEvents) {
+    await jobQueueService.enqueue(prisma, 'EXECUTE_STEP', { eventId: event.id }, {
+      idempotencyKey: `step:${event.id}:${event.startTime.getTime()}`
+    });
+  }
+  return pastEvents.length;
+};
+
+/**
+ * EXECUTE_STEP job handler - completes the step behind one past calendar event
+ * Uses the same logic as the manual "Send" button (stepService.completeStep)
+ */
+const executeStepJob = async (job) => {
+  const now = new Date();
+  const { eventId } = job.payload || {};
+
+  const event = await prisma.calendarEvent.findUnique({
+    where: { id: eventId },
+    include: {
+      candidate: {
+        include: {
+          tasks: true
         }
       }
-    });
+    }
+  });
 
-    if (pastEvents.length === 0) {
-      logger.debug(`🕐 [AUTO-COMPLETE] No past events found (checked ${now.toISOString()})`);
-      return;
+  // IMPORTANT: Check if this event was already processed, cancelled or moved (prevent duplicate processing)
+  if (!event || !['SCHEDULED', 'RESCHEDULED'].includes(event.status)) {
+    logger.debug(`⏭️ Skipping event ${eventId} - ${event ? event.status : 'deleted'}`);
+    return;
+  }
+  if (event.startTime > now) {
+    logger.debug(`⏭️ Skipping event ${eventId} - rescheduled to ${event.startTime.toISOString()}`);
+    return;
+  }
+
+  const candidate = event.candidate;
+
+  // Determine actual step number - prefer event.stepNumber (most reliable - stored when event was created)
+  const actualStepNumber = event.stepNumber || EVENT_TYPE_TO_STEP[event.type] || null;
+
+  // Find the step template using the actual step number (most reliable way)
+  let stepTemplate = null;
+  try {
+    // Priority 1: Find by stepNumber (most reliable - ensures we get the exact step)
+    // VERSIONING: Resolved from the workflow version the candidate is pinned to
+    if (actualStepNumber) {
+      stepTemplate = await workflowVersionService.getCandidateStep(prisma, candidate, actualStepNumber);
     }
 
-    logger.info(`✅ [AUTO-COMPLETE] Found ${pastEvents.length} calendar event(s) that have passed - auto-completing steps...`);
-    pastEvents.forEach(event => {
-      logger.info(`   📅 Event: ${event.type} (Step ${event.stepNumber || 'unknown'}) for ${event.candidate?.email || 'unknown'} - Scheduled: ${event.startTime.toISOString()}`);
-    });
+    // Priority 2: If not found by stepNumber, try to find by event type (fallback for old events)
+    // Map event type back to step type (CUSTOM -> MANUAL, WHATSAPP_TASK -> WHATSAPP_ADDITION)
+    if (!stepTemplate) {
+      let searchType = event.type;
+      if (event.type === 'CUSTOM') {
+        searchType = 'MANUAL'; // CUSTOM events come from MANUAL steps
+      } else if (event.type === 'WHATSAPP_TASK') {
+        searchType = 'WHATSAPP_ADDITION'; // WHATSAPP_TASK events come from WHATSAPP_ADDITION steps
+      }
 
-    // Map event types to step numbers (for backward compatibility with hardcoded steps)
-    const eventTypeToStep = {
-      'OFFER_LETTER': 1,
-      'HR_INDUCTION': 4,
-      'CEO_INDUCTION': 8,
-      'SALES_INDUCTION': 9,
-      'DEPARTMENT_INDUCTION': 9, // Department induction is also step 9
-      'CHECKIN_CALL': 11,
-      'HR_CHECKIN': 11,
-      'OFFER_REMINDER': 2,
-      'WELCOME_EMAIL': 3,
-      'ONBOARDING_FORM': 6,
-      'TRAINING_PLAN': 10,
-      'WHATSAPP_TASK': 5, // WhatsApp Group Addition
-      'WHATSAPP_ADDITION': 5, // Alternative name
-      'FORM_REMINDER': 7,
-      'CUSTOM': null // Will be determined from stepNumber
-    };
+      const candidateSteps = await workflowVersionService.getCandidateSteps(prisma, candidate);
+      stepTemplate = candidateSteps.find(step => step.type === searchType) || null;
+    }
 
-    for (const event of pastEvents) {
-      try {
-        // IMPORTANT: Check if this event was already processed (prevent duplicate processing)
-        // If event status is already COMPLETED, skip it
-        if (event.status === 'COMPLETED') {
-          logger.debug(`⏭️ Skipping event ${event.id} - already completed`);
-          continue;
+    // Priority 3: If still not found, try any department (last resort)
+    if (!stepTemplate && actualStepNumber) {
+      stepTemplate = await prisma.departmentStepTemplate.findFirst({
+        where: {
+          stepNumber: actualStepNumber
+        },
+        include: {
+          emailTemplate: true
         }
+      });
+    }
+  } catch (error) {
+    logger.warn(`Failed to fetch step template for step ${actualStepNumber || 'unknown'}:`, error);
+  }
 
-        // Try to find step number from mapping first (for backward compatibility)
-        let stepNumber = eventTypeToStep[event.type];
-        
-        // If not in mapping, we'll find it from the step template
-        // Don't skip - continue to process all events
-
-        const candidate = event.candidate;
-        
-        // Determine actual step number - prefer event.stepNumber (most reliable - stored when event was created)
-        const actualStepNumber = event.stepNumber || stepNumber || null;
-        
-        // Find the step template using the actual step number (most reliable way)
-        let stepTemplate = null;
-        try {
-          // Priority 1: Find by stepNumber (most reliable - ensures we get the exact step)
-          if (actualStepNumber) {
-            stepTemplate = await prisma.departmentStepTemplate.findFirst({
-              where: {
-                department: candidate.department,
-                stepNumber: actualStepNumber
-              },
-              include: {
-                emailTemplate: true
-              }
-            });
-          }
-          
-          // Priority 2: If not found by stepNumber, try to find by event type (fallback for old events)
-          // Map event type back to step type (CUSTOM -> MANUAL, WHATSAPP_TASK -> WHATSAPP_ADDITION)
-          if (!stepTemplate) {
-            let searchType = event.type;
-            if (event.type === 'CUSTOM') {
-              searchType = 'MANUAL'; // CUSTOM events come from MANUAL steps
-            } else if (event.type === 'WHATSAPP_TASK') {
-              searchType = 'WHATSAPP_ADDITION'; // WHATSAPP_TASK events come from WHATSAPP_ADDITION steps
-            }
-            
-            stepTemplate = await prisma.departmentStepTemplate.findFirst({
-              where: {
-                department: candidate.department,
-                type: searchType
-              },
-              orderBy: { stepNumber: 'asc' },
-              include: {
-                emailTemplate: true
-              }
-            });
-          }
-          
-          // Priority 3: If still not found, try any department (last resort)
-          if (!stepTemplate && actualStepNumber) {
-            stepTemplate = await prisma.departmentStepTemplate.findFirst({
-              where: {
-                stepNumber: actualStepNumber
-              },
-              include: {
-                emailTemplate: true
-              }
-            });
-          }
-        } catch (error) {
-          logger.warn(`Failed to fetch step template for step ${actualStepNumber || 'unknown'}:`, error);
-        }
-        
-        if (!actualStepNumber) {
-          logger.warn(`⚠️ Could not determine step number for event type: ${event.type}, candidate: ${candidate.email} - skipping`);
-          logger.warn(`   Event details: id=${event.id}, stepNumber=${event.stepNumber}, type=${event.type}, startTime=${event.startTime.toISOString()}`);
-          logger.warn(`   Step template found: ${stepTemplate ? 'Yes' : 'No'}`);
-          continue; // Skip if we can't determine step number
-        }
-        
-        logger.info(`📋 Processing event: type=${event.type}, stepNumber=${actualStepNumber}, candidate=${candidate.email}, startTime=${event.startTime.toISOString()}, now=${now.toISOString()}`);
+  if (!actualStepNumber) {
+    logger.warn(`⚠️ Could not determine step number for event type: ${event.type}, candidate: ${candidate.email} - skipping`);
+    logger.warn(`   Event details: id=${event.id}, stepNumber=${event.stepNumber}, type=${event.type}, startTime=${event.startTime.toISOString()}`);
+    logger.warn(`   Step template found: ${stepTemplate ? 'Yes' : 'No'}`);
+    return; // Skip if we can't determine step number
+  }
 
-        // ✅ USE THE SAME LOGIC AS MANUAL "SEND" BUTTON
-        // This ensures scheduled emails work exactly like manual sends
-        try {
-          // CRITICAL: Mark event as COMPLETED immediately to prevent duplicate processing
-          // Do this BEFORE calling completeStep to prevent race conditions when scheduler runs multiple times
-          const updateResult = await prisma.calendarEvent.updateMany({
-            where: { 
-              id: event.id,
-              status: { in: ['SCHEDULED', 'RESCHEDULED'] } // Include RESCHEDULED status
-            },
-            data: { status: 'COMPLETED' }
-          });
-          
-          // If updateResult.count is 0, another process already marked it as completed
-          if (updateResult.count === 0) {
-            logger.info(`⏭️ Skipping event ${event.id} - already processed by another instance`);
-            continue;
-          }
-          
-          logger.info(`🔄 Auto-completing step ${actualStepNumber} for ${candidate.email} (event: ${event.type}) - using same logic as manual Send button`);
-          
-          // Call the universal stepService - same function used by manual "Send" button
-          await stepService.completeStep(
-            prisma,
-            candidate.id,
-            actualStepNumber,
-            null // No userId for automated actions
-          );
-          
-          logger.info(`✅ Successfully auto-completed step ${actualStepNumber} for ${candidate.email} - ${event.type}`);
-          
-          // Mark corresponding task as completed
-          const taskType = event.type === 'DEPARTMENT_INDUCTION' ? 'DEPARTMENT_INDUCTION' : event.type;
-          const tasks = await prisma.task.findMany({
-            where: {
-              candidateId: candidate.id,
-              status: { not: 'COMPLETED' }
-            }
-          });
-
-          for (const task of tasks) {
-            const matchesType = task.type === taskType;
-            const matchesStep = task.metadata && typeof task.metadata === 'object' && task.metadata.step === actualStepNumber;
-            
-            if (matchesType || matchesStep) {
-              await prisma.task.update({
-                where: { id: task.id },
-                data: {
-                  status: 'COMPLETED',
-                  completedAt: now
-                }
-              });
-              logger.info(`✅ Marked task as completed: ${task.title}`);
-            }
-          }
-          
-        } catch (stepError) {
-          logger.error(`❌ Failed to auto-complete step ${actualStepNumber} for ${candidate.email}:`, stepError.message);
-          logger.error('Error stack:', stepError.stack);
-          // Event stays SCHEDULED - will retry on next cron run
+  // PREREQUISITES: Hold the step (leave the event SCHEDULED) until its prerequisite steps are completed
+  // The job is put back (without using an attempt) and released automatically once they are
+  if (stepTemplate && stepTemplate.prerequisiteStepIds && stepTemplate.prerequisiteStepIds.length > 0) {
+    const { satisfied, waitingOn } = await stepDependencyService.checkPrerequisites(prisma, candidate, stepTemplate);
+    if (!satisfied) {
+      logger.debug(`⏳ Holding step ${actualStepNumber} for ${candidate.email} - waiting on step ${waitingOn.join(', ')}`);
+      return {
+        deferUntil: new Date(Date.now() + PREREQUISITE_RECHECK_MS),
+        reason: `Waiting on step ${waitingOn.join(', ')}`
+      };
+    }
+  }
+
+  // OFFER LETTER: Hold step 1 while its generated offer letter is awaiting approval - released once approved
+  const offerLetterHold = actualStepNumber === 1 && offerLetterService.getSendBlockReason(candidate);
+  if (offerLetterHold && (!event.attachmentPath || event.attachmentPath === candidate.offerLetterPath)) {
+    logger.debug(`⏳ Holding step 1 for ${candidate.email} - offer letter awaiting approval`);
+    return {
+      deferUntil: new Date(Date.now() + PREREQUISITE_RECHECK_MS),
+      reason: 'Offer letter awaiting approval'
+    };
+  }
+
+  logger.info(`📋 Processing event: type=${event.type}, stepNumber=${actualStepNumber}, candidate=${candidate.email}, startTime=${event.startTime.toISOString()}, now=${now.toISOString()}`);
+
+  // CRITICAL: Mark event as COMPLETED before calling completeStep to prevent duplicate processing
+  // If this attempt dies after this point the event stays COMPLETED and the step is never sent twice
+  const updateResult = await prisma.calendarEvent.updateMany({
+    where: {
+      id: event.id,
+      status: { in: ['SCHEDULED', 'RESCHEDULED'] } // Include RESCHEDULED status
+    },
+    data: { status: 'COMPLETED' }
+  });
+
+  // If updateResult.count is 0, another process already marked it as completed
+  if (updateResult.count === 0) {
+    logger.info(`⏭️ Skipping event ${event.id} - already processed by another instance`);
+    return;
+  }
+
+  logger.info(`🔄 Auto-completing step ${actualStepNumber} for ${candidate.email} (event: ${event.type}) - using same logic as manual Send button`);
+
+  let result;
+  try {
+    // Call the universal stepService - same function used by manual "Send" button
+    result = await stepService.completeStep(
+      prisma,
+      candidate.id,
+      actualStepNumber,
+      null // No userId for automated actions
+    );
+  } catch (stepError) {
+    logger.error(`❌ Failed to auto-complete step ${actualStepNumber} for ${candidate.email}:`, stepError.message);
+    // The email already went out and something after it failed - keep the event COMPLETED and
+    // dead-letter the job rather than retrying the step (the retry would send the email again)
+    if (stepError.emailSent) {
+      stepError.deadLetter = true;
+      throw stepError;
+    }
+    // Put the event back so the retry (with backoff) can pick it up again
+    await prisma.calendarEvent.update({
+      where: { id: event.id },
+      data: { status: event.status }
+    });
+    throw stepError;
+  }
+
+  // BRANCHING: Step conditions not met - record the event as SKIPPED, not COMPLETED
+  // (stepService already marked the step's tasks as SKIPPED)
+  if (result && result.conditionsNotMet) {
+    await prisma.calendarEvent.update({
+      where: { id: event.id },
+      data: { status: 'SKIPPED' }
+    });
+    logger.info(`⏭️ Step ${actualStepNumber} skipped for ${candidate.email} - ${result.reason}`);
+    return;
+  }
+
+  logger.info(`✅ Successfully auto-completed step ${actualStepNumber} for ${candidate.email} - ${event.type}`);
+
+  // Mark corresponding task as completed
+  const taskType = event.type === 'DEPARTMENT_INDUCTION' ? 'DEPARTMENT_INDUCTION' : event.type;
+  const tasks = await prisma.task.findMany({
+    where: {
+      candidateId: candidate.id,
+      status: { not: 'COMPLETED' }
+    }
+  });
+
+  for (const task of tasks) {
+    const matchesType = task.type === taskType;
+    const matchesStep = task.metadata && typeof task.metadata === 'object' && task.metadata.step === actualStepNumber;
+
+    if (matchesType || matchesStep) {
+      await prisma.task.update({
+        where: { id: task.id },
+        data: {
+          status: 'COMPLETED',
+          completedAt: now
         }
-      } catch (error) {
-        logger.error(`Error auto-completing step for event ${event.id}:`, error);
-        // Continue with next event even if one fails
-      }
+      });
+      logger.info(`✅ Marked task as completed: ${task.title}`);
     }
+  }
+};
+
+const autoCompleteCalendarSteps = async () => {
+  try {
+    const queued = await enqueueDueCalendarSteps();
+    if (queued > 0) {
+      logger.info(`✅ [AUTO-COMPLETE] ${queued} calendar event(s) have passed - queued step execution`);
+    }
+    return await jobQueueService.runWorker(prisma, { EXECUTE_STEP: executeStepJob });
   } catch (error) {
     logger.error('Error in autoCompleteCalendarSteps:', error);
   }
 };
 
+// ============================================================
+// JOB QUEUE WORKER - one pass per minute on every instance
+// ============================================================
+const JOB_HANDLERS = {
+  SEND_EMAIL: sendEmailJob,
+  EXECUTE_STEP: executeStepJob
+};
+
+const processJobQueue = async () => {
+  try {
+    await enqueueDueEmails();
+    await enqueueDueCalendarSteps();
+    const summary = await jobQueueService.runWorker(prisma, JOB_HANDLERS);
+    if (summary.claimed > 0) {
+      logger.info(`⚙️ [JOBS] Completed ${summary.completed}, deferred ${summary.deferred}, retrying ${summary.failed}, dead ${summary.dead}`);
+    }
+    return summary;
+  } catch (error) {
+    logger.error('Job Queue Error:', error);
+    throw error;
+  }
+};
+
+// ============================================================
+// RETENTION - JobRun and finished Job rows are deleted after JOB_HISTORY_RETENTION_DAYS
+// ============================================================
+const JOB_HISTORY_RETENTION_DAYS = parseInt(process.env.JOB_HISTORY_RETENTION_DAYS) || 30;
+
+const pruneJobHistory = async () => {
+  const before = new Date(Date.now() - JOB_HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const jobRuns = await prisma.jobRun.deleteMany({
+    where: { startedAt: { lt: before } }
+  });
+  const jobs = await jobQueueService.pruneFinishedJobs(prisma, before);
+  logger.info(`🧹 [JOBS] Deleted ${jobRuns.count} job run(s) and ${jobs} finished job(s) older than ${JOB_HISTORY_RETENTION_DAYS} days`);
+  return jobRuns.count + jobs;
+};
+
+// ============================================================
+// SCHEDULED JOBS REGISTRY + RUN HISTORY
+// ============================================================
+// Every job in this file that can be scheduled or run from Settings > Scheduled Jobs ("Run now")
+// schedule = cron expression, or null for manual-only jobs (their automatic triggers are disabled above)
+const SCHEDULED_JOBS = {
+  'job-queue': {
+    label: 'Job queue (emails & step auto-completion)',
+    description: 'Queues due emails and passed calendar events, then sends/executes them',
+    schedule: '* * * * *', // Every 1 minute (max 1 minute delay for scheduled steps)
+    run: processJobQueue
+  },
+  'mark-joined': {
+    label: 'Mark candidates as joined',
+    description: 'Status update only on the joining day - does not trigger steps',
+    schedule: '0 6 * * *', // At 6:00 AM
+    run: markCandidatesAsJoined
+  },
+  'prune-job-history': {
+    label: 'Clean up job history',
+    description: 'Deletes run history and completed/dead queue jobs older than the retention period (30 days by default)',
+    schedule: '30 3 * * *', // At 3:30 AM
+    run: pruneJobHistory
+  },
+  'welcome-emails': {
+    label: 'Day -1 welcome emails (Step 3)',
+    description: 'Only sends when step3_welcome_email_enabled is on',
+    schedule: null,
+    run: sendDayMinus1WelcomeEmails
+  },
+  'day-zero': {
+    label: 'Day 0 automations (Steps 4 & 5)',
+    description: 'HR induction invite and WhatsApp group task for candidates joining today',
+    schedule: null,
+    run: processDayZeroAutomations
+  },
+  'onboarding-forms': {
+    label: 'Onboarding form emails (Step 6)',
+    description: 'Only sends when step6_onboarding_form_enabled is on',
+    schedule: null,
+    run: sendOnboardingForms
+  },
+  'training-plans': {
+    label: 'Training plan emails (Step 10)',
+    description: 'Only sends when step10_training_plan_enabled is on',
+    schedule: null,
+    run: sendTrainingPlans
+  },
+  'checkin-calls': {
+    label: 'HR check-in calls (Step 11)',
+    description: 'Only schedules when step11_checkin_call_enabled is on',
+    schedule: null,
+    run: scheduleCheckInCalls
+  }
+};
+
+// Turn a job's return value into JobRun counts
+// (a number of items, or a job queue summary { claimed, failed, dead })
+const summarizeJobResult = (result) => {
+  if (typeof result === 'number') {
+    return { itemsProcessed: result, errorCount: 0 };
+  }
+  if (result && typeof result === 'object') {
+    return {
+      itemsProcessed: result.claimed || 0,
+      errorCount: (result.failed || 0) + (result.dead || 0)
+    };
+  }
+  return { itemsProcessed: 0, errorCount: 0 };
+};
+
+/**
+ * Run a job from SCHEDULED_JOBS and record it in JobRun
+ * trigger = SCHEDULE (cron tick) or MANUAL ("Run now")
+ */
+const runScheduledJob = async (name, { trigger = 'SCHEDULE', userId = null } = {}) => {
+  const job = SCHEDULED_JOBS[name];
+  if (!job) {
+    throw new Error(`Unknown scheduled job: ${name}`);
+  }
+
+  const jobRun = await prisma.jobRun.create({
+    data: {
+      jobName: name,
+      trigger,
+      instanceId: jobQueueService.WORKER_ID,
+      triggeredById: userId
+    }
+  });
+
+  try {
+    const result = await job.run();
+    const { itemsProcessed, errorCount } = summarizeJobResult(result);
+    return await prisma.jobRun.update({
+      where: { id: jobRun.id },
+      data: { status: 'SUCCESS', finishedAt: new Date(), itemsProcessed, errorCount }
+    });
+  } catch (error) {
+    return prisma.jobRun.update({
+      where: { id: jobRun.id },
+      data: { status: 'FAILED', finishedAt: new Date(), errorCount: 1, error: error.message }
+    });
+  }
+};
+
+// Cron tick - only the scheduler leader runs the job
+const runScheduledJobIfLeader = async (name) => {
+  try {
+    const leader = await schedulerLeaseService.acquireLease(prisma);
+    if (!leader) {
+      logger.debug(`⏭️ [SCHEDULER] Skipping ${name} - another instance holds the scheduler lease`);
+      return;
+    }
+    await runScheduledJob(name);
+  } catch (error) {
+    logger.error(`Scheduled job ${name} error:`, error);
+  }
+};
+
 // ============================================================
 // EXPORTS
 // ============================================================
 module.exports = {
   initScheduledJobs,
+  SCHEDULED_JOBS,
+  runScheduledJob,
   scheduleCEOInduction,
   scheduleSalesInduction,
   sendPendingEmails,
+  processJobQueue,
   // Manual triggers for testing
-  checkOfferReminders,
   sendDayMinus1WelcomeEmails,
   processDayZeroAutomations,
   sendOnboardingForms,
-  checkFormReminders,
   sendTrainingPlans,
   scheduleCheckInCalls,
   autoCompleteCalendarSteps
@@ -6,6 +6,8 @@ const fs = require('fs').promises;
 const { authenticateToken } = require('../middleware/auth');
 const calendarService = require('../services/calendarService');
 const emailService = require('../services/emailService');
+const workflowVersionService = require('../services/workflowVersionService');
+const timezoneService = require('../services/timezoneService');
 const logger = require('../utils/logger');
 
 // Configure multer for calendar event attachments (universal for all steps)
@@ -123,7 +125,7 @@ router.get('/today', async (req, res) => {
           gte: startOfDay,
           lte: endOfDay
         },
-        status: { not: 'CANCELLED' }
+        status: { notIn: ['CANCELLED', 'SKIPPED'] }
       },
       include: {
         candidate: {
@@ -154,7 +156,7 @@ router.get('/upcoming', async (req, res) => {
           gte: now,
           lte: futureDate
         },
-        status: { not: 'CANCELLED' }
+        status: { notIn: ['CANCELLED', 'SKIPPED'] }
       },
       include: {
         candidate: {
@@ -223,21 +225,31 @@ router.post('/', (req, res, next) => {
       meetingLink,
       stepNumber,
       eventId,
-      existingAttachmentPaths
+      existingAttachmentPaths,
+      timeZone  // Optional IANA timezone of dateTime (defaults to the candidate's timezone)
     } = req.body;
 
+    // TIMEZONE: Event times are shown to the candidate in their timezone (candidate > office > company)
+    const eventCandidate = candidateId
+      ? await req.prisma.candidate.findUnique({ where: { id: candidateId }, include: { office: true } })
+      : null;
+    const eventTimezone = timezoneService.isValidTimezone(timeZone)
+      ? timeZone
+      : await timezoneService.resolveCandidateTimezone(req.prisma, eventCandidate);
+
     // If dateTime and duration are provided (from FormData), convert to startTime and endTime
-    // This handles the timezone correctly by treating the datetime-local value as IST (Asia/Kolkata)
+    // This handles the timezone correctly by treating the datetime-local value as the event timezone
     if (dateTime && !startTime) {
-      // Parse the datetime-local string - treat it as Asia/Kolkata timezone
+      // Parse the datetime-local string - treat it as wall-clock time in the event timezone
       // datetime-local format: "YYYY-MM-DDTHH:mm" (no timezone info)
-      // The user's input is in their local timezone, but we treat it as IST for consistency
       const [datePart, timePart] = dateTime.split('T');
       
-      // Create a Date object treating the input as IST (Asia/Kolkata, UTC+5:30)
-      // Format: "YYYY-MM-DDTHH:mm:00+05:30" for IST
-      const istDateString = `${datePart}T${timePart}:00+05:30`;
-      const localDate = new Date(istDateString);
+      // Create a Date object treating the input as the candidate's timezone (DST-aware)
+      const localDate = timezoneService.zonedTimeToDate(datePart, timePart, eventTimezone);
+      
+      if (isNaN(localDate.getTime())) {
+        return res.status(400).json({ success: false, message: 'Invalid date/time format' });
+      }
       
       // Convert to ISO string for storage (this will be in UTC)
       startTime = localDate.toISOString();
@@ -324,7 +336,8 @@ router.post('/', (req, res, next) => {
         endTime: new Date(endTime),
         attendees: attendees || [],
         location,
-        meetingLink
+        meetingLink,
+        timeZone: eventTimezone
       }, req.prisma);
       googleEventId = googleEvent?.id;
     } catch (gcalError) {
@@ -338,16 +351,8 @@ router.post('/', (req, res, next) => {
 
     // If stepNumber is provided, validate that the step template has an email template
     if (stepNumber && candidate) {
-      const stepTemplate = await req.prisma.departmentStepTemplate.findFirst({
-        where: {
-          department: candidate.department,
-          stepNumber: parseInt(stepNumber),
-          isActive: true
-        },
-        include: {
-          emailTemplate: true
-        }
-      });
+      const candidateSteps = await workflowVersionService.getCandidateSteps(req.prisma, candidate);
+      const stepTemplate = candidateSteps.find(step => step.stepNumber === parseInt(stepNumber));
 
       if (stepTemplate && (!stepTemplate.emailTemplateId || !stepTemplate.emailTemplate)) {
         return res.status(400).json({
@@ -429,7 +434,7 @@ router.post('/', (req, res, next) => {
     // Email will be sent automatically when the calendar event auto-completes at the scheduled time
     // (handled by autoCompleteCalendarSteps in scheduler.js)
     // No email is sent immediately when scheduling to avoid sending schedule details
-    logger.info(`📅 Calendar event created for ${candidate?.email || candidateId} - Email will be sent at scheduled time: ${new Date(startTime).toLocaleString('en-IN')}`);
+    logger.info(`📅 Calendar event created for ${candidate?.email || candidateId} - Email will be sent at scheduled time: ${timezoneService.formatDateTime(startTime, eventTimezone)}`);
 
     // Log activity
     if (req.user && req.user.id) {
@@ -512,26 +517,25 @@ router.post('/:id/reschedule', async (req, res) => {
 
     const existing = await req.prisma.calendarEvent.findUnique({
       where: { id: req.params.id },
-      include: { candidate: true }
+      include: { candidate: { include: { office: true } } }
     });
 
     if (!existing) {
       return res.status(404).json({ success: false, message: 'Event not found' });
     }
 
-    // Parse datetime-local string - treat it as Asia/Kolkata timezone
+    // TIMEZONE: Parse datetime-local string as wall-clock time in the candidate's timezone
+    // (or an explicit timeZone sent by the client)
     // datetime-local format: "YYYY-MM-DDTHH:mm" (no timezone info)
-    // The user's input is in their local timezone, but we need to store it correctly
-    // We'll treat it as Asia/Kolkata timezone (IST) since that's the app's timezone
-    const [datePart, timePart] = dateTime.split('T');
-    const [year, month, day] = datePart.split('-').map(Number);
-    const [hours, minutes] = timePart.split(':').map(Number);
-    
-    // Create a Date object treating the input as IST (Asia/Kolkata, UTC+5:30)
-    // We do this by creating the date string with timezone offset
-    // Format: "YYYY-MM-DDTHH:mm:00+05:30" for IST
-    const istDateString = `${datePart}T${timePart}:00+05:30`;
-    const localDate = new Date(istDateString);
+    const eventTimezone = timezoneService.isValidTimezone(req.body.timeZone)
+      ? req.body.timeZone
+      : await timezoneService.resolveCandidateTimezone(req.prisma, existing.candidate);
+    const [datePart, timePart] = (dateTime || '').split('T');
+    const localDate = timezoneService.zonedTimeToDate(datePart, timePart, eventTimezone);
+
+    if (isNaN(localDate.getTime())) {
+      return res.status(400).json({ success: false, message: 'Invalid date/time format' });
+    }
     
     // Convert to ISO string for storage (this will be in UTC)
     const newStartTime = localDate.toISOString();
@@ -559,11 +563,11 @@ router.post('/:id/reschedule', async (req, res) => {
           resource: {
             start: {
               dateTime: newStartTime, // Already ISO string
-              timeZone: 'Asia/Kolkata'
+              timeZone: eventTimezone
             },
             end: {
               dateTime: newEndTimeISO, // Already ISO string
-              timeZone: 'Asia/Kolkata'
+              timeZone: eventTimezone
             }
           },
           sendUpdates: 'all'
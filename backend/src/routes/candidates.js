@@ -4,11 +4,20 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
 const { body, validationResult, query } = require('express-validator');
-const { authMiddleware } = require('../middleware/auth');
+const { authMiddleware, adminOnly } = require('../middleware/auth');
 const emailService = require('../services/emailService');
 const calendarService = require('../services/calendarService');
 const emailMonitor = require('../services/emailMonitor');
 const stepService = require('../services/stepService');
+const stepConditionService = require('../services/stepConditionService');
+const stepDependencyService = require('../services/stepDependencyService');
+const workflowVersionService = require('../services/workflowVersionService');
+const businessCalendarService = require('../services/businessCalendarService');
+const timezoneService = require('../services/timezoneService');
+const languageService = require('../services/languageService');
+const simulationService = require('../services/simulationService');
+const templateRevisionService = require('../services/templateRevisionService');
+const offerLetterService = require('../services/offerLetterService');
 const logger = require('../utils/logger');
 
 // Configure multer for file uploads
@@ -67,22 +76,32 @@ const logActivity = async (prisma, candidateId, userId, action, description, met
   });
 };
 
+// Helper to validate a candidate's office and timezone (returns an error message or null)
+const validateCandidateLocation = async (prisma, officeId, timezone) => {
+  if (timezone && !timezoneService.isValidTimezone(timezone)) {
+    return `Unknown timezone: ${timezone}`;
+  }
+  if (officeId) {
+    const office = await prisma.office.findUnique({ where: { id: officeId } });
+    if (!office) {
+      return 'Office not found';
+    }
+  }
+  return null;
+};
+
 // Helper to auto-schedule all steps for a new candidate (except Step 1)
 const autoScheduleStepsForNewCandidate = async (prisma, candidate) => {
   try {
     const department = candidate.department;
     
-    // Get all auto-scheduled step templates for this department (skip Step 1 - OFFER_LETTER)
-    const stepTemplates = await prisma.departmentStepTemplate.findMany({
-      where: {
-        department,
-        isActive: true,
-        isAuto: true,
-        schedulingMethod: { not: 'manual' },
-        stepNumber: { not: 1 } // Skip Step 1 - user will handle it manually
-      },
-      orderBy: { stepNumber: 'asc' }
-    });
+    // Get all auto-scheduled step templates for this candidate's workflow version (skip Step 1 - OFFER_LETTER)
+    const candidateSteps = await workflowVersionService.getCandidateSteps(prisma, candidate, false);
+    const stepTemplates = candidateSteps.filter(step =>
+      step.isAuto &&
+      step.schedulingMethod !== 'manual' &&
+      step.stepNumber !== 1 // Skip Step 1 - user will handle it manually
+    );
 
     if (stepTemplates.length === 0) {
       logger.info(`ℹ️ No auto-scheduled steps found for new candidate ${candidate.email} in ${department} department`);
@@ -92,6 +111,8 @@ const autoScheduleStepsForNewCandidate = async (prisma, candidate) => {
     logger.info(`🔄 Auto-scheduling ${stepTemplates.length} step(s) for new candidate ${candidate.email}...`);
 
     const calendarService = require('../services/calendarService');
+    const businessCalendar = await businessCalendarService.getBusinessCalendar(prisma);
+    const candidateTimezone = await timezoneService.resolveCandidateTimezone(prisma, candidate);
     let eventsCreated = 0;
     let eventsSkipped = 0;
 
@@ -107,6 +128,11 @@ const autoScheduleStepsForNewCandidate = async (prisma, candidate) => {
           logger.debug(`⏭️ Skipping step ${step.stepNumber} for ${candidate.email}: Based on offer letter (not sent yet)`);
           eventsSkipped++;
           continue;
+        } else if (step.schedulingMethod === 'step') {
+          // Steps anchored to another step are scheduled when that step completes
+          logger.debug(`⏭️ Skipping step ${step.stepNumber} for ${candidate.email}: Scheduled after another step (not completed yet)`);
+          eventsSkipped++;
+          continue;
         } else {
           // Use DOJ
           baseDate = candidate.expectedJoiningDate;
@@ -119,10 +145,9 @@ const autoScheduleStepsForNewCandidate = async (prisma, candidate) => {
           continue;
         }
 
-        // Calculate scheduled date - CRITICAL: Handle timezone correctly (IST = UTC+5:30)
-        const base = new Date(baseDate);
-        const scheduledDate = new Date(base);
-        scheduledDate.setDate(scheduledDate.getDate() + (step.dueDateOffset || 0));
+        // Calculate scheduled date - CRITICAL: Handle timezone correctly (candidate's timezone)
+        // BUSINESS CALENDAR: Offsets skip weekends/holidays and non-working days roll by the configured rule
+        const scheduledDate = businessCalendarService.addScheduleOffset(businessCalendar, baseDate, step.dueDateOffset || 0);
 
         // Extract date components
         const year = scheduledDate.getFullYear();
@@ -134,14 +159,13 @@ const autoScheduleStepsForNewCandidate = async (prisma, candidate) => {
         const hour = parseInt(hours) || 9;
         const minute = parseInt(minutes) || 0;
 
-        // Create date string treating the time as IST (Asia/Kolkata, UTC+5:30)
-        // Format: "YYYY-MM-DDTHH:mm:00+05:30" for IST
-        const istDateString = `${year}-${month}-${day}T${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}:00+05:30`;
-        const scheduledDateIST = new Date(istDateString);
+        // TIMEZONE: The step time is wall-clock time in the candidate's timezone (candidate > office > company)
+        const scheduledDateString = `${year}-${month}-${day}T${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+        const scheduledDateTime = timezoneService.zonedTimeToDate(`${year}-${month}-${day}`, `${hour}:${minute}`, candidateTimezone);
 
         // Verify the date is valid
-        if (isNaN(scheduledDateIST.getTime())) {
-          logger.error(`❌ Invalid date created for candidate ${candidate.email}: ${istDateString}`);
+        if (isNaN(scheduledDateTime.getTime())) {
+          logger.error(`❌ Invalid date created for candidate ${candidate.email}: ${scheduledDateString} (${candidateTimezone})`);
           eventsSkipped++;
           continue;
         }
@@ -162,16 +186,17 @@ const autoScheduleStepsForNewCandidate = async (prisma, candidate) => {
           'CHECKIN_CALL': 30 
         };
         const eventDuration = durationMap[step.type] || 15;
-        const endTime = new Date(scheduledDateIST);
+        const endTime = new Date(scheduledDateTime);
         endTime.setMinutes(endTime.getMinutes() + eventDuration);
 
         // Create calendar event (same as candidate profile scheduling)
         const eventData = {
           title: `${step.title} - ${candidate.firstName} ${candidate.lastName}`,
           description: step.description || '',
-          startTime: scheduledDateIST,
+          startTime: scheduledDateTime,
           endTime: endTime,
           attendees: [candidate.email],
+          timeZone: candidateTimezone,
           createMeet: false // Don't create Google Meet for auto-scheduled events
         };
 
@@ -205,7 +230,7 @@ const autoScheduleStepsForNewCandidate = async (prisma, candidate) => {
             type: eventType, // Use mapped type (MANUAL -> CUSTOM, etc.)
             title: eventData.title,
             description: eventData.description,
-            startTime: scheduledDateIST,
+            startTime: scheduledDateTime,
             endTime: endTime,
             attendees: eventData.attendees,
             meetingLink: googleEvent?.hangoutLink || googleEvent?.htmlLink || null,
@@ -216,7 +241,7 @@ const autoScheduleStepsForNewCandidate = async (prisma, candidate) => {
         });
 
         eventsCreated++;
-        logger.info(`✅ Auto-scheduled step ${step.stepNumber} for ${candidate.email}: ${scheduledDateIST.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })} (IST)`);
+        logger.info(`✅ Auto-scheduled step ${step.stepNumber} for ${candidate.email}: ${timezoneService.formatDateTime(scheduledDateTime, candidateTimezone)} (${candidateTimezone})`);
 
       } catch (stepError) {
         logger.error(`❌ Error auto-scheduling step ${step.stepNumber} for candidate ${candidate.email}:`, stepError.message);
@@ -236,17 +261,11 @@ const createDepartmentTasks = async (prisma, candidate) => {
   const department = candidate.department;
   const joiningDate = candidate.expectedJoiningDate || candidate.actualJoiningDate || new Date();
   
-  // Get department-specific step templates (include emailTemplate relation)
-  const stepTemplates = await prisma.departmentStepTemplate.findMany({
-    where: {
-      department,
-      isActive: true
-    },
-    include: {
-      emailTemplate: true
-    },
-    orderBy: { stepNumber: 'asc' }
-  });
+  // Get the candidate's step templates from their pinned workflow version (include emailTemplate relation)
+  const stepTemplates = await workflowVersionService.getCandidateSteps(prisma, candidate);
+
+  // BUSINESS CALENDAR: Due dates use the same working week, holidays and roll rule as scheduled steps
+  const businessCalendar = await businessCalendarService.getBusinessCalendar(prisma);
 
   // If no templates exist, use default hardcoded templates
   if (stepTemplates.length === 0) {
@@ -269,9 +288,7 @@ const createDepartmentTasks = async (prisma, candidate) => {
       try {
         const dueDate = template.dueDateOffset === null 
           ? new Date()
-          : template.dueDateOffset < 0
-            ? new Date(new Date(joiningDate).getTime() + template.dueDateOffset * 24 * 60 * 60 * 1000)
-            : new Date(new Date(joiningDate).getTime() + template.dueDateOffset * 24 * 60 * 60 * 1000);
+          : businessCalendarService.addScheduleOffset(businessCalendar, joiningDate, template.dueDateOffset);
 
         await prisma.task.create({
           data: {
@@ -296,16 +313,12 @@ const createDepartmentTasks = async (prisma, candidate) => {
     // Create tasks from department templates
     for (const template of stepTemplates) {
       try {
-        // Calculate due date based on offset
+        // Calculate due date based on offset (negative = before joining date, positive = after)
         let dueDate;
-        if (template.dueDateOffset === null) {
+        if (template.dueDateOffset === null || template.dueDateOffset === undefined) {
           dueDate = new Date();
-        } else if (template.dueDateOffset < 0) {
-          // Negative offset means before joining date
-          dueDate = new Date(new Date(joiningDate).getTime() + template.dueDateOffset * 24 * 60 * 60 * 1000);
         } else {
-          // Positive offset means after joining date
-          dueDate = new Date(new Date(joiningDate).getTime() + template.dueDateOffset * 24 * 60 * 60 * 1000);
+          dueDate = businessCalendarService.addScheduleOffset(businessCalendar, joiningDate, template.dueDateOffset);
         }
 
         // Replace placeholders in title and description
@@ -408,13 +421,17 @@ router.get('/:id', async (req, res) => {
     const candidate = await req.prisma.candidate.findUnique({
       where: { id: req.params.id },
       include: {
-        emails: { orderBy: { createdAt: 'desc' } },
+        emails: {
+          orderBy: { createdAt: 'desc' },
+          include: { _count: { select: { clicks: true } } }
+        },
         calendarEvents: { orderBy: { startTime: 'asc' } },
         reminders: { orderBy: { scheduledFor: 'asc' } },
         tasks: { orderBy: { createdAt: 'desc' } },
         checkIns: { orderBy: { scheduledDate: 'desc' } },
         activityLogs: { orderBy: { createdAt: 'desc' }, take: 50 },
-        createdBy: { select: { name: true, email: true } }
+        createdBy: { select: { name: true, email: true } },
+        office: true
       }
     });
 
@@ -422,7 +439,10 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ success: false, message: 'Candidate not found' });
     }
 
-    res.json({ success: true, data: candidate });
+    // TIMEZONE: Resolved timezone (candidate > office > company) so the UI can label scheduled times
+    const effectiveTimezone = timezoneService.getCandidateTimezone(candidate, await timezoneService.getCompanyTimezone(req.prisma));
+
+    res.json({ success: true, data: { ...candidate, effectiveTimezone } });
   } catch (error) {
     logger.error('Error fetching candidate:', error);
     res.status(500).json({ success: false, message: 'Server error' });
@@ -448,16 +468,24 @@ router.post('/', [
       firstName, lastName, email, phone,
       position, department, salary, reportingManager,
       expectedJoiningDate, offerExpiryDate, notes,
-      customFields
+      customFields, officeId, timezone, preferredLanguage
     } = req.body;
 
+    const locationError = await validateCandidateLocation(req.prisma, officeId, timezone);
+    if (locationError) {
+      return res.status(400).json({ success: false, message: locationError });
+    }
+    if (preferredLanguage && !languageService.isValidLanguage(preferredLanguage)) {
+      return res.status(400).json({ success: false, message: `Unknown language: ${preferredLanguage}` });
+    }
+
     // Check if candidate already exists
     const existing = await req.prisma.candidate.findUnique({ where: { email } });
     if (existing) {
       return res.status(400).json({ success: false, message: 'Candidate with this email already exists' });
     }
 
-    const candidate = await req.prisma.candidate.create({
+    let candidate = await req.prisma.candidate.create({
       data: {
         firstName,
         lastName,
@@ -471,11 +499,25 @@ router.post('/', [
         offerExpiryDate: offerExpiryDate ? new Date(offerExpiryDate) : null,
         notes: notes || null,
         customFields: customFields || null,
+        officeId: officeId || null,
+        timezone: timezone || null,
+        preferredLanguage: languageService.normalizeLanguage(preferredLanguage),
         createdById: req.user.id,
         status: 'OFFER_PENDING'
       }
     });
 
+    // VERSIONING: Pin the candidate to the department's active workflow version
+    // Later edits to the department's steps won't affect this candidate unless an admin migrates them
+    try {
+      const workflowVersion = await workflowVersionService.pinCandidateToActiveVersion(req.prisma, candidate, req.user.id);
+      if (workflowVersion) {
+        candidate = { ...candidate, workflowVersionId: workflowVersion.id };
+      }
+    } catch (pinError) {
+      logger.error(`❌ Failed to pin ${candidate.email} to a workflow version (live steps will be used):`, pinError.message);
+    }
+
     // Create department-specific onboarding tasks for this candidate
     await createDepartmentTasks(req.prisma, candidate);
 
@@ -495,20 +537,54 @@ router.post('/', [
 });
 
 // Update candidate
-router.put('/:id', async (req, res) => {
+router.put('/:id', [
+  body('email').optional().isEmail().normalizeEmail()
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array(), message: 'Invalid email address' });
+    }
+
     const {
-      firstName, lastName, phone,
+      firstName, lastName, email, phone,
       position, department, salary, reportingManager,
       expectedJoiningDate, actualJoiningDate, offerExpiryDate,
-      notes, status
+      notes, status, customFields, officeId, timezone, preferredLanguage
     } = req.body;
 
-    const candidate = await req.prisma.candidate.update({
+    const locationError = await validateCandidateLocation(req.prisma, officeId, timezone);
+    if (locationError) {
+      return res.status(400).json({ success: false, message: locationError });
+    }
+    if (preferredLanguage && !languageService.isValidLanguage(preferredLanguage)) {
+      return res.status(400).json({ success: false, message: `Unknown language: ${preferredLanguage}` });
+    }
+
+    const existing = await req.prisma.candidate.findUnique({
+      where: { id: req.params.id },
+      select: { department: true, email: true }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Candidate not found' });
+    }
+
+    // BOUNCES: Correcting the address clears the invalid-email flag set when mail to it bounced
+    const emailChanged = email && email !== existing.email;
+    if (emailChanged) {
+      const taken = await req.prisma.candidate.findUnique({ where: { email } });
+      if (taken) {
+        return res.status(400).json({ success: false, message: 'Candidate with this email already exists' });
+      }
+    }
+
+    let candidate = await req.prisma.candidate.update({
       where: { id: req.params.id },
       data: {
         ...(firstName && { firstName }),
         ...(lastName && { lastName }),
+        ...(emailChanged && { email, emailInvalid: false, emailInvalidReason: null, emailInvalidAt: null }),
         ...(phone !== undefined && { phone }),
         ...(position && { position }),
         ...(department && { department }),
@@ -519,12 +595,28 @@ router.put('/:id', async (req, res) => {
         ...(offerExpiryDate && { offerExpiryDate: new Date(offerExpiryDate) }),
         ...(notes !== undefined && { notes }),
         ...(status && { status }),
-        ...(customFields !== undefined && { customFields })
+        ...(customFields !== undefined && { customFields }),
+        ...(officeId !== undefined && { officeId: officeId || null }),
+        ...(timezone !== undefined && { timezone: timezone || null }),
+        ...(preferredLanguage !== undefined && { preferredLanguage: languageService.normalizeLanguage(preferredLanguage) })
       }
     });
 
+    // VERSIONING: A department change re-pins the candidate to the new department's active version
+    if (department && department !== existing.department) {
+      const workflowVersion = await workflowVersionService.pinCandidateToActiveVersion(req.prisma, candidate, req.user.id);
+      candidate = await req.prisma.candidate.update({
+        where: { id: candidate.id },
+        data: { workflowVersionId: workflowVersion ? workflowVersion.id : null }
+      });
+    }
+
     await logActivity(req.prisma, candidate.id, req.user.id, 'CANDIDATE_UPDATED', 
       `Candidate profile updated`);
+    if (emailChanged) {
+      await logActivity(req.prisma, candidate.id, req.user.id, 'EMAIL_ADDRESS_CHANGED',
+        `Email address changed from ${existing.email} to ${email}`);
+    }
 
     res.json({ success: true, data: candidate });
   } catch (error) {
@@ -655,7 +747,8 @@ router.post('/:id/offer-letter', upload.single('offerLetter'), async (req, res)
       where: { id: req.params.id },
       data: { 
         offerLetterPath: getRelativeFilePath(req.file.path),
-        offerDate: new Date()
+        offerDate: new Date(),
+        ...offerLetterService.uploadedLetterData() // Uploaded letters need no approval
       }
     });
 
@@ -669,6 +762,51 @@ router.post('/:id/offer-letter', upload.single('offerLetter'), async (req, res)
   }
 });
 
+// Generate the offer letter from a template (body.templateId, else the department's template) - saved as a DRAFT
+router.post('/:id/offer-letter/generate', async (req, res) => {
+  try {
+    const { error, notFound, candidate, template, unresolved } = await offerLetterService.generateOfferLetter(
+      req.prisma, req.params.id, { templateId: req.body.templateId }
+    );
+    if (notFound) {
+      return res.status(404).json({ success: false, message: 'Candidate not found' });
+    }
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    await logActivity(req.prisma, candidate.id, req.user.id, 'OFFER_LETTER_GENERATED',
+      `Offer letter generated from template "${template.name}" - awaiting approval`,
+      { templateId: template.id, unresolved });
+
+    res.json({ success: true, data: { candidate, unresolved } });
+  } catch (error) {
+    logger.error('Error generating offer letter:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Approve a generated offer letter after review - send-offer is blocked until then
+router.post('/:id/offer-letter/approve', async (req, res) => {
+  try {
+    const { error, notFound, candidate } = await offerLetterService.approveOfferLetter(req.prisma, req.params.id, req.user.id);
+    if (notFound) {
+      return res.status(404).json({ success: false, message: 'Candidate not found' });
+    }
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    await logActivity(req.prisma, candidate.id, req.user.id, 'OFFER_LETTER_APPROVED',
+      `Offer letter approved by ${req.user.name || req.user.email}`);
+
+    res.json({ success: true, data: candidate });
+  } catch (error) {
+    logger.error('Error approving offer letter:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // Send offer letter email
 router.post('/:id/send-offer', async (req, res) => {
   try {
@@ -686,6 +824,11 @@ router.post('/:id/send-offer', async (req, res) => {
       return res.status(400).json({ success: false, message: 'Please upload offer letter first' });
     }
 
+    const approvalError = offerLetterService.getSendBlockReason(candidate);
+    if (approvalError) {
+      return res.status(400).json({ success: false, message: approvalError });
+    }
+
     // Generate secure upload token for self-service portal
     const uploadToken = crypto.randomBytes(32).toString('hex');
     const uploadTokenExpiry = new Date();
@@ -702,8 +845,9 @@ router.post('/:id/send-offer', async (req, res) => {
 
     // Use stepService to send offer letter (Step 1) - ensures it uses the same logic and templates
     // This prevents duplicate emails and ensures all emails use templates from database
+    let completed;
     try {
-      await stepService.completeStep(req.prisma, candidate.id, 1, req.user.id);
+      completed = await stepService.completeStep(req.prisma, candidate.id, 1, req.user.id);
       logger.info(`✅ Step 1 (Offer Letter) completed via manual send button for ${candidate.email}`);
     } catch (stepError) {
       logger.error(`Error completing step 1: ${stepError.message}`);
@@ -724,7 +868,8 @@ router.post('/:id/send-offer', async (req, res) => {
       where: { id: candidate.id },
       data: { 
         status: 'OFFER_SENT',
-        offerSentAt: new Date()
+        // SEND WINDOW: A deferred offer counts as sent when it goes out, not now
+        offerSentAt: completed?.emailDeferredUntil || new Date()
       }
     });
 
@@ -744,7 +889,9 @@ router.post('/:id/send-offer', async (req, res) => {
     }
 
     await logActivity(req.prisma, candidate.id, req.user.id, 'OFFER_SENT', 
-      `Offer letter email sent to ${candidate.email}`);
+      completed?.emailDeferredUntil
+        ? `Offer letter email to ${candidate.email} scheduled for ${completed.emailDeferredUntil.toISOString()} (outside the send window)`
+        : `Offer letter email sent to ${candidate.email}`);
 
     res.json({ success: true, data: { candidate: updatedCandidate, email: emailRecord } });
   } catch (error) {
@@ -1349,7 +1496,8 @@ HR Team`,
         type: 'WHATSAPP_TASK',
         subject: emailSubject,
         body: emailBody,
-        status: 'PENDING'
+        status: 'PENDING',
+        templateRevisionId: await templateRevisionService.getRevisionIdForSend(req.prisma, template)
       }
     });
 
@@ -1457,6 +1605,51 @@ router.get('/:id/workflow', async (req, res) => {
       return res.status(404).json({ success: false, message: 'Candidate not found' });
     }
 
+    // Build workflow from the candidate's pinned workflow version (includes conditional branching)
+    const stepTemplates = await workflowVersionService.getCandidateSteps(req.prisma, candidate, false);
+
+    if (stepTemplates.length > 0) {
+      const departmentWorkflow = stepTemplates.map((stepTemplate) => {
+        const stepEvents = candidate.calendarEvents.filter(e => e.stepNumber === stepTemplate.stepNumber);
+        const completedEvent = stepEvents.find(e => e.status === 'COMPLETED');
+        const skippedEvent = stepEvents.find(e => e.status === 'SKIPPED');
+        const activeEvent = stepEvents.find(e => ['SCHEDULED', 'RESCHEDULED', 'CONFIRMED'].includes(e.status));
+        const { shouldRun, reason } = stepConditionService.evaluateStepConditions(candidate, stepTemplate.conditions);
+
+        // PREREQUISITES: Steps still waiting on earlier steps are held by the scheduler
+        const waitingOn = stepDependencyService.getWaitingOnSteps(candidate, stepTemplate, stepTemplates, candidate.calendarEvents);
+
+        let status = 'pending';
+        let skipReason = null;
+        if (completedEvent) {
+          status = 'completed';
+        } else if (skippedEvent || !shouldRun) {
+          // SKIPPED: conditions not met (either already skipped by the scheduler or would be skipped now)
+          status = 'skipped';
+          skipReason = reason || 'Step conditions not met';
+        } else if (waitingOn.length > 0) {
+          status = 'waiting';
+        } else if (activeEvent) {
+          status = 'scheduled';
+        }
+
+        return {
+          step: stepTemplate.stepNumber,
+          name: stepTemplate.title,
+          type: stepTemplate.type,
+          status,
+          completedAt: completedEvent ? completedEvent.updatedAt : null,
+          scheduledFor: activeEvent ? activeEvent.startTime : null,
+          hasConditions: !!stepTemplate.conditions,
+          skipReason,
+          waitingOn: status === 'waiting' ? waitingOn : []
+        };
+      });
+
+      return res.json({ success: true, data: { candidate, workflow: departmentWorkflow } });
+    }
+
+    // Fallback for departments without configured steps
     const workflow = [
       {
         step: 1,
@@ -1528,6 +1721,210 @@ router.get('/:id/workflow', async (req, res) => {
   }
 });
 
+// ============ WORKFLOW VERSIONS ============
+
+// Get the steps this candidate follows (their pinned workflow version, or live steps if not pinned)
+router.get('/:id/steps', async (req, res) => {
+  try {
+    const candidate = await req.prisma.candidate.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!candidate) {
+      return res.status(404).json({ success: false, message: 'Candidate not found' });
+    }
+
+    const steps = await workflowVersionService.getCandidateSteps(req.prisma, candidate);
+    res.json({ success: true, data: steps });
+  } catch (error) {
+    logger.error('Error fetching candidate steps:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ============ TIMELINE SIMULATION (DRY RUN) ============
+
+// Simulate the timeline for a candidate that hasn't been created yet (NewCandidate preview)
+// Body = the same fields as POST /api/candidates; nothing is saved
+router.post('/simulate', async (req, res) => {
+  try {
+    const {
+      firstName, lastName, email, phone,
+      position, department, salary, reportingManager,
+      expectedJoiningDate, offerExpiryDate,
+      customFields, officeId, timezone, preferredLanguage, offerSentAt
+    } = req.body;
+
+    if (!department) {
+      return res.status(400).json({ success: false, message: 'Department is required to preview the timeline' });
+    }
+    if (expectedJoiningDate && isNaN(new Date(expectedJoiningDate).getTime())) {
+      return res.status(400).json({ success: false, message: 'Invalid joining date' });
+    }
+
+    const locationError = await validateCandidateLocation(req.prisma, officeId, timezone);
+    if (locationError) {
+      return res.status(400).json({ success: false, message: locationError });
+    }
+    if (preferredLanguage && !languageService.isValidLanguage(preferredLanguage)) {
+      return res.status(400).json({ success: false, message: `Unknown language: ${preferredLanguage}` });
+    }
+
+    const draft = {
+      firstName: firstName || '',
+      lastName: lastName || '',
+      email: email || '',
+      phone: phone || null,
+      position: position || '',
+      department,
+      salary: salary || null,
+      reportingManager: reportingManager || null,
+      expectedJoiningDate: expectedJoiningDate ? new Date(expectedJoiningDate) : null,
+      offerExpiryDate: offerExpiryDate ? new Date(offerExpiryDate) : null,
+      customFields: customFields || null,
+      officeId: officeId || null,
+      timezone: timezone || null,
+      preferredLanguage: languageService.normalizeLanguage(preferredLanguage),
+      status: 'OFFER_PENDING'
+    };
+
+    const simulation = await simulationService.simulateTimeline(req.prisma, draft, { offerSentAt });
+    res.json({ success: true, data: simulation });
+  } catch (error) {
+    logger.error('Error simulating timeline:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Simulate the rest of an existing candidate's timeline (?offerSentAt= if the offer hasn't gone out)
+router.get('/:id/simulate', async (req, res) => {
+  try {
+    const candidate = await req.prisma.candidate.findUnique({
+      where: { id: req.params.id },
+      include: { office: true }
+    });
+
+    if (!candidate) {
+      return res.status(404).json({ success: false, message: 'Candidate not found' });
+    }
+
+    const simulation = await simulationService.simulateTimeline(req.prisma, candidate, { offerSentAt: req.query.offerSentAt });
+    res.json({ success: true, data: simulation });
+  } catch (error) {
+    logger.error('Error simulating candidate timeline:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Get the candidate's pinned workflow version, the latest version and a diff preview for migrating
+// ?targetVersionId= previews a specific version (defaults to the latest)
+router.get('/:id/workflow-version', async (req, res) => {
+  try {
+    const candidate = await req.prisma.candidate.findUnique({
+      where: { id: req.params.id },
+      include: {
+        workflowVersion: {
+          include: { publishedBy: { select: { id: true, name: true, email: true } } }
+        }
+      }
+    });
+
+    if (!candidate) {
+      return res.status(404).json({ success: false, message: 'Candidate not found' });
+    }
+
+    const versions = await req.prisma.departmentWorkflowVersion.findMany({
+      where: { department: candidate.department },
+      select: { id: true, version: true, notes: true, publishedAt: true },
+      orderBy: { version: 'desc' }
+    });
+
+    const latestVersion = versions[0] || null;
+    const targetVersionId = req.query.targetVersionId || latestVersion?.id;
+
+    let targetVersion = null;
+    let diff = null;
+    if (targetVersionId) {
+      targetVersion = await req.prisma.departmentWorkflowVersion.findUnique({
+        where: { id: targetVersionId }
+      });
+      if (!targetVersion || targetVersion.department !== candidate.department) {
+        return res.status(404).json({ success: false, message: 'Workflow version not found for this department' });
+      }
+      diff = await workflowVersionService.previewMigration(req.prisma, candidate, targetVersion);
+    }
+
+    // The version the candidate is pinned to only counts if it belongs to their current department
+    const currentVersion = candidate.workflowVersion && candidate.workflowVersion.department === candidate.department
+      ? {
+          id: candidate.workflowVersion.id,
+          version: candidate.workflowVersion.version,
+          notes: candidate.workflowVersion.notes,
+          publishedAt: candidate.workflowVersion.publishedAt,
+          publishedBy: candidate.workflowVersion.publishedBy
+        }
+      : null;
+
+    res.json({
+      success: true,
+      data: {
+        currentVersion,
+        latestVersion,
+        versions,
+        targetVersion: targetVersion ? { id: targetVersion.id, version: targetVersion.version, notes: targetVersion.notes } : null,
+        isLatest: !!currentVersion && !!latestVersion && currentVersion.id === latestVersion.id,
+        diff,
+        hasChanges: diff ? workflowVersionService.hasDiff(diff) : false
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching candidate workflow version:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Migrate a candidate to another published version of their department's workflow (admin only)
+router.post('/:id/migrate-workflow', adminOnly, async (req, res) => {
+  try {
+    const { targetVersionId } = req.body;
+
+    if (!targetVersionId) {
+      return res.status(400).json({ success: false, message: 'targetVersionId is required' });
+    }
+
+    const candidate = await req.prisma.candidate.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!candidate) {
+      return res.status(404).json({ success: false, message: 'Candidate not found' });
+    }
+
+    const targetVersion = await req.prisma.departmentWorkflowVersion.findUnique({
+      where: { id: targetVersionId }
+    });
+
+    if (!targetVersion || targetVersion.department !== candidate.department) {
+      return res.status(404).json({ success: false, message: 'Workflow version not found for this department' });
+    }
+
+    if (candidate.workflowVersionId === targetVersion.id) {
+      return res.status(400).json({ success: false, message: `Candidate is already on v${targetVersion.version}` });
+    }
+
+    const result = await workflowVersionService.migrateCandidate(req.prisma, candidate, targetVersion, req.user.id);
+
+    res.json({
+      success: true,
+      message: `Migrated to ${candidate.department} workflow v${targetVersion.version}`,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error migrating candidate workflow:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // ============ BATCH OPERATIONS ============
 
 // Configure multer for batch schedule attachments
@@ -1573,7 +1970,7 @@ router.post('/batch/schedule', (req, res, next) => {
 }, async (req, res) => {
   try {
     // Parse FormData fields
-    let candidateIds, eventType, stepNumber, dateTime, duration = 60;
+    let candidateIds, eventType, stepNumber, dateTime, timeZone, duration = 60;
     
     if (req.body.candidateIds) {
       candidateIds = typeof req.body.candidateIds === 'string' 
@@ -1586,6 +1983,7 @@ router.post('/batch/schedule', (req, res, next) => {
     eventType = req.body.eventType;
     stepNumber = req.body.stepNumber ? parseInt(req.body.stepNumber) : null;
     dateTime = req.body.dateTime;
+    timeZone = req.body.timeZone; // Optional IANA timezone of dateTime (defaults to the company timezone)
     duration = req.body.duration ? parseInt(req.body.duration) : 60;
 
     if (!candidateIds || !Array.isArray(candidateIds) || candidateIds.length === 0) {
@@ -1596,20 +1994,21 @@ router.post('/batch/schedule', (req, res, next) => {
       return res.status(400).json({ success: false, message: 'Event type and date/time are required' });
     }
 
-    // Handle timezone properly - datetime-local sends in local timezone, convert to IST then UTC
-    // Parse the datetime-local string - treat it as Asia/Kolkata timezone (IST)
+    if (timeZone && !timezoneService.isValidTimezone(timeZone)) {
+      return res.status(400).json({ success: false, message: `Unknown timezone: ${timeZone}` });
+    }
+
+    // TIMEZONE: A batch session is one shared slot - the datetime-local value is wall-clock time in
+    // the timezone picked by HR (defaults to the company timezone), then converted to UTC
     // datetime-local format: "YYYY-MM-DDTHH:mm" (no timezone info)
-    // The user's input is in their local timezone, but we treat it as IST for consistency
+    const batchTimezone = timeZone || await timezoneService.getCompanyTimezone(req.prisma);
     const [datePart, timePart] = dateTime.split('T');
     
     if (!datePart || !timePart) {
       return res.status(400).json({ success: false, message: 'Invalid date/time format' });
     }
     
-    // Create a Date object treating the input as IST (Asia/Kolkata, UTC+5:30)
-    // Format: "YYYY-MM-DDTHH:mm:00+05:30" for IST
-    const istDateString = `${datePart}T${timePart}:00+05:30`;
-    const localDate = new Date(istDateString);
+    const localDate = timezoneService.zonedTimeToDate(datePart, timePart, batchTimezone);
     
     // Ensure we're working with a valid date
     if (isNaN(localDate.getTime())) {
@@ -1829,6 +2228,7 @@ router.post('/batch/schedule', (req, res, next) => {
       startTime,
       endTime,
       attendees: attendeeEmails,
+      timeZone: batchTimezone,
       createMeet: true
     };
 
@@ -1873,7 +2273,7 @@ router.post('/batch/schedule', (req, res, next) => {
       if (eventConfig.type === 'OFFER_LETTER' && attachmentPaths.length > 0) {
         await req.prisma.candidate.update({
           where: { id: candidate.id },
-          data: { offerLetterPath: attachmentPaths[0] }
+          data: { offerLetterPath: attachmentPaths[0], ...offerLetterService.uploadedLetterData() }
         });
         logger.info(`✅ Saved offer letter attachment to candidate profile: ${attachmentPaths[0]}`);
       }
@@ -1898,7 +2298,7 @@ router.post('/batch/schedule', (req, res, next) => {
       if (req.user && req.user.id) {
         try {
           await logActivity(req.prisma, candidate.id, req.user.id, `${eventConfig.type}_SCHEDULED`, 
-            `Batch ${eventConfig.type} scheduled for ${startTime.toLocaleString()}`);
+            `Batch ${eventConfig.type} scheduled for ${timezoneService.formatDateTime(startTime, batchTimezone)}`);
         } catch (logError) {
           logger.warn('Failed to log activity:', logError);
           // Continue even if logging fails
@@ -2045,7 +2445,7 @@ router.post('/:id/complete-step', upload.single('attachment'), async (req, res)
       if (parsedStepNumber === 1) {
         await req.prisma.candidate.update({
           where: { id: req.params.id },
-          data: { offerLetterPath: attachmentPath }
+          data: { offerLetterPath: attachmentPath, ...offerLetterService.uploadedLetterData() }
         });
         logger.info(`✅ Offer letter saved: ${attachmentPath}`);
       }
@@ -2072,6 +2472,9 @@ router.post('/:id/complete-step', upload.single('attachment'), async (req, res)
     
     if (error.message?.includes('not found')) {
       statusCode = 404;
+    } else if (error.code === 'PREREQUISITES_NOT_MET') {
+      // Step is held until its prerequisite steps are completed
+      statusCode = 409;
     } else if (error.message?.includes('Invalid')) {
       statusCode = 400;
     } else if (error.code === 'EAUTH' || error.message?.includes('Invalid login') || error.message?.includes('535-5.7.8') || error.message?.includes('BadCredentials')) {
@@ -1,10 +1,25 @@
 const express = require('express');
+const { EmailType, JobStatus, JobType } = require('@prisma/client');
 const router = express.Router();
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
 const logger = require('../utils/logger');
+const stepConditionService = require('../services/stepConditionService');
+const stepDependencyService = require('../services/stepDependencyService');
+const workflowVersionService = require('../services/workflowVersionService');
+const workflowBundleService = require('../services/workflowBundleService');
+const stepScheduleService = require('../services/stepScheduleService');
+const businessCalendarService = require('../services/businessCalendarService');
+const sendWindowService = require('../services/sendWindowService');
+const emailTransportService = require('../services/emailTransportService');
+const senderIdentityService = require('../services/senderIdentityService');
+const documentService = require('../services/documentService');
+const configSecretService = require('../services/configSecretService');
+const timezoneService = require('../services/timezoneService');
+const jobQueueService = require('../services/jobQueueService');
+const schedulerLeaseService = require('../services/schedulerLeaseService');
 
 // ============================================================
 // SHARED FUNCTION: Auto-create calendar events for candidates
@@ -19,6 +34,15 @@ const autoCreateCalendarEventsForStep = async (prisma, step, finalIsAuto, finalS
       logger.debug(`⏭️ Step ${step.stepNumber} is not active, skipping auto-scheduling`);
       return;
     }
+
+    // RELATIVE SCHEDULING: Steps anchored to another step are timed from that step's completion,
+    // so only candidates who already completed the anchor get an event now
+    if (finalSchedulingMethod === 'step') {
+      if (finalIsAuto) {
+        await stepScheduleService.scheduleAnchoredStepForCandidates(prisma, step);
+      }
+      return;
+    }
     
     // CRITICAL: Use step's scheduledTime field as fallback if separate times are not provided
     // This handles cases where steps were created with old scheduledTime field
@@ -59,6 +83,8 @@ const autoCreateCalendarEventsForStep = async (prisma, step, finalIsAuto, finalS
     const candidates = await prisma.candidate.findMany({
       where: {
         department: step.department,
+        // VERSIONING: Candidates pinned to a published version don't pick up live edits (admins migrate them instead)
+        workflowVersionId: null,
         // Only include candidates who have the required date (DOJ or Offer Letter)
         OR: [
           { expectedJoiningDate: { not: null } },
@@ -66,6 +92,7 @@ const autoCreateCalendarEventsForStep = async (prisma, step, finalIsAuto, finalS
         ]
       },
       include: {
+        office: true,
         calendarEvents: {
           where: {
             stepNumber: step.stepNumber,
@@ -82,11 +109,15 @@ const autoCreateCalendarEventsForStep = async (prisma, step, finalIsAuto, finalS
 
     if (candidatesToSchedule.length > 0) {
       const calendarService = require('../services/calendarService');
+      const businessCalendar = await businessCalendarService.getBusinessCalendar(prisma);
+      const companyTimezone = await timezoneService.getCompanyTimezone(prisma);
       let eventsCreated = 0;
       let eventsSkipped = 0;
 
       for (const candidate of candidatesToSchedule) {
         try {
+          const candidateTimezone = timezoneService.getCandidateTimezone(candidate, companyTimezone);
+
           // Calculate scheduled date/time using same logic as candidate profile
           // EXACT SAME LOGIC as autoScheduleStepsForNewCandidate
           let baseDate = null;
@@ -123,11 +154,10 @@ const autoCreateCalendarEventsForStep = async (prisma, step, finalIsAuto, finalS
             }
           }
 
-          // Calculate scheduled date - CRITICAL: Handle timezone correctly (IST = UTC+5:30)
+          // Calculate scheduled date - CRITICAL: Handle timezone correctly (candidate's timezone)
           // EXACT SAME LOGIC as autoScheduleStepsForNewCandidate
-          const base = new Date(baseDate);
-          const scheduledDate = new Date(base);
-          scheduledDate.setDate(scheduledDate.getDate() + (finalDueDateOffset || 0));
+          // BUSINESS CALENDAR: Offsets skip weekends/holidays and non-working days roll by the configured rule
+          const scheduledDate = businessCalendarService.addScheduleOffset(businessCalendar, baseDate, finalDueDateOffset || 0);
 
           // Extract date components
           const year = scheduledDate.getFullYear();
@@ -139,14 +169,13 @@ const autoCreateCalendarEventsForStep = async (prisma, step, finalIsAuto, finalS
           const hour = parseInt(hours) || 9;
           const minute = parseInt(minutes) || 0;
 
-          // Create date string treating the time as IST (Asia/Kolkata, UTC+5:30)
-          // Format: "YYYY-MM-DDTHH:mm:00+05:30" for IST
-          const istDateString = `${year}-${month}-${day}T${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}:00+05:30`;
-          const scheduledDateIST = new Date(istDateString);
+          // TIMEZONE: The step time is wall-clock time in the candidate's timezone (candidate > office > company)
+          const scheduledDateString = `${year}-${month}-${day}T${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+          const scheduledDateTime = timezoneService.zonedTimeToDate(`${year}-${month}-${day}`, `${hour}:${minute}`, candidateTimezone);
 
           // Verify the date is valid
-          if (isNaN(scheduledDateIST.getTime())) {
-            logger.error(`❌ Invalid date created for candidate ${candidate.email}: ${istDateString}`);
+          if (isNaN(scheduledDateTime.getTime())) {
+            logger.error(`❌ Invalid date created for candidate ${candidate.email}: ${scheduledDateString} (${candidateTimezone})`);
             eventsSkipped++;
             continue;
           }
@@ -168,16 +197,17 @@ const autoCreateCalendarEventsForStep = async (prisma, step, finalIsAuto, finalS
             'CHECKIN_CALL': 30 
           };
           const eventDuration = durationMap[step.type] || 15;
-          const endTime = new Date(scheduledDateIST);
+          const endTime = new Date(scheduledDateTime);
           endTime.setMinutes(endTime.getMinutes() + eventDuration);
 
           // Create calendar event (same as candidate profile scheduling)
           const eventData = {
             title: `${step.title} - ${candidate.firstName} ${candidate.lastName}`,
             description: step.description || '',
-            startTime: scheduledDateIST, // Use IST-converted date
+            startTime: scheduledDateTime, // Use timezone-converted date
             endTime: endTime,
             attendees: [candidate.email],
+            timeZone: candidateTimezone,
             createMeet: false // Don't create Google Meet for auto-scheduled events
           };
 
@@ -211,7 +241,7 @@ const autoCreateCalendarEventsForStep = async (prisma, step, finalIsAuto, finalS
               type: eventType, // Use mapped type (MANUAL -> CUSTOM, etc.)
               title: eventData.title,
               description: eventData.description,
-              startTime: scheduledDateIST, // Use IST-converted date
+              startTime: scheduledDateTime, // Use timezone-converted date
               endTime: endTime,
               attendees: eventData.attendees,
               meetingLink: googleEvent?.hangoutLink || googleEvent?.htmlLink || null,
@@ -222,7 +252,7 @@ const autoCreateCalendarEventsForStep = async (prisma, step, finalIsAuto, finalS
           });
 
           eventsCreated++;
-          logger.info(`✅ Created calendar event for ${candidate.email}: Step ${step.stepNumber} scheduled for ${scheduledDateIST.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })} (IST)`);
+          logger.info(`✅ Created calendar event for ${candidate.email}: Step ${step.stepNumber} scheduled for ${timezoneService.formatDateTime(scheduledDateTime, candidateTimezone)} (${candidateTimezone})`);
 
         } catch (candidateError) {
           logger.error(`❌ Error creating calendar event for candidate ${candidate.email}:`, candidateError.message);
@@ -269,6 +299,21 @@ const uploadLogo = multer({
   }
 });
 
+// Configure multer for workflow bundle imports (kept in memory - the file is parsed, not stored)
+const uploadWorkflowBundle = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5242880 }, // 5MB max
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['.json', '.yaml', '.yml'];
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (allowedTypes.includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only JSON and YAML workflow bundles are allowed'));
+    }
+  }
+});
+
 // Helper to convert absolute file path to relative path for storage
 const getRelativeFilePath = (filePath) => {
   if (!filePath) return null;
@@ -294,7 +339,7 @@ router.get('/settings', async (req, res) => {
     const configs = await req.prisma.workflowConfig.findMany({
       where: {
         key: {
-          in: ['company_name', 'hr_email', 'hr_name', 'hr_phone', 'company_address', 'office_timings', 'ceo_name', 'office_location', 'company_logo_path', 'ui_primary_color', 'ui_secondary_color', 'ui_accent_color']
+          in: ['company_name', 'hr_email', 'hr_name', 'hr_phone', 'company_address', 'office_timings', 'ceo_name', 'office_location', 'company_logo_path', 'ui_primary_color', 'ui_secondary_color', 'ui_accent_color', 'company_timezone']
         }
       }
     }).catch(err => {
@@ -344,7 +389,7 @@ router.get('/settings', async (req, res) => {
         start: '09:00',
         end: '18:00'
       },
-      timezone: process.env.TIMEZONE || 'Asia/Kolkata',
+      timezone: configMap.company_timezone || timezoneService.DEFAULT_TIMEZONE,
       automationEnabled: true,
       emailTrackingEnabled: true
     };
@@ -377,13 +422,13 @@ router.get('/workflow', async (req, res) => {
       orderBy: { key: 'asc' }
     });
 
-    // Return as key-value object
+    // Return as key-value object - passwords and tokens are never sent back
     const configMap = configs.reduce((acc, config) => {
       acc[config.key] = config.value;
       return acc;
     }, {});
 
-    res.json({ success: true, data: configMap });
+    res.json({ success: true, data: configSecretService.redactConfig(configMap) });
   } catch (error) {
     logger.error('Error fetching workflow config:', error);
     res.status(500).json({ success: false, message: error.message });
@@ -393,19 +438,20 @@ router.get('/workflow', async (req, res) => {
 // Update workflow configuration
 router.put('/workflow', requireAdmin, async (req, res) => {
   try {
-    const configs = req.body;
+    // Secrets sent back redacted (or left blank) keep the saved value
+    const configs = Object.entries(req.body).filter(([key, value]) =>
+      !(configSecretService.isSecretKey(key) && (!value || value === configSecretService.REDACTED))
+    );
 
     const updates = await Promise.all(
-      Object.entries(configs).map(([key, value]) =>
-        req.prisma.workflowConfig.upsert({
-          where: { key },
-          update: { value },
-          create: { key, value }
-        })
-      )
+      configs.map(([key, value]) => configSecretService.setConfigValue(req.prisma, key, value))
     );
 
-    res.json({ success: true, data: updates });
+    const data = updates.map(config => (
+      configSecretService.isSecretKey(config.key) ? { ...config, value: configSecretService.REDACTED } : config
+    ));
+
+    res.json({ success: true, data });
   } catch (error) {
     logger.error('Error updating workflow config:', error);
     res.status(500).json({ success: false, message: error.message });
@@ -716,6 +762,15 @@ router.put('/departments/:oldName', async (req, res) => {
       data: { department: newDepartmentName }
     });
 
+    // Keep published workflow versions with the department so pinned candidates stay pinned
+    await req.prisma.departmentWorkflowVersion.updateMany({
+      where: { department: oldDepartmentName },
+      data: { department: newDepartmentName }
+    });
+
+    // Keep the department's sender identity
+    await senderIdentityService.renameDepartment(req.prisma, oldDepartmentName, newDepartmentName);
+
     // Update stored departments list
     const index = storedDepartments.indexOf(oldDepartmentName);
     if (index !== -1) {
@@ -770,6 +825,14 @@ router.delete('/departments/:name', async (req, res) => {
       });
     }
 
+    // Delete published workflow versions (no candidates are pinned to them - checked above)
+    await req.prisma.departmentWorkflowVersion.deleteMany({
+      where: { department: departmentName }
+    });
+
+    // Drop the department from sender identities
+    await senderIdentityService.renameDepartment(req.prisma, departmentName, null);
+
     // Remove from stored departments list
     let storedDepartments = [];
     try {
@@ -1104,7 +1167,7 @@ router.get('/department-steps/:department', async (req, res) => {
 // Create or update step template
 router.post('/department-steps', async (req, res) => {
   try {
-    const { department, stepNumber, title, description, type, icon, isAuto, dueDateOffset, priority, emailTemplateId, scheduledTime, scheduledTimeDoj, scheduledTimeOfferLetter, schedulingMethod } = req.body;
+    const { department, stepNumber, title, description, type, icon, isAuto, dueDateOffset, priority, emailTemplateId, senderIdentityId, documentIds, scheduledTime, scheduledTimeDoj, scheduledTimeOfferLetter, schedulingMethod, anchorStepId, anchorOffsetHours, conditions, prerequisiteStepIds } = req.body;
 
     if (!department || !stepNumber || !title || !type) {
       return res.status(400).json({ success: false, message: 'Department, stepNumber, title, and type are required' });
@@ -1115,6 +1178,12 @@ router.post('/department-steps', async (req, res) => {
       return res.status(400).json({ success: false, message: 'Email template is required for every step. Please select an email template.' });
     }
 
+    // Validate branching conditions (optional - steps without conditions always run)
+    const { conditions: parsedConditions, error: conditionsError } = stepConditionService.parseConditionsInput(conditions);
+    if (conditionsError) {
+      return res.status(400).json({ success: false, message: conditionsError });
+    }
+
     // Check if step already exists
     const existing = await req.prisma.departmentStepTemplate.findUnique({
       where: {
@@ -1125,13 +1194,56 @@ router.post('/department-steps', async (req, res) => {
       }
     });
 
+    // Validate prerequisites (must be earlier steps in the same department)
+    const { prerequisiteStepIds: parsedPrerequisiteStepIds, error: prerequisitesError } = await stepDependencyService.validatePrerequisites(
+      req.prisma,
+      department,
+      stepNumber,
+      prerequisiteStepIds,
+      existing?.id
+    );
+    if (prerequisitesError) {
+      return res.status(400).json({ success: false, message: prerequisitesError });
+    }
+
+    // Sender override (blank = the department's sender identity)
+    const { senderIdentityId: parsedSenderIdentityId, error: senderError } = await senderIdentityService.validateStepSender(req.prisma, senderIdentityId);
+    if (senderError) {
+      return res.status(400).json({ success: false, message: senderError });
+    }
+
+    // Library documents attached to the step's email (on top of its template's)
+    const { documentIds: parsedDocumentIds, error: documentsError } = await documentService.validateDocumentIds(req.prisma, documentIds);
+    if (documentsError) {
+      return res.status(400).json({ success: false, message: documentsError });
+    }
+
+    // Validate the anchor for "step" scheduling (must be an earlier step in the same department)
+    let anchorData = {};
+    if ((schedulingMethod || existing?.schedulingMethod) === 'step') {
+      const { error: anchorError, ...anchor } = await stepScheduleService.validateAnchor(
+        req.prisma,
+        department,
+        parseInt(stepNumber),
+        anchorStepId !== undefined ? anchorStepId : existing?.anchorStepId,
+        anchorOffsetHours !== undefined ? anchorOffsetHours : existing?.anchorOffsetHours
+      );
+      if (anchorError) {
+        return res.status(400).json({ success: false, message: anchorError });
+      }
+      anchorData = anchor;
+    } else if (schedulingMethod !== undefined) {
+      anchorData = { anchorStepId: null, anchorOffsetHours: null };
+    }
+
     let step;
     if (existing) {
       // Determine scheduling method
       const createMethod = schedulingMethod || existing.schedulingMethod || 'doj';
       
       // Automatically determine isAuto: true if step has scheduling configuration (not manual)
-      const hasSchedulingConfig = createMethod !== 'manual' && 
+      // "step" scheduling only needs an anchor step (the offset is validated above)
+      const hasSchedulingConfig = createMethod === 'step' ? !!anchorData.anchorStepId : createMethod !== 'manual' && 
         (dueDateOffset !== undefined && dueDateOffset !== null && dueDateOffset !== '') &&
         ((scheduledTimeDoj && scheduledTimeDoj.trim() !== '') || 
          (scheduledTimeOfferLetter && scheduledTimeOfferLetter.trim() !== '') ||
@@ -1170,8 +1282,13 @@ router.post('/department-steps', async (req, res) => {
         isAuto: finalIsAuto, // Always a boolean
         dueDateOffset: dueDateOffset !== undefined && dueDateOffset !== null && dueDateOffset !== '' ? parseInt(dueDateOffset) : null,
         schedulingMethod: createMethod,
+        ...anchorData,
         priority: priority || 'MEDIUM',
-        emailTemplateId: emailTemplateId && emailTemplateId.trim() !== '' ? emailTemplateId : null
+        emailTemplateId: emailTemplateId && emailTemplateId.trim() !== '' ? emailTemplateId : null,
+        ...(parsedSenderIdentityId !== undefined && { senderIdentityId: parsedSenderIdentityId }),
+        ...(parsedDocumentIds !== undefined && { documentIds: parsedDocumentIds }),
+        ...(parsedConditions !== undefined && { conditions: parsedConditions }),
+        ...(parsedPrerequisiteStepIds !== undefined && { prerequisiteStepIds: parsedPrerequisiteStepIds })
       };
       
       // Handle separate scheduled times
@@ -1199,7 +1316,7 @@ router.post('/department-steps', async (req, res) => {
       const updateScheduledTimeDoj = updateData.scheduledTimeDoj !== undefined ? updateData.scheduledTimeDoj : existingStep.scheduledTimeDoj;
       const updateScheduledTimeOfferLetter = updateData.scheduledTimeOfferLetter !== undefined ? updateData.scheduledTimeOfferLetter : existingStep.scheduledTimeOfferLetter;
       
-      if (finalIsAuto && updateMethod !== 'manual' && updateDueDateOffset !== null && updateDueDateOffset !== undefined) {
+      if (finalIsAuto && updateMethod !== 'manual' && updateMethod !== 'step' && updateDueDateOffset !== null && updateDueDateOffset !== undefined) {
         if (!updateScheduledTimeDoj && !updateScheduledTimeOfferLetter) {
           // No time set at all - use defaults based on scheduling method
           if (updateMethod === 'offerLetter') {
@@ -1263,7 +1380,8 @@ router.post('/department-steps', async (req, res) => {
       const createMethod = schedulingMethod || 'doj';
       
       // Automatically determine isAuto: true if step has scheduling configuration (not manual)
-      const hasSchedulingConfig = createMethod !== 'manual' && 
+      // "step" scheduling only needs an anchor step (the offset is validated above)
+      const hasSchedulingConfig = createMethod === 'step' ? !!anchorData.anchorStepId : createMethod !== 'manual' && 
         (dueDateOffset !== undefined && dueDateOffset !== null && dueDateOffset !== '') &&
         ((scheduledTimeDoj && scheduledTimeDoj.trim() !== '') || 
          (scheduledTimeOfferLetter && scheduledTimeOfferLetter.trim() !== '') ||
@@ -1303,8 +1421,13 @@ router.post('/department-steps', async (req, res) => {
         isAuto: finalIsAuto, // Always boolean
         dueDateOffset: dueDateOffset !== undefined && dueDateOffset !== null && dueDateOffset !== '' ? parseInt(dueDateOffset) : null,
         schedulingMethod: createMethod,
+        ...anchorData,
         priority: priority || 'MEDIUM',
-        emailTemplateId: emailTemplateId && emailTemplateId.trim() !== '' ? emailTemplateId : null
+        emailTemplateId: emailTemplateId && emailTemplateId.trim() !== '' ? emailTemplateId : null,
+        ...(parsedSenderIdentityId !== undefined && { senderIdentityId: parsedSenderIdentityId }),
+        ...(parsedDocumentIds !== undefined && { documentIds: parsedDocumentIds }),
+        ...(parsedConditions !== undefined && { conditions: parsedConditions }),
+        ...(parsedPrerequisiteStepIds !== undefined && { prerequisiteStepIds: parsedPrerequisiteStepIds })
       };
       
       // Handle separate scheduled times
@@ -1326,7 +1449,7 @@ router.post('/department-steps', async (req, res) => {
       
       // CRITICAL FIX: If step should auto-schedule but no time is set, use default times
       // This ensures newly created steps with schedulingMethod and dueDateOffset will auto-schedule
-      if (finalIsAuto && createMethod !== 'manual' && createData.dueDateOffset !== null && createData.dueDateOffset !== undefined) {
+      if (finalIsAuto && createMethod !== 'manual' && createMethod !== 'step' && createData.dueDateOffset !== null && createData.dueDateOffset !== undefined) {
         if (!createData.scheduledTimeDoj && !createData.scheduledTimeOfferLetter) {
           // No time set at all - use defaults based on scheduling method
           if (createMethod === 'offerLetter') {
@@ -1401,7 +1524,7 @@ router.put('/department-steps/:id', async (req, res) => {
   try {
     const { id } = req.params;
     // Extract all fields from req.body, but explicitly handle isAuto separately
-    const { title, description, type, icon, dueDateOffset, scheduledTime, scheduledTimeDoj, scheduledTimeOfferLetter, priority, stepNumber, emailTemplateId, schedulingMethod } = req.body;
+    const { title, description, type, icon, dueDateOffset, scheduledTime, scheduledTimeDoj, scheduledTimeOfferLetter, priority, stepNumber, emailTemplateId, senderIdentityId, documentIds, schedulingMethod, anchorStepId, anchorOffsetHours, conditions, prerequisiteStepIds } = req.body;
     
     // CRITICAL: Extract isAuto separately and validate it immediately
     // If isAuto is present but is not a valid boolean (e.g., it's a time string), ignore it completely
@@ -1451,15 +1574,64 @@ router.put('/department-steps/:id', async (req, res) => {
       }
     }
 
+    // Validate branching conditions (only when provided - undefined keeps the existing ones)
+    const { conditions: parsedConditions, error: conditionsError } = stepConditionService.parseConditionsInput(conditions);
+    if (conditionsError) {
+      return res.status(400).json({ success: false, message: conditionsError });
+    }
+
+    // Validate prerequisites against the step's final position
+    const { prerequisiteStepIds: parsedPrerequisiteStepIds, error: prerequisitesError } = await stepDependencyService.validatePrerequisites(
+      req.prisma,
+      existingStep.department,
+      stepNumber !== undefined ? stepNumber : existingStep.stepNumber,
+      prerequisiteStepIds,
+      id
+    );
+    if (prerequisitesError) {
+      return res.status(400).json({ success: false, message: prerequisitesError });
+    }
+
+    // Sender override (blank = the department's sender identity)
+    const { senderIdentityId: parsedSenderIdentityId, error: senderError } = await senderIdentityService.validateStepSender(req.prisma, senderIdentityId);
+    if (senderError) {
+      return res.status(400).json({ success: false, message: senderError });
+    }
+
+    // Library documents attached to the step's email (on top of its template's)
+    const { documentIds: parsedDocumentIds, error: documentsError } = await documentService.validateDocumentIds(req.prisma, documentIds);
+    if (documentsError) {
+      return res.status(400).json({ success: false, message: documentsError });
+    }
+
     // Determine final values for scheduling config (use provided or existing)
     const finalSchedulingMethod = schedulingMethod !== undefined ? schedulingMethod : existingStep.schedulingMethod;
+
+    // Validate the anchor for "step" scheduling against the step's final position
+    let anchorData = {};
+    if (finalSchedulingMethod === 'step') {
+      const { error: anchorError, ...anchor } = await stepScheduleService.validateAnchor(
+        req.prisma,
+        existingStep.department,
+        stepNumber !== undefined ? parseInt(stepNumber) : existingStep.stepNumber,
+        anchorStepId !== undefined ? anchorStepId : existingStep.anchorStepId,
+        anchorOffsetHours !== undefined ? anchorOffsetHours : existingStep.anchorOffsetHours
+      );
+      if (anchorError) {
+        return res.status(400).json({ success: false, message: anchorError });
+      }
+      anchorData = anchor;
+    } else if (existingStep.anchorStepId) {
+      anchorData = { anchorStepId: null, anchorOffsetHours: null };
+    }
     const finalDueDateOffset = dueDateOffset !== undefined ? (dueDateOffset !== null && dueDateOffset !== '' && !isNaN(dueDateOffset) ? parseInt(dueDateOffset) : null) : existingStep.dueDateOffset;
     const finalScheduledTimeDoj = scheduledTimeDoj !== undefined ? ((scheduledTimeDoj && scheduledTimeDoj.trim() !== '') ? scheduledTimeDoj.trim() : null) : existingStep.scheduledTimeDoj;
     const finalScheduledTimeOfferLetter = scheduledTimeOfferLetter !== undefined ? ((scheduledTimeOfferLetter && scheduledTimeOfferLetter.trim() !== '') ? scheduledTimeOfferLetter.trim() : null) : existingStep.scheduledTimeOfferLetter;
     const finalScheduledTime = scheduledTime !== undefined ? ((scheduledTime && scheduledTime.trim() !== '') ? scheduledTime.trim() : null) : existingStep.scheduledTime;
     
     // Automatically determine isAuto: true if step has scheduling configuration (not manual)
-    const hasSchedulingConfig = finalSchedulingMethod !== 'manual' && 
+    // "step" scheduling only needs an anchor step (the offset is validated above)
+    const hasSchedulingConfig = finalSchedulingMethod === 'step' ? !!anchorData.anchorStepId : finalSchedulingMethod !== 'manual' && 
       (finalDueDateOffset !== null && finalDueDateOffset !== undefined) &&
       (finalScheduledTimeDoj || finalScheduledTimeOfferLetter || finalScheduledTime);
     
@@ -1511,7 +1683,12 @@ router.put('/department-steps/:id', async (req, res) => {
       ...(stepNumber !== undefined && { stepNumber: parseInt(stepNumber) }),
       // Only include emailTemplateId if it's being explicitly updated
       ...(emailTemplateId !== undefined && emailTemplateId && emailTemplateId.trim() !== '' && { emailTemplateId: emailTemplateId.trim() }),
-      ...(schedulingMethod !== undefined && { schedulingMethod })
+      ...(parsedSenderIdentityId !== undefined && { senderIdentityId: parsedSenderIdentityId }),
+      ...(parsedDocumentIds !== undefined && { documentIds: parsedDocumentIds }),
+      ...(schedulingMethod !== undefined && { schedulingMethod }),
+      ...anchorData,
+      ...(parsedConditions !== undefined && { conditions: parsedConditions }),
+      ...(parsedPrerequisiteStepIds !== undefined && { prerequisiteStepIds: parsedPrerequisiteStepIds })
     };
     
     // CRITICAL: Double-check that isAuto in updateData is a boolean
@@ -1559,7 +1736,7 @@ router.put('/department-steps/:id', async (req, res) => {
     const finalUpdateScheduledTimeDoj = updateData.scheduledTimeDoj !== undefined ? updateData.scheduledTimeDoj : existingStep.scheduledTimeDoj;
     const finalUpdateScheduledTimeOfferLetter = updateData.scheduledTimeOfferLetter !== undefined ? updateData.scheduledTimeOfferLetter : existingStep.scheduledTimeOfferLetter;
     
-    if (finalIsAuto && finalUpdateMethod !== 'manual' && finalUpdateDueDateOffset !== null && finalUpdateDueDateOffset !== undefined) {
+    if (finalIsAuto && finalUpdateMethod !== 'manual' && finalUpdateMethod !== 'step' && finalUpdateDueDateOffset !== null && finalUpdateDueDateOffset !== undefined) {
       if (!finalUpdateScheduledTimeDoj && !finalUpdateScheduledTimeOfferLetter) {
         // No time set at all - use defaults based on scheduling method
         if (finalUpdateMethod === 'offerLetter') {
@@ -1742,6 +1919,10 @@ router.delete('/department-steps/:id', async (req, res) => {
       where: { id }
     });
 
+    // Drop the deleted step from other steps' prerequisites and anchors
+    await stepDependencyService.removePrerequisiteReferences(req.prisma, step.department, id);
+    await stepScheduleService.clearAnchorReferences(req.prisma, step.department, id);
+
     // Reorder remaining steps
     const stepsAfter = await req.prisma.departmentStepTemplate.findMany({
       where: {
@@ -1813,12 +1994,12 @@ router.post('/department-steps/init-defaults/:department', async (req, res) => {
 
     const defaultSteps = [
       { stepNumber: 1, title: 'Offer Letter Email', description: 'Upload and send offer letter with tracking', type: 'OFFER_LETTER', icon: '📄', isAuto: false, dueDateOffset: 0, priority: 'HIGH', scheduledTime: null },
-      { stepNumber: 2, title: 'Offer Reminder (Auto)', description: 'Auto-sends next day at 2:00 PM if not signed', type: 'OFFER_REMINDER', icon: '⏰', isAuto: true, dueDateOffset: 1, priority: 'MEDIUM', scheduledTime: '14:00' },
+      { stepNumber: 2, title: 'Offer Reminder (Auto)', description: 'Auto-sends 24 hours after the offer letter if not signed', type: 'OFFER_REMINDER', icon: '⏰', isAuto: true, dueDateOffset: null, priority: 'MEDIUM', scheduledTime: null, schedulingMethod: 'step', anchorStep: 1, anchorOffsetHours: 24 },
       { stepNumber: 3, title: 'Day -1 Welcome Email (Auto)', description: 'Sent automatically at 11:00 AM one day before joining', type: 'WELCOME_EMAIL', icon: '👋', isAuto: true, dueDateOffset: -1, priority: 'MEDIUM', scheduledTime: '11:00' },
       { stepNumber: 4, title: 'HR Induction (Auto)', description: 'Calendar invite at 8:30 AM on joining day', type: 'HR_INDUCTION', icon: '🏢', isAuto: true, dueDateOffset: 0, priority: 'HIGH', scheduledTime: '08:30' },
       { stepNumber: 5, title: 'WhatsApp Group Addition (Auto)', description: 'Send WhatsApp group URLs via email at 9:30 AM on joining day', type: 'WHATSAPP_ADDITION', icon: '💬', isAuto: true, dueDateOffset: 0, priority: 'HIGH', scheduledTime: '09:30' },
       { stepNumber: 6, title: 'Onboarding Form Email (Auto)', description: 'Sent at 1:00 PM on joining day', type: 'ONBOARDING_FORM', icon: '📝', isAuto: true, dueDateOffset: 0, priority: 'HIGH', scheduledTime: '13:00' },
-      { stepNumber: 7, title: 'Form Reminder (Auto)', description: 'Auto-sends next day after DOJ at 9:00 AM if not completed', type: 'FORM_REMINDER', icon: '🔔', isAuto: true, dueDateOffset: 1, priority: 'MEDIUM', scheduledTime: '09:00' },
+      { stepNumber: 7, title: 'Form Reminder (Auto)', description: 'Auto-sends 24 hours after the onboarding form if not completed', type: 'FORM_REMINDER', icon: '🔔', isAuto: true, dueDateOffset: null, priority: 'MEDIUM', scheduledTime: null, schedulingMethod: 'step', anchorStep: 6, anchorOffsetHours: 24 },
       { stepNumber: 8, title: 'CEO Induction', description: 'HR confirms time with CEO, then system sends invite', type: 'CEO_INDUCTION', icon: '👔', isAuto: false, dueDateOffset: 2, priority: 'MEDIUM', scheduledTime: null },
       { stepNumber: 9, title: `${department} Induction`, description: `HR confirms time with ${department} team, then system sends invite at 10:15 AM on DOJ`, type: department === 'Sales' ? 'SALES_INDUCTION' : 'DEPARTMENT_INDUCTION', icon: '💼', isAuto: false, dueDateOffset: 0, priority: 'MEDIUM', scheduledTime: '10:15' },
       { stepNumber: 10, title: 'Training Plan Email (Auto)', description: 'Auto-sends on Day 3 with structured training', type: 'TRAINING_PLAN', icon: '📚', isAuto: true, dueDateOffset: 3, priority: 'MEDIUM', scheduledTime: null },
@@ -1837,8 +2018,9 @@ router.post('/department-steps/init-defaults/:department', async (req, res) => {
       };
     });
 
+    // anchorStep is a step number - it is mapped to the created step's ID below
     const created = await Promise.all(
-      stepsWithTemplates.map(step =>
+      stepsWithTemplates.map(({ anchorStep, ...step }) =>
         req.prisma.departmentStepTemplate.create({
           data: {
             department,
@@ -1848,6 +2030,17 @@ router.post('/department-steps/init-defaults/:department', async (req, res) => {
       )
     );
 
+    // Point anchored steps (reminders) at the steps they follow
+    for (const step of stepsWithTemplates.filter(s => s.anchorStep)) {
+      const anchor = created.find(c => c.stepNumber === step.anchorStep);
+      const anchored = created.find(c => c.stepNumber === step.stepNumber);
+      anchored.anchorStepId = anchor.id;
+      await req.prisma.departmentStepTemplate.update({
+        where: { id: anchored.id },
+        data: { anchorStepId: anchor.id }
+      });
+    }
+
     res.json({ success: true, message: `Initialized ${created.length} default steps for ${department}`, data: created });
   } catch (error) {
     logger.error('Error initializing default steps:', error);
@@ -1855,6 +2048,754 @@ router.post('/department-steps/init-defaults/:department', async (req, res) => {
   }
 });
 
+// ============ BUSINESS CALENDAR ============
+
+// Get the business calendar (working week, roll rule, business-day offsets and holidays)
+router.get('/business-calendar', async (req, res) => {
+  try {
+    const calendar = await businessCalendarService.getBusinessCalendar(req.prisma);
+
+    res.json({
+      success: true,
+      data: {
+        workingDays: calendar.workingDays,
+        rollRule: calendar.rollRule,
+        businessDayOffsets: calendar.businessDayOffsets,
+        // Holiday dates are DATE columns - send them as YYYY-MM-DD so browsers don't shift them by timezone
+        holidays: calendar.holidays.map(holiday => ({
+          ...holiday,
+          date: new Date(holiday.date).toISOString().slice(0, 10)
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching business calendar:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Update the working week, roll rule and offset mode
+router.put('/business-calendar', requireAdmin, async (req, res) => {
+  try {
+    const { workingDays, rollRule, businessDayOffsets } = req.body;
+    const updates = {};
+
+    if (workingDays !== undefined) {
+      if (!Array.isArray(workingDays) || workingDays.length === 0) {
+        return res.status(400).json({ success: false, message: 'Select at least one working day' });
+      }
+      if (workingDays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+        return res.status(400).json({ success: false, message: 'Working days must be numbers from 0 (Sunday) to 6 (Saturday)' });
+      }
+      updates.business_working_days = businessCalendarService.parseWorkingDays(workingDays.join(',')).join(',');
+    }
+    if (rollRule !== undefined) {
+      if (!businessCalendarService.ROLL_RULES.includes(rollRule)) {
+        return res.status(400).json({ success: false, message: `Roll rule must be one of: ${businessCalendarService.ROLL_RULES.join(', ')}` });
+      }
+      updates.business_roll_rule = rollRule;
+    }
+    if (businessDayOffsets !== undefined) {
+      updates.business_day_offsets = businessDayOffsets ? 'true' : 'false';
+    }
+
+    await Promise.all(
+      Object.entries(updates).map(([key, value]) =>
+        req.prisma.workflowConfig.upsert({
+          where: { key },
+          update: { value },
+          create: { key, value }
+        })
+      )
+    );
+
+    const calendar = await businessCalendarService.getBusinessCalendar(req.prisma);
+    logger.info(`✅ Business calendar updated: working days ${calendar.workingDays.join(',')}, roll ${calendar.rollRule}, business-day offsets ${calendar.businessDayOffsets}`);
+    res.json({
+      success: true,
+      data: {
+        workingDays: calendar.workingDays,
+        rollRule: calendar.rollRule,
+        businessDayOffsets: calendar.businessDayOffsets
+      }
+    });
+  } catch (error) {
+    logger.error('Error updating business calendar:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Add a company holiday (date in YYYY-MM-DD format)
+router.post('/holidays', requireAdmin, async (req, res) => {
+  try {
+    const { date, name, recurring } = req.body;
+
+    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(`${date}T00:00:00Z`).getTime())) {
+      return res.status(400).json({ success: false, message: 'A valid date (YYYY-MM-DD) is required' });
+    }
+    if (!name || !name.trim()) {
+      return res.status(400).json({ success: false, message: 'Holiday name is required' });
+    }
+
+    const holiday = await req.prisma.holiday.create({
+      data: {
+        date: new Date(`${date}T00:00:00Z`),
+        name: name.trim(),
+        recurring: !!recurring
+      }
+    });
+
+    res.status(201).json({ success: true, data: { ...holiday, date } });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({ success: false, message: 'A holiday already exists on this date' });
+    }
+    logger.error('Error creating holiday:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Delete a company holiday
+router.delete('/holidays/:id', requireAdmin, async (req, res) => {
+  try {
+    await req.prisma.holiday.delete({
+      where: { id: req.params.id }
+    });
+
+    res.json({ success: true, message: 'Holiday deleted' });
+  } catch (error) {
+    logger.error('Error deleting holiday:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ============ SEND WINDOW ============
+
+// Get the email send window (quiet hours) and per-email-type overrides
+router.get('/send-window', async (req, res) => {
+  try {
+    const sendWindow = await sendWindowService.getSendWindow(req.prisma);
+    res.json({
+      success: true,
+      data: {
+        ...sendWindow,
+        emailTypes: Object.values(EmailType),
+        companyTimezone: await timezoneService.getCompanyTimezone(req.prisma)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching send window:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Update the send window ({ enabled, start, end, days, overrides })
+router.put('/send-window', requireAdmin, async (req, res) => {
+  try {
+    const { enabled, start, end, days, overrides } = req.body;
+
+    if (overrides) {
+      const unknownType = Object.keys(overrides).find(type => !Object.values(EmailType).includes(type));
+      if (unknownType) {
+        return res.status(400).json({ success: false, message: `Unknown email type: ${unknownType}` });
+      }
+    }
+
+    const error = await sendWindowService.saveSendWindow(req.prisma, { enabled, start, end, days, overrides });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const sendWindow = await sendWindowService.getSendWindow(req.prisma);
+    logger.info(`✅ Send window updated: ${sendWindow.enabled ? `${sendWindow.start}-${sendWindow.end} on days ${sendWindow.days.join(',')}` : 'off'}, ${Object.keys(sendWindow.overrides).length} override(s)`);
+    res.json({ success: true, data: sendWindow });
+  } catch (error) {
+    logger.error('Error updating send window:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ============ EMAIL TRANSPORT ============
+
+// Get the email transport (SMTP / Gmail API / SES / outbox) - secrets are only reported as set or not
+router.get('/email-transport', async (req, res) => {
+  try {
+    const summary = await emailTransportService.getTransportSummary(req.prisma);
+    res.json({ success: true, data: summary });
+  } catch (error) {
+    logger.error('Error fetching email transport:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Update the email transport ({ provider, ses: { region, accessKeyId, secretAccessKey } })
+router.put('/email-transport', requireAdmin, async (req, res) => {
+  try {
+    const { provider, ses } = req.body;
+
+    const error = await emailTransportService.saveTransportSettings(req.prisma, { provider, ses });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const summary = await emailTransportService.getTransportSummary(req.prisma);
+    logger.info(`✅ Email transport set to ${summary.provider}${summary.configurationError ? ' (not fully configured)' : ''}`);
+    res.json({ success: true, data: summary });
+  } catch (error) {
+    logger.error('Error updating email transport:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Check the selected transport can connect / authenticate (nothing is sent)
+router.post('/email-transport/verify', requireAdmin, async (req, res) => {
+  try {
+    let transport;
+    try {
+      transport = await emailTransportService.getTransport(req.prisma);
+    } catch (configError) {
+      return res.status(400).json({ success: false, message: configError.message });
+    }
+
+    await transport.verify();
+    res.json({ success: true, message: `${transport.label} is ready`, data: { provider: transport.provider } });
+  } catch (error) {
+    logger.error('Error verifying email transport:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ============ SENDER IDENTITIES ============
+
+// List sender identities (per-department From / Reply-To) - secrets are only reported as set or not
+router.get('/sender-identities', async (req, res) => {
+  try {
+    const identities = await senderIdentityService.listIdentities(req.prisma);
+    res.json({ success: true, data: identities });
+  } catch (error) {
+    logger.error('Error fetching sender identities:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Create a sender identity
+router.post('/sender-identities', requireAdmin, async (req, res) => {
+  try {
+    const { error, identity } = await senderIdentityService.createIdentity(req.prisma, req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    res.json({ success: true, data: identity, message: 'Sender identity created' });
+  } catch (error) {
+    logger.error('Error creating sender identity:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Update a sender identity (blank passwords / tokens keep the saved ones)
+router.put('/sender-identities/:id', requireAdmin, async (req, res) => {
+  try {
+    const { error, notFound, identity } = await senderIdentityService.updateIdentity(req.prisma, req.params.id, req.body);
+    if (notFound) {
+      return res.status(404).json({ success: false, message: 'Sender identity not found' });
+    }
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    res.json({ success: true, data: identity, message: 'Sender identity updated' });
+  } catch (error) {
+    logger.error('Error updating sender identity:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Delete a sender identity - its steps and emails fall back to the department's sender
+router.delete('/sender-identities/:id', requireAdmin, async (req, res) => {
+  try {
+    const identity = await req.prisma.senderIdentity.findUnique({ where: { id: req.params.id } });
+    if (!identity) {
+      return res.status(404).json({ success: false, message: 'Sender identity not found' });
+    }
+
+    await req.prisma.senderIdentity.delete({ where: { id: identity.id } });
+    logger.info(`🗑️ Sender identity deleted: ${identity.name} <${identity.email}>`);
+    res.json({ success: true, message: 'Sender identity deleted' });
+  } catch (error) {
+    logger.error('Error deleting sender identity:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Check an identity can send - through its own mailbox, or the configured transport (nothing is sent)
+router.post('/sender-identities/:id/verify', requireAdmin, async (req, res) => {
+  try {
+    const identity = await req.prisma.senderIdentity.findUnique({ where: { id: req.params.id } });
+    if (!identity) {
+      return res.status(404).json({ success: false, message: 'Sender identity not found' });
+    }
+
+    let transport;
+    try {
+      transport = await emailTransportService.getTransport(req.prisma, {
+        identity: configSecretService.decryptIdentitySecrets(identity)
+      });
+    } catch (configError) {
+      return res.status(400).json({ success: false, message: configError.message });
+    }
+
+    await transport.verify();
+    res.json({ success: true, message: `${identity.email} can send via ${transport.label}`, data: { provider: transport.provider } });
+  } catch (error) {
+    logger.error('Error verifying sender identity:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ============ OFFICES & TIMEZONES ============
+
+// Get the company timezone, offices and the list of selectable timezones
+router.get('/timezones', async (req, res) => {
+  try {
+    const [companyTimezone, offices] = await Promise.all([
+      timezoneService.getCompanyTimezone(req.prisma),
+      req.prisma.office.findMany({
+        orderBy: { name: 'asc' },
+        include: { _count: { select: { candidates: true } } }
+      })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        companyTimezone,
+        offices,
+        timezones: timezoneService.listTimezones()
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching timezones:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Update the company timezone (used for candidates without an office or timezone of their own)
+router.put('/timezones', requireAdmin, async (req, res) => {
+  try {
+    const { companyTimezone } = req.body;
+
+    if (!timezoneService.isValidTimezone(companyTimezone)) {
+      return res.status(400).json({ success: false, message: `Unknown timezone: ${companyTimezone}` });
+    }
+
+    await req.prisma.workflowConfig.upsert({
+      where: { key: 'company_timezone' },
+      update: { value: companyTimezone },
+      create: { key: 'company_timezone', value: companyTimezone }
+    });
+
+    logger.info(`✅ Company timezone set to ${companyTimezone}`);
+    res.json({ success: true, data: { companyTimezone } });
+  } catch (error) {
+    logger.error('Error updating company timezone:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Create an office
+router.post('/offices', requireAdmin, async (req, res) => {
+  try {
+    const { name, timezone, address } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ success: false, message: 'Office name is required' });
+    }
+    if (!timezoneService.isValidTimezone(timezone)) {
+      return res.status(400).json({ success: false, message: `Unknown timezone: ${timezone}` });
+    }
+
+    const office = await req.prisma.office.create({
+      data: {
+        name: name.trim(),
+        timezone,
+        address: address || null
+      }
+    });
+
+    res.status(201).json({ success: true, data: office });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({ success: false, message: 'An office with this name already exists' });
+    }
+    logger.error('Error creating office:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Update an office
+router.put('/offices/:id', requireAdmin, async (req, res) => {
+  try {
+    const { name, timezone, address, isActive } = req.body;
+
+    if (name !== undefined && !name.trim()) {
+      return res.status(400).json({ success: false, message: 'Office name is required' });
+    }
+    if (timezone !== undefined && !timezoneService.isValidTimezone(timezone)) {
+      return res.status(400).json({ success: false, message: `Unknown timezone: ${timezone}` });
+    }
+
+    const office = await req.prisma.office.update({
+      where: { id: req.params.id },
+      data: {
+        ...(name !== undefined && { name: name.trim() }),
+        ...(timezone !== undefined && { timezone }),
+        ...(address !== undefined && { address: address || null }),
+        ...(isActive !== undefined && { isActive })
+      }
+    });
+
+    res.json({ success: true, data: office });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({ success: false, message: 'An office with this name already exists' });
+    }
+    logger.error('Error updating office:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Delete an office - its candidates fall back to the company timezone
+router.delete('/offices/:id', requireAdmin, async (req, res) => {
+  try {
+    await req.prisma.candidate.updateMany({
+      where: { officeId: req.params.id },
+      data: { officeId: null }
+    });
+    await req.prisma.office.delete({
+      where: { id: req.params.id }
+    });
+
+    res.json({ success: true, message: 'Office deleted' });
+  } catch (error) {
+    logger.error('Error deleting office:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ============ DEPARTMENT WORKFLOW VERSIONS ============
+
+// List published workflow versions for a department, with pinned candidate counts
+// and the unpublished changes in the live steps (draft vs latest version)
+router.get('/department-workflow-versions/:department', async (req, res) => {
+  try {
+    const department = decodeURIComponent(req.params.department);
+
+    const versions = await req.prisma.departmentWorkflowVersion.findMany({
+      where: { department },
+      include: {
+        publishedBy: { select: { id: true, name: true, email: true } },
+        _count: { select: { candidates: true } }
+      },
+      orderBy: { version: 'desc' }
+    });
+
+    const draftSteps = await workflowVersionService.getDraftSteps(req.prisma, department);
+    const latestVersion = versions[0] || null;
+    const draftDiff = workflowVersionService.diffSteps(
+      latestVersion && Array.isArray(latestVersion.steps) ? latestVersion.steps : [],
+      draftSteps.map(workflowVersionService.snapshotStep)
+    );
+
+    // Candidates in this department still following the live steps (created before versioning)
+    const unpinnedCandidates = await req.prisma.candidate.count({
+      where: { department, workflowVersionId: null }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        versions: versions.map(v => ({
+          id: v.id,
+          version: v.version,
+          notes: v.notes,
+          publishedAt: v.publishedAt,
+          publishedBy: v.publishedBy,
+          stepCount: Array.isArray(v.steps) ? v.steps.length : 0,
+          candidateCount: v._count.candidates
+        })),
+        latestVersionId: latestVersion?.id || null,
+        draftDiff,
+        hasUnpublishedChanges: draftSteps.length > 0 && workflowVersionService.hasDiff(draftDiff),
+        unpinnedCandidates
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching workflow versions:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Get a single published version (with its step snapshot)
+router.get('/department-workflow-versions/version/:id', async (req, res) => {
+  try {
+    const version = await req.prisma.departmentWorkflowVersion.findUnique({
+      where: { id: req.params.id },
+      include: { publishedBy: { select: { id: true, name: true, email: true } } }
+    });
+
+    if (!version) {
+      return res.status(404).json({ success: false, message: 'Workflow version not found' });
+    }
+
+    res.json({ success: true, data: version });
+  } catch (error) {
+    logger.error('Error fetching workflow version:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Publish the department's current steps as a new version
+// New candidates are pinned to it; existing candidates stay on their version until migrated
+router.post('/department-workflow-versions/:department/publish', requireAdmin, async (req, res) => {
+  try {
+    const department = decodeURIComponent(req.params.department);
+    const { notes } = req.body;
+
+    const version = await workflowVersionService.publishVersion(req.prisma, department, req.user.id, notes);
+
+    res.status(201).json({
+      success: true,
+      message: `Published ${department} workflow v${version.version}`,
+      data: version
+    });
+  } catch (error) {
+    logger.error('Error publishing workflow version:', error);
+    if (error.code === 'P2002') {
+      return res.status(409).json({ success: false, message: 'Another version was published at the same time. Please try again.' });
+    }
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ============ WORKFLOW IMPORT / EXPORT ============
+
+// Export a department's workflow (steps, linked email templates, custom placeholders, training plans)
+// ?format=json (default) or ?format=yaml
+router.get('/department-steps/:department/export', async (req, res) => {
+  try {
+    const department = decodeURIComponent(req.params.department);
+    const format = req.query.format === 'yaml' || req.query.format === 'yml' ? 'yaml' : 'json';
+
+    const bundle = await workflowBundleService.exportDepartmentWorkflow(req.prisma, department);
+    const content = workflowBundleService.serializeBundle(bundle, format);
+
+    const safeName = department.replace(/[^a-zA-Z0-9_-]+/g, '-').toLowerCase();
+    const date = new Date().toISOString().split('T')[0];
+    res.setHeader('Content-Type', format === 'yaml' ? 'application/x-yaml; charset=utf-8' : 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="workflow-${safeName}-${date}.${format === 'yaml' ? 'yaml' : 'json'}"`);
+
+    logger.info(`📦 Exported ${department} workflow (${bundle.steps.length} steps, ${bundle.emailTemplates.length} templates) as ${format.toUpperCase()}`);
+    res.send(content);
+  } catch (error) {
+    logger.error('Error exporting workflow:', error);
+    if (error.message.startsWith('No active steps')) {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Import a workflow bundle (multipart "bundle" file)
+// Body fields: department (target, defaults to the bundle's), dryRun ("true" returns the conflict report only),
+// onConflict ("overwrite" updates existing records that differ, "skip" keeps them)
+router.post('/department-steps/import', requireAdmin, uploadWorkflowBundle.single('bundle'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'Workflow bundle file is required' });
+    }
+
+    const { department, onConflict } = req.body;
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+    if (onConflict && !workflowBundleService.CONFLICT_STRATEGIES.includes(onConflict)) {
+      return res.status(400).json({ success: false, message: `Invalid conflict strategy. Use one of: ${workflowBundleService.CONFLICT_STRATEGIES.join(', ')}` });
+    }
+
+    const { bundle, error: parseError } = workflowBundleService.parseBundle(req.file.buffer.toString('utf8'));
+    if (parseError) {
+      return res.status(400).json({ success: false, message: parseError });
+    }
+
+    const report = await workflowBundleService.importDepartmentWorkflow(req.prisma, bundle, {
+      department,
+      dryRun,
+      onConflict
+    });
+
+    // Add the department to the stored list so it shows up in the department selectors
+    if (!dryRun) {
+      try {
+        const config = await req.prisma.workflowConfig.findUnique({ where: { key: 'departments' } });
+        const storedDepartments = config && config.value ? JSON.parse(config.value) : [];
+        if (!storedDepartments.includes(report.department)) {
+          storedDepartments.push(report.department);
+          storedDepartments.sort();
+          await req.prisma.workflowConfig.upsert({
+            where: { key: 'departments' },
+            update: { value: JSON.stringify(storedDepartments) },
+            create: { key: 'departments', value: JSON.stringify(storedDepartments) }
+          });
+        }
+      } catch (error) {
+        logger.warn('Could not update stored departments after import:', error);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: dryRun
+        ? `Dry run: ${report.summary.created} to create, ${report.summary.updated} to update, ${report.summary.conflicts} conflict(s)`
+        : `Imported into ${report.department}: ${report.summary.created} created, ${report.summary.updated} updated, ${report.summary.skipped} skipped`,
+      data: report
+    });
+  } catch (error) {
+    logger.error('Error importing workflow:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ============ JOB QUEUE ============
+
+// List queued jobs (filter by status, e.g. ?status=DEAD for the dead letter queue)
+router.get('/jobs', requireAdmin, async (req, res) => {
+  try {
+    const { status, type, limit = 50 } = req.query;
+    if (status && !Object.values(JobStatus).includes(status)) {
+      return res.status(400).json({ success: false, message: `Unknown job status: ${status}` });
+    }
+    if (type && !Object.values(JobType).includes(type)) {
+      return res.status(400).json({ success: false, message: `Unknown job type: ${type}` });
+    }
+    const where = {};
+    if (status) where.status = status;
+    if (type) where.type = type;
+
+    const [jobs, counts] = await Promise.all([
+      req.prisma.job.findMany({
+        where,
+        orderBy: { updatedAt: 'desc' },
+        take: Math.min(parseInt(limit) || 50, 200)
+      }),
+      req.prisma.job.groupBy({ by: ['status'], _count: { _all: true } })
+    ]);
+
+    const byStatus = {};
+    counts.forEach(c => { byStatus[c.status] = c._count._all; });
+
+    res.json({ success: true, data: { jobs, counts: byStatus } });
+  } catch (error) {
+    logger.error('Error fetching jobs:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Retry a dead-lettered job with a fresh set of attempts
+router.post('/jobs/:id/retry', requireAdmin, async (req, res) => {
+  try {
+    const job = await req.prisma.job.findUnique({ where: { id: req.params.id } });
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+
+    // Re-queue first - only a dead job is retried, so a running job's SENDING email (or a completed
+    // job's FAILED one) is never touched. An interrupted send left its email FAILED - hand it back
+    // to the job in the same transaction.
+    const retried = await req.prisma.$transaction(async (tx) => {
+      const requeued = await jobQueueService.retryJob(tx, job.id);
+      if (requeued && job.type === 'SEND_EMAIL' && job.payload?.emailId) {
+        await tx.email.updateMany({
+          where: { id: job.payload.emailId, status: { in: ['FAILED', 'SENDING'] } },
+          data: { status: 'PENDING' }
+        });
+      }
+      return requeued;
+    });
+    if (!retried) {
+      return res.status(400).json({ success: false, message: `Only dead jobs can be retried (job is ${job.status})` });
+    }
+
+    logger.info(`🔁 Job ${job.id} (${job.idempotencyKey}) re-queued by ${req.user?.email || 'admin'}`);
+    res.json({ success: true, message: 'Job re-queued' });
+  } catch (error) {
+    logger.error('Error retrying job:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ============ SCHEDULED JOBS ============
+
+// List the jobs in jobs/scheduler.js with their recent runs and the current scheduler leader
+router.get('/scheduled-jobs', requireAdmin, async (req, res) => {
+  try {
+    const { SCHEDULED_JOBS } = require('../jobs/scheduler');
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+    const jobs = await Promise.all(Object.entries(SCHEDULED_JOBS).map(async ([name, job]) => {
+      const runs = await req.prisma.jobRun.findMany({
+        where: { jobName: name },
+        orderBy: { startedAt: 'desc' },
+        take: limit,
+        include: { triggeredBy: { select: { id: true, name: true, email: true } } }
+      });
+      return {
+        name,
+        label: job.label,
+        description: job.description,
+        schedule: job.schedule,
+        runs
+      };
+    }));
+
+    const leader = await schedulerLeaseService.getLease(req.prisma);
+
+    res.json({ success: true, data: { jobs, leader } });
+  } catch (error) {
+    logger.error('Error fetching scheduled jobs:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Run a scheduled job now on this instance (recorded as a MANUAL run)
+router.post('/scheduled-jobs/:name/run', requireAdmin, async (req, res) => {
+  try {
+    const { SCHEDULED_JOBS, runScheduledJob } = require('../jobs/scheduler');
+    const { name } = req.params;
+
+    if (!SCHEDULED_JOBS[name]) {
+      return res.status(404).json({ success: false, message: `Unknown scheduled job: ${name}` });
+    }
+
+    // Don't start a second run while one is in progress (runs stuck RUNNING for 10+ minutes are ignored)
+    const inProgress = await req.prisma.jobRun.findFirst({
+      where: {
+        jobName: name,
+        status: 'RUNNING',
+        startedAt: { gte: new Date(Date.now() - 10 * 60 * 1000) }
+      }
+    });
+    if (inProgress) {
+      return res.status(409).json({ success: false, message: `${SCHEDULED_JOBS[name].label} is already running` });
+    }
+
+    const jobRun = await runScheduledJob(name, { trigger: 'MANUAL', userId: req.user?.id || null });
+    logger.info(`▶️ Scheduled job ${name} run manually by ${req.user?.email || 'admin'} - ${jobRun.status}`);
+
+    res.json({ success: true, data: jobRun });
+  } catch (error) {
+    logger.error('Error running scheduled job:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // ============ CUSTOM FORM FIELDS ============
 
 // Get all custom fields
@@ -2354,11 +3295,7 @@ router.post('/update-hr-email', requireAdmin, async (req, res) => {
           create: { key: 'smtp_user', value: smtpUserValue }
         });
         
-        await req.prisma.workflowConfig.upsert({
-          where: { key: 'smtp_pass' },
-          update: { value: smtpPassword },
-          create: { key: 'smtp_pass', value: smtpPassword }
-        });
+        await configSecretService.setConfigValue(req.prisma, 'smtp_pass', smtpPassword);
 
         // Store SMTP host, port, and secure settings (always save, use defaults if not provided)
         // Determine default host based on email provider or use provided value
@@ -2441,11 +3378,7 @@ router.post('/update-hr-email', requireAdmin, async (req, res) => {
           create: { key: 'imap_user', value: imapUser }
         });
         
-        await req.prisma.workflowConfig.upsert({
-          where: { key: 'imap_pass' },
-          update: { value: imapPass },
-          create: { key: 'imap_pass', value: imapPass }
-        });
+        await configSecretService.setConfigValue(req.prisma, 'imap_pass', imapPass);
 
         if (imapPort) {
           await req.prisma.workflowConfig.upsert({
@@ -2478,83 +3411,18 @@ router.post('/update-hr-email', requireAdmin, async (req, res) => {
       logger.info(`✅ IMAP disabled`);
     }
 
-    // Update Google Refresh Token in .env file if provided
+    // Store Google Refresh Token (encrypted) in database if provided
     let tokenUpdateSuccess = false;
     let tokenUpdateMessage = '';
     if (googleRefreshToken && googleRefreshToken.trim()) {
       try {
-        const fs = require('fs');
-        const path = require('path');
-        
-        // Try multiple possible paths for .env file
-        const possiblePaths = [
-          path.join(process.cwd(), '.env'), // Current working directory
-          path.join(__dirname, '../../.env'), // Relative to this file
-          path.join(__dirname, '../../../.env'), // One level up
-          '.env' // Current directory
-        ];
-        
-        let envPath = null;
-        for (const testPath of possiblePaths) {
-          if (fs.existsSync(testPath)) {
-            envPath = testPath;
-            logger.info(`📝 Found .env file at: ${envPath}`);
-            break;
-          }
-        }
-        
-        if (!envPath) {
-          // Use the most likely path (current working directory)
-          envPath = path.join(process.cwd(), '.env');
-          logger.warn(`⚠️  .env file not found, will create at: ${envPath}`);
-        }
-        
-        logger.info(`📝 Attempting to update Google Refresh Token in .env file: ${envPath}`);
-        
-        // Read current .env file
-        let envContent = '';
-        if (fs.existsSync(envPath)) {
-          envContent = fs.readFileSync(envPath, 'utf8');
-          logger.info(`📝 Read .env file (${envContent.length} characters)`);
-        } else {
-          logger.info(`📝 .env file does not exist, will create new one`);
-        }
-        
-        // Update or add GOOGLE_REFRESH_TOKEN
         const trimmedToken = googleRefreshToken.trim();
-        const tokenLine = `GOOGLE_REFRESH_TOKEN=${trimmedToken}`;
-        
-        // Check if GOOGLE_REFRESH_TOKEN exists (handle various formats: with/without spaces, quotes, comments)
-        // Match: GOOGLE_REFRESH_TOKEN=value or GOOGLE_REFRESH_TOKEN = value or GOOGLE_REFRESH_TOKEN="value" etc.
-        const tokenRegex = /^GOOGLE_REFRESH_TOKEN\s*=\s*[^\r\n]*(?:\r?\n|$)/gm;
-        
-        if (tokenRegex.test(envContent)) {
-          // Replace existing token (handles spaces, quotes, etc.)
-          envContent = envContent.replace(tokenRegex, tokenLine + '\n');
-          logger.info('📝 Replaced existing GOOGLE_REFRESH_TOKEN in .env file');
-        } else {
-          // Add new token at the end
-          const separator = envContent && !envContent.endsWith('\n') ? '\n' : '';
-          envContent += separator + tokenLine + '\n';
-          logger.info('📝 Added new GOOGLE_REFRESH_TOKEN to .env file');
-        }
-        
-        // Write back to .env file
-        fs.writeFileSync(envPath, envContent, 'utf8');
-        logger.info('✅ Google Refresh Token successfully written to .env file');
-        
-        // Verify the write
-        const verifyContent = fs.readFileSync(envPath, 'utf8');
-        if (verifyContent.includes(`GOOGLE_REFRESH_TOKEN=${trimmedToken}`)) {
-          logger.info('✅ Verified: Token is present in .env file');
-          tokenUpdateSuccess = true;
-          tokenUpdateMessage = 'Google Refresh Token successfully updated in .env file';
-        } else {
-          logger.warn('⚠️  Warning: Token verification failed - token may not have been written correctly');
-          tokenUpdateMessage = 'Warning: Token may not have been written correctly';
-        }
-        
-        // Reload environment variables (for current process)
+        await configSecretService.setConfigValue(req.prisma, 'google_refresh_token', trimmedToken);
+        tokenUpdateSuccess = true;
+        tokenUpdateMessage = 'Google Refresh Token successfully stored';
+        logger.info(`✅ Google Refresh Token stored in database${configSecretService.isEncryptionConfigured() ? ' (encrypted)' : ''}`);
+
+        // Use the new token in this process - loaded from the database again on startup
         process.env.GOOGLE_REFRESH_TOKEN = trimmedToken;
         logger.info('✅ Google Refresh Token reloaded in current process');
         
@@ -2572,14 +3440,12 @@ router.post('/update-hr-email', requireAdmin, async (req, res) => {
           }
         }
       } catch (error) {
-        logger.error('❌ Error updating Google Refresh Token in .env:', error.message);
-        logger.error('Full error:', error);
-        logger.error('Error stack:', error.stack);
-        tokenUpdateMessage = `Error updating .env file: ${error.message}`;
+        logger.error('❌ Error storing Google Refresh Token:', error);
+        tokenUpdateMessage = `Error storing Google Refresh Token: ${error.message}`;
         // Don't fail the request, just log the error
       }
     } else {
-      logger.debug('📝 No Google Refresh Token provided, skipping .env update');
+      logger.debug('📝 No Google Refresh Token provided, keeping the stored one');
     }
 
     // Try to configure Gmail "Send As" using Gmail API if OAuth is configured
@@ -2587,7 +3453,7 @@ router.post('/update-hr-email', requireAdmin, async (req, res) => {
     let gmailConfigured = false;
     let gmailConfigMessage = '';
     try {
-      // Use token from request (if provided) or from .env (which may have been just updated)
+      // Use token from request (if provided) or the stored one (which may have been just updated)
       const refreshToken = googleRefreshToken?.trim() || process.env.GOOGLE_REFRESH_TOKEN;
       if (process.env.GOOGLE_CLIENT_ID && refreshToken) {
         const { google } = require('googleapis');
@@ -2651,7 +3517,7 @@ router.post('/update-hr-email', requireAdmin, async (req, res) => {
     // Build success message
     let successMessage = `HR email updated successfully to ${hrEmail}`;
     if (tokenUpdateSuccess) {
-      successMessage += '. Google Refresh Token updated in .env file.';
+      successMessage += '. Google Refresh Token updated.';
     } else if (tokenUpdateMessage && tokenUpdateMessage.includes('Error')) {
       successMessage += `. ${tokenUpdateMessage}`;
     }
@@ -2688,64 +3554,31 @@ router.post('/test-hr-email', requireAdmin, async (req, res) => {
       return res.status(400).json({ success: false, message: 'Please provide a valid test email address' });
     }
 
-    // Get current HR email, name, and SMTP credentials from database
-    const configs = await req.prisma.workflowConfig.findMany({
-      where: {
-        key: {
-          in: ['hr_email', 'hr_name', 'company_name', 'smtp_user', 'smtp_pass', 'smtp_host', 'smtp_port', 'smtp_secure']
-        }
-      }
-    });
-    const configMap = {};
-    configs.forEach(c => { configMap[c.key] = c.value; });
-    
-    const hrEmail = configMap.hr_email || process.env.HR_EMAIL || process.env.EMAIL_FROM || process.env.SMTP_USER;
-    const hrName = configMap.hr_name || process.env.HR_NAME || 'HR Team';
-    const companyName = configMap.company_name || process.env.COMPANY_NAME || 'Company';
-    
-    // Get SMTP credentials and settings from database if available, else use env
-    let smtpUser = configMap.smtp_user || process.env.SMTP_USER;
-    let smtpPass = configMap.smtp_pass || process.env.SMTP_PASS;
-    let smtpHost = configMap.smtp_host || process.env.SMTP_HOST;
-    let smtpPort = configMap.smtp_port || process.env.SMTP_PORT || '587';
-    let smtpSecure = configMap.smtp_secure !== undefined ? (configMap.smtp_secure === 'true') : (process.env.SMTP_SECURE === 'true');
+    // Get current HR email, name and the selected email transport
+    const settings = await emailTransportService.getTransportSettings(req.prisma);
+    const companyConfig = await req.prisma.workflowConfig.findUnique({ where: { key: 'company_name' } });
+    const hrEmail = settings.hrEmail;
+    const hrName = settings.hrName;
+    const companyName = companyConfig?.value || process.env.COMPANY_NAME || 'Company';
     
     if (!hrEmail) {
       return res.status(400).json({ success: false, message: 'HR email is not configured. Please set it in Settings first.' });
     }
 
-    // Validate SMTP configuration
-    if (!smtpHost || !smtpUser || !smtpPass) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'SMTP configuration is missing. The system needs SMTP credentials to send emails. Please either:\n1. Provide SMTP settings in Step 2 of the wizard, OR\n2. Ensure SMTP_HOST, SMTP_USER, and SMTP_PASS are set in the backend .env file.' 
-      });
+    // TRANSPORT: The test goes through the same transport as candidate emails
+    let transport;
+    try {
+      transport = await emailTransportService.getTransport(req.prisma);
+    } catch (configError) {
+      return res.status(400).json({ success: false, message: configError.message });
     }
-    
-    logger.info(`📧 Test email - Using SMTP host: ${smtpHost} (${configMap.smtp_host ? 'from database' : 'from env'})`);
-    logger.info(`📧 Test email - Using SMTP port: ${smtpPort} (${configMap.smtp_port ? 'from database' : 'from env'})`);
-    logger.info(`📧 Test email - Using SMTP secure: ${smtpSecure} (${configMap.smtp_secure !== undefined ? 'from database' : 'from env'})`);
-    logger.info(`📧 Test email - Using SMTP user: ${smtpUser} (${configMap.smtp_user ? 'from database' : 'from env'})`);
-    logger.info(`📧 Test email - From address will be: ${hrEmail}`);
 
-    const nodemailer = require('nodemailer');
-    
-    // Create transporter with dynamic credentials (from database or env)
-    const transporter = nodemailer.createTransport({
-      host: smtpHost,
-      port: parseInt(smtpPort) || 587,
-      secure: smtpSecure,
-      auth: {
-        user: smtpUser,
-        pass: smtpPass
-      }
-    });
+    logger.info(`📧 Test email - Using ${transport.label}, from address will be: ${transport.fromAddress}`);
 
-    // Format "from" address
-    const fromAddress = hrName && hrEmail ? `${hrName} <${hrEmail}>` : hrEmail;
+    const fromAddress = transport.fromAddress;
     
     // Send test email
-    await transporter.sendMail({
+    await transport.sendMail({
       from: fromAddress,
       to: testEmail,
       subject: `Test Email from ${companyName} HR System`,
@@ -2762,7 +3595,7 @@ router.post('/test-hr-email', requireAdmin, async (req, res) => {
           <p>If you received this email, it means:</p>
           <ul>
             <li>✅ The HR email is correctly configured in the system</li>
-            <li>✅ The SMTP server is working properly</li>
+            <li>✅ The email transport (${transport.label}) is working properly</li>
             <li>✅ All future emails to candidates will be sent from: <strong>${hrEmail}</strong></li>
           </ul>
           <p style="color: #6B7280; font-size: 12px; margin-top: 30px;">
@@ -165,7 +165,7 @@ router.get('/pending-tasks', async (req, res) => {
 router.get('/email-stats', async (req, res) => {
   try {
     const [total, sent, opened, clicked, failed] = await Promise.all([
-      req.prisma.email.count(),
+      req.prisma.email.count({ where: { direction: 'OUTBOUND' } }),
       req.prisma.email.count({ where: { status: 'SENT' } }),
       req.prisma.email.count({ where: { status: 'OPENED' } }),
       req.prisma.email.count({ where: { status: 'CLICKED' } }),
@@ -175,6 +175,7 @@ router.get('/email-stats', async (req, res) => {
     // Email by type
     const byType = await req.prisma.email.groupBy({
       by: ['type'],
+      where: { direction: 'OUTBOUND' },
       _count: true
     });
 
@@ -0,0 +1,170 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs').promises;
+const { authenticateToken } = require('../middleware/auth');
+const documentService = require('../services/documentService');
+const logger = require('../utils/logger');
+
+// Configure multer for document library uploads
+const documentStorage = multer.diskStorage({
+  destination: async (req, file, cb) => {
+    await fs.mkdir(documentService.DOCUMENTS_DIR, { recursive: true }).catch(() => {});
+    cb(null, documentService.DOCUMENTS_DIR);
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, uniqueSuffix + '-' + file.originalname);
+  }
+});
+
+const uploadDocument = multer({
+  storage: documentStorage,
+  limits: { fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10485760 }, // 10MB default
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (documentService.ALLOWED_EXTENSIONS.includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Only ${documentService.ALLOWED_EXTENSIONS.join(', ')} files are allowed`));
+    }
+  }
+}).single('file');
+
+// Run the upload, answering 400 for rejected files instead of falling through to the error handler
+const handleUpload = (req, res, next) => {
+  uploadDocument(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    next();
+  });
+};
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+// List library documents (?search=, ?tag=, ?includeInactive=true)
+router.get('/', async (req, res) => {
+  try {
+    const { search, tag, includeInactive } = req.query;
+    const documents = await documentService.listDocuments(req.prisma, {
+      search: search || undefined,
+      tag: tag || undefined,
+      includeInactive: includeInactive === 'true'
+    });
+    res.json({ success: true, data: documents });
+  } catch (error) {
+    logger.error('Error fetching documents:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Tags in use across the library
+router.get('/tags', async (req, res) => {
+  try {
+    const tags = await documentService.listTags(req.prisma);
+    res.json({ success: true, data: tags });
+  } catch (error) {
+    logger.error('Error fetching document tags:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Get a document with its version history and where it is attached
+router.get('/:id', async (req, res) => {
+  try {
+    const document = await documentService.getDocument(req.prisma, req.params.id);
+    if (!document) {
+      return res.status(404).json({ success: false, message: 'Document not found' });
+    }
+    res.json({ success: true, data: document });
+  } catch (error) {
+    logger.error('Error fetching document:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Create a document (multipart: file, name, description, tags, note)
+router.post('/', handleUpload, async (req, res) => {
+  try {
+    const { error, document } = await documentService.createDocument(req.prisma, req.body, req.file, req.user?.id);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    res.status(201).json({ success: true, data: document });
+  } catch (error) {
+    logger.error('Error creating document:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Upload a new version of a document (multipart: file, note)
+router.post('/:id/versions', handleUpload, async (req, res) => {
+  try {
+    const { error, notFound, document } = await documentService.addVersion(req.prisma, req.params.id, req.file, req.body.note, req.user?.id);
+    if (notFound) {
+      return res.status(404).json({ success: false, message: 'Document not found' });
+    }
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    res.status(201).json({ success: true, data: document });
+  } catch (error) {
+    logger.error('Error uploading document version:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Download a version's file under its original name
+router.get('/:id/versions/:versionId/download', async (req, res) => {
+  try {
+    const version = await req.prisma.documentVersion.findFirst({
+      where: { id: req.params.versionId, documentId: req.params.id }
+    });
+    if (!version) {
+      return res.status(404).json({ success: false, message: 'Document version not found' });
+    }
+    res.download(path.join(__dirname, '../../uploads', version.filePath), version.fileName);
+  } catch (error) {
+    logger.error('Error downloading document:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Update name, description, tags or archive (isActive)
+router.put('/:id', async (req, res) => {
+  try {
+    const { error, notFound, document } = await documentService.updateDocument(req.prisma, req.params.id, req.body);
+    if (notFound) {
+      return res.status(404).json({ success: false, message: 'Document not found' });
+    }
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    res.json({ success: true, data: document });
+  } catch (error) {
+    logger.error('Error updating document:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Delete a document and all its versions (only when nothing attaches it)
+router.delete('/:id', async (req, res) => {
+  try {
+    const { error, notFound } = await documentService.deleteDocument(req.prisma, req.params.id);
+    if (notFound) {
+      return res.status(404).json({ success: false, message: 'Document not found' });
+    }
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    res.json({ success: true, message: 'Document deleted' });
+  } catch (error) {
+    logger.error('Error deleting document:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,13 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
 const emailService = require('../services/emailService');
+const sendWindowService = require('../services/sendWindowService');
+const emailTrackingService = require('../services/emailTrackingService');
+const emailThreadService = require('../services/emailThreadService');
+const emailTransportService = require('../services/emailTransportService');
+const senderIdentityService = require('../services/senderIdentityService');
+const timezoneService = require('../services/timezoneService');
 const logger = require('../utils/logger');
 
 router.use(authenticateToken);
@@ -9,10 +15,11 @@ router.use(authenticateToken);
 // Get all emails with filters
 router.get('/', async (req, res) => {
   try {
-    const { candidateId, type, status, page = 1, limit = 20 } = req.query;
+    const { candidateId, type, status, direction, page = 1, limit = 20 } = req.query;
     
     const where = {};
     if (candidateId) where.candidateId = candidateId;
+    if (direction) where.direction = direction;
     if (type) where.type = type;
     if (status) where.status = status;
 
@@ -47,6 +54,122 @@ router.get('/', async (req, res) => {
   }
 });
 
+// ============ OUTBOX ============
+// Emails captured by the "outbox" transport (Settings > Email Transport) instead of being sent.
+// These routes come before /:id so "outbox" isn't read as an email id.
+
+// List captured emails (newest first)
+router.get('/outbox', async (req, res) => {
+  try {
+    const { search, page = 1, limit = 50 } = req.query;
+
+    const where = {};
+    if (search) {
+      where.OR = [
+        { toAddress: { contains: search, mode: 'insensitive' } },
+        { subject: { contains: search, mode: 'insensitive' } }
+      ];
+    }
+
+    const [messages, total, transport] = await Promise.all([
+      req.prisma.outboxMessage.findMany({
+        where,
+        select: {
+          id: true,
+          emailId: true,
+          fromAddress: true,
+          toAddress: true,
+          subject: true,
+          attachments: true,
+          createdAt: true,
+          email: { select: { type: true, candidateId: true } }
+        },
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: parseInt(limit)
+      }),
+      req.prisma.outboxMessage.count({ where }),
+      emailTransportService.getTransportSettings(req.prisma)
+    ]);
+
+    res.json({
+      success: true,
+      data: messages,
+      captureEnabled: transport.provider === 'outbox',
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching outbox:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Get a captured email (rendered HTML, plain text, headers)
+router.get('/outbox/:id', async (req, res) => {
+  try {
+    const message = await req.prisma.outboxMessage.findUnique({
+      where: { id: req.params.id },
+      include: {
+        email: {
+          select: {
+            id: true,
+            type: true,
+            status: true,
+            candidate: { select: { id: true, firstName: true, lastName: true } }
+          }
+        }
+      }
+    });
+
+    if (!message) {
+      return res.status(404).json({ success: false, message: 'Captured email not found' });
+    }
+
+    res.json({ success: true, data: message });
+  } catch (error) {
+    logger.error('Error fetching captured email:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Download a captured email as a raw .eml file
+router.get('/outbox/:id/eml', async (req, res) => {
+  try {
+    const message = await req.prisma.outboxMessage.findUnique({ where: { id: req.params.id } });
+    const filePath = message && emailTransportService.getOutboxFilePath(message.emlPath);
+
+    if (!filePath) {
+      return res.status(404).json({ success: false, message: 'Captured email not found' });
+    }
+
+    res.download(filePath, `${(message.subject || 'email').replace(/[^\w\- ]+/g, '').trim() || 'email'}.eml`, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ success: false, message: 'The .eml file is no longer in the outbox' });
+      }
+    });
+  } catch (error) {
+    logger.error('Error downloading captured email:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Empty the outbox
+router.delete('/outbox', requireAdmin, async (req, res) => {
+  try {
+    const count = await emailTransportService.clearOutbox(req.prisma);
+    logger.info(`🗑️ Cleared ${count} captured email(s) from the outbox`);
+    res.json({ success: true, message: `Deleted ${count} captured email(s)`, data: { count } });
+  } catch (error) {
+    logger.error('Error clearing outbox:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // Get email by ID
 router.get('/:id', async (req, res) => {
   try {
@@ -66,6 +189,94 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Conversations with a candidate (sent emails and their replies, threaded)
+router.get('/threads/:candidateId', async (req, res) => {
+  try {
+    const candidate = await req.prisma.candidate.findUnique({
+      where: { id: req.params.candidateId },
+      select: { id: true }
+    });
+
+    if (!candidate) {
+      return res.status(404).json({ success: false, message: 'Candidate not found' });
+    }
+
+    const threads = await emailThreadService.getThreads(req.prisma, candidate.id);
+    res.json({ success: true, data: threads });
+  } catch (error) {
+    logger.error('Error fetching email threads:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Reply to an email in its thread
+router.post('/:id/reply', async (req, res) => {
+  try {
+    const { body } = req.body;
+    if (!body || !String(body).trim()) {
+      return res.status(400).json({ success: false, message: 'Reply text is required' });
+    }
+
+    const repliedEmail = await req.prisma.email.findUnique({
+      where: { id: req.params.id },
+      include: { candidate: true }
+    });
+
+    if (!repliedEmail) {
+      return res.status(404).json({ success: false, message: 'Email not found' });
+    }
+
+    // Replies go out from the identity the conversation is with (else the department's / hr_email)
+    const identity = await senderIdentityService.resolveSenderIdentity(req.prisma, {
+      senderIdentityId: repliedEmail.senderIdentityId,
+      department: repliedEmail.candidate.department
+    });
+    const hrEmailConfig = identity ? null : await req.prisma.workflowConfig.findUnique({ where: { key: 'hr_email' } });
+    const fromEmail = identity?.email || hrEmailConfig?.value || process.env.HR_EMAIL || process.env.SMTP_USER;
+
+    const emailRecord = await req.prisma.email.create({
+      data: { ...emailThreadService.buildReply(repliedEmail, String(body), fromEmail), senderIdentityId: identity?.id || null }
+    });
+
+    const result = await emailService.sendEmail(req.prisma, emailRecord, repliedEmail.candidate);
+
+    await req.prisma.activityLog.create({
+      data: {
+        candidateId: repliedEmail.candidateId,
+        action: 'EMAIL_SENT',
+        description: `Reply sent: ${emailRecord.subject}`,
+        userId: req.user.id,
+        metadata: { emailId: emailRecord.id, replyToEmailId: repliedEmail.id }
+      }
+    });
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    logger.error('Error sending reply:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Link clicks on an email, grouped by link
+router.get('/:id/clicks', async (req, res) => {
+  try {
+    const email = await req.prisma.email.findUnique({
+      where: { id: req.params.id },
+      select: { id: true, subject: true, status: true, sentAt: true, openedAt: true, clickedAt: true }
+    });
+
+    if (!email) {
+      return res.status(404).json({ success: false, message: 'Email not found' });
+    }
+
+    const breakdown = await emailTrackingService.getClickBreakdown(req.prisma, email.id);
+    res.json({ success: true, data: { email, ...breakdown } });
+  } catch (error) {
+    logger.error('Error fetching email clicks:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // Send custom email
 router.post('/send', async (req, res) => {
   try {
@@ -109,22 +320,34 @@ router.post('/schedule', async (req, res) => {
   try {
     const { candidateId, subject, body, type, scheduledFor } = req.body;
 
+    const requestedTime = new Date(scheduledFor);
+    if (isNaN(requestedTime.getTime())) {
+      return res.status(400).json({ success: false, message: 'A valid scheduledFor date is required' });
+    }
+
     const candidate = await req.prisma.candidate.findUnique({
-      where: { id: candidateId }
+      where: { id: candidateId },
+      include: { office: true }
     });
 
     if (!candidate) {
       return res.status(404).json({ success: false, message: 'Candidate not found' });
     }
 
+    // SEND WINDOW: A time outside the candidate's send window moves to the next open slot
+    const emailType = type || 'CUSTOM';
+    const { sendAt, deferred, timeZone } = await sendWindowService.checkSendWindow(req.prisma, emailType, candidate, requestedTime);
+
+    // PENDING emails are picked up by the scheduler once scheduledFor is reached
     const email = await req.prisma.email.create({
       data: {
         candidateId,
-        type: type || 'CUSTOM',
+        type: emailType,
         subject,
         body,
-        status: 'SCHEDULED',
-        scheduledFor: new Date(scheduledFor),
+        status: 'PENDING',
+        scheduledFor: sendAt,
+        deferredFrom: deferred ? requestedTime : null,
         trackingId: `track_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
       }
     });
@@ -132,14 +355,20 @@ router.post('/schedule', async (req, res) => {
     await req.prisma.reminder.create({
       data: {
         candidateId,
-        type: 'EMAIL_SCHEDULED',
+        type: 'CUSTOM',
         message: `Send scheduled email: ${subject}`,
-        dueDate: new Date(scheduledFor),
+        dueDate: sendAt,
         metadata: { emailId: email.id }
       }
     });
 
-    res.json({ success: true, data: email });
+    res.json({
+      success: true,
+      data: email,
+      message: deferred
+        ? `Outside the send window - scheduled for ${timezoneService.formatDateTime(sendAt, timeZone)} (${timeZone})`
+        : 'Email scheduled'
+    });
   } catch (error) {
     logger.error('Error scheduling email:', error);
     res.status(500).json({ success: false, message: error.message });
@@ -178,7 +407,7 @@ router.get('/stats/overview', async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
     
-    const where = {};
+    const where = { direction: 'OUTBOUND' };
     if (startDate || endDate) {
       where.createdAt = {};
       if (startDate) where.createdAt.gte = new Date(startDate);
@@ -0,0 +1,144 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs').promises;
+const { authenticateToken } = require('../middleware/auth');
+const offerLetterService = require('../services/offerLetterService');
+const logger = require('../utils/logger');
+
+// Configure multer for DOCX offer letter templates
+const templateStorage = multer.diskStorage({
+  destination: async (req, file, cb) => {
+    await fs.mkdir(offerLetterService.TEMPLATES_DIR, { recursive: true }).catch(() => {});
+    cb(null, offerLetterService.TEMPLATES_DIR);
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, uniqueSuffix + '-' + file.originalname);
+  }
+});
+
+const uploadTemplate = multer({
+  storage: templateStorage,
+  limits: { fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10485760 }, // 10MB default
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.docx') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only .docx files are allowed - use HTML content for HTML templates'));
+    }
+  }
+}).single('file');
+
+// Run the upload, answering 400 for rejected files instead of falling through to the error handler
+const handleUpload = (req, res, next) => {
+  uploadTemplate(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    next();
+  });
+};
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+// List templates (?department= its own + the fallback, ?includeInactive=true)
+router.get('/', async (req, res) => {
+  try {
+    const { department, includeInactive } = req.query;
+    const templates = await offerLetterService.listTemplates(req.prisma, {
+      department: department || undefined,
+      includeInactive: includeInactive === 'true'
+    });
+    res.json({ success: true, data: templates });
+  } catch (error) {
+    logger.error('Error fetching offer letter templates:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Merge fields templates can use
+router.get('/fields', async (req, res) => {
+  try {
+    const fields = await offerLetterService.listMergeFields(req.prisma);
+    res.json({ success: true, data: fields });
+  } catch (error) {
+    logger.error('Error fetching offer letter merge fields:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const template = await offerLetterService.getTemplate(req.prisma, req.params.id);
+    if (!template) {
+      return res.status(404).json({ success: false, message: 'Offer letter template not found' });
+    }
+    res.json({ success: true, data: template });
+  } catch (error) {
+    logger.error('Error fetching offer letter template:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Download a DOCX template under its original name
+router.get('/:id/download', async (req, res) => {
+  try {
+    const template = await offerLetterService.getTemplate(req.prisma, req.params.id);
+    if (!template || !template.filePath) {
+      return res.status(404).json({ success: false, message: 'Offer letter template file not found' });
+    }
+    res.download(path.join(__dirname, '../../uploads', template.filePath), template.fileName);
+  } catch (error) {
+    logger.error('Error downloading offer letter template:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Create a template (multipart: file for DOCX, or htmlContent; name, department)
+router.post('/', handleUpload, async (req, res) => {
+  try {
+    const { error, template } = await offerLetterService.createTemplate(req.prisma, req.body, req.file);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    res.status(201).json({ success: true, data: template });
+  } catch (error) {
+    logger.error('Error creating offer letter template:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Update name, department, archive (isActive) or replace the content (file / htmlContent)
+router.put('/:id', handleUpload, async (req, res) => {
+  try {
+    const { error, notFound, template } = await offerLetterService.updateTemplate(req.prisma, req.params.id, req.body, req.file);
+    if (notFound) {
+      return res.status(404).json({ success: false, message: 'Offer letter template not found' });
+    }
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    res.json({ success: true, data: template });
+  } catch (error) {
+    logger.error('Error updating offer letter template:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const { notFound } = await offerLetterService.deleteTemplate(req.prisma, req.params.id);
+    if (notFound) {
+      return res.status(404).json({ success: false, message: 'Offer letter template not found' });
+    }
+    res.json({ success: true, message: 'Offer letter template deleted' });
+  } catch (error) {
+    logger.error('Error deleting offer letter template:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { authenticateToken } = require('../middleware/auth');
+const businessCalendarService = require('../services/businessCalendarService');
 const logger = require('../utils/logger');
 
 // Apply authentication to all routes
@@ -337,8 +338,9 @@ router.post('/:id/snooze', async (req, res) => {
       return res.status(404).json({ success: false, message: 'Task not found' });
     }
 
-    const newDueDate = new Date();
-    newDueDate.setHours(newDueDate.getHours() + hours);
+    // BUSINESS CALENDAR: A snooze that lands on a weekend or holiday moves to the next working day
+    const businessCalendar = await businessCalendarService.getBusinessCalendar(req.prisma);
+    const newDueDate = businessCalendarService.snoozeDueDate(businessCalendar, new Date(), hours);
 
     const task = await req.prisma.task.update({
       where: { id: req.params.id },
@@ -468,6 +470,9 @@ router.post('/init-department-tasks', async (req, res) => {
 const createDepartmentTasks = async (prisma, candidate) => {
   const department = candidate.department;
   const joiningDate = candidate.expectedJoiningDate || candidate.actualJoiningDate || new Date();
+  const businessCalendar = await businessCalendarService.getBusinessCalendar(prisma);
+  // Due dates use the business calendar (working week, holidays and roll rule)
+  const dueIn = (baseDate, days) => businessCalendarService.addScheduleOffset(businessCalendar, baseDate, days);
   
   const taskTemplates = [
     {
@@ -483,7 +488,7 @@ const createDepartmentTasks = async (prisma, candidate) => {
       type: 'OFFER_REMINDER',
       title: `Offer Reminder - ${candidate.firstName} ${candidate.lastName}`,
       description: `Send reminder email if offer letter is not signed within 3 days.`,
-      dueDate: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000),
+      dueDate: dueIn(new Date(), 3),
       priority: 'MEDIUM'
     },
     {
@@ -491,7 +496,7 @@ const createDepartmentTasks = async (prisma, candidate) => {
       type: 'WELCOME_EMAIL',
       title: `Welcome Email (Day -1) - ${candidate.firstName} ${candidate.lastName}`,
       description: `Send welcome email one day before joining date.`,
-      dueDate: new Date(new Date(joiningDate).getTime() - 24 * 60 * 60 * 1000),
+      dueDate: dueIn(joiningDate, -1),
       priority: 'MEDIUM'
     },
     {
@@ -499,7 +504,7 @@ const createDepartmentTasks = async (prisma, candidate) => {
       type: 'HR_INDUCTION',
       title: `HR Induction - ${candidate.firstName} ${candidate.lastName}`,
       description: `Schedule HR induction meeting at 9:30 AM on joining day.`,
-      dueDate: joiningDate,
+      dueDate: dueIn(joiningDate, 0),
       priority: 'HIGH'
     },
     {
@@ -507,7 +512,7 @@ const createDepartmentTasks = async (prisma, candidate) => {
       type: 'WHATSAPP_ADDITION',
       title: `Add to WhatsApp Groups - ${candidate.firstName} ${candidate.lastName}`,
       description: `Add ${candidate.firstName} ${candidate.lastName} to relevant WhatsApp groups for ${department} department.`,
-      dueDate: joiningDate,
+      dueDate: dueIn(joiningDate, 0),
       priority: 'HIGH'
     },
     {
@@ -515,7 +520,7 @@ const createDepartmentTasks = async (prisma, candidate) => {
       type: 'ONBOARDING_FORM',
       title: `Send Onboarding Form - ${candidate.firstName} ${candidate.lastName}`,
       description: `Send onboarding form email within 1 hour of joining.`,
-      dueDate: joiningDate,
+      dueDate: dueIn(joiningDate, 0),
       priority: 'HIGH'
     },
     {
@@ -523,7 +528,7 @@ const createDepartmentTasks = async (prisma, candidate) => {
       type: 'FORM_REMINDER',
       title: `Form Reminder - ${candidate.firstName} ${candidate.lastName}`,
       description: `Send reminder if onboarding form is not completed within 24 hours.`,
-      dueDate: new Date(new Date(joiningDate).getTime() + 24 * 60 * 60 * 1000),
+      dueDate: dueIn(joiningDate, 1),
       priority: 'MEDIUM'
     },
     {
@@ -531,7 +536,7 @@ const createDepartmentTasks = async (prisma, candidate) => {
       type: 'CEO_INDUCTION',
       title: `CEO Induction - ${candidate.firstName} ${candidate.lastName}`,
       description: `Schedule CEO induction meeting. HR to confirm time with CEO first.`,
-      dueDate: new Date(new Date(joiningDate).getTime() + 2 * 24 * 60 * 60 * 1000),
+      dueDate: dueIn(joiningDate, 2),
       priority: 'MEDIUM'
     },
     {
@@ -539,7 +544,7 @@ const createDepartmentTasks = async (prisma, candidate) => {
       type: department === 'Sales' ? 'SALES_INDUCTION' : 'DEPARTMENT_INDUCTION',
       title: `${department} Induction - ${candidate.firstName} ${candidate.lastName}`,
       description: `Schedule ${department} team induction. HR to confirm time with ${department} team lead.`,
-      dueDate: new Date(new Date(joiningDate).getTime() + 3 * 24 * 60 * 60 * 1000),
+      dueDate: dueIn(joiningDate, 3),
       priority: 'MEDIUM'
     },
     {
@@ -547,7 +552,7 @@ const createDepartmentTasks = async (prisma, candidate) => {
       type: 'TRAINING_PLAN',
       title: `Training Plan Email - ${candidate.firstName} ${candidate.lastName}`,
       description: `Send structured training plan email on Day 3 after joining.`,
-      dueDate: new Date(new Date(joiningDate).getTime() + 3 * 24 * 60 * 60 * 1000),
+      dueDate: dueIn(joiningDate, 3),
       priority: 'MEDIUM'
     },
     {
@@ -555,7 +560,7 @@ const createDepartmentTasks = async (prisma, candidate) => {
       type: 'CHECKIN_CALL',
       title: `HR Check-in Call (Day 7) - ${candidate.firstName} ${candidate.lastName}`,
       description: `Schedule HR check-in call 7 days after joining to discuss onboarding experience.`,
-      dueDate: new Date(new Date(joiningDate).getTime() + 7 * 24 * 60 * 60 * 1000),
+      dueDate: dueIn(joiningDate, 7),
       priority: 'MEDIUM'
     }
   ];
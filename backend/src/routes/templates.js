@@ -3,9 +3,75 @@ const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const { authMiddleware } = require('../middleware/auth');
 const logger = require('../utils/logger');
+const templateEngine = require('../services/templateEngine');
+const emailService = require('../services/emailService');
+const templateRevisionService = require('../services/templateRevisionService');
+const languageService = require('../services/languageService');
+const emailBlockService = require('../services/emailBlockService');
+const emailLayoutService = require('../services/emailLayoutService');
+const documentService = require('../services/documentService');
+const { Prisma } = require('@prisma/client');
 
 router.use(authMiddleware);
 
+// Check subject and body for template syntax errors (unclosed {{#if}}, unknown filters, ...)
+const getTemplateSyntaxErrors = (fields) => {
+  const errors = [];
+  Object.entries(fields).forEach(([field, text]) => {
+    if (typeof text !== 'string') return;
+    templateEngine.validateTemplate(text).forEach(error => errors.push({ field, ...error }));
+  });
+  return errors;
+};
+
+// LANGUAGE: Subject/body of each translated variant, keyed like "translations.hi.body"
+const getTranslationFields = (translations) => {
+  const fields = {};
+  Object.entries(translations || {}).forEach(([locale, variant]) => {
+    fields[`translations.${locale}.subject`] = variant.subject;
+    fields[`translations.${locale}.body`] = variant.body;
+  });
+  return fields;
+};
+
+// Validate translations from the editor - returns { translations } (normalised keys, empty variants
+// dropped, null when there are none) or { error }
+const parseTranslations = (raw) => {
+  if (raw === null) return { translations: null };
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: 'translations must be an object keyed by language code' };
+  }
+
+  const translations = {};
+  for (const [code, variant] of Object.entries(raw)) {
+    const locale = languageService.normalizeLanguage(code);
+    if (!locale) {
+      return { error: `Unknown language: ${code}` };
+    }
+    if (locale === languageService.DEFAULT_LANGUAGE) {
+      return { error: `${languageService.getLanguageName(locale)} is the default language - edit the main subject and body instead` };
+    }
+    const subject = typeof variant?.subject === 'string' ? variant.subject : '';
+    const body = typeof variant?.body === 'string' ? variant.body : '';
+    if (subject.trim() || body.trim()) {
+      translations[locale] = { subject, body };
+    }
+  }
+  return { translations: Object.keys(translations).length > 0 ? translations : null };
+};
+
+// BUILDER: Compile visual editor blocks to the template body (buttons default to the primary UI colour)
+const compileBlocks = async (prisma, blocks) => {
+  const settings = await emailLayoutService.getLayoutSettings(prisma);
+  return emailBlockService.renderBlocks(blocks, { buttonColor: settings.brand.primaryColor });
+};
+
+const syntaxErrorResponse = (res, errors) => res.status(400).json({
+  success: false,
+  message: `Template syntax error in ${errors[0].field}: ${errors[0].message}`,
+  errors
+});
+
 // Get all templates
 router.get('/', async (req, res) => {
   try {
@@ -60,7 +126,7 @@ router.post('/', [
   body('name').notEmpty().trim(),
   body('type').notEmpty(),
   body('subject').notEmpty().trim(),
-  body('body').notEmpty()
+  body('body').if(body('blocks').not().isArray()).notEmpty()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -68,7 +134,27 @@ router.post('/', [
       return res.status(400).json({ success: false, errors: errors.array() });
     }
 
-    const { name, type, subject, body, placeholders = [], customEmailType } = req.body;
+    const { name, type, subject, placeholders = [], customEmailType, blocks = null, useLayout = true, trackingEnabled = true } = req.body;
+    let { body } = req.body;
+
+    const parsed = parseTranslations(req.body.translations ?? null);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, message: parsed.error });
+    }
+
+    if (blocks !== null) {
+      const blocksError = emailBlockService.validateBlocks(blocks);
+      if (blocksError) {
+        return res.status(400).json({ success: false, message: blocksError });
+      }
+      body = await compileBlocks(req.prisma, blocks);
+    }
+
+    // DOCUMENTS: Library documents attached to every email from this template
+    const { documentIds, error: documentsError } = await documentService.validateDocumentIds(req.prisma, req.body.documentIds);
+    if (documentsError) {
+      return res.status(400).json({ success: false, message: documentsError });
+    }
 
     // Check for existing template with same name
     const existing = await req.prisma.emailTemplate.findUnique({ where: { name } });
@@ -81,6 +167,11 @@ router.post('/', [
       return res.status(400).json({ success: false, message: 'Custom email type name is required when type is CUSTOM' });
     }
 
+    const syntaxErrors = getTemplateSyntaxErrors({ subject, body, ...getTranslationFields(parsed.translations) });
+    if (syntaxErrors.length > 0) {
+      return syntaxErrorResponse(res, syntaxErrors);
+    }
+
     const template = await req.prisma.emailTemplate.create({
       data: { 
         name, 
@@ -88,10 +179,18 @@ router.post('/', [
         subject, 
         body, 
         placeholders,
-        customEmailType: type === 'CUSTOM' ? customEmailType : null
+        customEmailType: type === 'CUSTOM' ? customEmailType : null,
+        translations: parsed.translations ?? Prisma.JsonNull,
+        blocks: blocks ?? Prisma.JsonNull,
+        useLayout: useLayout !== false,
+        trackingEnabled: trackingEnabled !== false,
+        ...(documentIds !== undefined && { documentIds })
       }
     });
 
+    // VERSIONING: Every save is stored as a revision
+    await templateRevisionService.recordRevision(req.prisma, template, req.user?.id || null, 'Created');
+
     logger.info(`Template created: ${template.name}`);
     res.status(201).json({ success: true, data: template });
   } catch (error) {
@@ -103,13 +202,47 @@ router.post('/', [
 // Update template
 router.put('/:id', async (req, res) => {
   try {
-    const { name, type, subject, body, placeholders, isActive, customEmailType } = req.body;
+    const { name, type, subject, placeholders, isActive, customEmailType, blocks, useLayout, trackingEnabled } = req.body;
+    let { body } = req.body;
 
     // Validate: If type is CUSTOM, customEmailType is required
     if (type === 'CUSTOM' && !customEmailType) {
       return res.status(400).json({ success: false, message: 'Custom email type name is required when type is CUSTOM' });
     }
 
+    const parsed = req.body.translations !== undefined ? parseTranslations(req.body.translations) : {};
+    if (parsed.error) {
+      return res.status(400).json({ success: false, message: parsed.error });
+    }
+
+    // BUILDER: Saving blocks recompiles the body; blocks: null switches the template back to the HTML editor
+    if (blocks) {
+      const blocksError = emailBlockService.validateBlocks(blocks);
+      if (blocksError) {
+        return res.status(400).json({ success: false, message: blocksError });
+      }
+      body = await compileBlocks(req.prisma, blocks);
+    }
+
+    const syntaxErrors = getTemplateSyntaxErrors({ subject, body, ...getTranslationFields(parsed.translations) });
+    if (syntaxErrors.length > 0) {
+      return syntaxErrorResponse(res, syntaxErrors);
+    }
+
+    // DOCUMENTS: Library documents attached to every email from this template
+    const { documentIds, error: documentsError } = await documentService.validateDocumentIds(req.prisma, req.body.documentIds);
+    if (documentsError) {
+      return res.status(400).json({ success: false, message: documentsError });
+    }
+
+    const existing = await req.prisma.emailTemplate.findUnique({ where: { id: req.params.id } });
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Template not found' });
+    }
+
+    // VERSIONING: Make sure the content being replaced is in the history (templates saved before revisions existed)
+    await templateRevisionService.ensureRevision(req.prisma, existing);
+
     const template = await req.prisma.emailTemplate.update({
       where: { id: req.params.id },
       data: {
@@ -120,11 +253,22 @@ router.put('/:id', async (req, res) => {
         ...(placeholders && { placeholders }),
         ...(isActive !== undefined && { isActive }),
         ...(type === 'CUSTOM' && customEmailType !== undefined && { customEmailType }),
-        ...(type !== 'CUSTOM' && { customEmailType: null })
+        ...(type !== 'CUSTOM' && { customEmailType: null }),
+        ...(parsed.translations !== undefined && { translations: parsed.translations ?? Prisma.JsonNull }),
+        ...(blocks !== undefined && { blocks: blocks ?? Prisma.JsonNull }),
+        ...(useLayout !== undefined && { useLayout: useLayout !== false }),
+        ...(trackingEnabled !== undefined && { trackingEnabled: trackingEnabled !== false }),
+        ...(documentIds !== undefined && { documentIds })
       }
     });
 
-    logger.info(`Template updated: ${template.name}`);
+    // VERSIONING: Every save that changes the content is stored as a revision (toggling isActive isn't)
+    if (templateRevisionService.hasContentChanges(existing, template)) {
+      const revision = await templateRevisionService.recordRevision(req.prisma, template, req.user?.id || null, req.body.revisionNote || null);
+      logger.info(`Template updated: ${template.name} (revision ${revision.revision})`);
+    } else {
+      logger.info(`Template updated: ${template.name}`);
+    }
     res.json({ success: true, data: template });
   } catch (error) {
     logger.error('Error updating template:', error);
@@ -144,7 +288,161 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
-// Preview template with sample data
+// ============ REVISION HISTORY ============
+
+// List a template's revisions (newest first)
+router.get('/:id/revisions', async (req, res) => {
+  try {
+    const template = await req.prisma.emailTemplate.findUnique({ where: { id: req.params.id } });
+    if (!template) {
+      return res.status(404).json({ success: false, message: 'Template not found' });
+    }
+
+    await templateRevisionService.ensureRevision(req.prisma, template);
+
+    const revisions = await req.prisma.emailTemplateRevision.findMany({
+      where: { templateId: template.id },
+      orderBy: { revision: 'desc' },
+      include: {
+        author: { select: { id: true, name: true, email: true } },
+        _count: { select: { emails: true } }
+      }
+    });
+
+    res.json({ success: true, data: revisions });
+  } catch (error) {
+    logger.error('Error fetching template revisions:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Side-by-side diff of a revision against another revision (?against=<revisionId>),
+// the live template (?against=current) or, by default, the revision before it
+router.get('/:id/revisions/:revisionId/diff', async (req, res) => {
+  try {
+    const revision = await req.prisma.emailTemplateRevision.findFirst({
+      where: { id: req.params.revisionId, templateId: req.params.id }
+    });
+    if (!revision) {
+      return res.status(404).json({ success: false, message: 'Revision not found' });
+    }
+
+    let against;
+    let againstLabel;
+    if (req.query.against === 'current') {
+      against = await req.prisma.emailTemplate.findUnique({ where: { id: req.params.id } });
+      againstLabel = 'Current';
+    } else if (req.query.against) {
+      against = await req.prisma.emailTemplateRevision.findFirst({
+        where: { id: req.query.against, templateId: req.params.id }
+      });
+      if (!against) {
+        return res.status(404).json({ success: false, message: 'Revision to compare against not found' });
+      }
+      againstLabel = `Revision ${against.revision}`;
+    } else {
+      against = await req.prisma.emailTemplateRevision.findFirst({
+        where: { templateId: req.params.id, revision: { lt: revision.revision } },
+        orderBy: { revision: 'desc' }
+      });
+      againstLabel = against ? `Revision ${against.revision}` : 'Empty';
+    }
+
+    // The older side is on the left
+    const againstIsNewer = req.query.against === 'current' || (against && against.revision > revision.revision);
+    const from = againstIsNewer ? revision : (against || { subject: '', body: '' });
+    const to = againstIsNewer ? against : revision;
+
+    res.json({
+      success: true,
+      data: {
+        fromLabel: againstIsNewer ? `Revision ${revision.revision}` : againstLabel,
+        toLabel: againstIsNewer ? againstLabel : `Revision ${revision.revision}`,
+        ...templateRevisionService.diffRevisions(from, to)
+      }
+    });
+  } catch (error) {
+    logger.error('Error diffing template revisions:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Roll the template's subject, body and translations back to a revision (stored as a new revision)
+router.post('/:id/revisions/:revisionId/rollback', async (req, res) => {
+  try {
+    const template = await req.prisma.emailTemplate.findUnique({ where: { id: req.params.id } });
+    if (!template) {
+      return res.status(404).json({ success: false, message: 'Template not found' });
+    }
+
+    const revision = await req.prisma.emailTemplateRevision.findFirst({
+      where: { id: req.params.revisionId, templateId: template.id }
+    });
+    if (!revision) {
+      return res.status(404).json({ success: false, message: 'Revision not found' });
+    }
+
+    const result = await templateRevisionService.rollbackToRevision(req.prisma, template, revision, req.user?.id || null);
+    res.json({ success: true, data: result, message: `Rolled back to revision ${revision.revision}` });
+  } catch (error) {
+    logger.error('Error rolling back template:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Sample data used when previewing without a candidate
+const SAMPLE_PREVIEW_DATA = {
+  '{{firstName}}': 'John',
+  '{{lastName}}': 'Doe',
+  '{{fullName}}': 'John Doe',
+  '{{email}}': 'john.doe@example.com',
+  '{{position}}': 'Software Engineer',
+  '{{department}}': 'Engineering',
+  '{{salary}}': '₹10,00,000',
+  '{{timezone}}': 'IST',
+  '{{reportingManager}}': 'Jane Smith',
+  '{{hrName}}': 'HR Team',
+  '{{companyName}}': 'Iron Lady',
+  '{{formLink}}': 'https://forms.iron-lady.in/onboarding',
+  '{{whatsappGroups}}': [
+    { name: 'All Hands', url: 'https://chat.whatsapp.com/sample', description: '' },
+    { name: 'Engineering Team', url: '', description: '' }
+  ],
+  '{{trainingDays}}': [
+    { day: 'Day 1', title: 'Orientation', content: 'Company overview and tools setup' },
+    { day: 'Day 2', title: 'Shadowing', content: 'Shadow your buddy on live work' }
+  ]
+};
+
+// Render a template for a candidate (the real send path) or, without one, with sample data
+// locale previews a specific language variant instead of the candidate's preferred language
+const renderTemplatePreview = async (prisma, template, candidate, overrides = {}, locale = null) => {
+  if (candidate) {
+    const previewCandidate = locale ? { ...candidate, preferredLanguage: locale } : candidate;
+    return emailService.previewTemplateForCandidate(prisma, template, previewCandidate, overrides);
+  }
+
+  const localized = languageService.localizeTemplate(template, locale);
+  const report = { unresolved: [], empty: [] };
+  const context = templateEngine.placeholderMapToContext({
+    ...SAMPLE_PREVIEW_DATA,
+    '{{candidateName}}': 'John Doe',
+    '{{joiningDate}}': new Date().toLocaleDateString('en-IN', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }),
+    ...overrides
+  });
+  return {
+    subject: templateEngine.renderTemplate(localized.subject, context, { report }),
+    body: templateEngine.renderTemplate(localized.body, context, { report }),
+    locale: localized.locale,
+    languageFallback: localized.fallback,
+    unresolved: report.unresolved,
+    empty: report.empty
+  };
+};
+
+// Preview template - against a real candidate (body.candidateId) or sample data
+// body.locale previews a language variant (defaults to the candidate's preferred language)
+// Any other body keys ({ '{{meetingLink}}': '...' }) override placeholder values
 router.post('/:id/preview', async (req, res) => {
   try {
     const template = await req.prisma.emailTemplate.findUnique({
@@ -155,41 +453,251 @@ router.post('/:id/preview', async (req, res) => {
       return res.status(404).json({ success: false, message: 'Template not found' });
     }
 
-    // Sample data for preview
-    const sampleData = {
-      '{{firstName}}': 'John',
-      '{{lastName}}': 'Doe',
-      '{{fullName}}': 'John Doe',
-      '{{email}}': 'john.doe@example.com',
-      '{{position}}': 'Software Engineer',
-      '{{department}}': 'Engineering',
-      '{{salary}}': '₹10,00,000',
-      '{{joiningDate}}': new Date().toLocaleDateString(),
-      '{{reportingManager}}': 'Jane Smith',
-      '{{hrName}}': 'HR Team',
-      '{{companyName}}': 'Iron Lady',
-      '{{formLink}}': 'https://forms.iron-lady.in/onboarding',
-      ...req.body
-    };
-
-    let previewSubject = template.subject;
-    let previewBody = template.body;
-
-    Object.entries(sampleData).forEach(([key, value]) => {
-      previewSubject = previewSubject.replace(new RegExp(key, 'g'), value);
-      previewBody = previewBody.replace(new RegExp(key, 'g'), value);
+    const { candidateId, locale, ...overrides } = req.body || {};
+    if (locale && !languageService.isValidLanguage(locale)) {
+      return res.status(400).json({ success: false, message: `Unknown language: ${locale}` });
+    }
+    let candidate = null;
+    if (candidateId) {
+      candidate = await req.prisma.candidate.findUnique({
+        where: { id: candidateId },
+        include: { office: true }
+      });
+      if (!candidate) {
+        return res.status(404).json({ success: false, message: 'Candidate not found' });
+      }
+    }
+
+    const preview = await renderTemplatePreview(req.prisma, template, candidate, overrides, languageService.normalizeLanguage(locale));
+
+    // LAYOUT: The email as it is sent - wrapped in the branded layout, with its plain-text alternative
+    const message = await emailLayoutService.buildEmailMessage(req.prisma, preview.body.replace(/\n/g, '<br>'), {
+      subject: preview.subject,
+      useLayout: template.useLayout
     });
 
     res.json({
       success: true,
       data: {
-        subject: previewSubject,
-        body: previewBody
+        ...preview,
+        html: message.html,
+        text: message.text,
+        candidate: candidate
+          ? { id: candidate.id, name: `${candidate.firstName} ${candidate.lastName}`, email: candidate.email, department: candidate.department }
+          : null,
+        syntaxErrors: getTemplateSyntaxErrors({
+          subject: template.subject,
+          body: template.body,
+          ...getTranslationFields(languageService.getTranslations(template))
+        })
       }
     });
   } catch (error) {
     logger.error('Error previewing template:', error);
-    res.status(500).json({ success: false, message: 'Server error' });
+    res.status(500).json({ success: false, message: error.message || 'Server error' });
+  }
+});
+
+// Lint a template before linking it to a step - renders it for the most recent candidate in the
+// department (sample data when there is none) and lists placeholders that won't be filled
+router.get('/:id/lint', async (req, res) => {
+  try {
+    const template = await req.prisma.emailTemplate.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!template) {
+      return res.status(404).json({ success: false, message: 'Template not found' });
+    }
+
+    const candidate = await req.prisma.candidate.findFirst({
+      where: req.query.department ? { department: req.query.department } : {},
+      orderBy: { createdAt: 'desc' },
+      include: { office: true }
+    });
+
+    const { unresolved, empty } = await renderTemplatePreview(req.prisma, template, candidate);
+
+    res.json({
+      success: true,
+      data: {
+        templateId: template.id,
+        unresolved,
+        empty,
+        renderedFor: candidate ? `${candidate.firstName} ${candidate.lastName}` : 'sample data',
+        syntaxErrors: getTemplateSyntaxErrors({ subject: template.subject, body: template.body })
+      }
+    });
+  } catch (error) {
+    logger.error('Error linting template:', error);
+    res.status(500).json({ success: false, message: error.message || 'Server error' });
+  }
+});
+
+// ============ EMAIL LAYOUT & BUILDER ============
+
+// Shared branded layout settings
+router.get('/meta/layout', async (req, res) => {
+  try {
+    const settings = await emailLayoutService.getLayoutSettings(req.prisma);
+    res.json({
+      success: true,
+      data: {
+        ...settings,
+        defaultHtml: emailLayoutService.DEFAULT_LAYOUT_HTML,
+        placeholders: emailLayoutService.LAYOUT_PLACEHOLDERS,
+        blockTypes: emailBlockService.BLOCK_TYPES
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching email layout:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Update the layout ({ enabled, html, footerText } - empty html = built-in layout)
+router.put('/meta/layout', async (req, res) => {
+  try {
+    const { enabled, html, footerText } = req.body;
+
+    if (html) {
+      const errors = emailLayoutService.validateLayout(html);
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, message: `Layout error: ${errors[0].message}`, errors });
+      }
+    }
+
+    const settings = await emailLayoutService.saveLayoutSettings(req.prisma, { enabled, html, footerText });
+    logger.info(`🎨 Email layout updated (${settings.enabled ? (settings.html ? 'custom layout' : 'built-in layout') : 'disabled'})`);
+    res.json({ success: true, data: settings });
+  } catch (error) {
+    logger.error('Error updating email layout:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Preview unsaved layout settings around a sample body
+router.post('/meta/layout/preview', async (req, res) => {
+  try {
+    const { html, footerText, body: content } = req.body || {};
+
+    if (html) {
+      const errors = emailLayoutService.validateLayout(html);
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, message: `Layout error: ${errors[0].message}`, errors });
+      }
+    }
+
+    const settings = await emailLayoutService.getLayoutSettings(req.prisma);
+    const message = await emailLayoutService.buildEmailMessage(
+      req.prisma,
+      content || '<p>Dear John,</p><p>This is how your emails look with the layout.</p><p>Best regards,<br>HR Team</p>',
+      {
+        subject: 'Layout preview',
+        useLayout: true,
+        settings: {
+          ...settings,
+          enabled: true,
+          html: html !== undefined ? (html || null) : settings.html,
+          footerText: footerText !== undefined ? footerText : settings.footerText
+        }
+      }
+    );
+    res.json({ success: true, data: message });
+  } catch (error) {
+    logger.error('Error previewing email layout:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Compile visual editor blocks to HTML (switching a template to the HTML editor)
+router.post('/meta/blocks/render', async (req, res) => {
+  try {
+    const { blocks } = req.body || {};
+    const blocksError = emailBlockService.validateBlocks(blocks);
+    if (blocksError) {
+      return res.status(400).json({ success: false, message: blocksError });
+    }
+    res.json({ success: true, data: { body: await compileBlocks(req.prisma, blocks) } });
+  } catch (error) {
+    logger.error('Error rendering template blocks:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ============ LANGUAGES ============
+
+// Languages offered in the editors
+router.get('/meta/languages', async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      languages: languageService.LANGUAGES,
+      defaultLanguage: languageService.DEFAULT_LANGUAGE
+    }
+  });
+});
+
+// Steps using this template that are missing a translation - a language is needed when an active
+// candidate in the step's department prefers it (they get the default language until it's added)
+router.get('/:id/translation-status', async (req, res) => {
+  try {
+    const template = await req.prisma.emailTemplate.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!template) {
+      return res.status(404).json({ success: false, message: 'Template not found' });
+    }
+
+    const steps = await req.prisma.departmentStepTemplate.findMany({
+      where: { emailTemplateId: template.id, isActive: true },
+      select: { id: true, department: true, stepNumber: true, title: true },
+      orderBy: [{ department: 'asc' }, { stepNumber: 'asc' }]
+    });
+
+    const departments = [...new Set(steps.map(step => step.department))];
+    const candidates = departments.length > 0
+      ? await req.prisma.candidate.findMany({
+          where: {
+            department: { in: departments },
+            preferredLanguage: { not: null },
+            status: { notIn: ['COMPLETED', 'WITHDRAWN', 'REJECTED'] }
+          },
+          select: { department: true, preferredLanguage: true }
+        })
+      : [];
+
+    // Languages missing per department, with how many candidates need each
+    const missingByDepartment = {};
+    candidates.forEach(({ department, preferredLanguage }) => {
+      if (languageService.hasTranslation(template, preferredLanguage)) return;
+      const locale = languageService.normalizeLanguage(preferredLanguage);
+      missingByDepartment[department] = missingByDepartment[department] || {};
+      missingByDepartment[department][locale] = (missingByDepartment[department][locale] || 0) + 1;
+    });
+
+    const stepStatus = steps.map(step => ({
+      ...step,
+      missingLocales: Object.entries(missingByDepartment[step.department] || {}).map(([locale, candidateCount]) => ({
+        locale,
+        name: languageService.getLanguageName(locale),
+        candidateCount
+      }))
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        templateId: template.id,
+        locales: Object.keys(languageService.getTranslations(template)),
+        steps: stepStatus,
+        stepsMissingTranslations: stepStatus.filter(step => step.missingLocales.length > 0)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching template translation status:', error);
+    res.status(500).json({ success: false, message: error.message || 'Server error' });
   }
 });
 
@@ -432,9 +940,11 @@ HR Team, {{companyName}}`,
 
     // Create templates
     const createdTemplates = await Promise.all(
-      templatesToCreate.map(template => 
-        req.prisma.emailTemplate.create({ data: template })
-      )
+      templatesToCreate.map(async (template) => {
+        const created = await req.prisma.emailTemplate.create({ data: template });
+        await templateRevisionService.recordRevision(req.prisma, created, req.user?.id || null, 'Created from defaults');
+        return created;
+      })
     );
 
     logger.info(`Initialized ${createdTemplates.length} default email templates`);
@@ -467,10 +977,19 @@ router.get('/meta/placeholders', async (req, res) => {
       { key: '{{salary}}', description: 'Salary package', category: 'Standard' },
       { key: '{{joiningDate}}', description: 'Expected joining date', category: 'Standard' },
       { key: '{{reportingManager}}', description: 'Reporting manager name', category: 'Standard' },
+      { key: '{{timezone}}', description: 'Candidate timezone label (e.g. IST, EDT)', category: 'Standard' },
       { key: '{{hrName}}', description: 'HR representative name', category: 'Company' },
       { key: '{{companyName}}', description: 'Company name', category: 'Company' },
       { key: '{{formLink}}', description: 'Onboarding form link', category: 'Dynamic' },
-      { key: '{{trainingPlanContent}}', description: 'Training plan details', category: 'Dynamic' }
+      { key: '{{trainingPlanContent}}', description: 'Training plan details', category: 'Dynamic' },
+      { key: '{{#if department == "Sales"}}...{{else}}...{{/if}}', description: 'Show text only when a condition matches (==, !=, >, <, contains, and, or, not)', category: 'Logic' },
+      { key: '{{#unless formLink}}...{{/unless}}', description: 'Show text only when a value is empty', category: 'Logic' },
+      { key: '{{#each whatsappGroups}}{{@number}}. {{name}} {{url}}\n{{/each}}', description: 'Loop over the WhatsApp groups for the candidate\'s department', category: 'Logic' },
+      { key: '{{#each trainingDays}}{{day}}: {{content}}\n{{/each}}', description: 'Loop over the days of the training plan', category: 'Logic' },
+      { key: '{{joiningDate | date: "DD MMM YYYY"}}', description: 'Format a date (presets: short, long, full, iso)', category: 'Filters' },
+      { key: '{{salary | currency: "INR"}}', description: 'Format an amount as currency', category: 'Filters' },
+      { key: '{{firstName | upper}}', description: `Change a value with a filter (${templateEngine.TEMPLATE_FILTERS.join(', ')})`, category: 'Filters' },
+      { key: '{{reportingManager | default: "your manager"}}', description: 'Fallback when a value is empty', category: 'Filters' }
     ];
 
     // Fetch custom fields from database and add them as placeholders
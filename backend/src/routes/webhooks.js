@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const logger = require('../utils/logger');
+const emailTrackingService = require('../services/emailTrackingService');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
@@ -96,38 +97,27 @@ router.get('/email/open/:trackingId', async (req, res) => {
   res.send(pixel);
 });
 
-// Email click tracking webhook
+// Email click tracking webhook (same signed links as /api/track/click)
 router.get('/email/click/:trackingId', async (req, res) => {
-  try {
-    const { trackingId } = req.params;
-    const { url } = req.query;
-
-    const email = await req.prisma.email.findFirst({
-      where: { trackingId }
-    });
+  const { trackingId } = req.params;
+  const { url, sig } = req.query;
 
-    if (email) {
-      await req.prisma.email.update({
-        where: { id: email.id },
-        data: { 
-          status: 'CLICKED',
-          clickedAt: new Date()
-        }
-      });
-
-      logger.info(`Email link clicked: ${trackingId}`);
-    }
+  if (!emailTrackingService.verifyLink(trackingId, url, sig)) {
+    logger.warn(`⚠️ Rejected email link with an invalid signature: ${trackingId}`);
+    return res.redirect(process.env.FRONTEND_URL || 'http://localhost:3000');
+  }
 
-    // Redirect to original URL
-    if (url) {
-      res.redirect(decodeURIComponent(url));
-    } else {
-      res.redirect(process.env.FRONTEND_URL || 'http://localhost:3000');
-    }
+  try {
+    await emailTrackingService.recordClick(req.prisma, trackingId, url, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
   } catch (error) {
+    // The link is genuine - still take the reader there
     logger.error('Error tracking email click:', error);
-    res.redirect(process.env.FRONTEND_URL || 'http://localhost:3000');
   }
+
+  res.redirect(url);
 });
 
 // Signed offer received via email reply webhook
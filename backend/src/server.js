@@ -6,6 +6,9 @@ const { PrismaClient } = require('@prisma/client');
 const logger = require('./utils/logger');
 const { initScheduledJobs } = require('./jobs/scheduler');
 const { initEmailMonitor } = require('./services/emailMonitor');
+const schedulerLeaseService = require('./services/schedulerLeaseService');
+const emailTrackingService = require('./services/emailTrackingService');
+const configSecretService = require('./services/configSecretService');
 
 // Initialize Prisma Client
 const prisma = new PrismaClient();
@@ -90,6 +93,8 @@ const configRoutes = require('./routes/config');
 const webhookRoutes = require('./routes/webhooks');
 const taskRoutes = require('./routes/tasks');
 const portalRoutes = require('./routes/candidate-portal');
+const documentRoutes = require('./routes/documents');
+const offerLetterTemplateRoutes = require('./routes/offerLetterTemplates');
 
 // API Routes
 app.use('/api/auth', authRoutes);
@@ -102,6 +107,8 @@ app.use('/api/config', configRoutes);
 app.use('/api/webhooks', webhookRoutes);
 app.use('/api/tasks', taskRoutes);
 app.use('/api/portal', portalRoutes);  // Candidate self-service portal
+app.use('/api/documents', documentRoutes);  // Document library (reusable attachments)
+app.use('/api/offer-letter-templates', offerLetterTemplateRoutes);  // Offer letter generation templates
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -155,31 +162,27 @@ app.get('/api/track/open/:trackingId', async (req, res) => {
   res.send(pixel);
 });
 
-// Email link tracking
+// Email link tracking - links are signed on send, so only URLs that were in the email are redirected to
 app.get('/api/track/click/:trackingId', async (req, res) => {
-  try {
-    const { trackingId } = req.params;
-    const { url } = req.query;
+  const { trackingId } = req.params;
+  const { url, sig } = req.query;
 
-    await prisma.email.updateMany({
-      where: { trackingId },
-      data: { 
-        status: 'CLICKED',
-        clickedAt: new Date()
-      }
-    });
-
-    logger.info(`Email link clicked: ${trackingId}`);
+  if (!emailTrackingService.verifyLink(trackingId, url, sig)) {
+    logger.warn(`⚠️ Rejected email link with an invalid signature: ${trackingId}`);
+    return res.redirect(process.env.FRONTEND_URL || 'http://localhost:3000');
+  }
 
-    if (url) {
-      res.redirect(decodeURIComponent(url));
-    } else {
-      res.redirect(process.env.FRONTEND_URL);
-    }
+  try {
+    await emailTrackingService.recordClick(prisma, trackingId, url, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
   } catch (error) {
+    // The link is genuine - still take the reader there
     logger.error('Error tracking email click:', error);
-    res.redirect(process.env.FRONTEND_URL);
   }
+
+  res.redirect(url);
 });
 
 // Error handling middleware
@@ -223,6 +226,16 @@ const startServer = async () => {
     await prisma.$connect();
     logger.info('Database connected successfully');
 
+    // Secrets in the database are encrypted with CONFIG_ENCRYPTION_KEY (throws if it is malformed)
+    if (configSecretService.isEncryptionConfigured()) {
+      logger.info('🔐 Config secret encryption enabled');
+    } else {
+      logger.warn('⚠️ CONFIG_ENCRYPTION_KEY is not set - email passwords and tokens are stored unencrypted');
+    }
+    if (await configSecretService.loadGoogleRefreshToken(prisma)) {
+      logger.info('Google refresh token loaded from settings');
+    }
+
     // Initialize scheduled jobs
     initScheduledJobs(prisma);
     logger.info('Scheduled jobs initialized');
@@ -244,12 +257,14 @@ const startServer = async () => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received. Shutting down gracefully...');
+  await schedulerLeaseService.releaseLease(prisma); // Let another instance take over the cron jobs
   await prisma.$disconnect();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   logger.info('SIGINT received. Shutting down gracefully...');
+  await schedulerLeaseService.releaseLease(prisma); // Let another instance take over the cron jobs
   await prisma.$disconnect();
   process.exit(0);
 });
@@ -0,0 +1,256 @@
+const logger = require('../utils/logger');
+
+/**
+ * Bounce (delivery failure) processing
+ *
+ * The email monitor hands every message from the monitored mailbox that looks like a bounce
+ * (multipart/report delivery status notifications, mail from mailer-daemon/postmaster) to
+ * processBounce. The DSN is matched to the Email it reports on - by the Message-ID of the returned
+ * message, else the tracking id (X-Tracking-ID header or tracking URLs quoted in it), else the most
+ * recent email to the failed recipient (unless that one already bounced) - and then:
+ *   - the Email is marked BOUNCED with the reason (errorMessage) and bouncedAt
+ *   - the candidate's email address is flagged invalid (Candidate.emailInvalid)
+ *   - HR gets an EMAIL_BOUNCED Task to correct the address (one open task per candidate)
+ * Temporary failures ("Action: delayed") are ignored - only permanent failures count.
+ *
+ * Processing is idempotent: the bounce report's own Message-ID is stored on the Email
+ * (bounceMessageId), so mailbox lookbacks that read the same report again (e.g. after a restart, or
+ * on another instance) skip it.
+ */
+
+const BOUNCE_SENDER_PATTERN = /(mailer-daemon|postmaster|mail delivery (sub)?system)/i;
+const BOUNCE_SUBJECT_PATTERN = /(undeliver|delivery status notification|delivery failure|delivery has failed|returned mail|failure notice|mail delivery failed|could not be delivered)/i;
+
+const TRACKING_ID_PATTERNS = [
+  /X-Tracking-ID:\s*([0-9a-f-]{36})/i,
+  /\/api\/track\/(?:open|click)\/([0-9a-f-]{36})/i
+];
+
+const TASK_TYPE = 'EMAIL_BOUNCED';
+
+// Statuses an email can bounce from (it must have gone out)
+const SENT_STATUSES = ['SENT', 'DELIVERED', 'OPENED', 'CLICKED'];
+
+// Header block of a raw message, with folded lines joined
+const getHeaderBlock = (raw) => {
+  const end = raw.search(/\r?\n\r?\n/);
+  return (end === -1 ? raw : raw.slice(0, end)).replace(/\r?\n[ \t]+/g, ' ');
+};
+
+const getHeader = (block, name) => {
+  const match = block.match(new RegExp(`^${name}:[ \\t]*(.*)$`, 'im'));
+  return match ? match[1].trim() : '';
+};
+
+// Undo quoted-printable soft line breaks so URLs and headers split across lines can be matched
+const unwrapQuotedPrintable = (text) => text.replace(/=\r?\n/g, '').replace(/=3D/gi, '=');
+
+/**
+ * Whether a raw message is a bounce / delivery status notification
+ */
+const isBounceMessage = (raw) => {
+  if (!raw) return false;
+  const headers = getHeaderBlock(raw);
+  const contentType = getHeader(headers, 'Content-Type');
+  if (/multipart\/report/i.test(contentType) && /report-type\s*=\s*"?delivery-status/i.test(contentType)) {
+    return true;
+  }
+  const from = getHeader(headers, 'From');
+  const subject = getHeader(headers, 'Subject');
+  return BOUNCE_SENDER_PATTERN.test(from) && (BOUNCE_SUBJECT_PATTERN.test(subject) || /delivery-status/i.test(raw));
+};
+
+const stripAddressType = (value) => value.replace(/^[a-z0-9-]+;\s*/i, '').replace(/[<>]/g, '').trim().toLowerCase();
+
+/**
+ * Pull the useful fields out of a bounce
+ * Returns { recipient, action, status, reason, trackingId, originalMessageId, bounceMessageId, permanent }
+ */
+const parseBounce = (raw) => {
+  const text = unwrapQuotedPrintable(raw || '');
+  const field = (name) => {
+    const match = text.match(new RegExp(`^${name}:[ \\t]*(.*(?:\\r?\\n[ \\t]+.*)*)`, 'im'));
+    return match ? match[1].replace(/\r?\n[ \t]+/g, ' ').trim() : '';
+  };
+
+  const recipient = stripAddressType(field('Final-Recipient') || field('Original-Recipient') || field('X-Failed-Recipients'));
+  const action = field('Action').toLowerCase();
+  const status = field('Status');
+  const diagnostic = field('Diagnostic-Code').replace(/^smtp;\s*/i, '');
+
+  let trackingId = null;
+  for (const pattern of TRACKING_ID_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) {
+      trackingId = match[1].toLowerCase();
+      break;
+    }
+  }
+
+  // Message-ID of the returned message (the bounce's own Message-ID is in its top header block)
+  const ownMessageId = getHeader(getHeaderBlock(text), 'Message-ID');
+  const messageIds = [...text.matchAll(/^Message-ID:[ \t]*(<[^>]+>)/gim)].map(m => m[1]);
+  const originalMessageId = messageIds.find(id => id !== ownMessageId) || null;
+
+  const subject = getHeader(getHeaderBlock(text), 'Subject');
+  return {
+    recipient: recipient || null,
+    action: action || null,
+    status: status || null,
+    reason: diagnostic || (status ? `Delivery failed (status ${status})` : (subject || 'Delivery failed')),
+    trackingId,
+    originalMessageId,
+    bounceMessageId: ownMessageId || null,
+    // No Action field (non-standard bounces from mailer-daemon) counts as a failure; 4.x.x status is temporary
+    permanent: (!action || action === 'failed') && !/^4\./.test(status || '')
+  };
+};
+
+// The Email a bounce reports on
+const findBouncedEmail = async (prisma, bounce) => {
+  if (bounce.originalMessageId) {
+    const email = await prisma.email.findUnique({
+      where: { messageId: bounce.originalMessageId },
+      include: { candidate: true }
+    });
+    if (email) return email;
+  }
+
+  if (bounce.trackingId) {
+    const email = await prisma.email.findUnique({
+      where: { trackingId: bounce.trackingId },
+      include: { candidate: true }
+    });
+    if (email) return email;
+  }
+
+  // Fallback: the newest email to the address - unless it already bounced (an older, delivered
+  // email must never be marked BOUNCED by a report that can't be matched exactly)
+  if (bounce.recipient) {
+    const latest = await prisma.email.findFirst({
+      where: {
+        direction: 'OUTBOUND',
+        status: { in: [...SENT_STATUSES, 'BOUNCED'] },
+        candidate: { email: { equals: bounce.recipient, mode: 'insensitive' } }
+      },
+      include: { candidate: true },
+      orderBy: { sentAt: 'desc' }
+    });
+    return latest && latest.status !== 'BOUNCED' ? latest : null;
+  }
+  return null;
+};
+
+/**
+ * Record a bounce from the monitored mailbox
+ * Returns { email, candidate, taskCreated } when a bounce was recorded, null when the message was
+ * skipped (not a permanent failure, no matching email, or already recorded)
+ */
+const processBounce = async (prisma, raw) => {
+  const bounce = parseBounce(raw);
+
+  if (bounce.bounceMessageId) {
+    const seen = await prisma.email.findUnique({ where: { bounceMessageId: bounce.bounceMessageId } });
+    if (seen) return null;
+  }
+
+  if (!bounce.permanent) {
+    logger.info(`⏭️ Skipping delivery notice (${bounce.action || 'unknown action'}, status ${bounce.status || 'n/a'}) - not a permanent failure`);
+    return null;
+  }
+
+  const email = await findBouncedEmail(prisma, bounce);
+  if (!email) {
+    logger.info(`⏭️ Bounce for ${bounce.recipient || 'unknown recipient'} doesn't match any sent email`);
+    return null;
+  }
+  if (email.status === 'BOUNCED') {
+    return null;
+  }
+
+  const candidate = email.candidate;
+  const bouncedAddress = bounce.recipient || candidate.email;
+  const now = new Date();
+
+  // Conditional update - another instance reading the same mailbox may be recording this bounce too
+  const { count } = await prisma.email.updateMany({
+    where: { id: email.id, status: { not: 'BOUNCED' } },
+    data: {
+      status: 'BOUNCED',
+      bouncedAt: now,
+      bounceMessageId: bounce.bounceMessageId,
+      errorMessage: bounce.reason
+    }
+  });
+  if (count === 0) {
+    return null;
+  }
+
+  // Only flag the candidate when the bounce was for their address (not a CC or a changed address)
+  const candidateAddressBounced = bouncedAddress.toLowerCase() === candidate.email.toLowerCase();
+  if (candidateAddressBounced) {
+    await prisma.candidate.update({
+      where: { id: candidate.id },
+      data: {
+        emailInvalid: true,
+        emailInvalidReason: bounce.reason,
+        emailInvalidAt: now
+      }
+    });
+  }
+
+  await prisma.activityLog.create({
+    data: {
+      candidateId: candidate.id,
+      action: 'EMAIL_BOUNCED',
+      description: `❌ Email "${email.subject}" bounced: ${bounce.reason}`,
+      metadata: {
+        emailId: email.id,
+        recipient: bouncedAddress,
+        status: bounce.status,
+        originalMessageId: bounce.originalMessageId,
+        bounceMessageId: bounce.bounceMessageId
+      }
+    }
+  });
+
+  let taskCreated = false;
+  if (candidateAddressBounced) {
+    const openTask = await prisma.task.findFirst({
+      where: {
+        candidateId: candidate.id,
+        type: TASK_TYPE,
+        status: { in: ['PENDING', 'IN_PROGRESS'] }
+      }
+    });
+
+    if (!openTask) {
+      await prisma.task.create({
+        data: {
+          candidateId: candidate.id,
+          type: TASK_TYPE,
+          title: `Fix email address for ${candidate.firstName} ${candidate.lastName}`,
+          description: `📧 "${email.subject}" could not be delivered to ${bouncedAddress}.\n\nReason: ${bounce.reason}\n\nPlease confirm the candidate's email address, update it on their profile and resend the email.`,
+          dueDate: now,
+          status: 'PENDING',
+          metadata: {
+            emailId: email.id,
+            bouncedAddress,
+            reason: bounce.reason,
+            priority: 'HIGH'
+          }
+        }
+      });
+      taskCreated = true;
+    }
+  }
+
+  logger.warn(`📭 Email ${email.id} (${email.type}) to ${bouncedAddress} bounced: ${bounce.reason}`);
+  return { email, candidate, taskCreated };
+};
+
+module.exports = {
+  isBounceMessage,
+  parseBounce,
+  processBounce
+};
@@ -0,0 +1,147 @@
+const logger = require('../utils/logger');
+
+/**
+ * Business-day and holiday calendar for scheduling
+ *
+ * Settings live in WorkflowConfig (managed in Settings > Business Calendar):
+ * - business_working_days: comma-separated days of the week that are worked (0 = Sunday ... 6 = Saturday)
+ * - business_roll_rule: "forward" or "backward" - where a slot that falls on a non-working day moves to
+ * - business_day_offsets: "true" to count step offsets (dueDateOffset) in business days instead of calendar days
+ * Holidays are stored in the Holiday table (recurring holidays repeat every year on the same month/day).
+ *
+ * Dates are compared by their local calendar day, the same components the schedulers use to build
+ * the scheduled date string.
+ */
+
+const DEFAULT_WORKING_DAYS = [1, 2, 3, 4, 5]; // Monday - Friday
+const ROLL_RULES = ['forward', 'backward'];
+const CONFIG_KEYS = ['business_working_days', 'business_roll_rule', 'business_day_offsets'];
+
+// Safety limit when searching for a working day (a year of non-working days means a misconfiguration)
+const MAX_DAYS_SEARCHED = 366;
+
+// Format a date as YYYY-MM-DD using local components
+const toDateKey = (date) => {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+// Holiday dates are stored as DATE columns (UTC midnight) - read them back as YYYY-MM-DD
+const holidayDateKey = (holidayDate) => new Date(holidayDate).toISOString().slice(0, 10);
+
+const parseWorkingDays = (value) => {
+  if (!value) return DEFAULT_WORKING_DAYS;
+  const days = String(value)
+    .split(',')
+    .map(day => parseInt(day.trim(), 10))
+    .filter(day => !isNaN(day) && day >= 0 && day <= 6);
+  return days.length > 0 ? [...new Set(days)].sort((a, b) => a - b) : DEFAULT_WORKING_DAYS;
+};
+
+/**
+ * Load the business calendar (working week, roll rule and holidays)
+ * Falls back to a Monday - Friday week with no holidays if the settings can't be read
+ */
+const getBusinessCalendar = async (prisma) => {
+  let configMap = {};
+  let holidays = [];
+  try {
+    const [configs, holidayRows] = await Promise.all([
+      prisma.workflowConfig.findMany({ where: { key: { in: CONFIG_KEYS } } }),
+      prisma.holiday.findMany({ orderBy: { date: 'asc' } })
+    ]);
+    configs.forEach(c => { configMap[c.key] = c.value; });
+    holidays = holidayRows;
+  } catch (error) {
+    logger.warn('⚠️ Failed to load business calendar, using defaults:', error.message);
+  }
+
+  const holidayDates = new Set();
+  const recurringDates = new Set();
+  holidays.forEach(holiday => {
+    const key = holidayDateKey(holiday.date);
+    if (holiday.recurring) {
+      recurringDates.add(key.slice(5)); // MM-DD
+    } else {
+      holidayDates.add(key);
+    }
+  });
+
+  return {
+    workingDays: parseWorkingDays(configMap.business_working_days),
+    rollRule: ROLL_RULES.includes(configMap.business_roll_rule) ? configMap.business_roll_rule : 'forward',
+    businessDayOffsets: configMap.business_day_offsets !== 'false',
+    holidays,
+    holidayDates,
+    recurringDates
+  };
+};
+
+/**
+ * Check if a date is a working day (a working weekday that is not a holiday)
+ */
+const isWorkingDay = (calendar, date) => {
+  if (!calendar.workingDays.includes(date.getDay())) return false;
+  const key = toDateKey(date);
+  return !calendar.holidayDates.has(key) && !calendar.recurringDates.has(key.slice(5));
+};
+
+/**
+ * Move a date to the nearest working day in the given direction (keeps the time of day)
+ * direction defaults to the calendar's roll rule
+ */
+const rollToWorkingDay = (calendar, date, direction = calendar.rollRule) => {
+  const rolled = new Date(date);
+  const step = direction === 'backward' ? -1 : 1;
+  for (let i = 0; i < MAX_DAYS_SEARCHED && !isWorkingDay(calendar, rolled); i++) {
+    rolled.setDate(rolled.getDate() + step);
+  }
+  return rolled;
+};
+
+/**
+ * Apply a step's day offset to a base date (DOJ or offer letter date)
+ * - Business-day offsets skip weekends and holidays (e.g. +1 from Friday is Monday)
+ * - Calendar-day offsets add days as before
+ * Either way, a result that lands on a non-working day is rolled by the calendar's roll rule
+ * Returns a new Date with the base date's time of day
+ */
+const addScheduleOffset = (calendar, baseDate, offsetDays = 0) => {
+  const result = new Date(baseDate);
+  const offset = parseInt(offsetDays, 10) || 0;
+
+  if (calendar.businessDayOffsets && offset !== 0) {
+    const step = offset > 0 ? 1 : -1;
+    let remaining = Math.abs(offset);
+    for (let i = 0; remaining > 0 && i < MAX_DAYS_SEARCHED * 2; i++) {
+      result.setDate(result.getDate() + step);
+      if (isWorkingDay(calendar, result)) remaining--;
+    }
+    return result;
+  }
+
+  result.setDate(result.getDate() + offset);
+  return rollToWorkingDay(calendar, result);
+};
+
+/**
+ * Snooze a due date by N hours - if it lands on a non-working day it moves forward to the next working day
+ */
+const snoozeDueDate = (calendar, from, hours = 24) => {
+  const snoozed = new Date(from);
+  snoozed.setHours(snoozed.getHours() + (parseInt(hours, 10) || 0));
+  return rollToWorkingDay(calendar, snoozed, 'forward');
+};
+
+module.exports = {
+  DEFAULT_WORKING_DAYS,
+  ROLL_RULES,
+  parseWorkingDays,
+  getBusinessCalendar,
+  isWorkingDay,
+  rollToWorkingDay,
+  addScheduleOffset,
+  snoozeDueDate
+};
@@ -1,6 +1,7 @@
 const { google } = require('googleapis');
 const logger = require('../utils/logger');
 const emailService = require('./emailService');
+const timezoneService = require('./timezoneService');
 
 // Initialize Google Calendar API
 const oauth2Client = new google.auth.OAuth2(
@@ -15,6 +16,15 @@ oauth2Client.setCredentials({
 
 const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
 
+// Calendar client using the current GOOGLE_REFRESH_TOKEN - it is loaded from the database on startup
+// and can be replaced from Settings after this module has loaded
+const getCalendar = () => {
+  if (oauth2Client.credentials.refresh_token !== process.env.GOOGLE_REFRESH_TOKEN) {
+    oauth2Client.setCredentials({ refresh_token: process.env.GOOGLE_REFRESH_TOKEN });
+  }
+  return calendar;
+};
+
 // Helper to get company config (for HR email)
 const getCompanyConfig = async (prisma) => {
   try {
@@ -35,8 +45,13 @@ const getCompanyConfig = async (prisma) => {
 };
 
 // Helper to create calendar event
+// eventData.timeZone = the candidate's timezone (defaults to the company timezone)
 const createGoogleEvent = async (eventData, prisma = null) => {
   try {
+    const timeZone = eventData.timeZone ||
+      (prisma ? await timezoneService.getCompanyTimezone(prisma) : timezoneService.DEFAULT_TIMEZONE);
+
+
     // Get HR email from database if prisma is provided
     let hrEmail = null;
     let calendarId = 'primary'; // Default to OAuth account's primary calendar
@@ -60,11 +75,11 @@ const createGoogleEvent = async (eventData, prisma = null) => {
       description: eventData.description,
       start: {
         dateTime: eventData.startTime.toISOString(),
-        timeZone: 'Asia/Kolkata'
+        timeZone
       },
       end: {
         dateTime: eventData.endTime.toISOString(),
-        timeZone: 'Asia/Kolkata'
+        timeZone
       },
       attendees: eventData.attendees?.map(email => ({ email })) || [],
       conferenceData: eventData.createMeet ? {
@@ -93,7 +108,7 @@ const createGoogleEvent = async (eventData, prisma = null) => {
     // Try to create event in HR email's calendar, fallback to primary if it fails
     let response;
     try {
-      response = await calendar.events.insert({
+      response = await getCalendar().events.insert({
         calendarId: calendarId,
         resource: event,
         conferenceDataVersion: eventData.createMeet ? 1 : 0,
@@ -104,7 +119,7 @@ const createGoogleEvent = async (eventData, prisma = null) => {
       // If using HR email as calendarId fails, fallback to 'primary'
       if (calendarId !== 'primary' && calendarError.code === 404) {
         logger.warn(`Calendar ${calendarId} not accessible, using 'primary' calendar instead`);
-        response = await calendar.events.insert({
+        response = await getCalendar().events.insert({
           calendarId: 'primary',
           resource: event,
           conferenceDataVersion: eventData.createMeet ? 1 : 0,
@@ -124,15 +139,15 @@ const createGoogleEvent = async (eventData, prisma = null) => {
   }
 };
 
-// Create HR Induction (Day 0 at 9:30 AM)
+// Create HR Induction (Day 0 at 9:30 AM in the candidate's timezone)
 const createHRInduction = async (prisma, candidate) => {
   const joiningDate = candidate.actualJoiningDate || candidate.expectedJoiningDate || new Date();
+  const timeZone = await timezoneService.resolveCandidateTimezone(prisma, candidate);
   
-  const startTime = new Date(joiningDate);
-  startTime.setHours(9, 30, 0, 0);
+  const startTime = timezoneService.zonedTimeToDate(timezoneService.getCalendarDateKey(joiningDate), '09:30', timeZone);
   
   const endTime = new Date(startTime);
-  endTime.setHours(10, 30, 0, 0);
+  endTime.setMinutes(endTime.getMinutes() + 60);
 
   const eventData = {
     title: `HR Induction - ${candidate.firstName} ${candidate.lastName}`,
@@ -140,6 +155,7 @@ const createHRInduction = async (prisma, candidate) => {
     startTime,
     endTime,
     attendees: [candidate.email],
+    timeZone,
     createMeet: true
   };
 
@@ -183,6 +199,7 @@ const createCEOInduction = async (prisma, candidate, dateTime, meetingLink = nul
   const startTime = new Date(dateTime);
   const endTime = new Date(startTime);
   endTime.setMinutes(endTime.getMinutes() + 45);
+  const timeZone = await timezoneService.resolveCandidateTimezone(prisma, candidate);
 
   const eventData = {
     title: `CEO Induction - ${candidate.firstName} ${candidate.lastName}`,
@@ -190,6 +207,7 @@ const createCEOInduction = async (prisma, candidate, dateTime, meetingLink = nul
     startTime,
     endTime,
     attendees: [candidate.email],
+    timeZone,
     createMeet: !meetingLink
   };
 
@@ -224,6 +242,7 @@ const createSalesInduction = async (prisma, candidate, dateTime, meetingLink = n
   const startTime = new Date(dateTime);
   const endTime = new Date(startTime);
   endTime.setHours(endTime.getHours() + 1);
+  const timeZone = await timezoneService.resolveCandidateTimezone(prisma, candidate);
 
   const eventData = {
     title: `Sales Induction with Brunda - ${candidate.firstName} ${candidate.lastName}`,
@@ -231,6 +250,7 @@ const createSalesInduction = async (prisma, candidate, dateTime, meetingLink = n
     startTime,
     endTime,
     attendees: [candidate.email],
+    timeZone,
     createMeet: !meetingLink
   };
 
@@ -262,15 +282,16 @@ const createSalesInduction = async (prisma, candidate, dateTime, meetingLink = n
 
 // Create Check-in Call
 const createCheckInCall = async (prisma, candidate, dateTime = null) => {
+  const timeZone = await timezoneService.resolveCandidateTimezone(prisma, candidate);
+
   // Default to 7 days after joining
   let startTime;
   if (dateTime) {
     startTime = new Date(dateTime);
   } else {
-    const joiningDate = candidate.actualJoiningDate || candidate.expectedJoiningDate;
-    startTime = new Date(joiningDate);
-    startTime.setDate(startTime.getDate() + 7);
-    startTime.setHours(15, 0, 0, 0); // 3 PM default
+    const checkinDate = new Date(candidate.actualJoiningDate || candidate.expectedJoiningDate);
+    checkinDate.setDate(checkinDate.getDate() + 7);
+    startTime = timezoneService.zonedTimeToDate(timezoneService.getCalendarDateKey(checkinDate), '15:00', timeZone); // 3 PM default
   }
 
   const endTime = new Date(startTime);
@@ -282,6 +303,7 @@ const createCheckInCall = async (prisma, candidate, dateTime = null) => {
     startTime,
     endTime,
     attendees: [candidate.email],
+    timeZone,
     createMeet: true
   };
 
@@ -325,7 +347,8 @@ const createCheckInCall = async (prisma, candidate, dateTime = null) => {
 // Reschedule event
 const rescheduleEvent = async (prisma, eventId, newStartTime, newEndTime) => {
   const event = await prisma.calendarEvent.findUnique({
-    where: { id: eventId }
+    where: { id: eventId },
+    include: { candidate: { include: { office: true } } }
   });
 
   if (!event) {
@@ -335,17 +358,19 @@ const rescheduleEvent = async (prisma, eventId, newStartTime, newEndTime) => {
   // Update Google Calendar if synced
   if (event.googleEventId) {
     try {
-      await calendar.events.patch({
+      const timeZone = timezoneService.getCandidateTimezone(event.candidate, await timezoneService.getCompanyTimezone(prisma));
+
+      await getCalendar().events.patch({
         calendarId: 'primary',
         eventId: event.googleEventId,
         resource: {
           start: {
             dateTime: newStartTime.toISOString(),
-            timeZone: 'Asia/Kolkata'
+            timeZone
           },
           end: {
             dateTime: newEndTime.toISOString(),
-            timeZone: 'Asia/Kolkata'
+            timeZone
           }
         },
         sendUpdates: 'all'
@@ -381,7 +406,7 @@ const cancelEvent = async (prisma, eventId) => {
   // Cancel in Google Calendar
   if (event.googleEventId) {
     try {
-      await calendar.events.delete({
+      await getCalendar().events.delete({
         calendarId: 'primary',
         eventId: event.googleEventId,
         sendUpdates: 'all'
@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+/**
+ * Encrypted config secrets
+ *
+ * Secret WorkflowConfig values (SECRET_CONFIG_KEYS) and SenderIdentity credentials are stored with
+ * envelope encryption: each value is encrypted with its own random data key (AES-256-GCM), and the
+ * data key is encrypted ("wrapped") with the master key from CONFIG_ENCRYPTION_KEY. Stored values look like
+ *   enc:v1:<key id>:<wrapped data key>:<encrypted value>
+ * The value is bound to where it is stored (the config key, e.g. 'smtp_pass') so it can't be copied
+ * into another setting.
+ *
+ * Rotation: set the new master key in CONFIG_ENCRYPTION_KEY, move the old one to
+ * CONFIG_ENCRYPTION_PREVIOUS_KEYS (comma separated) and run `npm run encrypt-secrets` - only the data
+ * keys are re-wrapped. Once it reports nothing left under old keys, the old key can be removed.
+ *
+ * Values that aren't encrypted (rows saved before this, or with no master key set) are read as-is;
+ * `npm run encrypt-secrets` encrypts them.
+ */
+
+const SECRET_CONFIG_KEYS = ['smtp_pass', 'imap_pass', 'ses_secret_access_key', 'google_refresh_token'];
+
+// SenderIdentity columns holding secrets - encrypted under the context 'senderIdentity.<field>'
+const SECRET_IDENTITY_FIELDS = ['smtpPass', 'googleRefreshToken'];
+
+const PREFIX = 'enc:v1:';
+const REDACTED = '********';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+let warnedNoKey = false;
+
+const isSecretKey = (key) => SECRET_CONFIG_KEYS.includes(key);
+
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(PREFIX);
+
+// 32-byte key from base64 or hex
+const parseKey = (raw) => {
+  const value = (raw || '').trim();
+  if (!value) return null;
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== 32) {
+    throw new Error('Config encryption keys must be 32 bytes, base64 or hex encoded (e.g. `openssl rand -base64 32`)');
+  }
+  return key;
+};
+
+const keyId = (key) => crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+
+const getCurrentKey = () => parseKey(process.env.CONFIG_ENCRYPTION_KEY);
+
+// Current and previous master keys by id - previous keys are only used to decrypt
+const getKeyring = () => {
+  const keys = {};
+  const current = getCurrentKey();
+  if (current) keys[keyId(current)] = current;
+  (process.env.CONFIG_ENCRYPTION_PREVIOUS_KEYS || '').split(',').forEach(raw => {
+    const key = parseKey(raw);
+    if (key) keys[keyId(key)] = key;
+  });
+  return keys;
+};
+
+const isEncryptionConfigured = () => !!getCurrentKey();
+
+// iv | tag | ciphertext, base64url
+const seal = (key, plaintext, aad) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64url');
+};
+
+const open = (key, sealed, aad) => {
+  const data = Buffer.from(sealed, 'base64url');
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, data.subarray(0, IV_LENGTH));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+  return Buffer.concat([decipher.update(data.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+};
+
+const parseEncrypted = (value) => {
+  const [id, wrappedKey, payload] = value.slice(PREFIX.length).split(':');
+  if (!id || !wrappedKey || !payload) throw new Error('Malformed encrypted value');
+  return { id, wrappedKey, payload };
+};
+
+/**
+ * Encrypt a secret for storage under `context` (the config key / identity field)
+ * With no master key configured the value is stored as-is, with a warning.
+ */
+const encryptValue = (value, context) => {
+  if (value === null || value === undefined || value === '' || isEncrypted(value)) return value;
+
+  const masterKey = getCurrentKey();
+  if (!masterKey) {
+    if (!warnedNoKey) {
+      logger.warn('⚠️ CONFIG_ENCRYPTION_KEY is not set - email passwords and tokens are stored unencrypted');
+      warnedNoKey = true;
+    }
+    return value;
+  }
+
+  const dataKey = crypto.randomBytes(32);
+  const wrappedKey = seal(masterKey, dataKey, `key:${context}`);
+  const payload = seal(dataKey, Buffer.from(String(value), 'utf8'), context);
+  return `${PREFIX}${keyId(masterKey)}:${wrappedKey}:${payload}`;
+};
+
+/**
+ * Decrypt a stored secret - unencrypted values are returned as-is
+ * Throws when the value was encrypted with a master key that isn't configured.
+ */
+const decryptValue = (value, context) => {
+  if (!isEncrypted(value)) return value;
+
+  const { id, wrappedKey, payload } = parseEncrypted(value);
+  const masterKey = getKeyring()[id];
+  if (!masterKey) {
+    throw new Error(`Cannot decrypt ${context}: master key ${id} is not in CONFIG_ENCRYPTION_KEY or CONFIG_ENCRYPTION_PREVIOUS_KEYS`);
+  }
+  const dataKey = open(masterKey, wrappedKey, `key:${context}`);
+  return open(dataKey, payload, context).toString('utf8');
+};
+
+/**
+ * Decrypt, logging and returning null on failure - for callers that carry on without the secret
+ */
+const safeDecrypt = (value, context) => {
+  try {
+    return decryptValue(value, context);
+  } catch (error) {
+    logger.error(`❌ ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Re-wrap an encrypted value's data key under the current master key (rotation)
+ * Returns the new stored value, or null when it's already under the current key.
+ */
+const rewrapValue = (value, context) => {
+  const masterKey = getCurrentKey();
+  if (!masterKey) throw new Error('CONFIG_ENCRYPTION_KEY is not set');
+  if (!isEncrypted(value)) return encryptValue(value, context);
+
+  const { id, wrappedKey, payload } = parseEncrypted(value);
+  const currentId = keyId(masterKey);
+  if (id === currentId) return null;
+
+  const oldKey = getKeyring()[id];
+  if (!oldKey) {
+    throw new Error(`Cannot re-wrap ${context}: master key ${id} is not in CONFIG_ENCRYPTION_PREVIOUS_KEYS`);
+  }
+  const dataKey = open(oldKey, wrappedKey, `key:${context}`);
+  return `${PREFIX}${currentId}:${seal(masterKey, dataKey, `key:${context}`)}:${payload}`;
+};
+
+/**
+ * Config rows as a key/value map with secrets decrypted - keys: only these keys (all when omitted)
+ */
+const getConfigMap = async (prisma, keys = null) => {
+  const configs = await prisma.workflowConfig.findMany(keys ? { where: { key: { in: keys } } } : undefined);
+  return configs.reduce((acc, config) => {
+    acc[config.key] = isSecretKey(config.key) ? safeDecrypt(config.value, config.key) : config.value;
+    return acc;
+  }, {});
+};
+
+const getConfigValue = async (prisma, key) => {
+  const config = await prisma.workflowConfig.findUnique({ where: { key } });
+  if (!config) return null;
+  return isSecretKey(key) ? safeDecrypt(config.value, key) : config.value;
+};
+
+/**
+ * Upsert a config row, encrypting secret keys
+ */
+const setConfigValue = (prisma, key, value) => {
+  const stored = isSecretKey(key) ? encryptValue(value, key) : value;
+  return prisma.workflowConfig.upsert({
+    where: { key },
+    update: { value: stored },
+    create: { key, value: stored }
+  });
+};
+
+/**
+ * Use the Google refresh token saved in Settings (google_refresh_token) over GOOGLE_REFRESH_TOKEN in .env
+ */
+const loadGoogleRefreshToken = async (prisma) => {
+  const token = await getConfigValue(prisma, 'google_refresh_token');
+  if (!token) return false;
+  process.env.GOOGLE_REFRESH_TOKEN = token;
+  return true;
+};
+
+/**
+ * Config map for API responses - secrets replaced with REDACTED (empty stays empty)
+ */
+const redactConfig = (configMap) => Object.fromEntries(
+  Object.entries(configMap).map(([key, value]) => [key, isSecretKey(key) && value ? REDACTED : value])
+);
+
+// Identity data for prisma - secret fields encrypted
+const encryptIdentitySecrets = (data) => {
+  const encrypted = { ...data };
+  SECRET_IDENTITY_FIELDS.forEach(field => {
+    if (encrypted[field]) encrypted[field] = encryptValue(encrypted[field], `senderIdentity.${field}`);
+  });
+  return encrypted;
+};
+
+// Identity from prisma with secret fields decrypted (null if they can't be)
+const decryptIdentitySecrets = (identity) => {
+  if (!identity) return identity;
+  const decrypted = { ...identity };
+  SECRET_IDENTITY_FIELDS.forEach(field => {
+    if (decrypted[field]) decrypted[field] = safeDecrypt(decrypted[field], `senderIdentity.${field}`);
+  });
+  return decrypted;
+};
+
+module.exports = {
+  SECRET_CONFIG_KEYS,
+  SECRET_IDENTITY_FIELDS,
+  REDACTED,
+  isSecretKey,
+  isEncrypted,
+  isEncryptionConfigured,
+  encryptValue,
+  decryptValue,
+  rewrapValue,
+  getConfigMap,
+  getConfigValue,
+  setConfigValue,
+  loadGoogleRefreshToken,
+  redactConfig,
+  encryptIdentitySecrets,
+  decryptIdentitySecrets
+};
@@ -0,0 +1,359 @@
+const path = require('path');
+const fs = require('fs');
+const logger = require('../utils/logger');
+
+/**
+ * Document library
+ *
+ * Files HR sends over and over (policies, the handbook, ...) are uploaded once as Documents and
+ * attached by reference: EmailTemplate.documentIds go out with every email from the template,
+ * DepartmentStepTemplate.documentIds with that step's email on top. Uploading a new file adds a
+ * DocumentVersion - templates and steps always pick up the latest version, and archived (inactive)
+ * documents are no longer attached.
+ *
+ * The versions an email attaches are pinned on Email.documentVersionIds when it is sent (or deferred /
+ * queued), so a deferred email goes out with the files it was rendered with and the email history
+ * shows exactly which version a candidate received.
+ */
+
+const UPLOADS_DIR = path.join(__dirname, '../../uploads');
+const DOCUMENTS_DIR = path.join(UPLOADS_DIR, 'documents');
+
+const ALLOWED_EXTENSIONS = ['.pdf', '.doc', '.docx', '.xls', '.xlsx', '.ppt', '.pptx', '.txt', '.jpg', '.jpeg', '.png'];
+
+const trimOrNull = (value) => (value === undefined || value === null || String(value).trim() === '' ? null : String(value).trim());
+
+/**
+ * Tags from the API - an array or a comma-separated string, lowercased and deduplicated
+ */
+const normalizeTags = (input) => {
+  const tags = Array.isArray(input) ? input : String(input || '').split(',');
+  return [...new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+};
+
+// Path stored on a DocumentVersion (relative to uploads/, forward slashes)
+const toStoredPath = (filePath) => path.relative(UPLOADS_DIR, filePath).replace(/\\/g, '/');
+
+const latestVersion = (document) => (document.versions || []).reduce(
+  (latest, version) => (!latest || version.version > latest.version ? version : latest),
+  null
+);
+
+// Templates and steps that attach each document - { [documentId]: { templates: [...], steps: [...] } }
+const getUsage = async (prisma, documentIds) => {
+  const usage = {};
+  documentIds.forEach(id => { usage[id] = { templates: [], steps: [] }; });
+  if (documentIds.length === 0) return usage;
+
+  const [templates, steps] = await Promise.all([
+    prisma.emailTemplate.findMany({
+      where: { documentIds: { hasSome: documentIds } },
+      select: { id: true, name: true, documentIds: true }
+    }),
+    prisma.departmentStepTemplate.findMany({
+      where: { documentIds: { hasSome: documentIds } },
+      select: { id: true, department: true, stepNumber: true, title: true, documentIds: true }
+    })
+  ]);
+  templates.forEach(({ documentIds: ids, ...template }) => {
+    ids.forEach(id => usage[id]?.templates.push(template));
+  });
+  steps.forEach(({ documentIds: ids, ...step }) => {
+    ids.forEach(id => usage[id]?.steps.push(step));
+  });
+  return usage;
+};
+
+const toPublicDocument = (document, usage) => ({
+  ...document,
+  latestVersion: latestVersion(document),
+  usedBy: usage[document.id] || { templates: [], steps: [] }
+});
+
+/**
+ * Library documents, newest first - filter by search (name / description), tag and archived
+ */
+const listDocuments = async (prisma, { search, tag, includeInactive = false } = {}) => {
+  const documents = await prisma.document.findMany({
+    where: {
+      ...(!includeInactive && { isActive: true }),
+      ...(tag && { tags: { has: String(tag).toLowerCase() } }),
+      ...(search && {
+        OR: [
+          { name: { contains: search, mode: 'insensitive' } },
+          { description: { contains: search, mode: 'insensitive' } }
+        ]
+      })
+    },
+    include: { versions: { orderBy: { version: 'desc' }, take: 1 } },
+    orderBy: { updatedAt: 'desc' }
+  });
+  const usage = await getUsage(prisma, documents.map(d => d.id));
+  return documents.map(document => toPublicDocument(document, usage));
+};
+
+/**
+ * Every tag in use, for the library filter
+ */
+const listTags = async (prisma) => {
+  const documents = await prisma.document.findMany({ select: { tags: true } });
+  return [...new Set(documents.flatMap(d => d.tags))].sort();
+};
+
+/**
+ * A document with its full version history - null when not found
+ */
+const getDocument = async (prisma, id) => {
+  const document = await prisma.document.findUnique({
+    where: { id },
+    include: {
+      versions: {
+        orderBy: { version: 'desc' },
+        include: { uploadedBy: { select: { id: true, name: true } } }
+      }
+    }
+  });
+  if (!document) return null;
+  const usage = await getUsage(prisma, [document.id]);
+  return toPublicDocument(document, usage);
+};
+
+// Validate name / description / tags / isActive - returns { error } or { data }
+const buildDocumentData = async (prisma, input, existing = null) => {
+  const data = {};
+  const has = (field) => input[field] !== undefined;
+
+  if (!existing || has('name')) {
+    data.name = trimOrNull(input.name);
+    if (!data.name) return { error: 'Name is required' };
+    if (data.name !== existing?.name) {
+      const duplicate = await prisma.document.findUnique({ where: { name: data.name } });
+      if (duplicate) return { error: `A document named "${data.name}" already exists` };
+    }
+  }
+  if (has('description')) data.description = trimOrNull(input.description);
+  if (has('tags')) data.tags = normalizeTags(input.tags);
+  if (has('isActive')) data.isActive = input.isActive === true || input.isActive === 'true';
+  return { data };
+};
+
+const versionData = (file, note, userId) => ({
+  fileName: file.originalname,
+  filePath: toStoredPath(file.path),
+  mimeType: file.mimetype || null,
+  size: file.size ?? null,
+  note: trimOrNull(note),
+  uploadedById: userId || null
+});
+
+// Remove an uploaded file that didn't make it into the library
+const discardUpload = (file) => {
+  if (!file?.path) return;
+  fs.promises.unlink(file.path).catch(() => {});
+};
+
+/**
+ * Create a document from its first file - returns { error } or { document }
+ */
+const createDocument = async (prisma, input, file, userId = null) => {
+  if (!file) return { error: 'A file is required' };
+
+  const { error, data } = await buildDocumentData(prisma, input);
+  if (error) {
+    discardUpload(file);
+    return { error };
+  }
+
+  const document = await prisma.document.create({
+    data: {
+      ...data,
+      versions: { create: { version: 1, ...versionData(file, input.note, userId) } }
+    }
+  });
+  logger.info(`📄 Document created: ${document.name} (${file.originalname})`);
+  return { document: await getDocument(prisma, document.id) };
+};
+
+/**
+ * Upload a new version of a document - returns { error }, { notFound: true } or { document }
+ */
+const addVersion = async (prisma, id, file, note = null, userId = null) => {
+  if (!file) return { error: 'A file is required' };
+
+  const existing = await prisma.document.findUnique({
+    where: { id },
+    include: { versions: { orderBy: { version: 'desc' }, take: 1 } }
+  });
+  if (!existing) {
+    discardUpload(file);
+    return { notFound: true };
+  }
+
+  const version = (existing.versions[0]?.version || 0) + 1;
+  await prisma.documentVersion.create({
+    data: { documentId: id, version, ...versionData(file, note, userId) }
+  });
+  // Touch the document so it moves to the top of the library
+  await prisma.document.update({ where: { id }, data: { updatedAt: new Date() } });
+
+  logger.info(`📄 Document ${existing.name}: version ${version} uploaded (${file.originalname})`);
+  return { document: await getDocument(prisma, id) };
+};
+
+/**
+ * Update a document's details - returns { error }, { notFound: true } or { document }
+ */
+const updateDocument = async (prisma, id, input) => {
+  const existing = await prisma.document.findUnique({ where: { id } });
+  if (!existing) return { notFound: true };
+
+  const { error, data } = await buildDocumentData(prisma, input, existing);
+  if (error) return { error };
+
+  await prisma.document.update({ where: { id }, data });
+  return { document: await getDocument(prisma, id) };
+};
+
+/**
+ * Delete a document and its files - returns { error }, { notFound: true } or { deleted: true }
+ * Documents still attached by templates / steps, or pinned on emails waiting to go out, can only be archived.
+ */
+const deleteDocument = async (prisma, id) => {
+  const document = await prisma.document.findUnique({ where: { id }, include: { versions: true } });
+  if (!document) return { notFound: true };
+
+  const usage = (await getUsage(prisma, [id]))[id];
+  const usedBy = usage.templates.length + usage.steps.length;
+  if (usedBy > 0) {
+    return { error: `"${document.name}" is attached by ${usage.templates.length} template(s) and ${usage.steps.length} step(s) - remove it there first, or archive it` };
+  }
+
+  const pending = await prisma.email.count({
+    where: {
+      status: { in: ['PENDING', 'SENDING'] },
+      documentVersionIds: { hasSome: document.versions.map(v => v.id) }
+    }
+  });
+  if (pending > 0) {
+    return { error: `"${document.name}" is attached to ${pending} email(s) waiting to be sent - archive it instead` };
+  }
+
+  await prisma.document.delete({ where: { id } });
+  document.versions.forEach(version => {
+    fs.promises.unlink(path.join(UPLOADS_DIR, version.filePath)).catch(() => {});
+  });
+  logger.info(`🗑️ Document deleted: ${document.name} (${document.versions.length} version(s))`);
+  return { deleted: true };
+};
+
+/**
+ * Check the documentIds a template / step attaches - returns { documentIds } (undefined = not given)
+ * or { error }
+ */
+const validateDocumentIds = async (prisma, documentIds) => {
+  if (documentIds === undefined) return { documentIds: undefined };
+  if (documentIds === null) return { documentIds: [] };
+  if (!Array.isArray(documentIds)) return { error: 'documentIds must be a list' };
+
+  const ids = [...new Set(documentIds.map(String).filter(Boolean))];
+  if (ids.length === 0) return { documentIds: [] };
+
+  const found = await prisma.document.findMany({ where: { id: { in: ids } }, select: { id: true } });
+  if (found.length !== ids.length) return { error: 'One or more attached documents were not found' };
+  return { documentIds: ids };
+};
+
+/**
+ * Latest version ids of the active documents among documentIds (in the given order)
+ */
+const resolveDocumentVersionIds = async (prisma, documentIds = []) => {
+  const ids = [...new Set((documentIds || []).filter(Boolean))];
+  if (ids.length === 0) return [];
+
+  const documents = await prisma.document.findMany({
+    where: { id: { in: ids }, isActive: true },
+    include: { versions: { orderBy: { version: 'desc' }, take: 1 } }
+  });
+  const versionIdByDocument = {};
+  documents.forEach(document => {
+    if (document.versions[0]) versionIdByDocument[document.id] = document.versions[0].id;
+  });
+  return ids.map(id => versionIdByDocument[id]).filter(Boolean);
+};
+
+/**
+ * Version ids for an email - its template's documents (via templateRevisionId), then the step's
+ */
+const getEmailDocumentVersionIds = async (prisma, { templateRevisionId = null, documentIds = [] } = {}) => {
+  let templateDocumentIds = [];
+  if (templateRevisionId) {
+    const revision = await prisma.emailTemplateRevision.findUnique({
+      where: { id: templateRevisionId },
+      select: { template: { select: { documentIds: true } } }
+    });
+    templateDocumentIds = revision?.template?.documentIds || [];
+  }
+  return resolveDocumentVersionIds(prisma, [...templateDocumentIds, ...(documentIds || [])]);
+};
+
+/**
+ * Pin the template's documents on an email that doesn't have any yet
+ * Returns the record with documentVersionIds set (other fields and includes untouched)
+ */
+const pinEmailDocuments = async (prisma, emailRecord) => {
+  if (emailRecord.documentVersionIds?.length > 0 || !emailRecord.templateRevisionId) return emailRecord;
+
+  try {
+    const documentVersionIds = await getEmailDocumentVersionIds(prisma, { templateRevisionId: emailRecord.templateRevisionId });
+    if (documentVersionIds.length === 0) return emailRecord;
+
+    await prisma.email.update({ where: { id: emailRecord.id }, data: { documentVersionIds } });
+    return { ...emailRecord, documentVersionIds };
+  } catch (error) {
+    logger.warn(`Could not attach library documents to email ${emailRecord.id}:`, error.message);
+    return emailRecord;
+  }
+};
+
+/**
+ * Nodemailer attachments for the document versions pinned on an email
+ */
+const getDocumentAttachments = async (prisma, emailRecord) => {
+  const ids = emailRecord.documentVersionIds || [];
+  if (ids.length === 0) return [];
+
+  const versions = await prisma.documentVersion.findMany({ where: { id: { in: ids } } });
+  const attachments = [];
+  ids.forEach(id => {
+    const version = versions.find(v => v.id === id);
+    if (!version) return;
+    const filePath = path.normalize(path.join(UPLOADS_DIR, version.filePath));
+    if (fs.existsSync(filePath)) {
+      attachments.push({ filename: version.fileName, path: filePath });
+    } else {
+      logger.warn(`⚠️ Library document file not found: ${filePath}`);
+    }
+  });
+  if (attachments.length > 0) {
+    logger.info(`📎 Attaching ${attachments.length} library document(s)`);
+  }
+  return attachments;
+};
+
+module.exports = {
+  DOCUMENTS_DIR,
+  ALLOWED_EXTENSIONS,
+  normalizeTags,
+  listDocuments,
+  listTags,
+  getDocument,
+  createDocument,
+  addVersion,
+  updateDocument,
+  deleteDocument,
+  validateDocumentIds,
+  resolveDocumentVersionIds,
+  getEmailDocumentVersionIds,
+  pinEmailDocuments,
+  getDocumentAttachments
+};
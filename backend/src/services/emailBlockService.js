@@ -0,0 +1,106 @@
+/**
+ * Visual email builder blocks
+ *
+ * Templates edited in the block editor store their blocks in EmailTemplate.blocks and the body is
+ * compiled from them on save, so sending and the template engine keep working on plain HTML.
+ * Text in blocks may contain placeholders and logic ({{firstName}}, {{#if ...}}) - everything
+ * outside {{ }} is HTML-escaped, and text blocks support **bold**, *italic* and [label](url) links.
+ */
+
+const BLOCK_TYPES = ['heading', 'text', 'button', 'image', 'list', 'divider', 'spacer', 'html'];
+
+const DEFAULT_BUTTON_COLOR = '#4F46E5';
+const MAX_BLOCKS = 200;
+
+// Escape HTML outside template tags so {{#if department == "Sales"}} keeps its quotes
+const escapeText = (text) => String(text ?? '')
+  .split(/({{[\s\S]*?}})/)
+  .map((part, i) => (i % 2 === 1
+    ? part
+    : part.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')))
+  .join('');
+
+const UNSAFE_URL = /^\s*(javascript|vbscript|data):/i;
+
+// Attribute values (URLs) - placeholders are allowed, javascript: URLs are not
+const escapeAttribute = (value) => {
+  const text = String(value ?? '').trim();
+  return UNSAFE_URL.test(text) ? '#' : escapeText(text);
+};
+
+// Inline formatting for text blocks: **bold**, *italic*, [label](url), line breaks
+// (applied after escaping, so link URLs are already escaped)
+const formatInline = (text) => escapeText(text)
+  .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => `<a href="${UNSAFE_URL.test(url) ? '#' : url}">${label}</a>`)
+  .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+  .replace(/\*([^*]+)\*/g, '<em>$1</em>')
+  .replace(/\r?\n/g, '<br>');
+
+const getAlign = (align) => (['left', 'center', 'right'].includes(align) ? align : 'left');
+
+const getColor = (color, fallback) => (/^#[0-9a-fA-F]{3,8}$/.test(color || '') ? color : fallback);
+
+const BLOCK_RENDERERS = {
+  heading: (block) => {
+    const level = [1, 2, 3].includes(Number(block.level)) ? Number(block.level) : 2;
+    const size = { 1: 24, 2: 20, 3: 16 }[level];
+    return `<h${level} style="margin:0 0 12px;font-size:${size}px;text-align:${getAlign(block.align)};">${escapeText(block.text)}</h${level}>`;
+  },
+  text: (block) => `<p style="margin:0 0 12px;line-height:1.6;text-align:${getAlign(block.align)};">${formatInline(block.text)}</p>`,
+  button: (block, options) => {
+    const color = getColor(block.color, options.buttonColor || DEFAULT_BUTTON_COLOR);
+    return `<p style="margin:16px 0;text-align:${getAlign(block.align || 'center')};">` +
+      `<a href="${escapeAttribute(block.url)}" style="display:inline-block;padding:12px 24px;background:${color};color:#ffffff;text-decoration:none;border-radius:6px;font-weight:600;">` +
+      `${escapeText(block.label || 'Open')}</a></p>`;
+  },
+  image: (block) => {
+    if (!block.src) return '';
+    const width = Math.min(Math.max(Number(block.width) || 100, 10), 100);
+    return `<p style="margin:0 0 12px;text-align:${getAlign(block.align || 'center')};">` +
+      `<img src="${escapeAttribute(block.src)}" alt="${escapeText(block.alt)}" style="max-width:${width}%;height:auto;" /></p>`;
+  },
+  list: (block) => {
+    const items = (Array.isArray(block.items) ? block.items : String(block.items || '').split('\n'))
+      .filter(item => String(item).trim() !== '');
+    if (items.length === 0) return '';
+    const tag = block.ordered ? 'ol' : 'ul';
+    return `<${tag} style="margin:0 0 12px;padding-left:24px;line-height:1.6;">${items.map(item => `<li>${formatInline(item)}</li>`).join('')}</${tag}>`;
+  },
+  divider: () => '<hr style="border:none;border-top:1px solid #e5e7eb;margin:20px 0;" />',
+  spacer: (block) => `<div style="height:${Math.min(Math.max(Number(block.height) || 16, 4), 120)}px;"></div>`,
+  // Raw HTML - for content the other blocks can't express (and bodies converted from the HTML editor)
+  html: (block) => String(block.html || '')
+};
+
+/**
+ * Check blocks from the editor - returns an error message or null
+ */
+const validateBlocks = (blocks) => {
+  if (!Array.isArray(blocks)) return 'blocks must be an array';
+  if (blocks.length > MAX_BLOCKS) return `A template can have at most ${MAX_BLOCKS} blocks`;
+  for (let i = 0; i < blocks.length; i++) {
+    const block = blocks[i];
+    if (!block || typeof block !== 'object' || !BLOCK_TYPES.includes(block.type)) {
+      return `Block ${i + 1} has an unknown type: ${block?.type}`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Compile blocks to the HTML body stored on the template
+ * options.buttonColor - default button colour (the company's primary UI colour)
+ */
+const renderBlocks = (blocks, options = {}) => {
+  if (!Array.isArray(blocks)) return '';
+  // Joined without newlines - sending turns newlines in the body into <br>
+  return blocks
+    .map(block => (BLOCK_RENDERERS[block?.type] ? BLOCK_RENDERERS[block.type](block, options) : ''))
+    .join('');
+};
+
+module.exports = {
+  BLOCK_TYPES,
+  validateBlocks,
+  renderBlocks
+};
@@ -0,0 +1,227 @@
+const logger = require('../utils/logger');
+const templateEngine = require('./templateEngine');
+
+/**
+ * Branded email layout
+ *
+ * Every outgoing email body is wrapped in one shared layout (header with the company logo, UI
+ * colours, footer with HR contact details), so templates only hold their own content.
+ * The layout is stored in WorkflowConfig:
+ *   email_layout_enabled - 'false' turns the layout off for all emails
+ *   email_layout_html    - custom layout (template syntax, must contain {{content}}); empty = built-in layout
+ *   email_layout_footer  - extra footer text
+ * Templates can opt out with EmailTemplate.useLayout (e.g. templates that are full HTML documents).
+ * Every send also gets a plain-text alternative generated from the final HTML.
+ */
+
+const LAYOUT_CONFIG_KEYS = ['email_layout_enabled', 'email_layout_html', 'email_layout_footer'];
+const BRAND_CONFIG_KEYS = [
+  'company_name', 'company_logo_path', 'company_address',
+  'hr_name', 'hr_email', 'hr_phone',
+  'ui_primary_color', 'ui_secondary_color'
+];
+
+const DEFAULT_LAYOUT_HTML = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>{{subject | escape}}</title>
+</head>
+<body style="margin:0;padding:0;background:#f3f4f6;font-family:Arial,Helvetica,sans-serif;color:#1f2937;">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f3f4f6;padding:24px 0;">
+<tr><td align="center">
+<table role="presentation" width="600" cellpadding="0" cellspacing="0" style="max-width:600px;width:100%;background:#ffffff;border-radius:8px;overflow:hidden;">
+<tr><td style="background:{{primaryColor}};padding:20px 24px;text-align:center;">
+{{#if logoUrl}}<img src="{{logoUrl}}" alt="{{companyName | escape}}" style="max-height:48px;" />{{else}}<span style="color:#ffffff;font-size:20px;font-weight:bold;">{{companyName | escape}}</span>{{/if}}
+</td></tr>
+<tr><td style="padding:24px;font-size:15px;line-height:1.6;">{{content}}</td></tr>
+<tr><td style="background:#f9fafb;border-top:3px solid {{secondaryColor}};padding:16px 24px;font-size:12px;color:#6b7280;text-align:center;">
+{{#if footerText}}<p style="margin:0 0 8px;">{{footerText | escape}}</p>{{/if}}
+<p style="margin:0;">{{hrName | escape}}{{#if hrEmail}} · <a href="mailto:{{hrEmail}}" style="color:{{primaryColor}};">{{hrEmail | escape}}</a>{{/if}}{{#if hrPhone}} · {{hrPhone | escape}}{{/if}}</p>
+{{#if companyAddress}}<p style="margin:4px 0 0;">{{companyAddress | escape}}</p>{{/if}}
+<p style="margin:4px 0 0;">© {{year}} {{companyName | escape}}</p>
+</td></tr>
+</table>
+</td></tr>
+</table>
+</body>
+</html>`;
+
+// Placeholders available in a custom layout
+const LAYOUT_PLACEHOLDERS = [
+  { key: '{{content}}', description: 'The email body (required)' },
+  { key: '{{subject}}', description: 'Email subject' },
+  { key: '{{companyName}}', description: 'Company name' },
+  { key: '{{logoUrl}}', description: 'Company logo URL (empty when no logo is uploaded)' },
+  { key: '{{primaryColor}}', description: 'Primary UI colour' },
+  { key: '{{secondaryColor}}', description: 'Secondary UI colour' },
+  { key: '{{hrName}}', description: 'HR name' },
+  { key: '{{hrEmail}}', description: 'HR email' },
+  { key: '{{hrPhone}}', description: 'HR phone' },
+  { key: '{{companyAddress}}', description: 'Company address' },
+  { key: '{{footerText}}', description: 'Footer text from the layout settings' },
+  { key: '{{year}}', description: 'Current year' }
+];
+
+// Public URL for uploaded files (the logo) - emails are read outside the app, so it must be absolute
+const getUploadsBaseUrl = () => {
+  const baseUrl = (process.env.API_URL || process.env.BACKEND_URL || 'http://localhost:5000').replace(/\/+$/, '').replace(/\/api$/, '');
+  return `${baseUrl}/api/uploads`;
+};
+
+/**
+ * Layout settings and brand values (logo, colours, HR contact) from WorkflowConfig
+ */
+const getLayoutSettings = async (prisma) => {
+  const configs = await prisma.workflowConfig.findMany({
+    where: { key: { in: [...LAYOUT_CONFIG_KEYS, ...BRAND_CONFIG_KEYS] } }
+  });
+  const configMap = {};
+  configs.forEach(c => { configMap[c.key] = c.value; });
+
+  return {
+    enabled: configMap.email_layout_enabled !== 'false',
+    html: configMap.email_layout_html || null,
+    footerText: configMap.email_layout_footer || '',
+    brand: {
+      companyName: configMap.company_name || process.env.COMPANY_NAME || 'Company',
+      logoUrl: configMap.company_logo_path ? `${getUploadsBaseUrl()}/${configMap.company_logo_path}` : '',
+      primaryColor: configMap.ui_primary_color || '#4F46E5',
+      secondaryColor: configMap.ui_secondary_color || '#7C3AED',
+      hrName: configMap.hr_name || process.env.HR_NAME || 'HR Team',
+      hrEmail: configMap.hr_email || process.env.HR_EMAIL || '',
+      hrPhone: configMap.hr_phone || process.env.HR_PHONE || '',
+      companyAddress: configMap.company_address || process.env.COMPANY_ADDRESS || ''
+    }
+  };
+};
+
+/**
+ * Check a custom layout - returns a list of problems ({ message, line, column })
+ */
+const validateLayout = (html) => {
+  const errors = templateEngine.validateTemplate(html);
+  if (!/{{\s*content\s*}}/.test(html)) {
+    errors.push({ message: 'The layout must contain {{content}} where the email body goes', line: null, column: null });
+  }
+  return errors;
+};
+
+/**
+ * Save layout settings (only the keys given)
+ */
+const saveLayoutSettings = async (prisma, { enabled, html, footerText }) => {
+  const values = {};
+  if (enabled !== undefined) values.email_layout_enabled = enabled ? 'true' : 'false';
+  if (html !== undefined) values.email_layout_html = html || '';
+  if (footerText !== undefined) values.email_layout_footer = footerText || '';
+
+  for (const [key, value] of Object.entries(values)) {
+    await prisma.workflowConfig.upsert({
+      where: { key },
+      update: { value },
+      create: { key, value }
+    });
+  }
+  return getLayoutSettings(prisma);
+};
+
+// Bodies that are already complete HTML documents aren't wrapped again
+const isFullDocument = (html) => /<html[\s>]/i.test(html || '');
+
+/**
+ * Wrap an email body in the layout
+ */
+const wrapInLayout = (content, settings, { subject = '' } = {}) => {
+  const context = {
+    ...settings.brand,
+    content,
+    subject,
+    footerText: settings.footerText,
+    year: new Date().getFullYear()
+  };
+  return templateEngine.renderTemplate(settings.html || DEFAULT_LAYOUT_HTML, context);
+};
+
+const decodeEntities = (text) => text
+  .replace(/&nbsp;/gi, ' ')
+  .replace(/&lt;/gi, '<')
+  .replace(/&gt;/gi, '>')
+  .replace(/&quot;/gi, '"')
+  .replace(/&#39;|&apos;/gi, "'")
+  .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+  .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+  .replace(/&amp;/gi, '&');
+
+const stripTags = (html) => html.replace(/<[^>]+>/g, '');
+
+/**
+ * Plain-text version of an HTML email (links become "label (url)", lists become "- item")
+ */
+const htmlToText = (html) => {
+  const text = String(html || '')
+    .replace(/<(head|style|script|title)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<a\s[^>]*href=["']([^"']*)["'][^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+      const labelText = decodeEntities(stripTags(label)).trim();
+      const url = decodeEntities(href).replace(/^mailto:/i, '');
+      if (!labelText || labelText === url) return url;
+      return href.startsWith('#') ? labelText : `${labelText} (${url})`;
+    })
+    .replace(/<img[^>]*>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<hr[^>]*>/gi, '\n----------------------------------------\n')
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<\/(p|div|h[1-6]|tr|table|ul|ol|blockquote)>/gi, '\n\n')
+    .replace(/<\/td>/gi, ' ');
+
+  return decodeEntities(stripTags(text))
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+// Whether the template an email was rendered from uses the layout (emails without a template do)
+const templateUsesLayout = async (prisma, templateRevisionId) => {
+  if (!templateRevisionId) return true;
+  const revision = await prisma.emailTemplateRevision.findUnique({
+    where: { id: templateRevisionId },
+    select: { template: { select: { useLayout: true } } }
+  });
+  return revision?.template?.useLayout !== false;
+};
+
+/**
+ * Final HTML and plain-text alternative for an outgoing email
+ * content is the rendered body as HTML; options: { subject, useLayout, templateRevisionId, settings }
+ * Never blocks a send - falls back to the unwrapped body if the layout can't be applied
+ */
+const buildEmailMessage = async (prisma, content, options = {}) => {
+  let html = content;
+  try {
+    const useLayout = options.useLayout !== undefined
+      ? options.useLayout
+      : await templateUsesLayout(prisma, options.templateRevisionId);
+    const settings = options.settings || await getLayoutSettings(prisma);
+
+    if (settings.enabled && useLayout && !isFullDocument(content)) {
+      html = wrapInLayout(content, settings, { subject: options.subject });
+    }
+  } catch (error) {
+    logger.warn('⚠️ Could not apply the email layout - sending the body without it:', error.message);
+  }
+  return { html, text: htmlToText(html) };
+};
+
+module.exports = {
+  DEFAULT_LAYOUT_HTML,
+  LAYOUT_PLACEHOLDERS,
+  getLayoutSettings,
+  validateLayout,
+  saveLayoutSettings,
+  wrapInLayout,
+  htmlToText,
+  buildEmailMessage
+};
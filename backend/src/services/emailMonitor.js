@@ -2,6 +2,12 @@ const { google } = require('googleapis');
 const fs = require('fs').promises;
 const path = require('path');
 const logger = require('../utils/logger');
+const bounceService = require('./bounceService');
+const emailThreadService = require('./emailThreadService');
+const emailLayoutService = require('./emailLayoutService');
+const senderIdentityService = require('./senderIdentityService');
+const configSecretService = require('./configSecretService');
+const schedulerLeaseService = require('./schedulerLeaseService');
 
 // Conditionally require IMAP packages (only if available)
 let Imap = null;
@@ -32,6 +38,35 @@ let useImap = false;
 let imapEmail = null;
 let gmailCheckInterval = null; // Store interval ID so we can clear it
 let imapCheckInterval = null; // Store interval ID so we can clear it
+// Gmail message ids / IMAP uids already handled as bounces - only saves re-reading them; after a restart
+// bounceService skips reports it has recorded (Email.bounceMessageId)
+const processedBounceIds = new Set();
+
+const processedInboundIds = new Set(); // Gmail message ids / IMAP uids already checked for candidate replies
+let identityCheckInterval = null;
+let isCheckingIdentities = false;
+let monitoredIdentityEmails = []; // Sender identity inboxes watched in the last check
+// "<identity id>:<gmail id / imap uid>" already handled - only saves re-reading them; after a restart
+// messages are read again and skipped where it matters (bounces by Email.bounceMessageId, replies by
+// Message-ID, signed offers once offerSignedAt is set)
+const processedIdentityMessageIds = new Set();
+
+// Bounces are looked for in mail from the last few days
+const BOUNCE_LOOKBACK_DAYS = 7;
+// Candidate replies are picked up from mail of the last few days (older ones are stored already)
+const INBOUND_LOOKBACK_DAYS = 3;
+// Sender identity inboxes are checked less often than the main mailbox (one login per identity per check)
+const IDENTITY_CHECK_INTERVAL_MS = 2 * 60 * 1000;
+
+// SCHEDULER LEASE: Mailbox checks run on the scheduler leader only - with several instances each reply,
+// bounce and signed offer would otherwise be handled once per instance
+const runIfLeader = async (check) => {
+  if (!(await schedulerLeaseService.acquireLease(prisma))) {
+    logger.debug('⏭️ [MONITOR] Skipping mailbox check - another instance holds the scheduler lease');
+    return;
+  }
+  await check();
+};
 
 // ============================================================
 // AUTOMATIC EMAIL REPLY DETECTION USING GMAIL API
@@ -44,6 +79,9 @@ const initEmailMonitor = async (prismaClient) => {
   logger.info('📧 ========================================');
   logger.info('📧 INITIALIZING EMAIL MONITOR');
   logger.info('📧 ========================================');
+
+  // SENDER IDENTITIES: Their inboxes are watched whichever method the main mailbox uses
+  startIdentityMonitor();
   
   // Check which email provider/monitoring method was selected
   let emailProvider = null;
@@ -118,9 +156,11 @@ const initGmailApiMonitor = async () => {
     // Start monitoring - check every 30 seconds for faster capture
       gmailCheckInterval = setInterval(async () => {
         try {
-          logger.info('📧 [SCHEDULED CHECK] Starting automatic email check for signed offer letters...');
-          await checkForReplies();
-          logger.info('📧 [SCHEDULED CHECK] Email check completed');
+          await runIfLeader(async () => {
+            logger.info('📧 [SCHEDULED CHECK] Starting automatic email check for signed offer letters...');
+            await checkForReplies();
+            logger.info('📧 [SCHEDULED CHECK] Email check completed');
+          });
         } catch (error) {
           logger.error('📧 [SCHEDULED CHECK] Error during automatic email check:', error.message);
         }
@@ -128,7 +168,7 @@ const initGmailApiMonitor = async () => {
       
       // Initial check
       logger.info('📧 [INITIAL CHECK] Running initial email check for signed offer letters...');
-      await checkForReplies();
+      await runIfLeader(checkForReplies);
       
       logger.info('📧 ========================================');
       logger.info('📧 ✅ EMAIL MONITORING ACTIVE (Gmail API)');
@@ -148,7 +188,7 @@ const initGmailApiMonitor = async () => {
       logger.warn('📧 ========================================');
       logger.info('📧 To fix Gmail API:');
       logger.info('   1. Generate new refresh token (see FIX_EXPIRED_GMAIL_TOKEN.md)');
-      logger.info('   2. Update GOOGLE_REFRESH_TOKEN in .env file');
+      logger.info('   2. Save it in Settings (Email Monitoring) or GOOGLE_REFRESH_TOKEN in .env file');
       logger.info('   3. Restart backend: pm2 restart hr-onboarding-backend');
       logger.warn('📧 ========================================');
       gmail = null; // Ensure gmail is null if initialization failed
@@ -159,16 +199,9 @@ const initGmailApiMonitor = async () => {
 const initImapMonitor = async () => {
   try {
     // Get IMAP credentials from database
-    const imapConfigs = await prisma.workflowConfig.findMany({
-      where: {
-        key: {
-          in: ['imap_enabled', 'imap_host', 'imap_user', 'imap_pass', 'imap_port', 'imap_secure']
-        }
-      }
-    });
-    
-    const configMap = {};
-    imapConfigs.forEach(c => { configMap[c.key] = c.value; });
+    const configMap = await configSecretService.getConfigMap(prisma, [
+      'imap_enabled', 'imap_host', 'imap_user', 'imap_pass', 'imap_port', 'imap_secure'
+    ]);
     
     const imapEnabled = configMap.imap_enabled === 'true';
     const imapHost = configMap.imap_host;
@@ -249,9 +282,11 @@ const initImapMonitor = async () => {
     // Start monitoring - check every 30 seconds
     imapCheckInterval = setInterval(async () => {
       try {
-        logger.info('📧 [SCHEDULED CHECK] Starting automatic email check for signed offer letters (IMAP)...');
-        await checkForRepliesImap();
-        logger.info('📧 [SCHEDULED CHECK] Email check completed (IMAP)');
+        await runIfLeader(async () => {
+          logger.info('📧 [SCHEDULED CHECK] Starting automatic email check for signed offer letters (IMAP)...');
+          await checkForRepliesImap();
+          logger.info('📧 [SCHEDULED CHECK] Email check completed (IMAP)');
+        });
       } catch (error) {
         logger.error('📧 [SCHEDULED CHECK] Error during automatic email check (IMAP):', error.message);
       }
@@ -259,7 +294,7 @@ const initImapMonitor = async () => {
     
     // Initial check
     logger.info('📧 [INITIAL CHECK] Running initial email check for signed offer letters (IMAP)...');
-    await checkForRepliesImap();
+    await runIfLeader(checkForRepliesImap);
     
     logger.info('✅ Email reply monitor initialized (IMAP)');
     logger.info('📧 Automatic email detection is ACTIVE - checking every 30 seconds');
@@ -300,16 +335,9 @@ const ensureImapConnection = async () => {
   // Reconnect IMAP (without reinitializing the interval)
   try {
     // Get IMAP credentials from database
-    const imapConfigs = await prisma.workflowConfig.findMany({
-      where: {
-        key: {
-          in: ['imap_enabled', 'imap_host', 'imap_user', 'imap_pass', 'imap_port', 'imap_secure']
-        }
-      }
-    });
-    
-    const configMap = {};
-    imapConfigs.forEach(c => { configMap[c.key] = c.value; });
+    const configMap = await configSecretService.getConfigMap(prisma, [
+      'imap_enabled', 'imap_host', 'imap_user', 'imap_pass', 'imap_port', 'imap_secure'
+    ]);
     
     const imapEnabled = configMap.imap_enabled === 'true';
     const imapHost = configMap.imap_host;
@@ -403,29 +431,6 @@ const checkForRepliesImap = async () => {
   isProcessing = true;
   
   try {
-    // Get all candidates waiting for signed offers
-    const candidates = await prisma.candidate.findMany({
-      where: {
-        offerSentAt: { not: null },
-        offerSignedAt: null
-      },
-      select: {
-        id: true,
-        email: true,
-        firstName: true,
-        lastName: true,
-        offerSentAt: true,
-        status: true
-      }
-    });
-
-    if (candidates.length === 0) {
-      logger.debug('📧 No candidates waiting for signed offers');
-      return;
-    }
-
-    logger.info(`📧 [IMAP AUTO-CHECK] Checking emails for ${candidates.length} candidate(s)`);
-
     // Check connection state before opening inbox
     if (imapClient.state !== 'authenticated') {
       logger.warn(`⚠️ IMAP connection state is "${imapClient.state}", attempting to reconnect...`);
@@ -464,6 +469,34 @@ const checkForRepliesImap = async () => {
       throw openError; // Re-throw to be caught by outer catch
     }
 
+    // BOUNCES: Delivery failures are picked up whether or not anyone is waiting on a signed offer
+    await checkForBouncesImap();
+    // THREADS: Every reply from a candidate is stored as part of its conversation
+    await checkForInboundMessagesImap();
+
+    // Get all candidates waiting for signed offers
+    const candidates = await prisma.candidate.findMany({
+      where: {
+        offerSentAt: { not: null },
+        offerSignedAt: null
+      },
+      select: {
+        id: true,
+        email: true,
+        firstName: true,
+        lastName: true,
+        offerSentAt: true,
+        status: true
+      }
+    });
+
+    if (candidates.length === 0) {
+      logger.debug('📧 No candidates waiting for signed offers');
+      return;
+    }
+
+    logger.info(`📧 [IMAP AUTO-CHECK] Checking emails for ${candidates.length} candidate(s)`);
+
     let totalProcessed = 0;
     for (const candidate of candidates) {
       try {
@@ -585,6 +618,117 @@ const checkForRepliesImap = async () => {
   }
 };
 
+// IMAP SINCE date (DD-MMM-YYYY) for a number of days ago
+const getImapSinceDate = (daysAgo) => {
+  const since = new Date();
+  since.setDate(since.getDate() - daysAgo);
+  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  return `${String(since.getDate()).padStart(2, '0')}-${months[since.getMonth()]}-${since.getFullYear()}`;
+};
+
+// Fetch whole raw messages by uid from the open IMAP inbox
+const fetchImapMessages = (uids, client = imapClient) => new Promise((resolve, reject) => {
+  const fetch = client.fetch(uids, { bodies: '' });
+  const fetched = [];
+  fetch.on('message', (msg) => {
+    let buffer = '';
+    let uid = null;
+    msg.once('attributes', (attrs) => { uid = attrs.uid; });
+    msg.on('body', (stream) => {
+      stream.on('data', (chunk) => { buffer += chunk.toString('utf8'); });
+    });
+    msg.once('end', () => fetched.push({ uid, raw: buffer }));
+  });
+  fetch.once('end', () => resolve(fetched));
+  fetch.once('error', reject);
+});
+
+// Find bounce reports (mailer-daemon / postmaster / DSN) in the open IMAP inbox and record them
+const checkForBouncesImap = async () => {
+  try {
+    const searchCriteria = [
+      ['SINCE', getImapSinceDate(BOUNCE_LOOKBACK_DAYS)],
+      ['OR', ['FROM', 'mailer-daemon'], ['OR', ['FROM', 'postmaster'], ['HEADER', 'Content-Type', 'delivery-status']]]
+    ];
+
+    const results = await new Promise((resolve, reject) => {
+      imapClient.search(searchCriteria, (err, uids) => (err ? reject(err) : resolve(uids || [])));
+    });
+
+    const newUids = results.filter(uid => !processedBounceIds.has(`imap:${uid}`));
+    if (newUids.length === 0) return;
+
+    const messages = await fetchImapMessages(newUids);
+
+    let recorded = 0;
+    for (const msg of messages) {
+      try {
+        if (bounceService.isBounceMessage(msg.raw) && await bounceService.processBounce(prisma, msg.raw)) {
+          recorded++;
+        }
+        processedBounceIds.add(`imap:${msg.uid}`);
+      } catch (error) {
+        logger.error(`❌ Error processing IMAP bounce ${msg.uid}:`, error.message);
+      }
+    }
+
+    if (recorded > 0) {
+      logger.info(`📭 [IMAP] Recorded ${recorded} bounced email(s)`);
+    }
+  } catch (error) {
+    logger.error('❌ Error checking for bounces (IMAP):', error.message);
+  }
+};
+
+// Store every recent message from a known candidate in the open IMAP inbox as a conversation reply
+const checkForInboundMessagesImap = async () => {
+  if (!simpleParser) return;
+  try {
+    const results = await new Promise((resolve, reject) => {
+      imapClient.search([['SINCE', getImapSinceDate(INBOUND_LOOKBACK_DAYS)]], (err, uids) => (err ? reject(err) : resolve(uids || [])));
+    });
+
+    const newUids = results.filter(uid => !processedInboundIds.has(`imap:${uid}`));
+    if (newUids.length === 0) return;
+
+    let stored = 0;
+    for (const msg of await fetchImapMessages(newUids)) {
+      try {
+        const parsed = await simpleParser(msg.raw);
+        const fromEmail = (parsed.from?.value[0]?.address || '').toLowerCase();
+        const references = Array.isArray(parsed.references) ? parsed.references.join(' ') : (parsed.references || '');
+        // A reply to one of our emails belongs to its candidate, else match the sender address
+        const repliedEmail = await emailThreadService.findEmailByHeaders(prisma, { inReplyTo: parsed.inReplyTo, references });
+        const candidate = repliedEmail?.candidate || (fromEmail
+          ? await prisma.candidate.findFirst({ where: { email: { equals: fromEmail, mode: 'insensitive' } } })
+          : null);
+
+        if (candidate) {
+          const email = await emailThreadService.recordInboundEmail(prisma, candidate, {
+            messageId: parsed.messageId || `<imap-${msg.uid}@${(imapEmail || 'inbox').split('@').pop()}>`,
+            inReplyTo: parsed.inReplyTo || '',
+            references,
+            subject: parsed.subject || '',
+            text: parsed.text || emailLayoutService.htmlToText(parsed.html || ''),
+            date: parsed.date,
+            fromEmail
+          });
+          if (email) stored++;
+        }
+        processedInboundIds.add(`imap:${msg.uid}`);
+      } catch (error) {
+        logger.error(`❌ Error storing IMAP message ${msg.uid}:`, error.message);
+      }
+    }
+
+    if (stored > 0) {
+      logger.info(`💬 [IMAP] Stored ${stored} candidate repl${stored === 1 ? 'y' : 'ies'}`);
+    }
+  } catch (error) {
+    logger.error('❌ Error checking for candidate replies (IMAP):', error.message);
+  }
+};
+
 const processMessageImap = async (emailData, candidate) => {
   if (!simpleParser) {
     logger.warn('📧 mailparser not available, cannot process IMAP email');
@@ -748,6 +892,11 @@ const checkForReplies = async (checkReadEmails = false) => {
   isProcessing = true;
   
   try {
+    // BOUNCES: Delivery failures are picked up whether or not anyone is waiting on a signed offer
+    await checkForBounces();
+    // THREADS: Every reply from a candidate is stored as part of its conversation
+    await checkForInboundMessages();
+
     // First, get all candidates who have been sent offers but haven't signed yet
     // Don't restrict by status - just check if offer was sent and not yet signed
     const candidates = await prisma.candidate.findMany({
@@ -859,6 +1008,118 @@ const checkForReplies = async (checkReadEmails = false) => {
   }
 };
 
+// Find bounce reports (mailer-daemon / postmaster / DSN) in the Gmail inbox and record them
+const checkForBounces = async () => {
+  try {
+    const response = await gmail.users.messages.list({
+      userId: 'me',
+      q: `newer_than:${BOUNCE_LOOKBACK_DAYS}d (from:mailer-daemon OR from:postmaster OR subject:"Delivery Status Notification" OR subject:undeliverable)`,
+      maxResults: 50
+    });
+
+    const messages = (response.data.messages || []).filter(msg => !processedBounceIds.has(`gmail:${msg.id}`));
+    let recorded = 0;
+    for (const msg of messages) {
+      try {
+        const message = await gmail.users.messages.get({ userId: 'me', id: msg.id, format: 'raw' });
+        const raw = Buffer.from(message.data.raw || '', 'base64url').toString('utf8');
+        if (bounceService.isBounceMessage(raw) && await bounceService.processBounce(prisma, raw)) {
+          recorded++;
+        }
+        processedBounceIds.add(`gmail:${msg.id}`);
+      } catch (error) {
+        logger.error(`❌ Error processing bounce ${msg.id}:`, error.message);
+      }
+    }
+
+    if (recorded > 0) {
+      logger.info(`📭 Recorded ${recorded} bounced email(s)`);
+    }
+  } catch (error) {
+    logger.error('❌ Error checking for bounces:', error.message);
+  }
+};
+
+// Plain text of a Gmail API message payload (text/plain part, else the HTML part as text)
+const getPayloadText = (payload) => {
+  const findPart = (part, mimeType) => {
+    if (!part) return null;
+    if (part.mimeType === mimeType && part.body?.data && !part.filename) return part.body.data;
+    for (const child of part.parts || []) {
+      const found = findPart(child, mimeType);
+      if (found) return found;
+    }
+    return null;
+  };
+  const decode = (data) => Buffer.from(data, 'base64url').toString('utf8');
+
+  const plain = findPart(payload, 'text/plain');
+  if (plain) return decode(plain);
+  const html = findPart(payload, 'text/html');
+  return html ? emailLayoutService.htmlToText(decode(html)) : '';
+};
+
+// Store every recent inbox message from a known candidate as a conversation reply
+const checkForInboundMessages = async () => {
+  try {
+    const response = await gmail.users.messages.list({
+      userId: 'me',
+      q: `in:inbox newer_than:${INBOUND_LOOKBACK_DAYS}d -from:me`,
+      maxResults: 50
+    });
+
+    const messages = (response.data.messages || []).filter(msg => !processedInboundIds.has(`gmail:${msg.id}`));
+    let stored = 0;
+    for (const msg of messages) {
+      try {
+        // Headers first - most mail in the inbox isn't from candidates
+        const meta = await gmail.users.messages.get({
+          userId: 'me',
+          id: msg.id,
+          format: 'metadata',
+          metadataHeaders: ['From', 'In-Reply-To', 'References']
+        });
+        const metaHeaders = meta.data.payload?.headers || [];
+        const metaHeader = (name) => metaHeaders.find(h => h.name.toLowerCase() === name)?.value || '';
+        const fromEmail = extractEmail(metaHeader('from'));
+        // A reply to one of our emails belongs to its candidate, else match the sender address
+        const repliedEmail = await emailThreadService.findEmailByHeaders(prisma, {
+          inReplyTo: metaHeader('in-reply-to'),
+          references: metaHeader('references')
+        });
+        const candidate = repliedEmail?.candidate || (fromEmail
+          ? await prisma.candidate.findFirst({ where: { email: { equals: fromEmail, mode: 'insensitive' } } })
+          : null);
+
+        if (candidate) {
+          const message = await gmail.users.messages.get({ userId: 'me', id: msg.id, format: 'full' });
+          const headers = message.data.payload.headers || [];
+          const header = (name) => headers.find(h => h.name.toLowerCase() === name)?.value || '';
+          const email = await emailThreadService.recordInboundEmail(prisma, candidate, {
+            messageId: header('message-id') || `<gmail-${msg.id}@mail.gmail.com>`,
+            inReplyTo: header('in-reply-to'),
+            references: header('references'),
+            subject: header('subject'),
+            text: getPayloadText(message.data.payload),
+            date: header('date') ? new Date(header('date')) : new Date(parseInt(message.data.internalDate, 10) || Date.now()),
+            fromEmail
+          });
+          if (email) stored++;
+        }
+        processedInboundIds.add(`gmail:${msg.id}`);
+      } catch (error) {
+        logger.error(`❌ Error storing message ${msg.id}:`, error.message);
+      }
+    }
+
+    if (stored > 0) {
+      logger.info(`💬 Stored ${stored} candidate repl${stored === 1 ? 'y' : 'ies'}`);
+    }
+  } catch (error) {
+    logger.error('❌ Error checking for candidate replies:', error.message);
+  }
+};
+
 // Manual check for specific email address
 const checkEmailForCandidate = async (emailAddress) => {
   if (!gmail) {
@@ -920,8 +1181,14 @@ const processMessage = async (messageId) => {
 
     logger.info(`Processing: From=${fromEmail}, Subject=${subject}, Date=${emailDate.toISOString()}`);
 
-    // Find candidate by email
-    const candidate = await prisma.candidate.findFirst({
+    // THREADS: A reply to one of our emails belongs to that email's candidate (even from another address)
+    const repliedEmail = await emailThreadService.findEmailByHeaders(prisma, { inReplyTo, references });
+    if (repliedEmail) {
+      logger.info(`🧵 Matched by thread headers to ${repliedEmail.type} email ${repliedEmail.id} (${repliedEmail.candidate.email})`);
+    }
+
+    // Otherwise find candidate by sender email
+    const candidate = repliedEmail?.candidate || await prisma.candidate.findFirst({
       where: { 
         email: fromEmail.toLowerCase()
       }
@@ -1209,10 +1476,184 @@ const extractEmail = (fromHeader) => {
   return match ? match[1].toLowerCase() : null;
 };
 
+// ============================================================
+// SENDER IDENTITY INBOXES
+// Every active sender identity with its own credentials (and monitorInbox on) has its inbox checked
+// for bounces, candidate replies and signed offers - the same handling as the main mailbox. Each
+// check logs in briefly (IMAP) or uses the identity's Gmail OAuth token, and reads the inbox read-only.
+// ============================================================
+
+const startIdentityMonitor = () => {
+  if (identityCheckInterval) {
+    clearInterval(identityCheckInterval);
+  }
+  identityCheckInterval = setInterval(() => {
+    runIfLeader(checkIdentityMailboxes).catch(error => {
+      logger.error('📧 [SCHEDULED CHECK] Error checking sender identity inboxes:', error.message);
+    });
+  }, IDENTITY_CHECK_INTERVAL_MS);
+
+  runIfLeader(checkIdentityMailboxes).catch(error => {
+    logger.error('📧 [INITIAL CHECK] Error checking sender identity inboxes:', error.message);
+  });
+};
+
+// Recent messages in an identity's IMAP inbox not handled yet: [{ id, raw }]
+const fetchIdentityMessagesImap = (identity) => new Promise((resolve, reject) => {
+  const client = new Imap({
+    user: identity.smtpUser,
+    password: identity.smtpPass,
+    host: identity.imapHost,
+    port: identity.imapPort || 993,
+    tls: identity.imapSecure,
+    tlsOptions: { rejectUnauthorized: false }, // Allow self-signed certificates
+    connTimeout: 30000,
+    authTimeout: 30000
+  });
+
+  let settled = false;
+  const finish = (error, messages) => {
+    if (settled) return;
+    settled = true;
+    try {
+      client.end();
+    } catch (endError) {
+      // Connection already gone
+    }
+    if (error) reject(error);
+    else resolve(messages);
+  };
+
+  client.once('error', (err) => finish(err));
+  client.once('ready', () => {
+    client.openBox('INBOX', true, (openError) => {
+      if (openError) return finish(openError);
+      client.search([['SINCE', getImapSinceDate(INBOUND_LOOKBACK_DAYS)]], (searchError, uids) => {
+        if (searchError) return finish(searchError);
+        const newUids = (uids || []).filter(uid => !processedIdentityMessageIds.has(`${identity.id}:imap:${uid}`));
+        if (newUids.length === 0) return finish(null, []);
+        fetchImapMessages(newUids, client)
+          .then(messages => finish(null, messages.map(msg => ({ id: `imap:${msg.uid}`, raw: msg.raw }))))
+          .catch(finish);
+      });
+    });
+  });
+  client.connect();
+});
+
+// Recent messages in an identity's Gmail inbox not handled yet: [{ id, raw }]
+const fetchIdentityMessagesGmail = async (identity) => {
+  const oauth2Client = new google.auth.OAuth2(
+    process.env.GOOGLE_CLIENT_ID,
+    process.env.GOOGLE_CLIENT_SECRET,
+    process.env.GOOGLE_REDIRECT_URI
+  );
+  oauth2Client.setCredentials({ refresh_token: identity.googleRefreshToken });
+  const identityGmail = google.gmail({ version: 'v1', auth: oauth2Client });
+
+  const response = await identityGmail.users.messages.list({
+    userId: 'me',
+    q: `in:inbox newer_than:${INBOUND_LOOKBACK_DAYS}d`,
+    maxResults: 100
+  });
+
+  const messages = [];
+  for (const { id } of response.data.messages || []) {
+    if (processedIdentityMessageIds.has(`${identity.id}:gmail:${id}`)) continue;
+    const full = await identityGmail.users.messages.get({ userId: 'me', id, format: 'raw' });
+    messages.push({ id: `gmail:${id}`, raw: Buffer.from(full.data.raw, 'base64url').toString('utf8') });
+  }
+  return messages;
+};
+
+// One message from an identity's inbox: a bounce, or a reply (and maybe a signed offer) from a candidate
+const processIdentityMessage = async (identity, msg) => {
+  // BOUNCES: Delivery failures for emails sent from this identity come back here
+  if (bounceService.isBounceMessage(msg.raw)) {
+    await bounceService.processBounce(prisma, msg.raw);
+    return;
+  }
+
+  const parsed = await simpleParser(msg.raw);
+  const fromEmail = (parsed.from?.value[0]?.address || '').toLowerCase();
+  const references = Array.isArray(parsed.references) ? parsed.references.join(' ') : (parsed.references || '');
+  // A reply to one of our emails belongs to its candidate, else match the sender address
+  const repliedEmail = await emailThreadService.findEmailByHeaders(prisma, { inReplyTo: parsed.inReplyTo, references });
+  const candidate = repliedEmail?.candidate || (fromEmail
+    ? await prisma.candidate.findFirst({ where: { email: { equals: fromEmail, mode: 'insensitive' } } })
+    : null);
+  if (!candidate) return;
+
+  // THREADS: Stored as part of the conversation, with the identity that received it
+  await emailThreadService.recordInboundEmail(prisma, candidate, {
+    messageId: parsed.messageId || `<${msg.id.replace(':', '-')}@${identity.email.split('@').pop()}>`,
+    inReplyTo: parsed.inReplyTo || '',
+    references,
+    subject: parsed.subject || '',
+    text: parsed.text || emailLayoutService.htmlToText(parsed.html || ''),
+    date: parsed.date,
+    fromEmail,
+    senderIdentityId: identity.id
+  });
+
+  // The signed offer goes back to whoever sent the offer letter
+  if (candidate.offerSentAt && !candidate.offerSignedAt) {
+    await processMessageImap({ raw: msg.raw }, candidate);
+  }
+};
+
+// Check every monitored sender identity's inbox once
+const checkIdentityMailboxes = async () => {
+  if (!prisma || isCheckingIdentities) return;
+  if (!simpleParser) {
+    logger.debug('📧 mailparser not available, skipping sender identity inboxes');
+    return;
+  }
+
+  isCheckingIdentities = true;
+  try {
+    const identities = (await senderIdentityService.getMonitoredIdentities(prisma))
+      // The main mailbox is checked already
+      .filter(identity => !imapEmail || (identity.smtpUser || '').toLowerCase() !== imapEmail.toLowerCase());
+    monitoredIdentityEmails = identities.map(identity => identity.email);
+
+    for (const identity of identities) {
+      let messages;
+      try {
+        if (identity.provider === 'gmail') {
+          messages = await fetchIdentityMessagesGmail(identity);
+        } else if (Imap) {
+          messages = await fetchIdentityMessagesImap(identity);
+        } else {
+          continue;
+        }
+      } catch (error) {
+        logger.error(`❌ Could not check inbox of sender identity ${identity.email}:`, error.message);
+        continue;
+      }
+
+      for (const msg of messages) {
+        try {
+          await processIdentityMessage(identity, msg);
+          processedIdentityMessageIds.add(`${identity.id}:${msg.id}`);
+        } catch (error) {
+          logger.error(`❌ Error processing message ${msg.id} in ${identity.email}:`, error.message);
+        }
+      }
+      if (messages.length > 0) {
+        logger.info(`📧 [IDENTITIES] Checked ${messages.length} new message(s) in ${identity.email}`);
+      }
+    }
+  } finally {
+    isCheckingIdentities = false;
+  }
+};
+
 // Manual trigger for testing
 const checkNow = async () => {
   logger.info('Manual email check triggered');
   await checkForReplies();
+  await checkIdentityMailboxes();
 };
 
 // Get email monitor status
@@ -1223,7 +1664,8 @@ const getEmailMonitorStatus = () => {
     hasGmail: !!gmail,
     hasImap: useImap && !!imapClient,
     method: useImap ? 'IMAP' : (gmail ? 'Gmail API' : 'None'),
-    email: useImap ? imapEmail : (gmail ? 'Gmail API' : null)
+    email: useImap ? imapEmail : (gmail ? 'Gmail API' : null),
+    senderIdentityInboxes: monitoredIdentityEmails
   };
 };
 
@@ -1244,6 +1686,10 @@ const reinitializeEmailMonitor = async () => {
     imapCheckInterval = null;
     logger.info('📧 Cleared existing IMAP check interval');
   }
+  if (identityCheckInterval) {
+    clearInterval(identityCheckInterval);
+    identityCheckInterval = null;
+  }
   
   // Close existing IMAP connection if any
   if (imapClient) {
@@ -1275,5 +1721,6 @@ module.exports = {
   checkEmailForCandidate,
   checkNow,
   getEmailMonitorStatus,
-  reinitializeEmailMonitor
+  reinitializeEmailMonitor,
+  checkIdentityMailboxes
 };
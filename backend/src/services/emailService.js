@@ -1,90 +1,17 @@
-const nodemailer = require('nodemailer');
 const path = require('path');
 const fs = require('fs');
 const logger = require('../utils/logger');
-
-// Helper to create transporter dynamically (uses database credentials if available, falls back to env)
-const createTransporter = async (prisma = null) => {
-  let smtpUser = process.env.SMTP_USER;
-  let smtpPass = process.env.SMTP_PASS;
-  let smtpHost = process.env.SMTP_HOST;
-  let smtpPort = process.env.SMTP_PORT;
-  let smtpSecure = process.env.SMTP_SECURE === 'true';
-  
-  // If prisma is provided, try to get SMTP credentials and settings from database (dynamic)
-  if (prisma) {
-    try {
-      const smtpConfigs = await prisma.workflowConfig.findMany({
-        where: {
-          key: {
-            in: ['smtp_user', 'smtp_pass', 'smtp_host', 'smtp_port', 'smtp_secure']
-          }
-        }
-      });
-      const smtpConfigMap = {};
-      smtpConfigs.forEach(c => { smtpConfigMap[c.key] = c.value; });
-      
-      if (smtpConfigMap.smtp_user) {
-        smtpUser = smtpConfigMap.smtp_user;
-      }
-      if (smtpConfigMap.smtp_pass) {
-        smtpPass = smtpConfigMap.smtp_pass;
-      }
-      if (smtpConfigMap.smtp_host) {
-        smtpHost = smtpConfigMap.smtp_host;
-      }
-      if (smtpConfigMap.smtp_port) {
-        smtpPort = smtpConfigMap.smtp_port;
-      }
-      if (smtpConfigMap.smtp_secure !== undefined) {
-        smtpSecure = smtpConfigMap.smtp_secure === 'true';
-      }
-    } catch (error) {
-      logger.warn('Could not fetch SMTP credentials from database, using env vars:', error.message);
-    }
-  }
-  
-  return nodemailer.createTransport({
-    host: smtpHost,
-    port: parseInt(smtpPort) || 587,
-    secure: smtpSecure,
-    auth: {
-      user: smtpUser,
-      pass: smtpPass
-    }
-  });
-};
-
-// Create default transporter (for backward compatibility and scheduler)
-const transporter = nodemailer.createTransport({
-  host: process.env.SMTP_HOST,
-  port: parseInt(process.env.SMTP_PORT),
-  secure: process.env.SMTP_SECURE === 'true',
-  auth: {
-    user: process.env.SMTP_USER,
-    pass: process.env.SMTP_PASS
-  }
-});
-
-// Verify transporter on startup
-transporter.verify((error, success) => {
-  if (error) {
-    logger.error('❌ SMTP Connection Error:', error);
-    logger.error('Please check your SMTP configuration in .env file:');
-    logger.error('  - SMTP_HOST:', process.env.SMTP_HOST || 'NOT SET');
-    logger.error('  - SMTP_PORT:', process.env.SMTP_PORT || 'NOT SET');
-    logger.error('  - SMTP_USER:', process.env.SMTP_USER ? 'SET' : 'NOT SET');
-    logger.error('  - SMTP_PASS:', process.env.SMTP_PASS ? 'SET' : 'NOT SET');
-    logger.error('  - EMAIL_FROM:', process.env.EMAIL_FROM || 'NOT SET');
-  } else {
-    logger.info('✅ SMTP Server ready and verified');
-    logger.info('SMTP Configuration:');
-    logger.info('  - Host:', process.env.SMTP_HOST);
-    logger.info('  - Port:', process.env.SMTP_PORT);
-    logger.info('  - User:', process.env.SMTP_USER);
-    logger.info('  - From:', process.env.EMAIL_FROM || process.env.SMTP_USER);
-  }
-});
+const timezoneService = require('./timezoneService');
+const templateEngine = require('./templateEngine');
+const templateRevisionService = require('./templateRevisionService');
+const languageService = require('./languageService');
+const emailLayoutService = require('./emailLayoutService');
+const sendWindowService = require('./sendWindowService');
+const emailTrackingService = require('./emailTrackingService');
+const emailThreadService = require('./emailThreadService');
+const emailTransportService = require('./emailTransportService');
+const senderIdentityService = require('./senderIdentityService');
+const documentService = require('./documentService');
 
 // Helper to get company config from database
 const getCompanyConfig = async (prisma) => {
@@ -123,6 +50,77 @@ const getCustomPlaceholders = async (prisma) => {
   }
 };
 
+// Lists templates can loop over with {{#each}} - only loaded when the template uses them
+const getTemplateCollections = async (prisma, candidate, text) => {
+  const collections = {};
+
+  if (text.includes('whatsappGroups')) {
+    try {
+      const groups = await prisma.whatsAppGroup.findMany({
+        where: {
+          isActive: true,
+          OR: [{ department: 'ALL' }, { department: null }, { department: candidate.department }]
+        },
+        orderBy: { name: 'asc' }
+      });
+      collections.whatsappGroups = groups.map(g => ({ name: g.name, url: g.url || '', description: g.description || '' }));
+    } catch (error) {
+      logger.warn('Failed to fetch WhatsApp groups for template:', error.message);
+    }
+  }
+
+  if (text.includes('trainingDays')) {
+    try {
+      const trainingPlan = await prisma.trainingPlan.findFirst({
+        where: {
+          OR: [{ department: candidate.department }, { department: null }],
+          isActive: true
+        },
+        orderBy: { department: 'desc' } // Prefer department-specific
+      });
+      const days = trainingPlan?.dayWiseContent;
+      if (Array.isArray(days)) {
+        collections.trainingDays = days.map((day, i) => ({
+          day: day.day || `Day ${i + 1}`,
+          title: day.title || '',
+          content: day.content || day.description || ''
+        }));
+      } else if (days && typeof days === 'object') {
+        collections.trainingDays = Object.entries(days).map(([day, content]) => ({ day, title: '', content }));
+      }
+    } catch (error) {
+      logger.warn('Failed to fetch training plan for template:', error.message);
+    }
+  }
+
+  return collections;
+};
+
+// Render a template's subject and body with the templating engine ({{#if}}, {{#each}}, filters)
+// report ({ unresolved: [], empty: [] }) collects placeholders that didn't resolve - used by template preview
+const renderTemplateContent = async (prisma, template, placeholders, candidate, candidateTimezone, report = null) => {
+  // LANGUAGE: Use the variant for the candidate's preferred language (default language when not translated)
+  const localized = languageService.localizeTemplate(template, candidate.preferredLanguage);
+  if (localized.fallback) {
+    logger.info(`🌐 Template "${template.name}" has no ${candidate.preferredLanguage} translation - using ${localized.locale}`);
+  }
+
+  const context = {
+    ...templateEngine.placeholderMapToContext(placeholders),
+    ...(await getTemplateCollections(prisma, candidate, `${localized.subject}\n${localized.body}`))
+  };
+  const options = { timezone: candidateTimezone, report };
+
+  return {
+    subject: templateEngine.renderTemplate(localized.subject, context, options),
+    body: templateEngine.renderTemplate(localized.body, context, options),
+    locale: localized.locale,
+    languageFallback: localized.fallback,
+    // VERSIONING: The Email row records which template revision produced it
+    templateRevisionId: report ? null : await templateRevisionService.getRevisionIdForSend(prisma, template)
+  };
+};
+
 // Helper to get template and replace placeholders
 const getEmailContent = async (prisma, type, candidate, customData = {}) => {
   const template = await prisma.emailTemplate.findFirst({
@@ -140,8 +138,8 @@ const getEmailContent = async (prisma, type, candidate, customData = {}) => {
   // Get custom placeholders from database
   const customPlaceholders = await getCustomPlaceholders(prisma);
 
-  let subject = template.subject;
-  let body = template.body;
+  // TIMEZONE: Dates and times render in the candidate's timezone (candidate > office > company)
+  const candidateTimezone = await timezoneService.resolveCandidateTimezone(prisma, candidate);
 
   // Replace placeholders
   const placeholders = {
@@ -153,7 +151,8 @@ const getEmailContent = async (prisma, type, candidate, customData = {}) => {
     '{{position}}': candidate.position,
     '{{department}}': candidate.department,
     '{{salary}}': candidate.salary || '',
-    '{{joiningDate}}': candidate.expectedJoiningDate?.toLocaleDateString() || '',
+    '{{joiningDate}}': timezoneService.formatCalendarDate(candidate.expectedJoiningDate),
+    '{{timezone}}': timezoneService.getTimezoneLabel(candidateTimezone),
     '{{reportingManager}}': candidate.reportingManager || '',
     '{{hrName}}': companyConfig.hr_name || process.env.HR_NAME || 'HR Team',
     '{{companyName}}': companyConfig.company_name || process.env.COMPANY_NAME || 'Company',
@@ -170,31 +169,26 @@ const getEmailContent = async (prisma, type, candidate, customData = {}) => {
     });
   }
 
-  Object.entries(placeholders).forEach(([key, value]) => {
-    subject = subject.replace(new RegExp(key, 'g'), value || '');
-    body = body.replace(new RegExp(key, 'g'), value || '');
-  });
-
-  return { subject, body };
+  return renderTemplateContent(prisma, template, placeholders, candidate, candidateTimezone);
 };
 
 // UNIVERSAL: Get email content from template or step template
 // This ensures ALL steps use editable email templates
-const getUniversalEmailContent = async (prisma, emailType, candidate, stepTemplate = null, customData = {}) => {
+const getUniversalEmailContent = async (prisma, emailType, candidate, stepTemplate = null, customData = {}, report = null) => {
   // Get company config from database
   const companyConfig = await getCompanyConfig(prisma);
   
   // Get custom placeholders from database
   const customPlaceholders = await getCustomPlaceholders(prisma);
+
+  // TIMEZONE: Dates and times render in the candidate's timezone (candidate > office > company)
+  const candidateTimezone = await timezoneService.resolveCandidateTimezone(prisma, candidate);
   
   // Priority 1: If step template has a linked email template (emailTemplateId), use that specific template
   if (stepTemplate && stepTemplate.emailTemplateId && stepTemplate.emailTemplate) {
     const emailTemplate = stepTemplate.emailTemplate;
     logger.info(`Using linked email template: ${emailTemplate.name} (${emailTemplate.type})`);
     
-    let subject = emailTemplate.subject;
-    let body = emailTemplate.body;
-
     // Replace placeholders
     const placeholders = {
       '{{firstName}}': candidate.firstName,
@@ -205,7 +199,8 @@ const getUniversalEmailContent = async (prisma, emailType, candidate, stepTempla
       '{{position}}': candidate.position,
       '{{department}}': candidate.department,
       '{{salary}}': candidate.salary || '',
-      '{{joiningDate}}': candidate.expectedJoiningDate?.toLocaleDateString() || '',
+      '{{joiningDate}}': timezoneService.formatCalendarDate(candidate.expectedJoiningDate),
+      '{{timezone}}': timezoneService.getTimezoneLabel(candidateTimezone),
       '{{reportingManager}}': candidate.reportingManager || '',
       '{{hrName}}': companyConfig.hr_name || process.env.HR_NAME || 'HR Team',
       '{{companyName}}': companyConfig.company_name || process.env.COMPANY_NAME || 'Company',
@@ -222,18 +217,40 @@ const getUniversalEmailContent = async (prisma, emailType, candidate, stepTempla
       });
     }
 
-    Object.entries(placeholders).forEach(([key, value]) => {
-      subject = subject.replace(new RegExp(key, 'g'), value || '');
-      body = body.replace(new RegExp(key, 'g'), value || '');
-    });
-
-    return { subject, body };
+    return renderTemplateContent(prisma, emailTemplate, placeholders, candidate, candidateTimezone, report);
   }
 
   // If no linked template, throw error - steps MUST use existing templates
   throw new Error(`No email template found. Step must have an email template assigned. Email type: ${emailType}`);
 };
 
+// Dynamic placeholders a step adds when it sends (form emails get the candidate's form link)
+const getStepCustomData = (emailType, candidate) => {
+  const customData = {};
+  if (emailType === 'ONBOARDING_FORM' || emailType === 'FORM_REMINDER') {
+    customData['{{formLink}}'] = process.env.ONBOARDING_FORM_URL || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/onboarding-form/${candidate.id || '<candidate-id>'}`;
+  }
+  return customData;
+};
+
+/**
+ * Preview a template for a real candidate through the same rendering path a step send uses
+ * Returns the rendered subject/body plus placeholders that stayed unresolved or rendered empty
+ */
+const previewTemplateForCandidate = async (prisma, template, candidate, customData = {}) => {
+  const report = { unresolved: [], empty: [] };
+  const stepTemplate = { emailTemplateId: template.id, emailTemplate: template };
+  const { subject, body, locale, languageFallback } = await getUniversalEmailContent(
+    prisma,
+    template.type,
+    candidate,
+    stepTemplate,
+    { ...getStepCustomData(template.type, candidate), ...customData },
+    report
+  );
+  return { subject, body, locale, languageFallback, unresolved: report.unresolved, empty: report.empty };
+};
+
 // Default templates
 const getDefaultTemplate = (type, candidate, customData) => {
   const templates = {
@@ -246,7 +263,7 @@ We are pleased to extend an offer for the position of ${candidate.position} at I
 
 Please find attached your offer letter with complete details regarding compensation, benefits, and other terms of employment.
 
-Your expected joining date is ${candidate.expectedJoiningDate?.toLocaleDateString() || 'To be confirmed'}.
+Your expected joining date is ${timezoneService.formatCalendarDate(candidate.expectedJoiningDate) || 'To be confirmed'}.
 
 Please review the offer letter carefully and return a signed copy at your earliest convenience.
 
@@ -383,118 +400,124 @@ Iron Lady
   return templates[type] || { subject: 'Notification', body: 'Please check your dashboard for updates.' };
 };
 
-// Add tracking to email body
-const addTracking = (body, trackingId, backendUrl) => {
-  const trackingPixel = `<img src="${backendUrl}/api/track/open/${trackingId}" width="1" height="1" style="display:none" alt="" />`;
-  return `${body}\n\n${trackingPixel}`;
+// Nodemailer attachments for the files stored on an Email record (attachmentPaths, else attachmentPath)
+const getEmailAttachments = (emailRecord) => {
+  const storedPaths = Array.isArray(emailRecord.attachmentPaths) && emailRecord.attachmentPaths.length > 0
+    ? emailRecord.attachmentPaths
+    : (emailRecord.attachmentPath ? [emailRecord.attachmentPath] : []);
+
+  const attachments = [];
+  storedPaths.forEach(storedPath => {
+    if (!storedPath) return;
+    let filePath = storedPath;
+    if (!path.isAbsolute(filePath)) {
+      filePath = path.join(__dirname, '../../uploads', filePath);
+    }
+    filePath = path.normalize(filePath);
+    if (fs.existsSync(filePath)) {
+      attachments.push({ filename: path.basename(filePath), path: filePath });
+    } else {
+      logger.warn(`⚠️ Attachment file not found: ${filePath}`);
+    }
+  });
+  return attachments;
+};
+
+/**
+ * SEND WINDOW: Hold an email that comes due outside the candidate's send window
+ * The email goes back to PENDING with scheduledFor at the next open slot, and the scheduler sends it then.
+ * The body is stored as it would have been sent (line breaks as <br>), attachments stay on the record.
+ * Returns the updated record, or null when the email can go out now
+ * (sendEmail hands it back flagged deferred: true so callers don't treat it as sent)
+ */
+const deferIfOutsideSendWindow = async (prisma, emailRecord, candidate) => {
+  const { sendAt, deferred, timeZone } = await sendWindowService.checkSendWindow(prisma, emailRecord.type, candidate);
+  if (!deferred) return null;
+
+  const updated = await prisma.email.update({
+    where: { id: emailRecord.id },
+    data: {
+      status: 'PENDING',
+      body: emailRecord.body.replace(/\n/g, '<br>'),
+      scheduledFor: sendAt,
+      deferredFrom: emailRecord.deferredFrom || emailRecord.scheduledFor || new Date()
+    }
+  });
+  logger.info(`🌙 ${emailRecord.type} to ${candidate.email} is outside the send window - deferred to ${timezoneService.formatDateTime(sendAt, timeZone)} (${timeZone})`);
+  return updated;
 };
 
 // Send email function
 const sendEmail = async (prisma, emailRecord, candidate, attachments = []) => {
   try {
-    // Get SMTP credentials (from database if available, else from env)
-    let smtpUser = process.env.SMTP_USER;
-    let smtpPass = process.env.SMTP_PASS;
-    let smtpHost = process.env.SMTP_HOST;
-    let smtpPort = process.env.SMTP_PORT;
-    let smtpSecure = process.env.SMTP_SECURE === 'true';
-    
-    if (prisma) {
-      try {
-        const smtpConfigs = await prisma.workflowConfig.findMany({
-          where: {
-            key: {
-              in: ['smtp_user', 'smtp_pass', 'smtp_host', 'smtp_port', 'smtp_secure']
-            }
-          }
-        });
-        const smtpConfigMap = {};
-        smtpConfigs.forEach(c => { smtpConfigMap[c.key] = c.value; });
-        
-        if (smtpConfigMap.smtp_user) {
-          smtpUser = smtpConfigMap.smtp_user;
-        }
-        if (smtpConfigMap.smtp_pass) {
-          smtpPass = smtpConfigMap.smtp_pass;
-        }
-        if (smtpConfigMap.smtp_host) {
-          smtpHost = smtpConfigMap.smtp_host;
-        }
-        if (smtpConfigMap.smtp_port) {
-          smtpPort = smtpConfigMap.smtp_port;
-        }
-        if (smtpConfigMap.smtp_secure !== undefined) {
-          smtpSecure = smtpConfigMap.smtp_secure === 'true';
-        }
-      } catch (error) {
-        logger.warn('Could not fetch SMTP credentials from database, using env vars');
-      }
-    }
-    
-    // Validate SMTP configuration (check both database and env)
-    if (!smtpHost || !smtpUser || !smtpPass) {
-      const errorMsg = 'SMTP configuration is missing. Please set SMTP_HOST, SMTP_USER, and SMTP_PASS in .env file or update HR email with SMTP credentials in Settings.';
-      logger.error(`❌ ${errorMsg}`);
-      logger.error(`Current SMTP config - Host: ${smtpHost || 'NOT SET'}, User: ${smtpUser ? 'SET' : 'NOT SET'}, Pass: ${smtpPass ? 'SET' : 'NOT SET'}`);
-      logger.error(`Source - Host: ${smtpHost ? (smtpHost === process.env.SMTP_HOST ? 'env' : 'database') : 'NOT SET'}, User: ${smtpUser ? (smtpUser === process.env.SMTP_USER ? 'env' : 'database') : 'NOT SET'}`);
-      
-      // Update email record with error
-      await prisma.email.update({
-        where: { id: emailRecord.id },
-        data: {
-          status: 'FAILED',
-          errorMessage: errorMsg
-        }
-      }).catch(e => logger.error('Failed to update email record:', e));
-      
-      throw new Error(errorMsg);
+    // DOCUMENTS: Pin the template's library documents (a deferred email keeps the same versions)
+    emailRecord = await documentService.pinEmailDocuments(prisma, emailRecord);
+
+    const deferredRecord = await deferIfOutsideSendWindow(prisma, emailRecord, candidate);
+    if (deferredRecord) {
+      return { ...deferredRecord, deferred: true };
     }
-    
-    // Log which source we're using (for debugging)
-    logger.info(`📧 Using SMTP - Host: ${smtpHost} (${smtpHost === process.env.SMTP_HOST ? 'env' : 'database'}), User: ${smtpUser} (${smtpUser === process.env.SMTP_USER ? 'env' : 'database'}), Port: ${smtpPort}, Secure: ${smtpSecure}`);
 
-    // Create dynamic transporter with current credentials
-    const dynamicTransporter = await createTransporter(prisma);
+    // SENDER: The step's / department's sender identity, else hr_email
+    const identity = await senderIdentityService.resolveSenderIdentity(prisma, {
+      senderIdentityId: emailRecord.senderIdentityId,
+      department: candidate.department
+    });
+
+    // TRANSPORT: SMTP, Gmail API, SES or the outbox - whichever is selected in Settings, or the
+    // identity's own mailbox (throws when it isn't configured - the email is marked FAILED below)
+    const transport = await emailTransportService.getTransport(prisma, { identity });
+    logger.info(`📧 Sending via ${transport.label}, from ${transport.fromAddress}`);
 
     const backendUrl = process.env.BACKEND_URL || 'http://localhost:5000';
-    
-    // Get HR email from database (WorkflowConfig) - ALWAYS fetch fresh from database
-    const companyConfig = await getCompanyConfig(prisma);
-    const hrEmail = companyConfig.hr_email || process.env.HR_EMAIL || process.env.EMAIL_FROM || smtpUser;
-    const hrName = companyConfig.hr_name || process.env.HR_NAME || 'HR Team';
-    
-    // Log what we're using for debugging
-    logger.info(`📧 HR Email Configuration - Database hr_email: ${companyConfig.hr_email || 'NOT SET'}, Using: ${hrEmail}`);
-    logger.info(`📧 HR Name Configuration - Database hr_name: ${companyConfig.hr_name || 'NOT SET'}, Using: ${hrName}`);
-    logger.info(`📧 SMTP Auth User: ${smtpUser} (${smtpUser === process.env.SMTP_USER ? 'from env' : 'from database'})`);
-    
-    // Format "from" address: "HR Team <hr@company.com>" or just email
-    const fromAddress = hrName && hrEmail ? `${hrName} <${hrEmail}>` : hrEmail;
-    
-    // Add tracking
-    let htmlBody = emailRecord.body.replace(/\n/g, '<br>');
-    htmlBody = addTracking(htmlBody, emailRecord.trackingId, backendUrl);
+
+    // THREADS: Message-ID for matching replies, and In-Reply-To/References for follow-ups
+    const threadedRecord = await emailThreadService.assignOutboundHeaders(prisma, emailRecord, transport.hrEmail);
+
+    const htmlBody = senderIdentityService.appendSignature(emailRecord.body.replace(/\n/g, '<br>'), identity);
+
+    // LAYOUT: Wrap in the branded layout, with a plain-text alternative
+    const message = await emailLayoutService.buildEmailMessage(prisma, htmlBody, {
+      subject: emailRecord.subject,
+      templateRevisionId: emailRecord.templateRevisionId
+    });
+
+    // TRACKING: Open pixel and signed click redirects on the final HTML (the plain text keeps the real links)
+    const trackedHtml = await emailTrackingService.applyTracking(prisma, message.html, emailRecord, backendUrl);
+
+    // DOCUMENTS: Library files on top of the email's own attachments
+    const documentAttachments = await documentService.getDocumentAttachments(prisma, emailRecord);
 
     const mailOptions = {
-      from: fromAddress,
+      from: transport.fromAddress,
       to: candidate.email,
       subject: emailRecord.subject,
-      html: htmlBody,
-      attachments
+      html: trackedHtml,
+      text: message.text,
+      attachments: [...attachments, ...documentAttachments],
+      ...(transport.replyTo && { replyTo: transport.replyTo }),
+      // Returned in bounce reports, so a bounce can be matched to this email
+      headers: { 'X-Tracking-ID': emailRecord.trackingId },
+      // Replies and follow-ups keep their thread in the candidate's mail client
+      messageId: threadedRecord.messageId,
+      ...(threadedRecord.inReplyTo && { inReplyTo: threadedRecord.inReplyTo }),
+      ...(threadedRecord.references && { references: threadedRecord.references })
     };
 
     logger.info(`📧 Attempting to send email: ${emailRecord.type} to ${candidate.email}`);
     logger.info(`📧 FROM ADDRESS: ${mailOptions.from}`);
     logger.debug(`Email options:`, { from: mailOptions.from, to: mailOptions.to, subject: mailOptions.subject });
 
-    await dynamicTransporter.sendMail(mailOptions);
+    const info = await transport.sendMail(mailOptions, { emailId: emailRecord.id });
 
-    // Update email record
+    // Update email record (keeping the Message-ID the server actually used, if it set its own)
     await prisma.email.update({
       where: { id: emailRecord.id },
       data: {
         status: 'SENT',
-        sentAt: new Date()
+        sentAt: new Date(),
+        senderIdentityId: identity?.id || null,
+        ...(info?.messageId && info.messageId !== threadedRecord.messageId && { messageId: info.messageId })
       }
     });
 
@@ -533,6 +556,7 @@ const sendOfferLetter = async (prisma, candidate, attachmentPath = null) => {
       type: 'OFFER_LETTER',
       subject: content.subject,
       body: content.body,
+      templateRevisionId: content.templateRevisionId,
       attachmentPath: finalAttachmentPath
     }
   });
@@ -591,6 +615,7 @@ const sendOfferReminder = async (prisma, candidate, attachmentPath = null) => {
       type: 'OFFER_REMINDER',
       subject: content.subject,
       body: content.body,
+      templateRevisionId: content.templateRevisionId,
       attachmentPath: attachmentPath // Universal attachment support
     }
   });
@@ -622,6 +647,7 @@ const sendWelcomeEmail = async (prisma, candidate, attachmentPath = null) => {
       type: 'WELCOME_DAY_MINUS_1',
       subject: content.subject,
       body: content.body,
+      templateRevisionId: content.templateRevisionId,
       attachmentPath: attachmentPath // Universal attachment support
     }
   });
@@ -655,6 +681,7 @@ const sendOnboardingForm = async (prisma, candidate, formLink, attachmentPath =
       type: 'ONBOARDING_FORM',
       subject: content.subject,
       body: content.body,
+      templateRevisionId: content.templateRevisionId,
       attachmentPath: attachmentPath // Universal attachment support
     }
   });
@@ -692,6 +719,7 @@ const sendFormReminder = async (prisma, candidate, formLink, attachmentPath = nu
       type: 'FORM_REMINDER',
       subject: content.subject,
       body: content.body,
+      templateRevisionId: content.templateRevisionId,
       attachmentPath: attachmentPath
     }
   });
@@ -767,6 +795,7 @@ const sendTrainingPlan = async (prisma, candidate, attachmentPath = null) => {
       type: 'TRAINING_PLAN',
       subject: content.subject,
       body: content.body,
+      templateRevisionId: content.templateRevisionId,
       attachmentPath: attachmentPath // Universal attachment support
     }
   });
@@ -832,6 +861,13 @@ const sendUniversalEmail = async (prisma, candidate, emailType, stepTemplate = n
         type: finalEmailType,
         subject: content.subject,
         body: content.body,
+        templateRevisionId: content.templateRevisionId,
+        senderIdentityId: stepTemplate?.senderIdentityId || null, // Step's sender override
+        // Library documents of the template and the step (latest versions)
+        documentVersionIds: await documentService.getEmailDocumentVersionIds(prisma, {
+          templateRevisionId: content.templateRevisionId,
+          documentIds: stepTemplate?.documentIds
+        }),
         attachmentPath: singleAttachmentPath, // Single attachment (backward compatibility)
         attachmentPaths: attachmentPaths.length > 0 ? attachmentPaths : null // Multiple attachments
       }
@@ -928,14 +964,15 @@ const sendCustomEmail = async (prisma, candidate, subject, body, attachmentPath
 
 // Send calendar invite email
 const sendCalendarInvite = async (prisma, candidate, eventDetails) => {
+  const timeZone = eventDetails.timeZone || await timezoneService.resolveCandidateTimezone(prisma, candidate);
   const subject = `Calendar Invite: ${eventDetails.title}`;
   const body = `
 Dear ${candidate.firstName},
 
 You have been invited to: ${eventDetails.title}
 
-Date: ${eventDetails.startTime.toLocaleDateString()}
-Time: ${eventDetails.startTime.toLocaleTimeString()} - ${eventDetails.endTime.toLocaleTimeString()}
+Date: ${eventDetails.startTime.toLocaleDateString('en-IN', { timeZone, weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}
+Time: ${timezoneService.formatTime(eventDetails.startTime, timeZone)} - ${timezoneService.formatTime(eventDetails.endTime, timeZone)}
 ${eventDetails.meetingLink ? `Meeting Link: ${eventDetails.meetingLink}` : ''}
 ${eventDetails.location ? `Location: ${eventDetails.location}` : ''}
 
@@ -968,9 +1005,12 @@ module.exports = {
   sendFormReminder,
   sendTrainingPlan,
   sendCustomEmail,
+  sendEmail,
   sendUniversalEmail, // UNIVERSAL function for all steps
   sendCalendarInvite,
   getEmailContent,
   getUniversalEmailContent, // UNIVERSAL content getter
-  transporter
+  getStepCustomData,
+  previewTemplateForCandidate,
+  getEmailAttachments
 };
@@ -0,0 +1,326 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const emailLayoutService = require('./emailLayoutService');
+
+/**
+ * Email conversations (reply threading)
+ *
+ * The email monitor stores every message a known candidate sends to the monitored mailbox as an
+ * INBOUND Email (body = plain text, with its Message-ID, In-Reply-To and References headers).
+ * Each inbound email is linked to the email it answers (replyToEmailId) and all emails of a
+ * conversation share threadId - the id of the conversation's first email.
+ *
+ * The email answered is found by, in order:
+ *   1. In-Reply-To / References against stored Message-IDs
+ *   2. the subject ("Re: Welcome" answers the latest "Welcome" sent to the candidate)
+ *   3. the latest email sent to the candidate before the reply arrived
+ *
+ * HR replies from the app are OUTBOUND emails in the same thread, sent with In-Reply-To/References
+ * so they thread in the candidate's mail client too. Inbound emails keep the sender identity whose
+ * inbox received them (or that sent the email answered), so replies go out from the same address.
+ *
+ * Every outbound email gets a Message-ID (stored on the Email) when it is sent. Follow-ups - e.g.
+ * OFFER_REMINDER - are sent as replies to the latest email of the type they follow up on
+ * (FOLLOW_UP_PARENT_TYPES), so the reminder lands in the offer's thread instead of starting a new one.
+ */
+
+// Statuses of outbound emails that never went out - they don't show in conversations
+const UNSENT_STATUSES = ['PENDING', 'SENDING'];
+
+// Statuses of outbound emails that went out - only these can be threaded under
+const SENT_STATUSES = ['SENT', 'DELIVERED', 'OPENED', 'CLICKED'];
+
+// Follow-up email type -> the email types it is a reply to
+const FOLLOW_UP_PARENT_TYPES = {
+  OFFER_REMINDER: ['OFFER_LETTER'],
+  FORM_REMINDER: ['ONBOARDING_FORM']
+};
+
+const SUBJECT_PREFIX_PATTERN = /^\s*((re|fw|fwd|aw|sv|vs)\s*(\[\d+\])?\s*:\s*)+/i;
+
+/**
+ * Subject without "Re:" / "Fwd:" prefixes, for matching replies to what they answer
+ */
+const normalizeSubject = (subject) => String(subject || '').replace(SUBJECT_PREFIX_PATTERN, '').trim().toLowerCase();
+
+/**
+ * Message-IDs in a References / In-Reply-To header value
+ */
+const parseMessageIds = (value) => String(value || '').match(/<[^<>\s]+>/g) || [];
+
+/**
+ * New Message-ID for an outgoing email, on the sender's domain
+ */
+const generateMessageId = (fromEmail) => {
+  const domain = String(fromEmail || '').split('@')[1]?.replace(/[>\s]/g, '') || 'hr-onboarding.local';
+  return `<${crypto.randomUUID()}@${domain}>`;
+};
+
+const escapeHtml = (text) => String(text || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * Text of a message without the quoted history mail clients append to replies
+ * ("On Mon, 1 Jan 2024, HR wrote:", "-----Original Message-----", "> ..." lines)
+ */
+const stripQuotedText = (text) => {
+  const lines = String(text || '').replace(/\r\n/g, '\n').split('\n');
+  let end = lines.length;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    const nextLine = (lines[i + 1] || '').trim();
+    if (
+      /^-{2,}\s*(original message|forwarded message)\s*-{2,}$/i.test(line) ||
+      /^On\s.+wrote:$/i.test(line) ||
+      (/^On\s/i.test(line) && /wrote:$/i.test(nextLine)) ||
+      (/^From:\s/i.test(line) && /^(Sent|Date):\s/i.test(nextLine))
+    ) {
+      end = i;
+      break;
+    }
+  }
+
+  // Trailing "> quoted" lines without an attribution line
+  while (end > 0 && (lines[end - 1].trim().startsWith('>') || lines[end - 1].trim() === '')) {
+    end--;
+  }
+
+  const visible = lines.slice(0, end).join('\n').trim();
+  return visible || String(text || '').trim();
+};
+
+// Plain text of a stored email as shown in the conversation view
+const getMessageText = (email) => {
+  if (email.direction === 'INBOUND') {
+    return email.body || '';
+  }
+  // Outbound bodies are HTML-ish (templates, newlines become <br> on send)
+  return emailLayoutService.htmlToText(String(email.body || '').replace(/\n/g, '<br>'));
+};
+
+/**
+ * Stored email a message answers by its In-Reply-To / References headers (the nearest one in the
+ * thread), with its candidate - null when the headers don't name any stored email
+ * candidateId limits the search to one candidate's emails
+ */
+const findEmailByHeaders = async (prisma, { inReplyTo, references }, candidateId = null) => {
+  const headerIds = [...parseMessageIds(inReplyTo), ...parseMessageIds(references).reverse()];
+  if (headerIds.length === 0) return null;
+
+  const matches = await prisma.email.findMany({
+    where: { messageId: { in: headerIds }, ...(candidateId && { candidateId }) },
+    include: { candidate: true }
+  });
+  for (const id of headerIds) {
+    const match = matches.find(email => email.messageId === id);
+    if (match) return match;
+  }
+  return null;
+};
+
+// The email an inbound message answers
+const findRepliedEmail = async (prisma, candidateId, { inReplyTo, references, subject, date }) => {
+  const headerMatch = await findEmailByHeaders(prisma, { inReplyTo, references }, candidateId);
+  if (headerMatch) return headerMatch;
+
+  const sentBefore = { direction: 'OUTBOUND', candidateId, sentAt: { not: null, lte: date } };
+  const normalized = normalizeSubject(subject);
+  if (normalized) {
+    const candidates = await prisma.email.findMany({
+      where: sentBefore,
+      orderBy: { sentAt: 'desc' },
+      take: 50
+    });
+    const match = candidates.find(email => normalizeSubject(email.subject) === normalized);
+    if (match) return match;
+  }
+
+  return prisma.email.findFirst({
+    where: sentBefore,
+    orderBy: { sentAt: 'desc' }
+  });
+};
+
+/**
+ * Store a message received from a candidate as an INBOUND email, linked into its conversation
+ * message: { messageId, inReplyTo, references, subject, text, date, fromEmail, senderIdentityId }
+ * Returns the new email, or null if the message was already stored
+ */
+const recordInboundEmail = async (prisma, candidate, message) => {
+  if (message.messageId) {
+    const existing = await prisma.email.findUnique({ where: { messageId: message.messageId } });
+    if (existing) return null;
+  }
+
+  const date = message.date instanceof Date && !isNaN(message.date) ? message.date : new Date();
+  const repliedEmail = await findRepliedEmail(prisma, candidate.id, { ...message, date });
+
+  let email;
+  try {
+    email = await prisma.email.create({
+      data: {
+        candidateId: candidate.id,
+        type: 'CUSTOM',
+        subject: message.subject || '(no subject)',
+        body: message.text || '',
+        status: 'DELIVERED',
+        direction: 'INBOUND',
+        fromEmail: message.fromEmail || candidate.email,
+        messageId: message.messageId || null,
+        inReplyTo: message.inReplyTo || null,
+        references: message.references || null,
+        replyToEmailId: repliedEmail?.id || null,
+        threadId: repliedEmail ? (repliedEmail.threadId || repliedEmail.id) : null,
+        senderIdentityId: message.senderIdentityId || repliedEmail?.senderIdentityId || null,
+        sentAt: date,
+        deliveredAt: new Date()
+      }
+    });
+  } catch (error) {
+    // Picked up by another check at the same time
+    if (error.code === 'P2002') return null;
+    throw error;
+  }
+
+  await prisma.activityLog.create({
+    data: {
+      candidateId: candidate.id,
+      action: 'EMAIL_REPLY_RECEIVED',
+      description: `💬 ${candidate.firstName} replied: "${email.subject}"`,
+      metadata: { emailId: email.id, replyToEmailId: email.replyToEmailId }
+    }
+  });
+
+  logger.info(`💬 Stored reply from ${candidate.email}: "${email.subject}"${repliedEmail ? ` (answers ${repliedEmail.id})` : ''}`);
+  return email;
+};
+
+/**
+ * A candidate's emails grouped into conversations, most recent activity first
+ * Each thread: { id, subject, lastMessageAt, messageCount, inboundCount, messages: [...] }
+ */
+const getThreads = async (prisma, candidateId) => {
+  const emails = await prisma.email.findMany({
+    where: {
+      candidateId,
+      NOT: { direction: 'OUTBOUND', status: { in: UNSENT_STATUSES } }
+    },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  const threads = new Map();
+  emails.forEach(email => {
+    const threadId = email.threadId || email.id;
+    if (!threads.has(threadId)) {
+      threads.set(threadId, { id: threadId, subject: email.subject, messages: [] });
+    }
+    const text = getMessageText(email);
+    threads.get(threadId).messages.push({
+      id: email.id,
+      direction: email.direction,
+      subject: email.subject,
+      status: email.status,
+      fromEmail: email.fromEmail,
+      replyToEmailId: email.replyToEmailId,
+      date: email.sentAt || email.createdAt,
+      text,
+      visibleText: stripQuotedText(text)
+    });
+  });
+
+  return [...threads.values()]
+    .map(thread => {
+      thread.messages.sort((a, b) => new Date(a.date) - new Date(b.date));
+      const root = thread.messages.find(m => m.id === thread.id);
+      return {
+        ...thread,
+        subject: root ? root.subject : thread.messages[0].subject,
+        lastMessageAt: thread.messages[thread.messages.length - 1].date,
+        messageCount: thread.messages.length,
+        inboundCount: thread.messages.filter(m => m.direction === 'INBOUND').length
+      };
+    })
+    .sort((a, b) => new Date(b.lastMessageAt) - new Date(a.lastMessageAt));
+};
+
+/**
+ * Give an outgoing email its Message-ID and, for follow-ups, the headers that thread it under the
+ * email it follows up on. Saved on the record before sending (a retry reuses the same Message-ID).
+ * Returns the updated record
+ */
+const assignOutboundHeaders = async (prisma, emailRecord, fromEmail) => {
+  const data = {};
+  if (!emailRecord.messageId) {
+    data.messageId = generateMessageId(fromEmail);
+  }
+
+  const parentTypes = FOLLOW_UP_PARENT_TYPES[emailRecord.type];
+  if (parentTypes && !emailRecord.inReplyTo) {
+    const parent = await prisma.email.findFirst({
+      where: {
+        candidateId: emailRecord.candidateId,
+        direction: 'OUTBOUND',
+        type: { in: parentTypes },
+        status: { in: SENT_STATUSES },
+        messageId: { not: null },
+        id: { not: emailRecord.id }
+      },
+      orderBy: { sentAt: 'desc' }
+    });
+    if (parent) {
+      data.inReplyTo = parent.messageId;
+      data.references = [...parseMessageIds(parent.references), parent.messageId].join(' ');
+      data.replyToEmailId = parent.id;
+      data.threadId = parent.threadId || parent.id;
+    }
+  }
+
+  if (Object.keys(data).length === 0) return emailRecord;
+  return prisma.email.update({ where: { id: emailRecord.id }, data });
+};
+
+/**
+ * Email data for an HR reply from the app - in the same thread (In-Reply-To / References)
+ * text is plain text typed by HR; the message being answered is quoted below it
+ */
+const buildReply = (repliedEmail, text, fromEmail) => {
+  const subject = SUBJECT_PREFIX_PATTERN.test(repliedEmail.subject) ? repliedEmail.subject : `Re: ${repliedEmail.subject}`;
+  const repliedText = stripQuotedText(getMessageText(repliedEmail));
+  const sentAt = repliedEmail.sentAt || repliedEmail.createdAt;
+  const author = repliedEmail.direction === 'INBOUND' ? (repliedEmail.fromEmail || 'the candidate') : 'HR';
+
+  const quoted = repliedText
+    .split('\n')
+    .map(line => `&gt; ${escapeHtml(line)}`)
+    .join('\n');
+
+  const references = [...parseMessageIds(repliedEmail.references), ...parseMessageIds(repliedEmail.messageId)];
+
+  return {
+    candidateId: repliedEmail.candidateId,
+    type: 'CUSTOM',
+    subject,
+    body: `${escapeHtml(text.trim())}\n\nOn ${new Date(sentAt).toUTCString()}, ${escapeHtml(author)} wrote:\n${quoted}`,
+    direction: 'OUTBOUND',
+    messageId: generateMessageId(fromEmail),
+    inReplyTo: repliedEmail.messageId || null,
+    references: references.length > 0 ? references.join(' ') : null,
+    replyToEmailId: repliedEmail.id,
+    threadId: repliedEmail.threadId || repliedEmail.id
+  };
+};
+
+module.exports = {
+  normalizeSubject,
+  parseMessageIds,
+  generateMessageId,
+  stripQuotedText,
+  findEmailByHeaders,
+  assignOutboundHeaders,
+  recordInboundEmail,
+  getThreads,
+  buildReply
+};
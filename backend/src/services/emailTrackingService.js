@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+/**
+ * Email open and link click tracking
+ *
+ * On send, every http(s) <a href> in the final HTML is rewritten to a redirect through
+ * /api/track/click/:trackingId, signed with an HMAC of the tracking id and target URL so the
+ * redirect can't be used to send people to arbitrary sites. Each click is stored as an EmailClick
+ * (URL, time, client) and the email is marked CLICKED. A 1x1 pixel reports opens.
+ *
+ * Templates can switch tracking off (EmailTemplate.trackingEnabled) for privacy-sensitive emails -
+ * their links are left untouched and no pixel is added.
+ *
+ * Links are signed with TRACKING_SECRET (falls back to JWT_SECRET). With neither set, links are
+ * left untouched and every click signature is rejected - there is no built-in default secret.
+ */
+
+const getSecret = () => process.env.TRACKING_SECRET || process.env.JWT_SECRET || null;
+
+let missingSecretWarned = false;
+const hasSecret = () => {
+  if (getSecret()) return true;
+  if (!missingSecretWarned) {
+    logger.warn('⚠️ TRACKING_SECRET (or JWT_SECRET) is not set - links in emails are not tracked');
+    missingSecretWarned = true;
+  }
+  return false;
+};
+
+const getBackendUrl = () => (process.env.BACKEND_URL || 'http://localhost:5000').replace(/\/+$/, '');
+
+/**
+ * Signature for a tracked link
+ */
+const signLink = (trackingId, url) => {
+  const secret = getSecret();
+  if (!secret) {
+    throw new Error('TRACKING_SECRET is not set - tracked links cannot be signed');
+  }
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${trackingId}:${url}`)
+    .digest('hex')
+    .slice(0, 32);
+};
+
+/**
+ * Check a tracked link's signature (constant-time)
+ */
+const verifyLink = (trackingId, url, signature) => {
+  if (!trackingId || typeof url !== 'string' || !url || typeof signature !== 'string') return false;
+  if (!hasSecret()) return false;
+  const expected = Buffer.from(signLink(trackingId, url));
+  const given = Buffer.from(signature);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+/**
+ * Redirect URL for a link in an email
+ */
+const buildClickUrl = (trackingId, url, backendUrl = getBackendUrl()) => {
+  return `${backendUrl}/api/track/click/${trackingId}?url=${encodeURIComponent(url)}&sig=${signLink(trackingId, url)}`;
+};
+
+const decodeHref = (href) => href.replace(/&amp;/gi, '&').trim();
+
+// Only real web links are tracked - mailto:, tel:, anchors and unrendered placeholders stay as they are
+const isTrackableUrl = (url, backendUrl) => {
+  return /^https?:\/\//i.test(url) && !url.includes('{{') && !url.startsWith(`${backendUrl}/api/track/`);
+};
+
+/**
+ * Rewrite every http(s) link in an email's HTML to go through the click redirect
+ */
+const rewriteLinks = (html, trackingId, backendUrl = getBackendUrl()) => {
+  if (!html || !trackingId || !hasSecret()) return html;
+  return html.replace(/(<a\b[^>]*?\shref\s*=\s*)(["'])([^"']*)\2/gi, (match, prefix, quote, href) => {
+    const url = decodeHref(href);
+    if (!isTrackableUrl(url, backendUrl)) return match;
+    return `${prefix}${quote}${buildClickUrl(trackingId, url, backendUrl).replace(/&/g, '&amp;')}${quote}`;
+  });
+};
+
+/**
+ * Add the open pixel (inside <body> for full documents) and rewrite links
+ */
+const addTracking = (html, trackingId, backendUrl = getBackendUrl()) => {
+  if (!trackingId) return html;
+  const pixel = `<img src="${backendUrl}/api/track/open/${trackingId}" width="1" height="1" style="display:none" alt="" />`;
+  const tracked = rewriteLinks(html || '', trackingId, backendUrl);
+  return /<\/body>/i.test(tracked)
+    ? tracked.replace(/<\/body>/i, `${pixel}\n</body>`)
+    : `${tracked}\n\n${pixel}`;
+};
+
+/**
+ * Whether the template an email was rendered from allows tracking (emails without a template do)
+ */
+const isTrackingEnabled = async (prisma, templateRevisionId) => {
+  if (!templateRevisionId) return true;
+  try {
+    const revision = await prisma.emailTemplateRevision.findUnique({
+      where: { id: templateRevisionId },
+      select: { template: { select: { trackingEnabled: true } } }
+    });
+    return revision?.template?.trackingEnabled !== false;
+  } catch (error) {
+    // Privacy first - don't track when the setting can't be read
+    logger.warn('⚠️ Could not read template tracking setting - sending without tracking:', error.message);
+    return false;
+  }
+};
+
+/**
+ * Tracked HTML for an outgoing email - unchanged when its template has tracking switched off
+ */
+const applyTracking = async (prisma, html, emailRecord, backendUrl = getBackendUrl()) => {
+  if (!(await isTrackingEnabled(prisma, emailRecord.templateRevisionId))) {
+    return html;
+  }
+  return addTracking(html, emailRecord.trackingId, backendUrl);
+};
+
+// Statuses a click may upgrade to CLICKED
+const CLICKABLE_STATUSES = ['SENT', 'DELIVERED', 'OPENED'];
+
+/**
+ * Log a click on a tracked link and mark the email CLICKED (a click also means it was opened)
+ * Returns the email, or null if the tracking id is unknown
+ */
+const recordClick = async (prisma, trackingId, url, { ipAddress = null, userAgent = null } = {}) => {
+  const email = await prisma.email.findUnique({ where: { trackingId } });
+  if (!email) return null;
+
+  const now = new Date();
+  await prisma.emailClick.create({
+    data: {
+      emailId: email.id,
+      url,
+      ipAddress,
+      userAgent: userAgent ? String(userAgent).slice(0, 500) : null,
+      clickedAt: now
+    }
+  });
+
+  await prisma.email.update({
+    where: { id: email.id },
+    data: {
+      clickedAt: email.clickedAt || now,
+      openedAt: email.openedAt || now
+    }
+  });
+
+  // Status only moves forward - a late click never hides a BOUNCED or FAILED email
+  await prisma.email.updateMany({
+    where: { id: email.id, status: { in: CLICKABLE_STATUSES } },
+    data: { status: 'CLICKED' }
+  });
+
+  logger.info(`🔗 Email link clicked: ${trackingId} -> ${url}`);
+  return email;
+};
+
+/**
+ * Clicks on an email grouped by link: [{ url, count, firstClickedAt, lastClickedAt }]
+ */
+const getClickBreakdown = async (prisma, emailId) => {
+  const clicks = await prisma.emailClick.findMany({
+    where: { emailId },
+    orderBy: { clickedAt: 'asc' }
+  });
+
+  const byUrl = new Map();
+  clicks.forEach(click => {
+    const entry = byUrl.get(click.url) || { url: click.url, count: 0, firstClickedAt: click.clickedAt, lastClickedAt: click.clickedAt };
+    entry.count++;
+    entry.lastClickedAt = click.clickedAt;
+    byUrl.set(click.url, entry);
+  });
+
+  return {
+    totalClicks: clicks.length,
+    links: [...byUrl.values()].sort((a, b) => b.count - a.count),
+    clicks: clicks.reverse()
+  };
+};
+
+module.exports = {
+  signLink,
+  verifyLink,
+  buildClickUrl,
+  rewriteLinks,
+  addTracking,
+  isTrackingEnabled,
+  applyTracking,
+  recordClick,
+  getClickBreakdown
+};
@@ -0,0 +1,455 @@
+const nodemailer = require('nodemailer');
+const crypto = require('crypto');
+const https = require('https');
+const path = require('path');
+const fs = require('fs').promises;
+const { google } = require('googleapis');
+const logger = require('../utils/logger');
+const senderIdentityService = require('./senderIdentityService');
+const configSecretService = require('./configSecretService');
+
+/**
+ * Email transports
+ *
+ * Every outgoing email goes through the transport selected in Settings > Email Transport
+ * (WorkflowConfig email_transport, else the EMAIL_TRANSPORT env var, else smtp):
+ * - smtp:   SMTP server - smtp_host / smtp_port / smtp_secure / smtp_user / smtp_pass, else SMTP_* env
+ * - gmail:  Gmail API, with the Google OAuth credentials the email monitor uses (GOOGLE_* env)
+ * - ses:    Amazon SES (v2 API) - ses_region / ses_access_key_id / ses_secret_access_key, else AWS_* env
+ * - outbox: nothing is sent - every email is rendered to an .eml file in backend/outbox and listed in
+ *           the in-app Outbox, so staging and dev never mail real candidates
+ *
+ * getTransport returns { provider, label, fromAddress, hrEmail, replyTo, sendMail } - sendMail takes
+ * nodemailer message options and resolves to { messageId } (the Message-ID the message went out with).
+ * Given a sender identity, From / Reply-To are the identity's, and an identity with its own
+ * credentials sends through its own SMTP server or Gmail account (except in outbox mode).
+ */
+
+const PROVIDERS = ['smtp', 'gmail', 'ses', 'outbox'];
+
+const PROVIDER_LABELS = {
+  smtp: 'SMTP',
+  gmail: 'Gmail API',
+  ses: 'Amazon SES',
+  outbox: 'Outbox (capture only)'
+};
+
+const CONFIG_KEYS = [
+  'email_transport',
+  'hr_email', 'hr_name',
+  'smtp_user', 'smtp_pass', 'smtp_host', 'smtp_port', 'smtp_secure',
+  'ses_region', 'ses_access_key_id', 'ses_secret_access_key'
+];
+
+const OUTBOX_DIR = path.join(__dirname, '../../outbox');
+
+const getConfigMap = async (prisma) => {
+  const configMap = {};
+  if (!prisma) return configMap;
+  try {
+    Object.assign(configMap, await configSecretService.getConfigMap(prisma, CONFIG_KEYS));
+  } catch (error) {
+    logger.warn('Could not fetch email transport settings from database, using env vars:', error.message);
+  }
+  return configMap;
+};
+
+/**
+ * Current transport settings (database first, then env)
+ */
+const getTransportSettings = async (prisma) => {
+  const configMap = await getConfigMap(prisma);
+  const selected = configMap.email_transport || process.env.EMAIL_TRANSPORT || 'smtp';
+  const provider = PROVIDERS.includes(selected) ? selected : 'smtp';
+
+  const smtp = {
+    host: configMap.smtp_host || process.env.SMTP_HOST,
+    port: configMap.smtp_port || process.env.SMTP_PORT || '587',
+    secure: configMap.smtp_secure !== undefined ? configMap.smtp_secure === 'true' : process.env.SMTP_SECURE === 'true',
+    user: configMap.smtp_user || process.env.SMTP_USER,
+    pass: configMap.smtp_pass || process.env.SMTP_PASS
+  };
+
+  const ses = {
+    region: configMap.ses_region || process.env.SES_REGION || process.env.AWS_REGION,
+    accessKeyId: configMap.ses_access_key_id || process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: configMap.ses_secret_access_key || process.env.AWS_SECRET_ACCESS_KEY
+  };
+
+  const gmail = {
+    clientId: process.env.GOOGLE_CLIENT_ID,
+    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+    redirectUri: process.env.GOOGLE_REDIRECT_URI,
+    refreshToken: process.env.GOOGLE_REFRESH_TOKEN
+  };
+
+  const hrEmail = configMap.hr_email || process.env.HR_EMAIL || process.env.EMAIL_FROM || smtp.user;
+  const hrName = configMap.hr_name || process.env.HR_NAME || 'HR Team';
+
+  return {
+    provider,
+    smtp,
+    ses,
+    gmail,
+    hrEmail,
+    hrName,
+    // Format "from" address: "HR Team <hr@company.com>" or just email
+    fromAddress: hrName && hrEmail ? `${hrName} <${hrEmail}>` : hrEmail
+  };
+};
+
+/**
+ * What each transport still needs to work - returns an error message or null
+ */
+const getConfigurationError = (settings) => {
+  switch (settings.provider) {
+    case 'smtp':
+      if (!settings.smtp.host || !settings.smtp.user || !settings.smtp.pass) {
+        return 'SMTP configuration is missing. Please set SMTP_HOST, SMTP_USER, and SMTP_PASS in .env file or update HR email with SMTP credentials in Settings.';
+      }
+      return null;
+    case 'gmail':
+      if (!settings.gmail.clientId || !settings.gmail.clientSecret || !settings.gmail.refreshToken) {
+        return 'Gmail API is not configured. Please set GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET and GOOGLE_REFRESH_TOKEN in .env file.';
+      }
+      return null;
+    case 'ses':
+      if (!settings.ses.region || !settings.ses.accessKeyId || !settings.ses.secretAccessKey) {
+        return 'Amazon SES is not configured. Please set the SES region, access key ID and secret access key in Settings > Email Transport.';
+      }
+      return null;
+    default:
+      return null;
+  }
+};
+
+// Render nodemailer message options to a raw RFC 5322 message
+const buildRawMessage = async (mailOptions) => {
+  const composer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'windows' });
+  const info = await composer.sendMail(mailOptions);
+  return { raw: info.message, messageId: info.messageId, envelope: info.envelope };
+};
+
+// ============ PROVIDERS ============
+
+const createSmtpTransport = (settings) => {
+  const transporter = nodemailer.createTransport({
+    host: settings.smtp.host,
+    port: parseInt(settings.smtp.port) || 587,
+    secure: settings.smtp.secure,
+    auth: {
+      user: settings.smtp.user,
+      pass: settings.smtp.pass
+    }
+  });
+  return {
+    sendMail: async (mailOptions) => {
+      const info = await transporter.sendMail(mailOptions);
+      return { messageId: info.messageId };
+    },
+    verify: () => transporter.verify()
+  };
+};
+
+const createGmailTransport = (settings) => {
+  const oauth2Client = new google.auth.OAuth2(settings.gmail.clientId, settings.gmail.clientSecret, settings.gmail.redirectUri);
+  oauth2Client.setCredentials({ refresh_token: settings.gmail.refreshToken });
+  const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+
+  return {
+    sendMail: async (mailOptions) => {
+      const { raw, messageId } = await buildRawMessage(mailOptions);
+      await gmail.users.messages.send({
+        userId: 'me',
+        requestBody: { raw: raw.toString('base64url') }
+      });
+      return { messageId };
+    },
+    verify: () => gmail.users.getProfile({ userId: 'me' })
+  };
+};
+
+// Signed (AWS Signature Version 4) JSON request to the SES v2 API
+const sesRequest = ({ region, accessKeyId, secretAccessKey }, method, apiPath, payload) => new Promise((resolve, reject) => {
+  const host = `email.${region}.amazonaws.com`;
+  const body = payload ? JSON.stringify(payload) : '';
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const scope = `${dateStamp}/${region}/ses/aws4_request`;
+
+  const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+  const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+  const signedHeaders = 'content-type;host;x-amz-date';
+  const canonicalRequest = [
+    method,
+    apiPath,
+    '',
+    `content-type:application/json\nhost:${host}\nx-amz-date:${amzDate}\n`,
+    signedHeaders,
+    sha256(body)
+  ].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = ['ses', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region));
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  const request = https.request({
+    host,
+    method,
+    path: apiPath,
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      'X-Amz-Date': amzDate,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+    },
+    timeout: 30000
+  }, (response) => {
+    let data = '';
+    response.on('data', (chunk) => { data += chunk; });
+    response.on('end', () => {
+      let parsed = {};
+      try {
+        parsed = data ? JSON.parse(data) : {};
+      } catch (error) {
+        parsed = { message: data };
+      }
+      if (response.statusCode >= 200 && response.statusCode < 300) {
+        resolve(parsed);
+      } else {
+        reject(new Error(`SES error (${response.statusCode}): ${parsed.message || parsed.Message || 'request failed'}`));
+      }
+    });
+  });
+  request.on('timeout', () => request.destroy(new Error('SES request timed out')));
+  request.on('error', reject);
+  request.end(body);
+});
+
+const createSesTransport = (settings) => ({
+  sendMail: async (mailOptions) => {
+    const { raw } = await buildRawMessage(mailOptions);
+    const result = await sesRequest(settings.ses, 'POST', '/v2/email/outbound-emails', {
+      Content: { Raw: { Data: raw.toString('base64') } }
+    });
+    // SES replaces the Message-ID header with its own
+    return { messageId: `<${result.MessageId}@${settings.ses.region}.amazonses.com>` };
+  },
+  verify: () => sesRequest(settings.ses, 'GET', '/v2/email/account')
+});
+
+const createOutboxTransport = (prisma) => ({
+  sendMail: async (mailOptions, { emailId = null } = {}) => {
+    const { raw, messageId } = await buildRawMessage(mailOptions);
+
+    await fs.mkdir(OUTBOX_DIR, { recursive: true });
+    const emlPath = `${Date.now()}-${crypto.randomUUID()}.eml`;
+    await fs.writeFile(path.join(OUTBOX_DIR, emlPath), raw);
+
+    const headers = {
+      ...(mailOptions.headers || {}),
+      ...(mailOptions.replyTo && { 'Reply-To': mailOptions.replyTo }),
+      ...(mailOptions.inReplyTo && { 'In-Reply-To': mailOptions.inReplyTo }),
+      ...(mailOptions.references && { References: mailOptions.references })
+    };
+
+    const attachments = [];
+    for (const attachment of mailOptions.attachments || []) {
+      let size = null;
+      if (attachment.path) {
+        size = await fs.stat(attachment.path).then(stat => stat.size).catch(() => null);
+      } else if (attachment.content) {
+        size = Buffer.byteLength(attachment.content);
+      }
+      attachments.push({ filename: attachment.filename || path.basename(attachment.path || 'attachment'), size });
+    }
+
+    await prisma.outboxMessage.create({
+      data: {
+        emailId,
+        fromAddress: String(mailOptions.from || ''),
+        toAddress: Array.isArray(mailOptions.to) ? mailOptions.to.join(', ') : String(mailOptions.to || ''),
+        subject: mailOptions.subject || '',
+        html: mailOptions.html || null,
+        text: mailOptions.text || null,
+        messageId,
+        headers: Object.keys(headers).length > 0 ? headers : null,
+        attachments: attachments.length > 0 ? attachments : null,
+        emlPath
+      }
+    });
+
+    logger.info(`📥 [OUTBOX] Captured "${mailOptions.subject}" to ${mailOptions.to} - not sent`);
+    return { messageId };
+  },
+  verify: async () => true
+});
+
+// Transport through a sender identity's own mailbox
+const createIdentityTransport = (identity, settings) => {
+  if (identity.provider === 'gmail') {
+    if (!settings.gmail.clientId || !settings.gmail.clientSecret) {
+      throw new Error(`Sender identity ${identity.email} uses Gmail, but GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET are not set in .env file.`);
+    }
+    return createGmailTransport({ gmail: { ...settings.gmail, refreshToken: identity.googleRefreshToken } });
+  }
+  return createSmtpTransport({
+    smtp: {
+      host: identity.smtpHost,
+      port: identity.smtpPort || 587,
+      secure: identity.smtpSecure,
+      user: identity.smtpUser,
+      pass: identity.smtpPass
+    }
+  });
+};
+
+/**
+ * The transport outgoing emails go through - throws when the selected transport isn't configured
+ * identity: SenderIdentity the email is sent from (null = hr_email)
+ */
+const getTransport = async (prisma, { identity = null } = {}) => {
+  const settings = await getTransportSettings(prisma);
+  const fromAddress = identity
+    ? `${identity.displayName || settings.hrName} <${identity.email}>`
+    : settings.fromAddress;
+  const identityFields = {
+    fromAddress,
+    hrEmail: identity ? identity.email : settings.hrEmail,
+    replyTo: identity?.replyTo || null,
+    identity: identity ? { id: identity.id, name: identity.name, email: identity.email } : null
+  };
+
+  // Identities with their own mailbox skip the configured transport - unless everything is captured
+  if (identity && settings.provider !== 'outbox' && senderIdentityService.hasOwnCredentials(identity)) {
+    return {
+      ...createIdentityTransport(identity, settings),
+      provider: identity.provider,
+      label: `${PROVIDER_LABELS[identity.provider]} (${identity.name})`,
+      ...identityFields
+    };
+  }
+
+  const configurationError = getConfigurationError(settings);
+  if (configurationError) {
+    throw new Error(configurationError);
+  }
+
+  let transport;
+  switch (settings.provider) {
+    case 'gmail':
+      transport = createGmailTransport(settings);
+      break;
+    case 'ses':
+      transport = createSesTransport(settings);
+      break;
+    case 'outbox':
+      transport = createOutboxTransport(prisma);
+      break;
+    default:
+      transport = createSmtpTransport(settings);
+  }
+
+  return {
+    ...transport,
+    provider: settings.provider,
+    label: PROVIDER_LABELS[settings.provider],
+    ...identityFields
+  };
+};
+
+/**
+ * Check the selected transport can send (logs the result, never throws)
+ */
+const verifyTransport = async (prisma) => {
+  try {
+    const transport = await getTransport(prisma);
+    await transport.verify();
+    logger.info(`✅ Email transport ready: ${transport.label}`);
+    return true;
+  } catch (error) {
+    logger.error('❌ Email transport error:', error.message);
+    return false;
+  }
+};
+
+/**
+ * Transport settings for Settings > Email Transport - secrets are only reported as set / not set
+ */
+const getTransportSummary = async (prisma) => {
+  const settings = await getTransportSettings(prisma);
+  return {
+    provider: settings.provider,
+    providers: PROVIDERS.map(id => ({ id, label: PROVIDER_LABELS[id] })),
+    fromAddress: settings.fromAddress,
+    configurationError: getConfigurationError(settings),
+    smtp: { host: settings.smtp.host || '', port: settings.smtp.port, user: settings.smtp.user || '', hasPassword: !!settings.smtp.pass },
+    ses: { region: settings.ses.region || '', accessKeyId: settings.ses.accessKeyId || '', hasSecretAccessKey: !!settings.ses.secretAccessKey },
+    gmail: { configured: !!(settings.gmail.clientId && settings.gmail.clientSecret && settings.gmail.refreshToken) }
+  };
+};
+
+/**
+ * Save transport settings ({ provider, ses: { region, accessKeyId, secretAccessKey } }) - returns an
+ * error message or null. SMTP credentials stay managed by the HR email settings.
+ */
+const saveTransportSettings = async (prisma, { provider, ses }) => {
+  const values = {};
+  if (provider !== undefined) {
+    if (!PROVIDERS.includes(provider)) {
+      return `Unknown email transport: ${provider}`;
+    }
+    values.email_transport = provider;
+  }
+  if (ses) {
+    if (ses.region !== undefined) {
+      if (ses.region && !/^[a-z]{2}(-[a-z]+)+-\d$/.test(ses.region)) {
+        return 'SES region must look like "us-east-1"';
+      }
+      values.ses_region = ses.region;
+    }
+    if (ses.accessKeyId !== undefined) values.ses_access_key_id = ses.accessKeyId;
+    // Blank secret keeps the saved one
+    if (ses.secretAccessKey) values.ses_secret_access_key = ses.secretAccessKey;
+  }
+
+  for (const [key, value] of Object.entries(values)) {
+    await configSecretService.setConfigValue(prisma, key, value);
+  }
+  return null;
+};
+
+/**
+ * Path of a captured message's .eml file (null for names outside the outbox)
+ */
+const getOutboxFilePath = (emlPath) => {
+  const filePath = path.join(OUTBOX_DIR, path.basename(emlPath || ''));
+  return emlPath && path.basename(emlPath) === emlPath ? filePath : null;
+};
+
+/**
+ * Delete captured messages and their .eml files - returns how many were removed
+ */
+const clearOutbox = async (prisma) => {
+  const messages = await prisma.outboxMessage.findMany({ select: { id: true, emlPath: true } });
+  for (const message of messages) {
+    const filePath = getOutboxFilePath(message.emlPath);
+    if (filePath) {
+      await fs.unlink(filePath).catch(() => {});
+    }
+  }
+  const { count } = await prisma.outboxMessage.deleteMany({ where: { id: { in: messages.map(m => m.id) } } });
+  return count;
+};
+
+module.exports = {
+  PROVIDERS,
+  PROVIDER_LABELS,
+  getTransportSettings,
+  getTransport,
+  verifyTransport,
+  getTransportSummary,
+  saveTransportSettings,
+  getOutboxFilePath,
+  clearOutbox
+};
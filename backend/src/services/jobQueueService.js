@@ -0,0 +1,259 @@
+const os = require('os');
+const logger = require('../utils/logger');
+
+/**
+ * Durable job queue (Job table) - replaces polling work directly inside node-cron ticks
+ *
+ * Every email send and step execution is one Job row, so any number of backend instances
+ * can run the worker without doing the same work twice:
+ * - Enqueueing is idempotent: a job's idempotencyKey is unique ("email:<id>", "step:<eventId>:<time>")
+ * - A worker claims a job by leasing it (status RUNNING + lockedUntil) with a guarded updateMany,
+ *   the same compare-and-set the scheduler already uses for calendar events - only one claim wins
+ * - Failures retry with exponential backoff; after maxAttempts the job is DEAD (dead letter)
+ * - A RUNNING job whose lease expired (instance stopped mid-run) is released for another attempt
+ *
+ * Handlers receive the job and may return { deferUntil } to put it back without using an attempt
+ * (e.g. a step still waiting on its prerequisites). Throwing an error with error.deadLetter = true
+ * skips the remaining retries.
+ */
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const DEFAULT_LEASE_MS = 5 * 60 * 1000; // 5 minutes - long enough for an SMTP send or a step
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BACKOFF_BASE_MS = 60 * 1000; // 1 min, 2 min, 4 min, 8 min...
+const BACKOFF_MAX_MS = 60 * 60 * 1000; // capped at 1 hour
+
+/**
+ * Delay before the next attempt after `attempts` failed attempts
+ */
+const getBackoffMs = (attempts) => {
+  const exponent = Math.max(0, (attempts || 1) - 1);
+  return Math.min(BACKOFF_BASE_MS * Math.pow(2, exponent), BACKOFF_MAX_MS);
+};
+
+/**
+ * Add a job to the queue
+ * Enqueueing an idempotencyKey that already exists returns the existing job unchanged
+ */
+const enqueue = async (prisma, type, payload, options = {}) => {
+  const { idempotencyKey, runAt, maxAttempts } = options;
+  if (!idempotencyKey) {
+    throw new Error('idempotencyKey is required to enqueue a job');
+  }
+
+  return prisma.job.upsert({
+    where: { idempotencyKey },
+    update: {},
+    create: {
+      type,
+      payload: payload || {},
+      idempotencyKey,
+      runAt: runAt || new Date(),
+      maxAttempts: maxAttempts || DEFAULT_MAX_ATTEMPTS
+    }
+  });
+};
+
+// Release RUNNING jobs whose lease expired - the instance running them stopped mid-run
+const recoverExpiredLeases = async (prisma) => {
+  const now = new Date();
+  const expired = await prisma.job.findMany({
+    where: { status: 'RUNNING', lockedUntil: { lt: now } }
+  });
+
+  for (const job of expired) {
+    const exhausted = job.attempts >= job.maxAttempts;
+    const result = await prisma.job.updateMany({
+      where: { id: job.id, status: 'RUNNING', lockedUntil: { lt: now } },
+      data: {
+        status: exhausted ? 'DEAD' : 'PENDING',
+        runAt: now,
+        lockedBy: null,
+        lockedUntil: null,
+        lastError: `Lease held by ${job.lockedBy || 'unknown worker'} expired before the job finished`
+      }
+    });
+    if (result.count > 0) {
+      logger.warn(`⚠️ [JOBS] Lease expired for ${job.type} job ${job.id} (${job.idempotencyKey}) - ${exhausted ? 'moved to dead letter' : 'released for retry'}`);
+    }
+  }
+};
+
+/**
+ * Claim up to `limit` due jobs for this worker
+ * Each claim is a guarded updateMany (PENDING -> RUNNING), so two workers never get the same job
+ */
+const claimJobs = async (prisma, options = {}) => {
+  const { workerId = WORKER_ID, limit = 20, leaseMs = DEFAULT_LEASE_MS, types } = options;
+  const now = new Date();
+
+  const where = { status: 'PENDING', runAt: { lte: now } };
+  if (types && types.length > 0) {
+    where.type = { in: types };
+  }
+
+  const due = await prisma.job.findMany({
+    where,
+    orderBy: { runAt: 'asc' },
+    take: limit
+  });
+
+  const claimed = [];
+  for (const job of due) {
+    const lockedUntil = new Date(Date.now() + leaseMs);
+    const result = await prisma.job.updateMany({
+      where: { id: job.id, status: 'PENDING' },
+      data: {
+        status: 'RUNNING',
+        lockedBy: workerId,
+        lockedUntil,
+        attempts: { increment: 1 }
+      }
+    });
+
+    // count 0 - another worker claimed it first
+    if (result.count > 0) {
+      claimed.push({ ...job, status: 'RUNNING', lockedBy: workerId, lockedUntil, attempts: job.attempts + 1 });
+    }
+  }
+
+  return claimed;
+};
+
+/**
+ * Mark a claimed job as done
+ */
+const completeJob = async (prisma, job) => {
+  await prisma.job.updateMany({
+    where: { id: job.id, status: 'RUNNING', lockedBy: job.lockedBy },
+    data: { status: 'COMPLETED', completedAt: new Date(), lockedBy: null, lockedUntil: null }
+  });
+};
+
+/**
+ * Put a claimed job back until `runAt` without counting the attempt
+ */
+const deferJob = async (prisma, job, runAt, reason = null) => {
+  await prisma.job.updateMany({
+    where: { id: job.id, status: 'RUNNING', lockedBy: job.lockedBy },
+    data: {
+      status: 'PENDING',
+      runAt,
+      attempts: { decrement: 1 },
+      lockedBy: null,
+      lockedUntil: null,
+      ...(reason ? { lastError: reason } : {})
+    }
+  });
+};
+
+/**
+ * Record a failed attempt - retry with exponential backoff, or dead-letter after maxAttempts
+ * Returns true if the job was moved to DEAD
+ */
+const failJob = async (prisma, job, error) => {
+  const dead = !!error?.deadLetter || job.attempts >= job.maxAttempts;
+  const runAt = new Date(Date.now() + getBackoffMs(job.attempts));
+
+  await prisma.job.updateMany({
+    where: { id: job.id, status: 'RUNNING', lockedBy: job.lockedBy },
+    data: {
+      status: dead ? 'DEAD' : 'PENDING',
+      runAt: dead ? job.runAt : runAt,
+      lockedBy: null,
+      lockedUntil: null,
+      lastError: error?.message || String(error)
+    }
+  });
+
+  if (dead) {
+    logger.error(`💀 [JOBS] ${job.type} job ${job.id} (${job.idempotencyKey}) moved to dead letter after ${job.attempts} attempt(s): ${error?.message || error}`);
+  } else {
+    logger.warn(`🔁 [JOBS] ${job.type} job ${job.id} failed (attempt ${job.attempts}/${job.maxAttempts}) - retrying at ${runAt.toISOString()}: ${error?.message || error}`);
+  }
+  return dead;
+};
+
+/**
+ * Put a DEAD job back in the queue with a fresh set of attempts
+ */
+const retryJob = async (prisma, jobId) => {
+  const result = await prisma.job.updateMany({
+    where: { id: jobId, status: 'DEAD' },
+    data: { status: 'PENDING', attempts: 0, runAt: new Date(), lockedBy: null, lockedUntil: null }
+  });
+  return result.count > 0;
+};
+
+/**
+ * Delete finished jobs last touched before `before` - COMPLETED ones and dead letters nobody retried
+ * (their idempotency keys are only needed while the email / event they guard is still pending)
+ * Returns the number of jobs deleted
+ */
+const pruneFinishedJobs = async (prisma, before) => {
+  const result = await prisma.job.deleteMany({
+    where: {
+      OR: [
+        { status: 'COMPLETED', completedAt: { lt: before } },
+        { status: 'DEAD', updatedAt: { lt: before } }
+      ]
+    }
+  });
+  return result.count;
+};
+
+/**
+ * Run one worker pass: release expired leases, claim due jobs and run each with its handler
+ * handlers = { SEND_EMAIL: async (job) => {}, EXECUTE_STEP: async (job) => {} }
+ */
+const runWorker = async (prisma, handlers, options = {}) => {
+  const summary = { claimed: 0, completed: 0, deferred: 0, failed: 0, dead: 0 };
+
+  await recoverExpiredLeases(prisma);
+  const jobs = await claimJobs(prisma, { ...options, types: Object.keys(handlers) });
+  summary.claimed = jobs.length;
+
+  if (jobs.length > 0) {
+    logger.info(`⚙️ [JOBS] ${options.workerId || WORKER_ID} claimed ${jobs.length} job(s)`);
+  }
+
+  for (const job of jobs) {
+    try {
+      const result = await handlers[job.type](job);
+
+      if (result && result.deferUntil) {
+        await deferJob(prisma, job, result.deferUntil, result.reason);
+        summary.deferred++;
+        continue;
+      }
+
+      await completeJob(prisma, job);
+      summary.completed++;
+    } catch (error) {
+      const dead = await failJob(prisma, job, error).catch(updateError => {
+        logger.error(`Failed to record failure for job ${job.id}:`, updateError);
+        return false;
+      });
+      if (dead) {
+        summary.dead++;
+      } else {
+        summary.failed++;
+      }
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  WORKER_ID,
+  getBackoffMs,
+  enqueue,
+  claimJobs,
+  completeJob,
+  deferJob,
+  failJob,
+  retryJob,
+  pruneFinishedJobs,
+  runWorker
+};
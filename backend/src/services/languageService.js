@@ -0,0 +1,109 @@
+/**
+ * Email languages
+ *
+ * An EmailTemplate's subject/body are written in the default language; other languages are stored
+ * as variants in EmailTemplate.translations ({ "hi": { subject, body } }).
+ * A candidate's emails use the variant for candidate.preferredLanguage, trying the base language
+ * next ("hi-IN" -> "hi") and falling back to the default language when there is no translation.
+ */
+
+const DEFAULT_LANGUAGE = process.env.DEFAULT_LANGUAGE || 'en';
+
+// Languages offered in the candidate and template editors
+const LANGUAGES = [
+  { code: 'en', name: 'English' },
+  { code: 'hi', name: 'Hindi (हिन्दी)' },
+  { code: 'bn', name: 'Bengali (বাংলা)' },
+  { code: 'gu', name: 'Gujarati (ગુજરાતી)' },
+  { code: 'kn', name: 'Kannada (ಕನ್ನಡ)' },
+  { code: 'ml', name: 'Malayalam (മലയാളം)' },
+  { code: 'mr', name: 'Marathi (मराठी)' },
+  { code: 'pa', name: 'Punjabi (ਪੰਜਾਬੀ)' },
+  { code: 'ta', name: 'Tamil (தமிழ்)' },
+  { code: 'te', name: 'Telugu (తెలుగు)' }
+];
+
+/**
+ * Normalise a language code ("HI_in" -> "hi-IN"); returns null for anything that isn't a language tag
+ */
+const normalizeLanguage = (code) => {
+  if (!code || typeof code !== 'string') return null;
+  const match = code.trim().match(/^([A-Za-z]{2,3})(?:[-_]([A-Za-z0-9]{2,8}))?$/);
+  if (!match) return null;
+  return match[2] ? `${match[1].toLowerCase()}-${match[2].toUpperCase()}` : match[1].toLowerCase();
+};
+
+const isValidLanguage = (code) => normalizeLanguage(code) !== null;
+
+const getLanguageName = (code) => {
+  const normalized = normalizeLanguage(code);
+  const language = LANGUAGES.find(l => l.code === normalized) ||
+    LANGUAGES.find(l => normalized && l.code === normalized.split('-')[0]);
+  return language ? language.name : (normalized || code);
+};
+
+// Translations as a plain object keyed by normalised language code (ignores malformed entries)
+const getTranslations = (template) => {
+  const translations = {};
+  const raw = template?.translations;
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return translations;
+
+  Object.entries(raw).forEach(([code, variant]) => {
+    const locale = normalizeLanguage(code);
+    if (locale && variant && typeof variant === 'object' && (variant.subject || variant.body)) {
+      translations[locale] = { subject: variant.subject || '', body: variant.body || '' };
+    }
+  });
+  return translations;
+};
+
+/**
+ * Pick the template content for a language
+ * Returns { subject, body, locale, fallback } - fallback is true when the requested language had no translation
+ */
+const localizeTemplate = (template, language) => {
+  const requested = normalizeLanguage(language);
+  const translations = getTranslations(template);
+
+  const candidates = requested ? [requested, requested.split('-')[0]] : [];
+  for (const locale of candidates) {
+    if (locale === DEFAULT_LANGUAGE) break;
+    if (translations[locale]) {
+      const variant = translations[locale];
+      return {
+        // An empty translated subject or body uses the default language's
+        subject: variant.subject || template.subject,
+        body: variant.body || template.body,
+        locale,
+        fallback: false
+      };
+    }
+  }
+
+  return {
+    subject: template.subject,
+    body: template.body,
+    locale: DEFAULT_LANGUAGE,
+    fallback: !!requested && requested.split('-')[0] !== DEFAULT_LANGUAGE
+  };
+};
+
+/**
+ * Check whether a template covers a language (the default language is always covered)
+ */
+const hasTranslation = (template, language) => {
+  const requested = normalizeLanguage(language);
+  if (!requested || requested.split('-')[0] === DEFAULT_LANGUAGE) return true;
+  return !localizeTemplate(template, requested).fallback;
+};
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  normalizeLanguage,
+  isValidLanguage,
+  getLanguageName,
+  getTranslations,
+  localizeTemplate,
+  hasTranslation
+};
@@ -0,0 +1,460 @@
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { execFile } = require('child_process');
+const { pathToFileURL } = require('url');
+const PizZip = require('pizzip');
+const Docxtemplater = require('docxtemplater');
+const logger = require('../utils/logger');
+const templateEngine = require('./templateEngine');
+const timezoneService = require('./timezoneService');
+const configSecretService = require('./configSecretService');
+
+/**
+ * Offer letter generation
+ *
+ * OfferLetterTemplates are DOCX files or HTML merged with candidate fields ({{firstName}}, {{salary}},
+ * {{joiningDate}}, custom fields, ...) and rendered to PDF with LibreOffice (LIBREOFFICE_PATH, default
+ * `soffice`). DOCX templates use docxtemplater with {{ }} delimiters ({{#items}}...{{/items}} sections);
+ * HTML templates use the email template language ({{#if}}, filters, ...).
+ *
+ * A generated letter is stored as the candidate's offerLetterPath with offerLetterStatus DRAFT and can't
+ * be sent (send-offer / step 1) until someone reviews and approves it. Uploading a letter by hand clears
+ * the status - uploaded letters need no approval.
+ */
+
+const UPLOADS_DIR = path.join(__dirname, '../../uploads');
+const TEMPLATES_DIR = path.join(UPLOADS_DIR, 'offer-letter-templates');
+const OFFER_LETTERS_DIR = path.join(UPLOADS_DIR, 'offer-letters');
+
+const STATUS_DRAFT = 'DRAFT';
+const STATUS_APPROVED = 'APPROVED';
+
+const RENDER_TIMEOUT_MS = 60 * 1000;
+
+const COMPANY_CONFIG_KEYS = ['company_name', 'hr_name', 'hr_email', 'hr_phone', 'company_address'];
+
+// Merge fields every template can use (custom fields and custom placeholders are added on top)
+const STANDARD_FIELDS = [
+  'firstName', 'lastName', 'fullName', 'candidateName', 'email', 'phone', 'position', 'department',
+  'salary', 'reportingManager', 'joiningDate', 'offerDate', 'offerExpiryDate', 'today',
+  'companyName', 'companyAddress', 'hrName', 'hrEmail', 'hrPhone'
+];
+
+const DOCX_OPTIONS = {
+  paragraphLoop: true,
+  linebreaks: true,
+  delimiters: { start: '{{', end: '}}' },
+  errorLogging: false // Errors are returned to the caller instead
+};
+
+const trimOrNull = (value) => (value === undefined || value === null || String(value).trim() === '' ? null : String(value).trim());
+
+// Path stored on the template / candidate (relative to uploads/, forward slashes)
+const toStoredPath = (filePath) => path.relative(UPLOADS_DIR, filePath).replace(/\\/g, '/');
+
+const removeFile = (storedPath) => {
+  if (!storedPath) return;
+  fs.promises.unlink(path.join(UPLOADS_DIR, storedPath)).catch(() => {});
+};
+
+// docxtemplater reports template errors as a list - join their explanations
+const describeDocxError = (error) => {
+  const errors = error.properties?.errors;
+  if (Array.isArray(errors) && errors.length > 0) {
+    return errors.map(e => e.properties?.explanation || e.message).join('; ');
+  }
+  return error.properties?.explanation || error.message;
+};
+
+// Check a template's content parses - returns an error message or null
+const checkTemplateContent = async (format, { filePath, htmlContent }) => {
+  if (format === 'DOCX') {
+    try {
+      const content = await fs.promises.readFile(filePath);
+      new Docxtemplater(new PizZip(content), DOCX_OPTIONS);
+      return null;
+    } catch (error) {
+      return `Invalid DOCX template: ${describeDocxError(error)}`;
+    }
+  }
+  if (!trimOrNull(htmlContent)) return 'HTML content is required';
+  const [syntaxError] = templateEngine.validateTemplate(htmlContent);
+  return syntaxError ? `Template syntax error: ${syntaxError.message}` : null;
+};
+
+/**
+ * Templates, department-specific first - filter by department (its own + the fallback) and archived
+ */
+const listTemplates = async (prisma, { department, includeInactive = false } = {}) => {
+  return prisma.offerLetterTemplate.findMany({
+    where: {
+      ...(!includeInactive && { isActive: true }),
+      ...(department && { OR: [{ department }, { department: null }] })
+    },
+    orderBy: [{ department: 'asc' }, { name: 'asc' }]
+  });
+};
+
+const getTemplate = (prisma, id) => prisma.offerLetterTemplate.findUnique({ where: { id } });
+
+/**
+ * Create a template - a DOCX upload (file) or htmlContent
+ */
+const createTemplate = async (prisma, body, file) => {
+  const name = trimOrNull(body.name);
+  const format = file ? 'DOCX' : 'HTML';
+  const reject = (error) => {
+    if (file) removeFile(toStoredPath(file.path));
+    return { error };
+  };
+
+  if (!name) return reject('Name is required');
+  if (await prisma.offerLetterTemplate.findUnique({ where: { name } })) {
+    return reject(`An offer letter template named "${name}" already exists`);
+  }
+  const contentError = await checkTemplateContent(format, { filePath: file?.path, htmlContent: body.htmlContent });
+  if (contentError) return reject(contentError);
+
+  const template = await prisma.offerLetterTemplate.create({
+    data: {
+      name,
+      department: trimOrNull(body.department),
+      format,
+      fileName: file ? file.originalname : null,
+      filePath: file ? toStoredPath(file.path) : null,
+      htmlContent: file ? null : body.htmlContent,
+      isActive: body.isActive === undefined ? true : body.isActive === true || body.isActive === 'true'
+    }
+  });
+  logger.info(`📝 Offer letter template created: ${template.name} (${format}, ${template.department || 'all departments'})`);
+  return { template };
+};
+
+/**
+ * Update name, department, isActive, or the content - a new DOCX file or htmlContent (switches format)
+ */
+const updateTemplate = async (prisma, id, body, file) => {
+  const reject = (error) => {
+    if (file) removeFile(toStoredPath(file.path));
+    return { error };
+  };
+
+  const existing = await getTemplate(prisma, id);
+  if (!existing) {
+    if (file) removeFile(toStoredPath(file.path));
+    return { notFound: true };
+  }
+
+  const data = {};
+  if (body.name !== undefined) {
+    const name = trimOrNull(body.name);
+    if (!name) return reject('Name is required');
+    const duplicate = await prisma.offerLetterTemplate.findFirst({ where: { name, id: { not: id } } });
+    if (duplicate) return reject(`An offer letter template named "${name}" already exists`);
+    data.name = name;
+  }
+  if (body.department !== undefined) data.department = trimOrNull(body.department);
+  if (body.isActive !== undefined) data.isActive = body.isActive === true || body.isActive === 'true';
+
+  if (file) {
+    const contentError = await checkTemplateContent('DOCX', { filePath: file.path });
+    if (contentError) return reject(contentError);
+    Object.assign(data, { format: 'DOCX', fileName: file.originalname, filePath: toStoredPath(file.path), htmlContent: null });
+  } else if (body.htmlContent !== undefined) {
+    const contentError = await checkTemplateContent('HTML', { htmlContent: body.htmlContent });
+    if (contentError) return reject(contentError);
+    Object.assign(data, { format: 'HTML', fileName: null, filePath: null, htmlContent: body.htmlContent });
+  }
+
+  const template = await prisma.offerLetterTemplate.update({ where: { id }, data });
+  if (existing.filePath && existing.filePath !== template.filePath) {
+    removeFile(existing.filePath);
+  }
+  return { template };
+};
+
+/**
+ * Delete a template and its file - letters already generated from it are kept
+ */
+const deleteTemplate = async (prisma, id) => {
+  const existing = await getTemplate(prisma, id);
+  if (!existing) return { notFound: true };
+  await prisma.offerLetterTemplate.delete({ where: { id } });
+  removeFile(existing.filePath);
+  return {};
+};
+
+/**
+ * Merge field names for the template editor - standard fields, custom fields and custom placeholders
+ */
+const listMergeFields = async (prisma) => {
+  const [customFields, customPlaceholders] = await Promise.all([
+    prisma.customField.findMany({ where: { isActive: true, isStandard: false }, orderBy: { order: 'asc' } }),
+    prisma.customPlaceholder.findMany({ where: { isActive: true } })
+  ]);
+  return {
+    standard: STANDARD_FIELDS,
+    customFields: customFields.map(f => ({ key: f.fieldKey, label: f.label })),
+    customPlaceholders: customPlaceholders.map(p => ({ key: p.placeholderKey, label: p.name }))
+  };
+};
+
+/**
+ * Values a letter is merged with - custom placeholders, then the candidate's custom fields, then the
+ * standard fields (which always win)
+ */
+const buildMergeContext = async (prisma, candidate) => {
+  const [companyConfig, customPlaceholders] = await Promise.all([
+    configSecretService.getConfigMap(prisma, COMPANY_CONFIG_KEYS),
+    prisma.customPlaceholder.findMany({ where: { isActive: true } })
+  ]);
+
+  const context = {};
+  customPlaceholders.forEach(p => { context[p.placeholderKey] = p.value; });
+  if (candidate.customFields && typeof candidate.customFields === 'object') {
+    Object.entries(candidate.customFields).forEach(([fieldKey, fieldValue]) => {
+      context[fieldKey] = fieldValue ?? '';
+    });
+  }
+
+  return {
+    ...context,
+    firstName: candidate.firstName,
+    lastName: candidate.lastName,
+    fullName: `${candidate.firstName} ${candidate.lastName}`,
+    candidateName: `${candidate.firstName} ${candidate.lastName}`,
+    email: candidate.email,
+    phone: candidate.phone || '',
+    position: candidate.position,
+    department: candidate.department,
+    salary: candidate.salary || '',
+    reportingManager: candidate.reportingManager || '',
+    joiningDate: timezoneService.formatCalendarDate(candidate.expectedJoiningDate),
+    offerDate: timezoneService.formatCalendarDate(candidate.offerDate || new Date()),
+    offerExpiryDate: timezoneService.formatCalendarDate(candidate.offerExpiryDate),
+    today: timezoneService.formatCalendarDate(new Date()),
+    companyName: companyConfig.company_name || process.env.COMPANY_NAME || 'Company',
+    companyAddress: companyConfig.company_address || '',
+    hrName: companyConfig.hr_name || process.env.HR_NAME || 'HR Team',
+    hrEmail: companyConfig.hr_email || process.env.HR_EMAIL || '',
+    hrPhone: companyConfig.hr_phone || ''
+  };
+};
+
+// Merge a DOCX template - placeholders with no value render empty and are collected in unresolved
+const mergeDocx = async (template, context, unresolved) => {
+  const content = await fs.promises.readFile(path.join(UPLOADS_DIR, template.filePath));
+  let doc;
+  try {
+    doc = new Docxtemplater(new PizZip(content), {
+      ...DOCX_OPTIONS,
+      nullGetter: (part) => {
+        if (!part.module && !unresolved.includes(part.value)) unresolved.push(part.value);
+        return '';
+      }
+    });
+    doc.render(context);
+  } catch (error) {
+    throw new Error(`Offer letter template "${template.name}" could not be merged: ${describeDocxError(error)}`);
+  }
+  return doc.getZip().generate({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+// Merge an HTML template into a standalone page LibreOffice can convert
+const mergeHtml = (template, context, timezone, unresolved) => {
+  const report = { unresolved: [], empty: [] };
+  const body = templateEngine.renderTemplate(template.htmlContent, context, { timezone, report });
+  report.unresolved.forEach(name => { if (!unresolved.includes(name)) unresolved.push(name); });
+  if (/<html[\s>]/i.test(body)) return body;
+  return `<!DOCTYPE html>\n<html><head><meta charset="utf-8"></head><body>\n${body}\n</body></html>\n`;
+};
+
+// Each render gets its own LibreOffice profile (in its work dir), so conversions could run side by side -
+// they're serialized only to cap CPU and memory, as every soffice process is a full office instance
+let renderQueue = Promise.resolve();
+
+// Convert a file to PDF with LibreOffice - returns the PDF's path (next to the input)
+const convertToPdf = (inputPath, filter) => {
+  const workDir = path.dirname(inputPath);
+  const soffice = process.env.LIBREOFFICE_PATH || 'soffice';
+  const args = [
+    '--headless', '--norestore',
+    `-env:UserInstallation=${pathToFileURL(path.join(workDir, 'profile')).href}`,
+    '--convert-to', filter,
+    '--outdir', workDir,
+    inputPath
+  ];
+
+  const run = () => new Promise((resolve, reject) => {
+    execFile(soffice, args, { timeout: RENDER_TIMEOUT_MS }, (error, stdout, stderr) => {
+      if (error) {
+        if (error.code === 'ENOENT') {
+          return reject(new Error(`LibreOffice not found (${soffice}) - install it or set LIBREOFFICE_PATH to render offer letters to PDF`));
+        }
+        if (error.killed) {
+          return reject(new Error(`Offer letter PDF rendering timed out after ${RENDER_TIMEOUT_MS / 1000}s`));
+        }
+        return reject(new Error(`Offer letter PDF rendering failed: ${(stderr || error.message).trim()}`));
+      }
+      const pdfPath = path.join(workDir, `${path.basename(inputPath, path.extname(inputPath))}.pdf`);
+      fs.promises.access(pdfPath)
+        .then(() => resolve(pdfPath))
+        .catch(() => reject(new Error(`Offer letter PDF rendering produced no file: ${(stdout || stderr).trim()}`)));
+    });
+  });
+
+  const result = renderQueue.then(run, run);
+  renderQueue = result.catch(() => {});
+  return result;
+};
+
+/**
+ * Merge a template with a candidate and render it to PDF in uploads/offer-letters
+ * Returns { filePath (relative to uploads/), unresolved: [placeholders with no value] }
+ */
+const renderOfferLetter = async (prisma, template, candidate) => {
+  const context = await buildMergeContext(prisma, candidate);
+  const timezone = await timezoneService.resolveCandidateTimezone(prisma, candidate);
+  const unresolved = [];
+
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'offer-letter-'));
+  try {
+    let inputPath;
+    let filter;
+    if (template.format === 'DOCX') {
+      inputPath = path.join(workDir, 'offer-letter.docx');
+      await fs.promises.writeFile(inputPath, await mergeDocx(template, context, unresolved));
+      filter = 'pdf';
+    } else {
+      inputPath = path.join(workDir, 'offer-letter.html');
+      await fs.promises.writeFile(inputPath, mergeHtml(template, context, timezone, unresolved), 'utf8');
+      filter = 'pdf:writer_web_pdf_Export';
+    }
+
+    const pdfPath = await convertToPdf(inputPath, filter);
+
+    await fs.promises.mkdir(OFFER_LETTERS_DIR, { recursive: true });
+    const safeName = `${candidate.firstName}-${candidate.lastName}`.replace(/[^A-Za-z0-9-]+/g, '_');
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const outputPath = path.join(OFFER_LETTERS_DIR, `${uniqueSuffix}-Offer-Letter-${safeName}.pdf`);
+    await fs.promises.copyFile(pdfPath, outputPath);
+
+    return { filePath: toStoredPath(outputPath), unresolved };
+  } finally {
+    fs.promises.rm(workDir, { recursive: true, force: true }).catch(() => {});
+  }
+};
+
+/**
+ * The template for a candidate - the one asked for, else the department's own active template,
+ * else the fallback (department null)
+ */
+const resolveTemplate = async (prisma, candidate, templateId = null) => {
+  if (templateId) {
+    return prisma.offerLetterTemplate.findFirst({ where: { id: templateId, isActive: true } });
+  }
+  const templates = await prisma.offerLetterTemplate.findMany({
+    where: { isActive: true, OR: [{ department: candidate.department }, { department: null }] },
+    orderBy: { updatedAt: 'desc' }
+  });
+  return templates.find(t => t.department === candidate.department) || templates[0] || null;
+};
+
+/**
+ * Generate a candidate's offer letter as a DRAFT awaiting approval
+ * Returns { notFound } / { error } / { candidate, template, unresolved }
+ */
+const generateOfferLetter = async (prisma, candidateId, { templateId } = {}) => {
+  const candidate = await prisma.candidate.findUnique({ where: { id: candidateId } });
+  if (!candidate) return { notFound: true };
+
+  const template = await resolveTemplate(prisma, candidate, templateId || null);
+  if (!template) {
+    return {
+      error: templateId
+        ? 'Offer letter template not found or archived'
+        : `No active offer letter template for ${candidate.department} - create one for the department or a fallback for all departments`
+    };
+  }
+
+  const { filePath, unresolved } = await renderOfferLetter(prisma, template, candidate);
+  if (unresolved.length > 0) {
+    logger.warn(`⚠️ Offer letter for ${candidate.email} has placeholders with no value: ${unresolved.join(', ')}`);
+  }
+
+  const updated = await prisma.candidate.update({
+    where: { id: candidate.id },
+    data: {
+      offerLetterPath: filePath,
+      offerDate: candidate.offerDate || new Date(),
+      offerLetterStatus: STATUS_DRAFT,
+      offerLetterTemplateId: template.id,
+      offerLetterGeneratedAt: new Date(),
+      offerLetterApprovedAt: null,
+      offerLetterApprovedById: null
+    }
+  });
+  logger.info(`📝 Offer letter generated for ${candidate.email} from "${template.name}" - awaiting approval`);
+  return { candidate: updated, template, unresolved };
+};
+
+/**
+ * Approve a generated (DRAFT) offer letter so it can be sent
+ */
+const approveOfferLetter = async (prisma, candidateId, userId) => {
+  const candidate = await prisma.candidate.findUnique({ where: { id: candidateId } });
+  if (!candidate) return { notFound: true };
+  if (candidate.offerLetterStatus !== STATUS_DRAFT) {
+    return { error: 'There is no generated offer letter awaiting approval' };
+  }
+
+  const updated = await prisma.candidate.update({
+    where: { id: candidate.id },
+    data: {
+      offerLetterStatus: STATUS_APPROVED,
+      offerLetterApprovedAt: new Date(),
+      offerLetterApprovedById: userId || null
+    }
+  });
+  return { candidate: updated };
+};
+
+/**
+ * Why the candidate's offer letter can't be sent yet - null when it can
+ */
+const getSendBlockReason = (candidate) => {
+  if (candidate.offerLetterPath && candidate.offerLetterStatus === STATUS_DRAFT) {
+    return 'The generated offer letter is awaiting approval. Please review and approve it before sending.';
+  }
+  return null;
+};
+
+// Candidate fields that reset when an offer letter is uploaded by hand
+const uploadedLetterData = () => ({
+  offerLetterStatus: null,
+  offerLetterTemplateId: null,
+  offerLetterGeneratedAt: null,
+  offerLetterApprovedAt: null,
+  offerLetterApprovedById: null
+});
+
+module.exports = {
+  TEMPLATES_DIR,
+  STATUS_DRAFT,
+  STATUS_APPROVED,
+  STANDARD_FIELDS,
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  listMergeFields,
+  buildMergeContext,
+  renderOfferLetter,
+  resolveTemplate,
+  generateOfferLetter,
+  approveOfferLetter,
+  getSendBlockReason,
+  uploadedLetterData
+};
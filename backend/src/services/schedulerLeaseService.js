@@ -0,0 +1,95 @@
+const logger = require('../utils/logger');
+const { WORKER_ID } = require('./jobQueueService');
+
+/**
+ * Scheduler leader election - a lease row in Postgres (SchedulerLease)
+ *
+ * Every instance starts node-cron, but a cron tick only does work on the instance holding the lease.
+ * The leader renews the lease on each tick (at least once a minute); if it stops, another instance
+ * takes the lease over at its next tick once expiresAt has passed.
+ */
+
+const SCHEDULER_LEASE = 'scheduler';
+const LEASE_TTL_MS = 2 * 60 * 1000; // 2 minutes - two missed ticks before another instance takes over
+
+let isLeader = false;
+
+/**
+ * Acquire or renew the lease for this instance
+ * Returns true if this instance is the leader
+ */
+const acquireLease = async (prisma, name = SCHEDULER_LEASE, holderId = WORKER_ID, ttlMs = LEASE_TTL_MS) => {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + ttlMs);
+
+  // Renew - we already hold it
+  const renewed = await prisma.schedulerLease.updateMany({
+    where: { name, holderId },
+    data: { expiresAt }
+  });
+
+  let leader = renewed.count > 0;
+
+  // Take over a lapsed lease (guarded so only one instance wins)
+  if (!leader) {
+    const takenOver = await prisma.schedulerLease.updateMany({
+      where: { name, expiresAt: { lt: now } },
+      data: { holderId, acquiredAt: now, expiresAt }
+    });
+    leader = takenOver.count > 0;
+  }
+
+  // First instance ever - create the lease row
+  if (!leader) {
+    try {
+      await prisma.schedulerLease.create({ data: { name, holderId, acquiredAt: now, expiresAt } });
+      leader = true;
+    } catch (error) {
+      if (error.code !== 'P2002') throw error;
+      // Row exists and is held by another live instance
+    }
+  }
+
+  if (leader !== isLeader) {
+    logger.info(leader
+      ? `👑 [SCHEDULER] ${holderId} is now the scheduler leader`
+      : `⏸️ [SCHEDULER] ${holderId} is no longer the scheduler leader`);
+  }
+  isLeader = leader;
+  return leader;
+};
+
+/**
+ * Give up the lease (on shutdown) so another instance takes over at its next tick
+ */
+const releaseLease = async (prisma, name = SCHEDULER_LEASE, holderId = WORKER_ID) => {
+  try {
+    await prisma.schedulerLease.updateMany({
+      where: { name, holderId },
+      data: { expiresAt: new Date(0) }
+    });
+    isLeader = false;
+  } catch (error) {
+    logger.warn('⚠️ Failed to release scheduler lease:', error.message);
+  }
+};
+
+/**
+ * Get the current lease holder (for the Scheduled Jobs page)
+ */
+const getLease = async (prisma, name = SCHEDULER_LEASE) => {
+  const lease = await prisma.schedulerLease.findUnique({ where: { name } });
+  if (!lease) return null;
+  return {
+    ...lease,
+    active: lease.expiresAt > new Date(),
+    isCurrentInstance: lease.holderId === WORKER_ID
+  };
+};
+
+module.exports = {
+  SCHEDULER_LEASE,
+  acquireLease,
+  releaseLease,
+  getLease
+};
@@ -0,0 +1,246 @@
+const logger = require('../utils/logger');
+const timezoneService = require('./timezoneService');
+
+/**
+ * Email send window (quiet hours)
+ *
+ * Emails only go out inside the send window, in the candidate's timezone - e.g. 09:00-19:00 on
+ * weekdays. A send that comes due outside the window is deferred to the next open slot
+ * (Email.scheduledFor is moved, Email.deferredFrom keeps the original time).
+ *
+ * Settings live in WorkflowConfig (managed in Settings > Send Window):
+ * - send_window_enabled: "true" to enforce the window (off by default - emails send whenever due)
+ * - send_window_start / send_window_end: "HH:mm" wall-clock times, start before end
+ * - send_window_days: comma-separated days of the week (0 = Sunday ... 6 = Saturday)
+ * - send_window_overrides: JSON per email type - { "OFFER_LETTER": { "mode": "immediate" } } always sends,
+ *   { "FORM_REMINDER": { "mode": "window", "start": "10:00", "end": "17:00", "days": [1,2,3,4,5] } }
+ *   uses its own window
+ */
+
+const CONFIG_KEYS = ['send_window_enabled', 'send_window_start', 'send_window_end', 'send_window_days', 'send_window_overrides'];
+const OVERRIDE_MODES = ['immediate', 'window'];
+
+const DEFAULT_WINDOW = {
+  start: '09:00',
+  end: '19:00',
+  days: [1, 2, 3, 4, 5]
+};
+
+// A week of closed days means every day is closed - give up rather than loop
+const MAX_DAYS_SEARCHED = 8;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const isValidTime = (value) => TIME_PATTERN.test(value || '');
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(v => parseInt(v, 10));
+  return hours * 60 + minutes;
+};
+
+const parseDays = (value) => {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  const days = list
+    .map(day => parseInt(String(day).trim(), 10))
+    .filter(day => !isNaN(day) && day >= 0 && day <= 6);
+  return [...new Set(days)].sort((a, b) => a - b);
+};
+
+/**
+ * Check a window ({ start, end, days }) - returns an error message or null
+ */
+const validateWindow = (window) => {
+  if (!isValidTime(window.start) || !isValidTime(window.end)) {
+    return 'Send window times must be in HH:mm format';
+  }
+  if (toMinutes(window.start) >= toMinutes(window.end)) {
+    return 'The send window must start before it ends';
+  }
+  if (parseDays(window.days).length === 0) {
+    return 'Select at least one day for the send window';
+  }
+  return null;
+};
+
+const parseOverrides = (value) => {
+  if (!value) return {};
+  try {
+    const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+    const overrides = {};
+    Object.entries(parsed || {}).forEach(([type, override]) => {
+      if (!override || !OVERRIDE_MODES.includes(override.mode)) return;
+      if (override.mode === 'window') {
+        const window = { start: override.start, end: override.end, days: parseDays(override.days) };
+        if (validateWindow(window)) return;
+        overrides[type] = { mode: 'window', ...window };
+      } else {
+        overrides[type] = { mode: 'immediate' };
+      }
+    });
+    return overrides;
+  } catch (error) {
+    logger.warn('⚠️ Invalid send_window_overrides config, ignoring overrides:', error.message);
+    return {};
+  }
+};
+
+/**
+ * Load the send window settings
+ * Falls back to the window being off if the settings can't be read
+ */
+const getSendWindow = async (prisma) => {
+  let configMap = {};
+  try {
+    const configs = await prisma.workflowConfig.findMany({ where: { key: { in: CONFIG_KEYS } } });
+    configs.forEach(c => { configMap[c.key] = c.value; });
+  } catch (error) {
+    logger.warn('⚠️ Failed to load send window, sending without it:', error.message);
+  }
+
+  const window = {
+    start: configMap.send_window_start || DEFAULT_WINDOW.start,
+    end: configMap.send_window_end || DEFAULT_WINDOW.end,
+    days: configMap.send_window_days ? parseDays(configMap.send_window_days) : DEFAULT_WINDOW.days
+  };
+
+  return {
+    enabled: configMap.send_window_enabled === 'true',
+    ...(validateWindow(window) ? DEFAULT_WINDOW : window),
+    overrides: parseOverrides(configMap.send_window_overrides)
+  };
+};
+
+/**
+ * Save send window settings (only the keys given) - returns an error message or null
+ */
+const saveSendWindow = async (prisma, { enabled, start, end, days, overrides }) => {
+  const current = await getSendWindow(prisma);
+  const window = {
+    start: start !== undefined ? start : current.start,
+    end: end !== undefined ? end : current.end,
+    days: days !== undefined ? days : current.days
+  };
+  const windowError = validateWindow(window);
+  if (windowError) return windowError;
+
+  if (overrides !== undefined) {
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      return 'Overrides must be an object keyed by email type';
+    }
+    for (const [type, override] of Object.entries(overrides)) {
+      if (!OVERRIDE_MODES.includes(override?.mode)) {
+        return `Override for ${type} must have mode "immediate" or "window"`;
+      }
+      if (override.mode === 'window') {
+        const overrideError = validateWindow({ start: override.start, end: override.end, days: override.days });
+        if (overrideError) return `${type}: ${overrideError}`;
+      }
+    }
+  }
+
+  const values = {
+    send_window_start: window.start,
+    send_window_end: window.end,
+    send_window_days: parseDays(window.days).join(',')
+  };
+  if (enabled !== undefined) values.send_window_enabled = enabled ? 'true' : 'false';
+  if (overrides !== undefined) values.send_window_overrides = JSON.stringify(parseOverrides(overrides));
+
+  for (const [key, value] of Object.entries(values)) {
+    await prisma.workflowConfig.upsert({
+      where: { key },
+      update: { value },
+      create: { key, value }
+    });
+  }
+  return null;
+};
+
+/**
+ * The window that applies to an email type - null when the type always sends immediately
+ */
+const getWindowForType = (sendWindow, emailType) => {
+  const override = sendWindow.overrides[emailType];
+  if (override?.mode === 'immediate') return null;
+  if (override?.mode === 'window') return override;
+  return sendWindow.enabled ? sendWindow : null;
+};
+
+// Day of week and minutes since midnight of an instant in a timezone
+const getZonedClock = (date, timeZone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+
+  const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  return {
+    day: weekdays.indexOf(parts.weekday),
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+  };
+};
+
+// Add days to a YYYY-MM-DD key
+const addDaysToKey = (dateKey, days) => {
+  const [year, month, day] = dateKey.split('-').map(v => parseInt(v, 10));
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+/**
+ * Earliest time at or after `date` that an email of this type may be sent to someone in `timeZone`
+ * Returns { sendAt, deferred } - deferred is true when the time was moved into the window
+ */
+const getNextSendTime = (sendWindow, emailType, date, timeZone) => {
+  const sendAt = new Date(date);
+  const window = getWindowForType(sendWindow, emailType);
+  if (!window) return { sendAt, deferred: false };
+
+  const zone = timezoneService.isValidTimezone(timeZone) ? timeZone : timezoneService.DEFAULT_TIMEZONE;
+  const { day, minutes } = getZonedClock(sendAt, zone);
+  const start = toMinutes(window.start);
+  const end = toMinutes(window.end);
+
+  if (window.days.includes(day) && minutes >= start && minutes < end) {
+    return { sendAt, deferred: false };
+  }
+
+  // Next open slot: later today if the window hasn't opened yet, else the next send day
+  const todayKey = timezoneService.getZonedDateKey(sendAt, zone);
+  for (let offset = 0; offset < MAX_DAYS_SEARCHED; offset++) {
+    const dayOfWeek = (day + offset) % 7;
+    if (!window.days.includes(dayOfWeek)) continue;
+    if (offset === 0 && minutes >= start) continue;
+    return {
+      sendAt: timezoneService.zonedTimeToDate(addDaysToKey(todayKey, offset), window.start, zone),
+      deferred: true
+    };
+  }
+
+  logger.warn(`⚠️ No open send window found for ${emailType} - sending without deferral`);
+  return { sendAt, deferred: false };
+};
+
+/**
+ * Check an email against the send window for its candidate
+ * Returns { sendAt, deferred, timeZone }
+ */
+const checkSendWindow = async (prisma, emailType, candidate, date = new Date(), sendWindow = null) => {
+  const window = sendWindow || await getSendWindow(prisma);
+  const timeZone = await timezoneService.resolveCandidateTimezone(prisma, candidate);
+  return { ...getNextSendTime(window, emailType, date, timeZone), timeZone };
+};
+
+module.exports = {
+  DEFAULT_WINDOW,
+  OVERRIDE_MODES,
+  validateWindow,
+  getSendWindow,
+  saveSendWindow,
+  getWindowForType,
+  getNextSendTime,
+  checkSendWindow
+};
@@ -0,0 +1,283 @@
+const logger = require('../utils/logger');
+const configSecretService = require('./configSecretService');
+
+/**
+ * Sender identities
+ *
+ * Emails go out from hr_email unless a SenderIdentity applies - e.g. the Sales HRBP for Sales hires.
+ * The identity for an email is, in order:
+ *   1. the one set on the email (a step's senderIdentityId override, or the email being replied to)
+ *   2. the active identity whose departments include the candidate's department
+ *   3. the active isDefault identity
+ *   4. none - hr_email / hr_name on the configured transport
+ *
+ * An identity with its own credentials (SMTP, or a Gmail OAuth refresh token) sends through them;
+ * without, it only sets From / Reply-To on the configured transport, which must be allowed to send
+ * as that address (SES verified identity, Gmail "send mail as" alias, ...). The outbox transport
+ * always captures, whatever the identity. The identity's signature is appended to every email it sends.
+ *
+ * The email monitor watches the inbox of every active identity with its own credentials
+ * (monitorInbox) for replies, bounces and signed offers.
+ *
+ * smtpPass / googleRefreshToken are stored encrypted (configSecretService); resolveSenderIdentity and
+ * getMonitoredIdentities return them decrypted.
+ */
+
+const PROVIDERS = ['smtp', 'gmail'];
+
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+// Never sent to the browser - reported as hasSmtpPassword / hasGoogleRefreshToken instead
+const SECRET_FIELDS = ['smtpPass', 'googleRefreshToken'];
+
+/**
+ * Whether an identity sends through its own mailbox rather than the configured transport
+ */
+const hasOwnCredentials = (identity) => {
+  if (!identity) return false;
+  if (identity.provider === 'gmail') return !!identity.googleRefreshToken;
+  return !!(identity.smtpHost && identity.smtpUser && identity.smtpPass);
+};
+
+/**
+ * Whether the email monitor can watch an identity's inbox
+ */
+const canMonitorInbox = (identity) => {
+  if (!identity || !identity.isActive || !identity.monitorInbox) return false;
+  if (identity.provider === 'gmail') return !!identity.googleRefreshToken;
+  return !!(identity.imapHost && identity.smtpUser && identity.smtpPass);
+};
+
+/**
+ * Identity as returned by the API - secrets are only reported as set / not set
+ */
+const toPublicIdentity = (identity) => {
+  const publicIdentity = { ...identity };
+  SECRET_FIELDS.forEach(field => { delete publicIdentity[field]; });
+  return {
+    ...publicIdentity,
+    hasSmtpPassword: !!identity.smtpPass,
+    hasGoogleRefreshToken: !!identity.googleRefreshToken,
+    hasOwnCredentials: hasOwnCredentials(identity),
+    inboxMonitored: canMonitorInbox(identity)
+  };
+};
+
+/**
+ * Identity an email is sent from - null means hr_email
+ * senderIdentityId: set on the email (step override / reply); department: the candidate's department
+ */
+const resolveSenderIdentity = async (prisma, { senderIdentityId = null, department = null } = {}) => {
+  try {
+    if (senderIdentityId) {
+      const identity = await prisma.senderIdentity.findUnique({ where: { id: senderIdentityId } });
+      if (identity?.isActive) return configSecretService.decryptIdentitySecrets(identity);
+      if (identity) {
+        logger.warn(`⚠️ Sender identity ${identity.email} is inactive - using the department's sender instead`);
+      }
+    }
+
+    if (department) {
+      const identity = await prisma.senderIdentity.findFirst({
+        where: { isActive: true, departments: { has: department } },
+        orderBy: { createdAt: 'asc' }
+      });
+      if (identity) return configSecretService.decryptIdentitySecrets(identity);
+    }
+
+    const identity = await prisma.senderIdentity.findFirst({
+      where: { isActive: true, isDefault: true },
+      orderBy: { createdAt: 'asc' }
+    });
+    return configSecretService.decryptIdentitySecrets(identity);
+  } catch (error) {
+    logger.warn('Could not resolve sender identity, sending from the HR email:', error.message);
+    return null;
+  }
+};
+
+/**
+ * HTML body with the identity's signature appended
+ */
+const appendSignature = (html, identity) => {
+  if (!identity?.signature || !identity.signature.trim()) return html;
+  return `${html}<br><br>${identity.signature.trim()}`;
+};
+
+/**
+ * Active identities whose inboxes the email monitor watches
+ */
+const getMonitoredIdentities = async (prisma) => {
+  const identities = await prisma.senderIdentity.findMany({
+    where: { isActive: true, monitorInbox: true },
+    orderBy: { createdAt: 'asc' }
+  });
+  return identities.filter(canMonitorInbox).map(configSecretService.decryptIdentitySecrets);
+};
+
+const trimOrNull = (value) => (value === undefined || value === null || String(value).trim() === '' ? null : String(value).trim());
+
+/**
+ * Validate create / update data - returns { error } or { data } ready for prisma
+ * existing: the identity being updated (null when creating). Blank secrets keep the saved ones.
+ */
+const buildIdentityData = async (prisma, input, existing = null) => {
+  const data = {};
+  const has = (field) => input[field] !== undefined;
+
+  if (!existing || has('name')) {
+    data.name = trimOrNull(input.name);
+    if (!data.name) return { error: 'Name is required' };
+  }
+  if (!existing || has('email')) {
+    data.email = trimOrNull(input.email)?.toLowerCase() || null;
+    if (!data.email || !EMAIL_PATTERN.test(data.email)) return { error: 'A valid email address is required' };
+  }
+  if (has('displayName')) data.displayName = trimOrNull(input.displayName);
+  if (has('replyTo')) {
+    data.replyTo = trimOrNull(input.replyTo)?.toLowerCase() || null;
+    if (data.replyTo && !EMAIL_PATTERN.test(data.replyTo)) return { error: 'Reply-To must be a valid email address' };
+  }
+  if (has('signature')) data.signature = trimOrNull(input.signature);
+
+  if (has('provider')) {
+    if (!PROVIDERS.includes(input.provider)) return { error: `Unknown provider: ${input.provider}` };
+    data.provider = input.provider;
+  }
+  if (has('smtpHost')) data.smtpHost = trimOrNull(input.smtpHost);
+  if (has('smtpUser')) data.smtpUser = trimOrNull(input.smtpUser);
+  if (has('imapHost')) data.imapHost = trimOrNull(input.imapHost);
+  for (const field of ['smtpPort', 'imapPort']) {
+    if (!has(field)) continue;
+    if (trimOrNull(input[field]) === null) {
+      data[field] = null;
+      continue;
+    }
+    const port = parseInt(input[field], 10);
+    if (isNaN(port) || port < 1 || port > 65535) return { error: `${field === 'smtpPort' ? 'SMTP' : 'IMAP'} port must be between 1 and 65535` };
+    data[field] = port;
+  }
+  for (const field of ['smtpSecure', 'imapSecure', 'monitorInbox', 'isActive', 'isDefault']) {
+    if (has(field)) data[field] = input[field] === true || input[field] === 'true';
+  }
+  // Blank secrets keep the saved ones
+  SECRET_FIELDS.forEach(field => {
+    if (trimOrNull(input[field])) data[field] = String(input[field]).trim();
+  });
+
+  if (has('departments')) {
+    if (!Array.isArray(input.departments)) return { error: 'Departments must be a list' };
+    data.departments = [...new Set(input.departments.map(d => String(d).trim()).filter(Boolean))];
+
+    // One identity per department - otherwise which one sends would be arbitrary
+    const taken = await prisma.senderIdentity.findMany({
+      where: {
+        departments: { hasSome: data.departments },
+        ...(existing && { id: { not: existing.id } })
+      }
+    });
+    for (const other of taken) {
+      const department = data.departments.find(d => other.departments.includes(d));
+      if (department) return { error: `${department} already sends from ${other.name} (${other.email})` };
+    }
+  }
+
+  if (data.email && data.email !== existing?.email) {
+    const duplicate = await prisma.senderIdentity.findUnique({ where: { email: data.email } });
+    if (duplicate) return { error: `A sender identity for ${data.email} already exists` };
+  }
+
+  if (data.provider === 'gmail' && (!process.env.GOOGLE_CLIENT_ID || !process.env.GOOGLE_CLIENT_SECRET)) {
+    return { error: 'Gmail identities need GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET in the .env file' };
+  }
+
+  // Secrets are stored encrypted
+  return { data: configSecretService.encryptIdentitySecrets(data) };
+};
+
+/**
+ * Check a step's sender override - returns { senderIdentityId } (undefined = not given, null = use the
+ * department's sender) or { error }
+ */
+const validateStepSender = async (prisma, senderIdentityId) => {
+  if (senderIdentityId === undefined) return { senderIdentityId: undefined };
+  if (!senderIdentityId || String(senderIdentityId).trim() === '') return { senderIdentityId: null };
+
+  const identity = await prisma.senderIdentity.findUnique({ where: { id: String(senderIdentityId) } });
+  if (!identity) return { error: 'Sender identity not found' };
+  return { senderIdentityId: identity.id };
+};
+
+const listIdentities = async (prisma) => {
+  const identities = await prisma.senderIdentity.findMany({
+    include: { _count: { select: { steps: true } } },
+    orderBy: [{ isDefault: 'desc' }, { name: 'asc' }]
+  });
+  return identities.map(toPublicIdentity);
+};
+
+// Only one default identity - setting a new one clears the flag on the others
+const clearOtherDefaults = async (prisma, identity) => {
+  if (!identity.isDefault) return;
+  await prisma.senderIdentity.updateMany({
+    where: { isDefault: true, id: { not: identity.id } },
+    data: { isDefault: false }
+  });
+};
+
+/**
+ * Create an identity - returns { error } or { identity }
+ */
+const createIdentity = async (prisma, input) => {
+  const { error, data } = await buildIdentityData(prisma, input);
+  if (error) return { error };
+
+  const identity = await prisma.senderIdentity.create({ data });
+  await clearOtherDefaults(prisma, identity);
+  logger.info(`✅ Sender identity created: ${identity.name} <${identity.email}>`);
+  return { identity: toPublicIdentity(identity) };
+};
+
+/**
+ * Update an identity - returns { error }, { notFound: true } or { identity }
+ */
+const updateIdentity = async (prisma, id, input) => {
+  const existing = await prisma.senderIdentity.findUnique({ where: { id } });
+  if (!existing) return { notFound: true };
+
+  const { error, data } = await buildIdentityData(prisma, input, existing);
+  if (error) return { error };
+
+  const identity = await prisma.senderIdentity.update({ where: { id }, data });
+  await clearOtherDefaults(prisma, identity);
+  logger.info(`✅ Sender identity updated: ${identity.name} <${identity.email}>`);
+  return { identity: toPublicIdentity(identity) };
+};
+
+/**
+ * Keep identities' department lists in step with a department rename / delete (newName null = delete)
+ */
+const renameDepartment = async (prisma, oldName, newName = null) => {
+  const identities = await prisma.senderIdentity.findMany({ where: { departments: { has: oldName } } });
+  for (const identity of identities) {
+    const departments = identity.departments.filter(d => d !== oldName);
+    if (newName && !departments.includes(newName)) departments.push(newName);
+    await prisma.senderIdentity.update({ where: { id: identity.id }, data: { departments } });
+  }
+  return identities.length;
+};
+
+module.exports = {
+  PROVIDERS,
+  hasOwnCredentials,
+  canMonitorInbox,
+  toPublicIdentity,
+  resolveSenderIdentity,
+  appendSignature,
+  getMonitoredIdentities,
+  validateStepSender,
+  listIdentities,
+  createIdentity,
+  updateIdentity,
+  renameDepartment
+};
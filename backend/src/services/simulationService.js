@@ -0,0 +1,283 @@
+const emailService = require('./emailService');
+const workflowVersionService = require('./workflowVersionService');
+const businessCalendarService = require('./businessCalendarService');
+const timezoneService = require('./timezoneService');
+const stepConditionService = require('./stepConditionService');
+const stepDependencyService = require('./stepDependencyService');
+const stepScheduleService = require('./stepScheduleService');
+const logger = require('../utils/logger');
+
+/**
+ * Dry-run simulation of a candidate's onboarding timeline
+ *
+ * Walks the candidate's steps (their pinned workflow version, or the department's active version for a
+ * candidate that hasn't been created yet) and works out every email, calendar invite and task the
+ * workflow will generate - with exact timestamps in the candidate's timezone and subjects/bodies
+ * rendered through getUniversalEmailContent, the same function the real send uses.
+ *
+ * Nothing is written: no Email, CalendarEvent or Task rows are created and no Google events are made.
+ * The offer letter is assumed to go out at `offerSentAt` (default: now) when it hasn't been sent yet.
+ */
+
+// Replace the candidate placeholders used in task titles/descriptions (same as createDepartmentTasks)
+const renderTaskText = (text, candidate) => {
+  if (!text) return null;
+  return text
+    .replace(/\{\{firstName\}\}/g, candidate.firstName)
+    .replace(/\{\{lastName\}\}/g, candidate.lastName)
+    .replace(/\{\{position\}\}/g, candidate.position)
+    .replace(/\{\{department\}\}/g, candidate.department);
+};
+
+// Wall-clock time on the day `offset` (business) days from baseDate, in the candidate's timezone
+// Same calculation as autoScheduleStepsForNewCandidate / scheduleOfferLetterBasedSteps
+const getStepDateTime = (businessCalendar, baseDate, offset, timeStr, timezone) => {
+  const scheduledDate = businessCalendarService.addScheduleOffset(businessCalendar, baseDate, offset || 0);
+  return timezoneService.zonedTimeToDate(timezoneService.getCalendarDateKey(scheduledDate), timeStr, timezone);
+};
+
+// Work out when a step will fire - returns { startTime, basis } (startTime null for manual steps)
+const getStepStartTime = (step, context) => {
+  const { candidate, businessCalendar, timezone, offerSentAt, stepTimes } = context;
+
+  // Step 1 is sent by HR - assume it goes out at the offer time
+  if (step.stepNumber === 1 || step.type === 'OFFER_LETTER') {
+    return { startTime: offerSentAt, basis: candidate.offerSentAt ? 'Offer letter sent' : 'Assumed offer send time' };
+  }
+
+  if (!step.isAuto || step.schedulingMethod === 'manual') {
+    return { startTime: null, basis: 'Manual - HR triggers this step' };
+  }
+
+  if (step.schedulingMethod === 'offerLetter') {
+    const startTime = getStepDateTime(businessCalendar, offerSentAt, step.dueDateOffset, step.scheduledTimeOfferLetter || '14:00', timezone);
+    return { startTime, basis: `${step.dueDateOffset || 0} day(s) after the offer letter at ${step.scheduledTimeOfferLetter || '14:00'}` };
+  }
+
+  if (step.schedulingMethod === 'step') {
+    const anchor = context.steps.find(s => s.id === step.anchorStepId);
+    const anchorTime = anchor ? stepTimes[anchor.stepNumber] : null;
+    if (!anchorTime) {
+      return { startTime: null, basis: anchor ? `After step ${anchor.stepNumber} (not scheduled yet)` : 'Anchor step not found' };
+    }
+    const startTime = new Date(anchorTime.getTime() + (step.anchorOffsetHours || 0) * 60 * 60 * 1000);
+    return { startTime, basis: `${step.anchorOffsetHours || 0}h after step ${anchor.stepNumber}` };
+  }
+
+  // Default - relative to the joining date
+  if (!candidate.expectedJoiningDate) {
+    return { startTime: null, basis: 'No joining date set' };
+  }
+  const startTime = getStepDateTime(businessCalendar, candidate.expectedJoiningDate, step.dueDateOffset, step.scheduledTimeDoj || '09:00', timezone);
+  const offset = step.dueDateOffset || 0;
+  return {
+    startTime,
+    basis: `${offset === 0 ? 'On' : `${Math.abs(offset)} day(s) ${offset < 0 ? 'before' : 'after'}`} the joining date at ${step.scheduledTimeDoj || '09:00'}`
+  };
+};
+
+// Render the email a step sends (null + warning when it can't be rendered)
+const renderStepEmail = async (prisma, candidate, step, warnings) => {
+  if (!step.emailTemplateId || !step.emailTemplate) {
+    warnings.push('No email template assigned - this step will fail when it runs');
+    return null;
+  }
+
+  // Same custom data completeStep passes for form emails
+  const emailType = step.emailTemplate.type;
+  const customData = emailService.getStepCustomData(emailType, candidate);
+
+  try {
+    // A report makes it a preview render - nothing is written (no template revision is recorded)
+    const report = { unresolved: [], empty: [] };
+    const { subject, body } = await emailService.getUniversalEmailContent(prisma, emailType, candidate, step, customData, report);
+    return {
+      templateId: step.emailTemplate.id,
+      templateName: step.emailTemplate.name,
+      type: emailType,
+      to: candidate.email,
+      subject,
+      body
+    };
+  } catch (error) {
+    warnings.push(`Email could not be rendered: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Simulate the onboarding timeline for a candidate
+ * candidate = a Candidate row, or an unsaved draft (same fields as POST /api/candidates, no id)
+ * Returns { timezone, offerSentAt, items, summary }
+ */
+const simulateTimeline = async (prisma, candidate, options = {}) => {
+  const isDraft = !candidate.id;
+
+  // A new candidate will be pinned to the department's active version when created
+  let workflowCandidate = candidate;
+  if (isDraft && !candidate.workflowVersionId) {
+    const activeVersion = await workflowVersionService.getActiveVersion(prisma, candidate.department);
+    workflowCandidate = { ...candidate, workflowVersionId: activeVersion ? activeVersion.id : null };
+  }
+
+  const [steps, businessCalendar, timezone] = await Promise.all([
+    workflowVersionService.getCandidateSteps(prisma, workflowCandidate),
+    businessCalendarService.getBusinessCalendar(prisma),
+    timezoneService.resolveCandidateTimezone(prisma, candidate)
+  ]);
+
+  const [events, tasks] = isDraft
+    ? [[], []]
+    : await Promise.all([
+      prisma.calendarEvent.findMany({ where: { candidateId: candidate.id }, orderBy: { startTime: 'asc' } }),
+      prisma.task.findMany({ where: { candidateId: candidate.id } })
+    ]);
+
+  const assumedOfferTime = options.offerSentAt && !isNaN(new Date(options.offerSentAt).getTime())
+    ? new Date(options.offerSentAt)
+    : new Date();
+  const offerSentAt = candidate.offerSentAt ? new Date(candidate.offerSentAt) : assumedOfferTime;
+  const joiningDate = candidate.expectedJoiningDate || candidate.actualJoiningDate || new Date();
+
+  const context = { candidate, steps, businessCalendar, timezone, offerSentAt, stepTimes: {} };
+  const items = [];
+
+  for (const step of steps) {
+    const warnings = [];
+    const stepEvents = events.filter(e => e.stepNumber === step.stepNumber && e.status !== 'CANCELLED');
+    const pendingEvent = stepEvents.find(e => ['SCHEDULED', 'RESCHEDULED', 'CONFIRMED'].includes(e.status));
+
+    let status = 'upcoming';
+    let startTime = null;
+    let basis = null;
+
+    if (stepDependencyService.isStepDone(candidate, step, events)) {
+      // Already happened - show when, nothing more will be generated
+      const doneEvent = stepEvents.find(e => e.status === 'COMPLETED' || e.status === 'SKIPPED');
+      status = doneEvent?.status === 'SKIPPED' ? 'skipped' : 'done';
+      startTime = doneEvent ? new Date(doneEvent.updatedAt) : null;
+      basis = status === 'done' ? 'Already completed' : 'Already skipped';
+    } else if (pendingEvent) {
+      // Already on the calendar - this is the time the scheduler will fire it
+      startTime = new Date(pendingEvent.startTime);
+      basis = pendingEvent.status === 'RESCHEDULED' ? 'Rescheduled by HR' : 'Already scheduled';
+    } else {
+      ({ startTime, basis } = getStepStartTime(step, context));
+      if (startTime && isNaN(startTime.getTime())) {
+        warnings.push('Scheduled time could not be calculated');
+        startTime = null;
+      }
+      if (!startTime) {
+        status = 'manual';
+      }
+    }
+
+    // Later "step"-anchored steps are timed from this step's completion (skipped steps count too)
+    if (startTime) {
+      context.stepTimes[step.stepNumber] = startTime;
+    }
+
+    // BRANCHING: Steps whose conditions aren't met are skipped when they fire
+    if (status === 'upcoming' || status === 'manual') {
+      const { shouldRun, reason } = stepConditionService.evaluateStepConditions(candidate, step.conditions);
+      if (!shouldRun) {
+        status = 'skipped';
+        basis = reason;
+      } else if (step.type === 'OFFER_REMINDER' && (candidate.signedOfferPath || candidate.offerSignedAt)) {
+        status = 'skipped';
+        basis = 'Signed offer letter already received';
+      }
+    }
+
+    // PREREQUISITES: Shown so HR knows the step may be held past its time
+    const prerequisites = stepDependencyService.getWaitingOnSteps(candidate, step, steps, events);
+    if (prerequisites.length > 0 && (status === 'upcoming' || status === 'manual')) {
+      warnings.push(`Held until step ${prerequisites.join(', ')} ${prerequisites.length === 1 ? 'is' : 'are'} completed`);
+    }
+
+    const willRun = status === 'upcoming' || status === 'manual';
+
+    // Calendar invite - auto-scheduled steps get a calendar event (Step 1 is sent by HR)
+    let calendarEvent = null;
+    if (willRun && startTime && step.stepNumber !== 1 && step.type !== 'OFFER_LETTER') {
+      const endTime = pendingEvent
+        ? new Date(pendingEvent.endTime)
+        : new Date(startTime.getTime() + (stepScheduleService.DURATION_MAP[step.type] || 15) * 60 * 1000);
+      calendarEvent = {
+        existing: !!pendingEvent,
+        type: stepScheduleService.toEventType(step.type),
+        title: pendingEvent ? pendingEvent.title : `${step.title} - ${candidate.firstName} ${candidate.lastName}`,
+        startTime,
+        endTime,
+        attendees: [candidate.email]
+      };
+    }
+
+    // Email - rendered exactly as it would be sent (only for steps still to run)
+    const email = willRun && status !== 'skipped' ? await renderStepEmail(prisma, candidate, step, warnings) : null;
+
+    // Task - created with the candidate, due relative to the joining date
+    let task = null;
+    const existingTask = tasks.find(t => t.metadata && typeof t.metadata === 'object' && t.metadata.step === step.stepNumber);
+    if (existingTask) {
+      task = { existing: true, title: existingTask.title, dueDate: existingTask.dueDate, status: existingTask.status };
+    } else if (isDraft) {
+      const dueDate = step.dueDateOffset === null || step.dueDateOffset === undefined
+        ? new Date()
+        : businessCalendarService.addScheduleOffset(businessCalendar, joiningDate, step.dueDateOffset);
+      task = {
+        existing: false,
+        title: renderTaskText(step.title, candidate),
+        description: renderTaskText(step.description, candidate),
+        dueDate,
+        status: 'PENDING'
+      };
+    }
+
+    items.push({
+      stepNumber: step.stepNumber,
+      title: step.title,
+      type: step.type,
+      schedulingMethod: step.schedulingMethod || 'doj',
+      status,
+      basis,
+      startTime,
+      startTimeLabel: startTime ? timezoneService.formatDateTime(startTime, timezone) : null,
+      email,
+      calendarEvent,
+      task,
+      warnings
+    });
+  }
+
+  // Timeline order: timed items first (chronological), then manual/unscheduled ones by step number
+  items.sort((a, b) => {
+    if (a.startTime && b.startTime) return a.startTime - b.startTime;
+    if (a.startTime) return -1;
+    if (b.startTime) return 1;
+    return a.stepNumber - b.stepNumber;
+  });
+
+  const summary = {
+    steps: items.length,
+    emails: items.filter(i => i.email).length,
+    calendarEvents: items.filter(i => i.calendarEvent && !i.calendarEvent.existing).length,
+    tasks: items.filter(i => i.task && !i.task.existing).length,
+    warnings: items.reduce((count, i) => count + i.warnings.length, 0)
+  };
+
+  logger.info(`🔮 Simulated timeline for ${candidate.email || 'draft candidate'}: ${summary.steps} step(s), ${summary.emails} email(s), ${summary.calendarEvents} new event(s)`);
+
+  return {
+    timezone,
+    timezoneLabel: timezoneService.getTimezoneLabel(timezone),
+    offerSentAt,
+    offerAssumed: !candidate.offerSentAt,
+    items,
+    summary
+  };
+};
+
+module.exports = {
+  simulateTimeline
+};
@@ -0,0 +1,256 @@
+const { Prisma } = require('@prisma/client');
+const logger = require('../utils/logger');
+
+/**
+ * Step conditions - lets a single department workflow branch per candidate
+ * instead of copying the whole department for every role variant.
+ *
+ * Stored on DepartmentStepTemplate.conditions as:
+ * {
+ *   mode: 'only_if' | 'skip_if',   // run the step only when rules match, or skip it when they match
+ *   match: 'all' | 'any',          // how multiple rules are combined
+ *   rules: [
+ *     { field: 'position', operator: 'contains', value: 'Manager' },
+ *     { field: 'customFields.location', operator: 'equals', value: 'Remote' },
+ *     { field: 'daysToSignOffer', operator: 'lte', value: 2 }
+ *   ]
+ * }
+ */
+
+const CONDITION_MODES = ['only_if', 'skip_if'];
+const CONDITION_MATCHES = ['all', 'any'];
+
+const CONDITION_OPERATORS = [
+  'equals',
+  'not_equals',
+  'contains',
+  'not_contains',
+  'is_empty',
+  'is_not_empty',
+  'gt',
+  'gte',
+  'lt',
+  'lte'
+];
+
+// Operators that don't need a value
+const VALUELESS_OPERATORS = ['is_empty', 'is_not_empty'];
+
+// Numeric comparisons
+const NUMERIC_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+
+// Computed fields that aren't stored on the candidate directly
+const DERIVED_FIELDS = {
+  // Whole days between offer sent and offer signed (null until signed)
+  daysToSignOffer: (candidate) => {
+    if (!candidate.offerSentAt || !candidate.offerSignedAt) return null;
+    const diffMs = new Date(candidate.offerSignedAt).getTime() - new Date(candidate.offerSentAt).getTime();
+    return Math.max(0, Math.floor(diffMs / (24 * 60 * 60 * 1000)));
+  },
+  // true/false flags for whether the offer has been signed
+  offerSigned: (candidate) => !!(candidate.offerSignedAt || candidate.signedOfferPath)
+};
+
+/**
+ * Resolve a field path against a candidate
+ * Supports top-level fields, derived fields and dot paths into customFields (e.g. customFields.location)
+ */
+const resolveField = (candidate, field) => {
+  if (!candidate || !field) return undefined;
+
+  if (DERIVED_FIELDS[field]) {
+    return DERIVED_FIELDS[field](candidate);
+  }
+
+  return field.split('.').reduce((value, key) => {
+    if (value === null || value === undefined) return undefined;
+    return value[key];
+  }, candidate);
+};
+
+const isEmptyValue = (value) => {
+  if (value === null || value === undefined) return true;
+  if (typeof value === 'string') return value.trim() === '';
+  if (Array.isArray(value)) return value.length === 0;
+  return false;
+};
+
+const toComparableString = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  return String(value).trim().toLowerCase();
+};
+
+/**
+ * Evaluate a single rule against a candidate
+ * String comparisons are case-insensitive
+ */
+const evaluateRule = (candidate, rule) => {
+  const actual = resolveField(candidate, rule.field);
+
+  switch (rule.operator) {
+    case 'is_empty':
+      return isEmptyValue(actual);
+    case 'is_not_empty':
+      return !isEmptyValue(actual);
+    case 'equals':
+      return toComparableString(actual) === toComparableString(rule.value);
+    case 'not_equals':
+      return toComparableString(actual) !== toComparableString(rule.value);
+    case 'contains':
+      if (Array.isArray(actual)) {
+        return actual.some(item => toComparableString(item) === toComparableString(rule.value));
+      }
+      return toComparableString(actual).includes(toComparableString(rule.value));
+    case 'not_contains':
+      if (Array.isArray(actual)) {
+        return !actual.some(item => toComparableString(item) === toComparableString(rule.value));
+      }
+      return !toComparableString(actual).includes(toComparableString(rule.value));
+    default: {
+      if (!NUMERIC_OPERATORS.includes(rule.operator)) {
+        return false;
+      }
+      // Numeric comparison - a missing value never matches
+      if (isEmptyValue(actual)) return false;
+      const actualNumber = actual instanceof Date ? actual.getTime() : Number(actual);
+      const expectedNumber = Number(rule.value);
+      if (isNaN(actualNumber) || isNaN(expectedNumber)) return false;
+      if (rule.operator === 'gt') return actualNumber > expectedNumber;
+      if (rule.operator === 'gte') return actualNumber >= expectedNumber;
+      if (rule.operator === 'lt') return actualNumber < expectedNumber;
+      return actualNumber <= expectedNumber;
+    }
+  }
+};
+
+const describeRule = (rule) => {
+  const operatorLabel = rule.operator.replace(/_/g, ' ');
+  if (VALUELESS_OPERATORS.includes(rule.operator)) {
+    return `${rule.field} ${operatorLabel}`;
+  }
+  return `${rule.field} ${operatorLabel} "${rule.value}"`;
+};
+
+/**
+ * Validate a conditions object before saving it on a step
+ * Returns an error message, or null when valid
+ */
+const validateConditions = (conditions) => {
+  if (conditions === null || conditions === undefined) return null;
+
+  if (typeof conditions !== 'object' || Array.isArray(conditions)) {
+    return 'Step conditions must be an object with mode, match and rules';
+  }
+  if (conditions.mode && !CONDITION_MODES.includes(conditions.mode)) {
+    return `Invalid condition mode "${conditions.mode}". Use one of: ${CONDITION_MODES.join(', ')}`;
+  }
+  if (conditions.match && !CONDITION_MATCHES.includes(conditions.match)) {
+    return `Invalid condition match "${conditions.match}". Use one of: ${CONDITION_MATCHES.join(', ')}`;
+  }
+  if (!Array.isArray(conditions.rules)) {
+    return 'Step conditions must include a rules array';
+  }
+
+  for (let i = 0; i < conditions.rules.length; i++) {
+    const rule = conditions.rules[i];
+    if (!rule || typeof rule.field !== 'string' || !rule.field.trim()) {
+      return `Condition rule ${i + 1} is missing a field`;
+    }
+    if (!CONDITION_OPERATORS.includes(rule.operator)) {
+      return `Condition rule ${i + 1} has an invalid operator "${rule.operator}"`;
+    }
+    if (!VALUELESS_OPERATORS.includes(rule.operator) && (rule.value === undefined || rule.value === null || String(rule.value).trim() === '')) {
+      return `Condition rule ${i + 1} (${rule.field}) needs a value`;
+    }
+    if (NUMERIC_OPERATORS.includes(rule.operator) && isNaN(Number(rule.value))) {
+      return `Condition rule ${i + 1} (${rule.field}) needs a numeric value for "${rule.operator}"`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Parse and validate conditions from a request body
+ * Accepts an object or a JSON string. Returns { conditions, error }:
+ * - conditions is undefined when the field wasn't sent (leave as is)
+ * - conditions is Prisma.DbNull when cleared or when there are no rules (step always runs)
+ */
+const parseConditionsInput = (input) => {
+  if (input === undefined) return { conditions: undefined, error: null };
+  if (input === null || input === '') return { conditions: Prisma.DbNull, error: null };
+
+  let parsed = input;
+  if (typeof input === 'string') {
+    try {
+      parsed = JSON.parse(input);
+    } catch (parseError) {
+      return { conditions: undefined, error: 'Step conditions must be valid JSON' };
+    }
+  }
+
+  const error = validateConditions(parsed);
+  if (error) {
+    return { conditions: undefined, error };
+  }
+
+  if (!parsed || parsed.rules.length === 0) {
+    return { conditions: Prisma.DbNull, error: null };
+  }
+
+  return {
+    conditions: {
+      mode: parsed.mode || 'only_if',
+      match: parsed.match || 'all',
+      rules: parsed.rules.map(rule => ({
+        field: rule.field.trim(),
+        operator: rule.operator,
+        ...(VALUELESS_OPERATORS.includes(rule.operator) ? {} : { value: rule.value })
+      }))
+    },
+    error: null
+  };
+};
+
+/**
+ * Decide whether a step should run for a candidate
+ * Returns { shouldRun, reason } - steps without conditions always run
+ */
+const evaluateStepConditions = (candidate, conditions) => {
+  if (!conditions || !Array.isArray(conditions.rules) || conditions.rules.length === 0) {
+    return { shouldRun: true, reason: null };
+  }
+
+  try {
+    const mode = conditions.mode || 'only_if';
+    const match = conditions.match || 'all';
+    const results = conditions.rules.map(rule => evaluateRule(candidate, rule));
+    const matched = match === 'any' ? results.some(Boolean) : results.every(Boolean);
+    const summary = conditions.rules.map(describeRule).join(match === 'any' ? ' OR ' : ' AND ');
+
+    if (mode === 'skip_if') {
+      return matched
+        ? { shouldRun: false, reason: `Skipped because ${summary}` }
+        : { shouldRun: true, reason: null };
+    }
+
+    return matched
+      ? { shouldRun: true, reason: null }
+      : { shouldRun: false, reason: `Skipped because condition not met: ${summary}` };
+  } catch (error) {
+    // Never block a step because of a malformed condition - log and run it
+    logger.warn(`⚠️ Failed to evaluate step conditions, running step anyway:`, error.message);
+    return { shouldRun: true, reason: null };
+  }
+};
+
+module.exports = {
+  CONDITION_MODES,
+  CONDITION_MATCHES,
+  CONDITION_OPERATORS,
+  resolveField,
+  validateConditions,
+  parseConditionsInput,
+  evaluateStepConditions
+};
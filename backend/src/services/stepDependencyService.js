@@ -0,0 +1,155 @@
+const workflowVersionService = require('./workflowVersionService');
+const logger = require('../utils/logger');
+
+/**
+ * Step prerequisites - a step may not fire until named earlier steps are done
+ * (e.g. Onboarding Form waits for HR Induction, Training Plan waits for the form).
+ *
+ * Stored on DepartmentStepTemplate.prerequisiteStepIds as template IDs (not step numbers)
+ * so dependencies survive reordering and inserting steps.
+ * A prerequisite counts as done when its calendar event is COMPLETED or SKIPPED (conditions not met),
+ * or when the candidate field for its type is already set (e.g. offerSentAt for OFFER_LETTER).
+ */
+
+// Candidate fields that mark a step type as done (same checks as the CandidateDetail UI)
+const COMPLETION_CHECKS = {
+  'OFFER_LETTER': (candidate) => !!candidate.offerSentAt,
+  'OFFER_REMINDER': (candidate) => !!candidate.offerReminderSent || !!candidate.offerSignedAt,
+  'WELCOME_EMAIL': (candidate) => !!candidate.welcomeEmailSentAt,
+  'WHATSAPP_ADDITION': (candidate) => !!candidate.whatsappGroupsAdded,
+  'ONBOARDING_FORM': (candidate) => !!candidate.onboardingFormSentAt,
+  'FORM_REMINDER': (candidate) => !!candidate.onboardingFormCompletedAt,
+  'TRAINING_PLAN': (candidate) => !!candidate.trainingPlanSent
+};
+
+/**
+ * Check if a step is done for a candidate (COMPLETED or SKIPPED)
+ * events = the candidate's calendar events
+ */
+const isStepDone = (candidate, stepTemplate, events = []) => {
+  const stepEvents = events.filter(e => e.stepNumber === stepTemplate.stepNumber);
+  if (stepEvents.some(e => e.status === 'COMPLETED' || e.status === 'SKIPPED')) {
+    return true;
+  }
+
+  const check = COMPLETION_CHECKS[stepTemplate.type];
+  return check ? check(candidate) : false;
+};
+
+/**
+ * Get the step numbers a step is still waiting on for a candidate
+ * Prerequisites that no longer exist (deleted or deactivated) are ignored
+ */
+const getWaitingOnSteps = (candidate, stepTemplate, stepTemplates = [], events = []) => {
+  const prerequisiteIds = stepTemplate.prerequisiteStepIds || [];
+  if (prerequisiteIds.length === 0) return [];
+
+  return stepTemplates
+    .filter(step => prerequisiteIds.includes(step.id))
+    .filter(step => !isStepDone(candidate, step, events))
+    .map(step => step.stepNumber)
+    .sort((a, b) => a - b);
+};
+
+/**
+ * Check prerequisites for a step from the database
+ * Returns { satisfied, waitingOn } where waitingOn is a list of step numbers
+ */
+const checkPrerequisites = async (prisma, candidate, stepTemplate) => {
+  if (!stepTemplate || !stepTemplate.prerequisiteStepIds || stepTemplate.prerequisiteStepIds.length === 0) {
+    return { satisfied: true, waitingOn: [] };
+  }
+
+  // Prerequisites are resolved against the candidate's pinned workflow version
+  const [candidateSteps, events] = await Promise.all([
+    workflowVersionService.getCandidateSteps(prisma, candidate, false),
+    prisma.calendarEvent.findMany({
+      where: { candidateId: candidate.id },
+      select: { stepNumber: true, status: true }
+    })
+  ]);
+
+  const waitingOn = getWaitingOnSteps(candidate, stepTemplate, candidateSteps, events);
+  return { satisfied: waitingOn.length === 0, waitingOn };
+};
+
+/**
+ * Validate prerequisite step IDs before saving a step
+ * Prerequisites must be earlier steps in the same department
+ * Returns { prerequisiteStepIds, error } - prerequisiteStepIds is undefined when not provided
+ */
+const validatePrerequisites = async (prisma, department, stepNumber, prerequisiteStepIds, stepId = null) => {
+  if (prerequisiteStepIds === undefined) return { prerequisiteStepIds: undefined, error: null };
+  if (prerequisiteStepIds === null || prerequisiteStepIds === '') return { prerequisiteStepIds: [], error: null };
+
+  let ids = prerequisiteStepIds;
+  if (typeof ids === 'string') {
+    try {
+      ids = JSON.parse(ids);
+    } catch (parseError) {
+      return { prerequisiteStepIds: undefined, error: 'Prerequisite steps must be a list of step IDs' };
+    }
+  }
+
+  if (!Array.isArray(ids) || ids.some(id => typeof id !== 'string' || !id.trim())) {
+    return { prerequisiteStepIds: undefined, error: 'Prerequisite steps must be a list of step IDs' };
+  }
+
+  const uniqueIds = [...new Set(ids)];
+  if (stepId && uniqueIds.includes(stepId)) {
+    return { prerequisiteStepIds: undefined, error: 'A step cannot be a prerequisite of itself' };
+  }
+  if (uniqueIds.length === 0) return { prerequisiteStepIds: [], error: null };
+
+  const steps = await prisma.departmentStepTemplate.findMany({
+    where: { id: { in: uniqueIds } }
+  });
+
+  if (steps.length !== uniqueIds.length) {
+    return { prerequisiteStepIds: undefined, error: 'One or more prerequisite steps were not found' };
+  }
+
+  for (const step of steps) {
+    if (step.department !== department) {
+      return { prerequisiteStepIds: undefined, error: `Prerequisite step ${step.stepNumber} (${step.title}) belongs to a different department` };
+    }
+    if (stepNumber && step.stepNumber >= parseInt(stepNumber)) {
+      return { prerequisiteStepIds: undefined, error: `Prerequisite step ${step.stepNumber} (${step.title}) must come before step ${stepNumber}` };
+    }
+  }
+
+  return { prerequisiteStepIds: uniqueIds, error: null };
+};
+
+/**
+ * Remove a deleted step from every other step's prerequisites
+ */
+const removePrerequisiteReferences = async (prisma, department, deletedStepId) => {
+  const dependentSteps = await prisma.departmentStepTemplate.findMany({
+    where: {
+      department,
+      prerequisiteStepIds: { has: deletedStepId }
+    }
+  });
+
+  for (const step of dependentSteps) {
+    await prisma.departmentStepTemplate.update({
+      where: { id: step.id },
+      data: {
+        prerequisiteStepIds: step.prerequisiteStepIds.filter(id => id !== deletedStepId)
+      }
+    });
+  }
+
+  if (dependentSteps.length > 0) {
+    logger.info(`🔗 Removed deleted step ${deletedStepId} from prerequisites of ${dependentSteps.length} step(s) in ${department}`);
+  }
+};
+
+module.exports = {
+  isStepDone,
+  getWaitingOnSteps,
+  checkPrerequisites,
+  validatePrerequisites,
+  removePrerequisiteReferences
+};
@@ -0,0 +1,340 @@
+const workflowVersionService = require('./workflowVersionService');
+const calendarService = require('./calendarService');
+const businessCalendarService = require('./businessCalendarService');
+const timezoneService = require('./timezoneService');
+const logger = require('../utils/logger');
+
+/**
+ * Relative scheduling - a step may be scheduled N hours/days after an earlier step completes
+ * (e.g. Offer Reminder 24h after the Offer Letter, Form Reminder 24h after the Onboarding Form).
+ *
+ * Stored on DepartmentStepTemplate as schedulingMethod "step" + anchorStepId (template ID of the anchor)
+ * + anchorOffsetHours (days are stored as N * 24).
+ * The calendar event is created when the anchor completes and moved whenever the anchor's
+ * completion time changes (completed again, skipped, or the offset is edited).
+ * Events HR rescheduled by hand (RESCHEDULED) are left alone.
+ */
+
+// Candidate fields that record when a step type was completed (used when the anchor has no calendar event)
+// FORM_REMINDER has none - the reminder's own event is the only record of when it went out
+const COMPLETION_TIME_FIELDS = {
+  'OFFER_LETTER': 'offerSentAt',
+  'WELCOME_EMAIL': 'welcomeEmailSentAt',
+  'ONBOARDING_FORM': 'onboardingFormSentAt'
+};
+
+// Event duration in minutes per step type (same as auto-scheduling on candidate creation)
+const DURATION_MAP = {
+  'OFFER_LETTER': 30,
+  'OFFER_REMINDER': 15,
+  'WELCOME_EMAIL': 30,
+  'HR_INDUCTION': 60,
+  'WHATSAPP_ADDITION': 15,
+  'ONBOARDING_FORM': 30,
+  'FORM_REMINDER': 15,
+  'CEO_INDUCTION': 60,
+  'SALES_INDUCTION': 90,
+  'DEPARTMENT_INDUCTION': 90,
+  'TRAINING_PLAN': 30,
+  'CHECKIN_CALL': 30
+};
+
+const VALID_EVENT_TYPES = ['OFFER_LETTER', 'OFFER_REMINDER', 'WELCOME_EMAIL', 'HR_INDUCTION',
+  'WHATSAPP_TASK', 'ONBOARDING_FORM', 'FORM_REMINDER', 'CEO_INDUCTION',
+  'SALES_INDUCTION', 'DEPARTMENT_INDUCTION', 'TRAINING_PLAN',
+  'CHECKIN_CALL', 'TRAINING', 'CUSTOM'];
+
+// Map a step type to a valid EventType (MANUAL -> CUSTOM, WHATSAPP_ADDITION -> WHATSAPP_TASK)
+const toEventType = (stepType) => {
+  if (stepType === 'MANUAL') return 'CUSTOM';
+  if (stepType === 'WHATSAPP_ADDITION') return 'WHATSAPP_TASK';
+  return VALID_EVENT_TYPES.includes(stepType) ? stepType : 'CUSTOM';
+};
+
+/**
+ * Get when the anchor step was completed for a candidate (null if not done yet)
+ * events = the candidate's calendar events
+ */
+const getAnchorCompletedAt = (candidate, anchorStep, events = []) => {
+  const doneEvents = events
+    .filter(e => e.stepNumber === anchorStep.stepNumber && (e.status === 'COMPLETED' || e.status === 'SKIPPED'))
+    .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+  if (doneEvents.length > 0) {
+    return new Date(doneEvents[0].updatedAt);
+  }
+
+  const field = COMPLETION_TIME_FIELDS[anchorStep.type];
+  return field && candidate[field] ? new Date(candidate[field]) : null;
+};
+
+// Create or move the calendar event of one step for a candidate to startTime
+// Returns 'created', 'updated' or 'unchanged'
+const upsertStepEvent = async (prisma, candidate, step, startTime, events, timeZone = undefined) => {
+  const stepEvents = events.filter(e => e.stepNumber === step.stepNumber);
+  if (stepEvents.some(e => e.status === 'COMPLETED' || e.status === 'SKIPPED')) {
+    return 'unchanged';
+  }
+  // HR moved this event by hand - keep their time
+  if (stepEvents.some(e => e.status === 'RESCHEDULED')) {
+    return 'unchanged';
+  }
+
+  const endTime = new Date(startTime);
+  endTime.setMinutes(endTime.getMinutes() + (DURATION_MAP[step.type] || 15));
+
+  const pendingEvent = stepEvents.find(e => e.status === 'SCHEDULED' || e.status === 'CONFIRMED');
+  if (pendingEvent) {
+    if (new Date(pendingEvent.startTime).getTime() === startTime.getTime()) {
+      return 'unchanged';
+    }
+    await prisma.calendarEvent.update({
+      where: { id: pendingEvent.id },
+      data: { startTime, endTime }
+    });
+    return 'updated';
+  }
+
+  const eventData = {
+    title: `${step.title} - ${candidate.firstName} ${candidate.lastName}`,
+    description: step.description || '',
+    startTime,
+    endTime,
+    attendees: [candidate.email],
+    ...(timeZone && { timeZone }),
+    createMeet: false // Don't create Google Meet for auto-scheduled events
+  };
+
+  // Try to create Google Calendar event (optional - continue if it fails)
+  let googleEvent = null;
+  try {
+    googleEvent = await calendarService.createGoogleEvent(eventData, prisma);
+  } catch (gcalError) {
+    logger.warn(`⚠️ Google Calendar event creation failed for ${candidate.email}, continuing with local event:`, gcalError.message);
+  }
+
+  await prisma.calendarEvent.create({
+    data: {
+      candidateId: candidate.id,
+      type: toEventType(step.type),
+      title: eventData.title,
+      description: eventData.description,
+      startTime,
+      endTime,
+      attendees: eventData.attendees,
+      meetingLink: googleEvent?.hangoutLink || googleEvent?.htmlLink || null,
+      googleEventId: googleEvent?.id || null,
+      stepNumber: step.stepNumber,
+      status: 'SCHEDULED'
+    }
+  });
+  return 'created';
+};
+
+// Create or move the calendar event of one anchored step for a candidate
+const upsertAnchoredEvent = async (prisma, candidate, step, completedAt, events) => {
+  const startTime = new Date(completedAt.getTime() + (step.anchorOffsetHours || 0) * 60 * 60 * 1000);
+  return upsertStepEvent(prisma, candidate, step, startTime, events);
+};
+
+// Wall-clock time on the day `offset` (business) days from baseDate, in the candidate's timezone
+// Same calculation as autoScheduleStepsForNewCandidate / scheduleOfferLetterBasedSteps
+const getScheduledDateTime = (businessCalendar, baseDate, offset, timeStr, timeZone) => {
+  const scheduledDate = businessCalendarService.addScheduleOffset(businessCalendar, baseDate, offset || 0);
+  return timezoneService.zonedTimeToDate(timezoneService.getCalendarDateKey(scheduledDate), timeStr, timeZone);
+};
+
+/**
+ * When an auto step fires for a candidate - from the joining date, the offer letter or its anchor step
+ * Returns null for manual steps, Step 1 (sent by HR) and steps whose base date isn't known yet
+ */
+const getStepStartTime = (candidate, step, steps, events, businessCalendar, timeZone) => {
+  if (!step.isAuto || step.schedulingMethod === 'manual' || step.stepNumber === 1) {
+    return null;
+  }
+
+  if (step.schedulingMethod === 'step') {
+    const anchorStep = steps.find(s => s.id === step.anchorStepId);
+    const completedAt = anchorStep ? getAnchorCompletedAt(candidate, anchorStep, events) : null;
+    return completedAt ? new Date(completedAt.getTime() + (step.anchorOffsetHours || 0) * 60 * 60 * 1000) : null;
+  }
+
+  if (step.schedulingMethod === 'offerLetter') {
+    if (!candidate.offerSentAt) return null;
+    return getScheduledDateTime(businessCalendar, candidate.offerSentAt, step.dueDateOffset, step.scheduledTimeOfferLetter || '14:00', timeZone);
+  }
+
+  if (!candidate.expectedJoiningDate) return null;
+  return getScheduledDateTime(businessCalendar, candidate.expectedJoiningDate, step.dueDateOffset, step.scheduledTimeDoj || '09:00', timeZone);
+};
+
+/**
+ * Schedule (or reschedule) some steps of a candidate's workflow from the candidate's own dates
+ * Used after a workflow migration for the steps the target version added or rescheduled
+ * steps = the candidate's full step list, stepIds = the steps to schedule
+ * Returns { created, updated }
+ */
+const scheduleCandidateSteps = async (prisma, candidate, steps, stepIds) => {
+  const toSchedule = steps
+    .filter(step => stepIds.includes(step.id))
+    .sort((a, b) => a.stepNumber - b.stepNumber);
+  if (toSchedule.length === 0) {
+    return { created: 0, updated: 0 };
+  }
+
+  const businessCalendar = await businessCalendarService.getBusinessCalendar(prisma);
+  const timeZone = await timezoneService.resolveCandidateTimezone(prisma, candidate);
+  const events = await prisma.calendarEvent.findMany({
+    where: { candidateId: candidate.id }
+  });
+
+  let created = 0;
+  let updated = 0;
+  for (const step of toSchedule) {
+    try {
+      const startTime = getStepStartTime(candidate, step, steps, events, businessCalendar, timeZone);
+      if (!startTime || isNaN(startTime.getTime())) continue;
+
+      const result = await upsertStepEvent(prisma, candidate, step, startTime, events, timeZone);
+      if (result === 'created') created++;
+      if (result === 'updated') updated++;
+      if (result !== 'unchanged') {
+        logger.info(`⏱️ ${result === 'created' ? 'Scheduled' : 'Rescheduled'} step ${step.stepNumber} for ${candidate.email}: ${timezoneService.formatDateTime(startTime, timeZone)} (${timeZone})`);
+      }
+    } catch (stepError) {
+      logger.error(`❌ Error scheduling step ${step.stepNumber} for ${candidate.email}:`, stepError.message);
+    }
+  }
+
+  return { created, updated };
+};
+
+/**
+ * Schedule (or reschedule) every step anchored to anchorStepNumber for a candidate
+ * Called when the anchor step completes or is skipped - completedAt is the anchor's completion time
+ * Uses the candidate's pinned workflow version, so anchors follow the version they were created with
+ */
+const scheduleAnchoredSteps = async (prisma, candidate, anchorStepNumber, completedAt = new Date()) => {
+  const candidateSteps = await workflowVersionService.getCandidateSteps(prisma, candidate, false);
+  const anchorStep = candidateSteps.find(s => s.stepNumber === anchorStepNumber);
+  if (!anchorStep) return;
+
+  const dependents = candidateSteps.filter(step =>
+    step.isAuto &&
+    step.schedulingMethod === 'step' &&
+    step.anchorStepId === anchorStep.id
+  );
+  if (dependents.length === 0) return;
+
+  const events = await prisma.calendarEvent.findMany({
+    where: { candidateId: candidate.id }
+  });
+
+  for (const step of dependents) {
+    try {
+      const result = await upsertAnchoredEvent(prisma, candidate, step, completedAt, events);
+      if (result !== 'unchanged') {
+        logger.info(`⏱️ ${result === 'created' ? 'Scheduled' : 'Rescheduled'} step ${step.stepNumber} for ${candidate.email}: ${step.anchorOffsetHours || 0}h after step ${anchorStepNumber}`);
+      }
+    } catch (stepError) {
+      logger.error(`❌ Error scheduling step ${step.stepNumber} after step ${anchorStepNumber} for ${candidate.email}:`, stepError.message);
+    }
+  }
+};
+
+/**
+ * Schedule an anchored step for every candidate whose anchor step is already done
+ * Used when a "step"-scheduled template is created or edited (candidates on live steps only -
+ * pinned candidates keep the version they were created with)
+ */
+const scheduleAnchoredStepForCandidates = async (prisma, step) => {
+  if (!step.isAuto || step.schedulingMethod !== 'step' || !step.anchorStepId) {
+    return { created: 0, updated: 0 };
+  }
+
+  const anchorStep = await prisma.departmentStepTemplate.findUnique({
+    where: { id: step.anchorStepId }
+  });
+  if (!anchorStep) {
+    return { created: 0, updated: 0 };
+  }
+
+  const candidates = await prisma.candidate.findMany({
+    where: {
+      department: step.department,
+      workflowVersionId: null,
+      status: { notIn: ['WITHDRAWN', 'REJECTED', 'COMPLETED'] }
+    },
+    include: { calendarEvents: true }
+  });
+
+  let created = 0;
+  let updated = 0;
+  for (const candidate of candidates) {
+    const completedAt = getAnchorCompletedAt(candidate, anchorStep, candidate.calendarEvents);
+    if (!completedAt) continue;
+
+    try {
+      const result = await upsertAnchoredEvent(prisma, candidate, step, completedAt, candidate.calendarEvents);
+      if (result === 'created') created++;
+      if (result === 'updated') updated++;
+    } catch (error) {
+      logger.error(`❌ Error scheduling step ${step.stepNumber} for ${candidate.email}:`, error.message);
+    }
+  }
+
+  logger.info(`⏱️ Step ${step.stepNumber} (${step.department}): ${created} event(s) created, ${updated} rescheduled after step ${anchorStep.stepNumber}`);
+  return { created, updated };
+};
+
+/**
+ * Validate the anchor of a "step"-scheduled step before saving
+ * The anchor must be an earlier step in the same department and the offset must be a whole number of hours
+ * Returns { anchorStepId, anchorOffsetHours, error }
+ */
+const validateAnchor = async (prisma, department, stepNumber, anchorStepId, anchorOffsetHours) => {
+  if (!anchorStepId) {
+    return { error: 'Choose the step this step is scheduled after' };
+  }
+
+  const offset = parseInt(anchorOffsetHours, 10);
+  if (isNaN(offset) || offset < 0) {
+    return { error: 'Time after the anchor step must be zero or more hours' };
+  }
+
+  const anchorStep = await prisma.departmentStepTemplate.findUnique({
+    where: { id: anchorStepId },
+    select: { id: true, department: true, stepNumber: true }
+  });
+  if (!anchorStep || anchorStep.department !== department) {
+    return { error: 'The anchor step must be a step in the same department' };
+  }
+  if (stepNumber !== undefined && stepNumber !== null && anchorStep.stepNumber >= stepNumber) {
+    return { error: `Step ${stepNumber} can only be scheduled after an earlier step (found step ${anchorStep.stepNumber})` };
+  }
+
+  return { anchorStepId, anchorOffsetHours: offset };
+};
+
+/**
+ * Clear anchors pointing at a deleted step - dependents fall back to manual scheduling
+ */
+const clearAnchorReferences = async (prisma, department, deletedStepId) => {
+  const result = await prisma.departmentStepTemplate.updateMany({
+    where: { department, anchorStepId: deletedStepId },
+    data: { anchorStepId: null, anchorOffsetHours: null, schedulingMethod: 'manual' }
+  });
+  if (result.count > 0) {
+    logger.info(`⏱️ Cleared anchor on ${result.count} step(s) in ${department} after step deletion (now manual)`);
+  }
+};
+
+module.exports = {
+  DURATION_MAP,
+  toEventType,
+  getAnchorCompletedAt,
+  scheduleAnchoredSteps,
+  scheduleAnchoredStepForCandidates,
+  scheduleCandidateSteps,
+  validateAnchor,
+  clearAnchorReferences
+};
@@ -1,5 +1,12 @@
 const emailService = require('./emailService');
 const calendarService = require('./calendarService');
+const stepConditionService = require('./stepConditionService');
+const stepDependencyService = require('./stepDependencyService');
+const workflowVersionService = require('./workflowVersionService');
+const stepScheduleService = require('./stepScheduleService');
+const businessCalendarService = require('./businessCalendarService');
+const timezoneService = require('./timezoneService');
+const offerLetterService = require('./offerLetterService');
 const logger = require('../utils/logger');
 
 /**
@@ -7,6 +14,11 @@ const logger = require('../utils/logger');
  * This ensures both use the EXACT same logic
  */
 const completeStep = async (prisma, candidateId, stepNumber, userId = null, description = null, attachmentPath = null) => {
+  // Set once the step's email has gone out (or been queued) - reported on errors thrown after that
+  // point (error.emailSent) so callers don't retry the whole step and send it twice
+  let emailSent = false;
+  // SEND WINDOW: Set when the step's email was deferred - it's recorded (and anchors later steps) at this time
+  let emailDeferredUntil = null;
   try {
     if (!stepNumber || stepNumber < 1) {
       throw new Error('Invalid step number');
@@ -32,15 +44,7 @@ const completeStep = async (prisma, candidateId, stepNumber, userId = null, desc
 
     if (completedEvent) {
       // Check if email was already sent for this completed step
-      const stepTemplate = await prisma.departmentStepTemplate.findFirst({
-        where: {
-          department: candidate.department,
-          stepNumber: stepNumber
-        },
-        include: {
-          emailTemplate: true
-        }
-      });
+      const stepTemplate = await workflowVersionService.getCandidateStep(prisma, candidate, stepNumber);
 
       if (stepTemplate?.emailTemplate) {
         const emailType = stepTemplate.emailTemplate.type;
@@ -62,21 +66,37 @@ const completeStep = async (prisma, candidateId, stepNumber, userId = null, desc
     }
 
     // Fetch department step template to get the step type and email template
+    // VERSIONING: Uses the workflow version the candidate is pinned to (live steps if not pinned)
     let stepTemplate = null;
     try {
-      stepTemplate = await prisma.departmentStepTemplate.findFirst({
-        where: {
-          department: candidate.department,
-          stepNumber: stepNumber
-        },
-        include: {
-          emailTemplate: true // Include email template if linked
-        }
-      });
+      stepTemplate = await workflowVersionService.getCandidateStep(prisma, candidate, stepNumber);
     } catch (error) {
       logger.warn(`Failed to fetch step template for step ${stepNumber} in ${candidate.department}:`, error);
     }
 
+    // BRANCHING: Evaluate step conditions (e.g. "only if position contains Manager")
+    // Steps whose conditions aren't met are marked SKIPPED instead of sending anything
+    if (stepTemplate && stepTemplate.conditions) {
+      const { shouldRun, reason } = stepConditionService.evaluateStepConditions(candidate, stepTemplate.conditions);
+      if (!shouldRun) {
+        logger.info(`⏭️ Skipping step ${stepNumber} for ${candidate.email} - ${reason}`);
+        await markStepSkipped(prisma, candidate, stepNumber, reason, userId);
+        await scheduleStepsAnchoredTo(prisma, candidate, stepNumber);
+        return { success: true, skipped: true, conditionsNotMet: true, reason };
+      }
+    }
+
+    // PREREQUISITES: A step may not fire until its prerequisite steps are completed
+    if (stepTemplate && stepTemplate.prerequisiteStepIds && stepTemplate.prerequisiteStepIds.length > 0) {
+      const { satisfied, waitingOn } = await stepDependencyService.checkPrerequisites(prisma, candidate, stepTemplate);
+      if (!satisfied) {
+        const prerequisiteError = new Error(`Step ${stepNumber} is waiting on step ${waitingOn.join(', ')}. Complete the prerequisite step(s) first.`);
+        prerequisiteError.code = 'PREREQUISITES_NOT_MET';
+        prerequisiteError.waitingOn = waitingOn;
+        throw prerequisiteError;
+      }
+    }
+
     const updateData = {};
     
     // Default step actions for standard steps (backward compatibility)
@@ -232,6 +252,12 @@ const completeStep = async (prisma, candidateId, stepNumber, userId = null, desc
       }
     }
 
+    // For FORM_REMINDER, skip if the candidate already completed the onboarding form
+    if (stepTemplate && stepTemplate.type === 'FORM_REMINDER' && candidate.onboardingFormCompletedAt) {
+      logger.info(`⏭️ Skipping form reminder (step ${stepNumber}) for ${candidate.email} - onboarding form already completed`);
+      return { success: true, skipped: true, reason: 'Onboarding form already completed' };
+    }
+
     // Send email if needed
     if (stepConfig.sendEmail && stepConfig.emailType) {
       try {
@@ -355,14 +381,15 @@ const completeStep = async (prisma, candidateId, stepNumber, userId = null, desc
           if (!candidate.offerLetterPath && !stepAttachmentPath) {
             throw new Error('Offer letter must be uploaded before sending. Please upload the offer letter first.');
           }
+          // A generated letter goes out only after it's approved
+          const approvalError = offerLetterService.getSendBlockReason(candidate);
+          if (approvalError && (!stepAttachmentPath || stepAttachmentPath === candidate.offerLetterPath)) {
+            throw new Error(approvalError);
+          }
         }
 
         // Special handling for ONBOARDING_FORM and FORM_REMINDER - need form link
-        let customData = {};
-        if (emailTemplateType === 'ONBOARDING_FORM' || emailTemplateType === 'FORM_REMINDER') {
-          const formLink = process.env.ONBOARDING_FORM_URL || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/onboarding-form/${candidate.id}`;
-          customData['{{formLink}}'] = formLink;
-        }
+        const customData = emailService.getStepCustomData(emailTemplateType, candidate);
 
             // CRITICAL: Check if email was already sent for this step to prevent duplicates
         // Check for emails sent in the last 5 minutes for this step to prevent duplicate sends
@@ -380,11 +407,14 @@ const completeStep = async (prisma, candidateId, stepNumber, userId = null, desc
         if (existingEmail) {
           logger.warn(`⏭️ Skipping email send for step ${stepNumber} (${emailTemplateType}): Email already sent or pending in last 5 minutes (email ID: ${existingEmail.id})`);
           logger.info(`   Existing email status: ${existingEmail.status}, created: ${existingEmail.createdAt.toISOString()}`);
+          if (existingEmail.status === 'PENDING' && existingEmail.scheduledFor && existingEmail.scheduledFor > new Date()) {
+            emailDeferredUntil = existingEmail.scheduledFor;
+          }
         } else {
           // UNIVERSAL: Use sendUniversalEmail for ALL steps
           // stepAttachmentPath can be a string (single) or array (multiple)
           logger.info(`📧 Completing step ${stepNumber} for ${candidate.email} - sending email type: ${emailTemplateType}`);
-          await emailService.sendUniversalEmail(
+          const sendResult = await emailService.sendUniversalEmail(
             prisma, 
             candidate, 
             emailTemplateType, 
@@ -392,7 +422,14 @@ const completeStep = async (prisma, candidateId, stepNumber, userId = null, desc
             stepAttachmentPath, // Can be string or array
             customData
           );
-          logger.info(`✅ Email sent successfully for step ${stepNumber}`);
+          emailSent = true;
+          // SEND WINDOW: A deferred email hasn't gone out yet - the step is recorded at its send time
+          if (sendResult?.deferred) {
+            emailDeferredUntil = sendResult.scheduledFor;
+            logger.info(`🌙 Email for step ${stepNumber} deferred to ${emailDeferredUntil.toISOString()}`);
+          } else {
+            logger.info(`✅ Email sent successfully for step ${stepNumber}`);
+          }
         }
       } catch (emailError) {
         logger.error(`❌ Failed to send email for step ${stepNumber} (${stepConfig.emailType || 'unknown'}):`, emailError.message);
@@ -403,7 +440,9 @@ const completeStep = async (prisma, candidateId, stepNumber, userId = null, desc
 
     // Update candidate fields
     if (stepConfig.field) {
-      updateData[stepConfig.field] = stepConfig.value;
+      updateData[stepConfig.field] = emailDeferredUntil && stepConfig.value instanceof Date
+        ? emailDeferredUntil
+        : stepConfig.value;
     }
 
     // If there's a scheduled calendar event for this step, mark it as completed
@@ -476,7 +515,9 @@ const completeStep = async (prisma, candidateId, stepNumber, userId = null, desc
             candidateId: candidate.id,
             userId: userId,
             action: stepConfig.action,
-            description: `Step ${stepNumber} completed${stepConfig.sendEmail ? ' and email sent' : ''}`
+            description: emailDeferredUntil
+              ? `Step ${stepNumber} completed - email scheduled for ${emailDeferredUntil.toISOString()} (outside the send window)`
+              : `Step ${stepNumber} completed${stepConfig.sendEmail ? ' and email sent' : ''}`
           }
         });
       } catch (logError) {
@@ -496,14 +537,74 @@ const completeStep = async (prisma, candidateId, stepNumber, userId = null, desc
       }
     }
 
+    // RELATIVE SCHEDULING: Schedule steps set to run N hours/days after this step
+    // (a deferred email anchors them on its send time, not on now)
+    await scheduleStepsAnchoredTo(prisma, updated, stepNumber, emailDeferredUntil || new Date());
+
     logger.info(`✅ Step ${stepNumber} completed successfully for ${candidate.email}`);
-    return updated;
+    return emailDeferredUntil ? { ...updated, emailDeferredUntil } : updated;
   } catch (error) {
     logger.error(`❌ Error completing step ${stepNumber} for candidate ${candidateId}:`, error);
+    error.emailSent = emailSent;
     throw error;
   }
 };
 
+// Helper to schedule steps anchored to a step that just completed (or was skipped)
+// Errors are logged only - they must never fail the step completion
+const scheduleStepsAnchoredTo = async (prisma, candidate, stepNumber, completedAt = new Date()) => {
+  try {
+    await stepScheduleService.scheduleAnchoredSteps(prisma, candidate, stepNumber, completedAt);
+  } catch (scheduleError) {
+    logger.error(`❌ Error scheduling steps anchored to step ${stepNumber} for ${candidate.email}:`, scheduleError.message);
+  }
+};
+
+// Helper to mark a step as SKIPPED for a candidate when its conditions aren't met
+// Marks pending calendar events and department tasks for the step so the scheduler won't fire them again
+const markStepSkipped = async (prisma, candidate, stepNumber, reason, userId = null) => {
+  await prisma.calendarEvent.updateMany({
+    where: {
+      candidateId: candidate.id,
+      stepNumber: stepNumber,
+      status: { in: ['SCHEDULED', 'RESCHEDULED', 'CONFIRMED'] }
+    },
+    data: {
+      status: 'SKIPPED'
+    }
+  });
+
+  const tasks = await prisma.task.findMany({
+    where: {
+      candidateId: candidate.id,
+      status: { in: ['PENDING', 'IN_PROGRESS'] }
+    }
+  });
+
+  for (const task of tasks) {
+    if (task.metadata && typeof task.metadata === 'object' && task.metadata.step === stepNumber) {
+      await prisma.task.update({
+        where: { id: task.id },
+        data: { status: 'SKIPPED' }
+      });
+    }
+  }
+
+  try {
+    await prisma.activityLog.create({
+      data: {
+        candidateId: candidate.id,
+        userId: userId,
+        action: 'STEP_SKIPPED',
+        description: `Step ${stepNumber} skipped: ${reason}`,
+        metadata: { stepNumber, reason }
+      }
+    });
+  } catch (logError) {
+    logger.warn('Failed to log activity:', logError);
+  }
+};
+
 // Helper to schedule all offerLetter-based steps when Step 1 is completed
 const scheduleOfferLetterBasedSteps = async (prisma, candidate) => {
   try {
@@ -515,17 +616,13 @@ const scheduleOfferLetterBasedSteps = async (prisma, candidate) => {
       return;
     }
 
-    // Get all auto-scheduled step templates that are based on offer letter
-    const stepTemplates = await prisma.departmentStepTemplate.findMany({
-      where: {
-        department,
-        isActive: true,
-        isAuto: true,
-        schedulingMethod: 'offerLetter',
-        stepNumber: { not: 1 } // Skip Step 1 itself
-      },
-      orderBy: { stepNumber: 'asc' }
-    });
+    // Get all auto-scheduled step templates that are based on offer letter (from the candidate's pinned version)
+    const candidateSteps = await workflowVersionService.getCandidateSteps(prisma, candidate, false);
+    const stepTemplates = candidateSteps.filter(step =>
+      step.isAuto &&
+      step.schedulingMethod === 'offerLetter' &&
+      step.stepNumber !== 1 // Skip Step 1 itself
+    );
 
     if (stepTemplates.length === 0) {
       logger.info(`ℹ️ No offerLetter-based steps found for ${candidate.email} in ${department} department`);
@@ -534,6 +631,8 @@ const scheduleOfferLetterBasedSteps = async (prisma, candidate) => {
 
     logger.info(`🔄 Scheduling ${stepTemplates.length} offerLetter-based step(s) for ${candidate.email}...`);
 
+    const businessCalendar = await businessCalendarService.getBusinessCalendar(prisma);
+    const candidateTimezone = await timezoneService.resolveCandidateTimezone(prisma, candidate);
     let eventsCreated = 0;
     let eventsSkipped = 0;
 
@@ -555,9 +654,8 @@ const scheduleOfferLetterBasedSteps = async (prisma, candidate) => {
         }
 
         const scheduledTimeStr = step.scheduledTimeOfferLetter || '14:00';
-        const base = new Date(offerSentAt);
-        const scheduledDate = new Date(base);
-        scheduledDate.setDate(scheduledDate.getDate() + (step.dueDateOffset || 0));
+        // BUSINESS CALENDAR: Offsets skip weekends/holidays and non-working days roll by the configured rule
+        const scheduledDate = businessCalendarService.addScheduleOffset(businessCalendar, offerSentAt, step.dueDateOffset || 0);
 
         // Extract date components
         const year = scheduledDate.getFullYear();
@@ -569,12 +667,12 @@ const scheduleOfferLetterBasedSteps = async (prisma, candidate) => {
         const hour = parseInt(hours) || 14;
         const minute = parseInt(minutes) || 0;
 
-        // Create date string treating the time as IST (Asia/Kolkata, UTC+5:30)
-        const istDateString = `${year}-${month}-${day}T${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}:00+05:30`;
-        const scheduledDateIST = new Date(istDateString);
+        // TIMEZONE: The step time is wall-clock time in the candidate's timezone (candidate > office > company)
+        const scheduledDateString = `${year}-${month}-${day}T${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+        const scheduledDateTime = timezoneService.zonedTimeToDate(`${year}-${month}-${day}`, `${hour}:${minute}`, candidateTimezone);
 
-        if (isNaN(scheduledDateIST.getTime())) {
-          logger.error(`❌ Invalid date created for candidate ${candidate.email}: ${istDateString}`);
+        if (isNaN(scheduledDateTime.getTime())) {
+          logger.error(`❌ Invalid date created for candidate ${candidate.email}: ${scheduledDateString} (${candidateTimezone})`);
           eventsSkipped++;
           continue;
         }
@@ -595,16 +693,17 @@ const scheduleOfferLetterBasedSteps = async (prisma, candidate) => {
           'CHECKIN_CALL': 30 
         };
         const eventDuration = durationMap[step.type] || 15;
-        const endTime = new Date(scheduledDateIST);
+        const endTime = new Date(scheduledDateTime);
         endTime.setMinutes(endTime.getMinutes() + eventDuration);
 
         // Create calendar event
         const eventData = {
           title: `${step.title} - ${candidate.firstName} ${candidate.lastName}`,
           description: step.description || '',
-          startTime: scheduledDateIST,
+          startTime: scheduledDateTime,
           endTime: endTime,
           attendees: [candidate.email],
+          timeZone: candidateTimezone,
           createMeet: false
         };
 
@@ -623,7 +722,7 @@ const scheduleOfferLetterBasedSteps = async (prisma, candidate) => {
             type: step.type,
             title: eventData.title,
             description: eventData.description,
-            startTime: scheduledDateIST,
+            startTime: scheduledDateTime,
             endTime: endTime,
             attendees: eventData.attendees,
             meetingLink: googleEvent?.hangoutLink || googleEvent?.htmlLink || null,
@@ -634,7 +733,7 @@ const scheduleOfferLetterBasedSteps = async (prisma, candidate) => {
         });
 
         eventsCreated++;
-        logger.info(`✅ Scheduled offerLetter-based step ${step.stepNumber} for ${candidate.email}: ${scheduledDateIST.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })} (IST)`);
+        logger.info(`✅ Scheduled offerLetter-based step ${step.stepNumber} for ${candidate.email}: ${timezoneService.formatDateTime(scheduledDateTime, candidateTimezone)} (${candidateTimezone})`);
 
       } catch (stepError) {
         logger.error(`❌ Error scheduling offerLetter-based step ${step.stepNumber} for candidate ${candidate.email}:`, stepError.message);
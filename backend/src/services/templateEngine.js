@@ -0,0 +1,776 @@
+const logger = require('../utils/logger');
+const timezoneService = require('./timezoneService');
+
+/**
+ * Email template language - a small, sandboxed Handlebars-style syntax for EmailTemplate subject/body
+ *
+ *   {{firstName}}                             placeholder (unknown placeholders are left as-is, like before)
+ *   {{joiningDate | date: "DD MMM YYYY"}}     filters, chained with |
+ *   {{#if department == "Sales"}}...{{else if position contains "Manager"}}...{{else}}...{{/if}}
+ *   {{#unless formLink}}...{{/unless}}
+ *   {{#each whatsappGroups as group}}{{@number}}. {{group.name}}{{else}}No groups{{/each}}
+ *   {{! a comment - not rendered }}
+ *
+ * Conditions support ==, !=, >, >=, <, <=, contains, and, or, not and parentheses.
+ * Inside {{#each}}, `this` is the current item, item fields can be used directly, and
+ * @index, @number (1-based), @first, @last and @key (when looping over an object) are available.
+ *
+ * SANDBOX: Nothing in a template is evaluated as JavaScript. Lookups only read own properties of the
+ * render context (never __proto__/constructor/prototype), filters come from a fixed list, and loop
+ * size, nesting depth and output length are capped.
+ *
+ * Existing templates keep working: plain {{key}} placeholders render exactly as the old
+ * split/join replacement did, and a stored template with a syntax error falls back to that replacement.
+ */
+
+const MAX_LOOP_ITEMS = 500;
+const MAX_DEPTH = 25;
+const MAX_OUTPUT_LENGTH = 1024 * 1024; // 1 MB
+const BLOCKED_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+// A placeholder path: firstName, group.name, this, @index, custom-field_key
+const PATH_PATTERN = /^@?[A-Za-z_$][\w$-]*(\.[A-Za-z_$][\w$-]*)*$/;
+
+const DATE_PRESETS = {
+  short: 'D MMM YYYY', // 10 Mar 2026
+  long: 'D MMMM YYYY', // 10 March 2026
+  full: 'dddd, D MMMM YYYY', // Tuesday, 10 March 2026
+  iso: 'YYYY-MM-DD'
+};
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+const templateError = (message, line, column) => {
+  const error = new Error(line ? `${message} (line ${line}, column ${column})` : message);
+  error.templateError = true;
+  error.line = line || null;
+  error.column = column || null;
+  return error;
+};
+
+// ============ VALUE HELPERS ============
+
+const isEmpty = (value) => {
+  if (value === null || value === undefined || value === false) return true;
+  if (typeof value === 'string') return value.trim() === '';
+  if (Array.isArray(value)) return value.length === 0;
+  return false;
+};
+
+// Read an own property only - keeps templates away from prototypes and getters on built-ins
+const getOwn = (target, key) => {
+  if (target === null || target === undefined || BLOCKED_KEYS.includes(key)) return undefined;
+  if ((Array.isArray(target) || typeof target === 'string') && key === 'length') return target.length;
+  if (typeof target !== 'object') return undefined;
+  return Object.prototype.hasOwnProperty.call(target, key) ? target[key] : undefined;
+};
+
+const hasOwn = (target, key) => (
+  target !== null && typeof target === 'object' && !BLOCKED_KEYS.includes(key) &&
+  Object.prototype.hasOwnProperty.call(target, key)
+);
+
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  if (value instanceof Date) return value.getTime();
+  if (typeof value !== 'string') return NaN;
+  const cleaned = value.replace(/[^0-9.-]/g, '');
+  return cleaned === '' || cleaned === '-' ? NaN : Number(cleaned);
+};
+
+// Strings compare case-insensitively, the same as step conditions
+const toComparable = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  return String(value).trim().toLowerCase();
+};
+
+// Instants (Date objects, ISO date-times) are shown in the candidate's timezone; anything else that
+// parses as a date (e.g. the formatted {{joiningDate}}) is a calendar day and is shown as that day
+const toDateParts = (value, timeZone) => {
+  if (value === null || value === undefined || value === '') return null;
+
+  let date;
+  let calendarDay = false;
+  if (value instanceof Date) {
+    date = value;
+  } else if (typeof value === 'number') {
+    date = new Date(value);
+  } else if (typeof value === 'string') {
+    const dateOnly = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (dateOnly) {
+      date = new Date(Date.UTC(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]), 12));
+      calendarDay = 'utc';
+    } else {
+      date = new Date(value);
+      calendarDay = !/\d{2}:\d{2}/.test(value);
+    }
+  } else {
+    return null;
+  }
+  if (isNaN(date.getTime())) return null;
+
+  if (calendarDay === true) {
+    // Same local components getCalendarDateKey uses for stored calendar dates
+    date = new Date(`${timezoneService.getCalendarDateKey(date)}T12:00:00Z`);
+  }
+  const zone = calendarDay ? 'UTC' : (timezoneService.isValidTimezone(timeZone) ? timeZone : timezoneService.DEFAULT_TIMEZONE);
+
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: zone,
+    year: 'numeric', month: 'numeric', day: 'numeric', weekday: 'long',
+    hour: 'numeric', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+
+  return {
+    date,
+    zone,
+    calendarDay: !!calendarDay,
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    weekday: parts.weekday,
+    hour: Number(parts.hour),
+    minute: Number(parts.minute)
+  };
+};
+
+const formatDate = (value, format, timeZone) => {
+  const parts = toDateParts(value, timeZone);
+  if (!parts) return value;
+
+  const pattern = DATE_PRESETS[format] || format || DATE_PRESETS.long;
+  const pad = (n) => String(n).padStart(2, '0');
+  const hour12 = parts.hour % 12 === 0 ? 12 : parts.hour % 12;
+
+  const tokens = {
+    YYYY: String(parts.year),
+    YY: String(parts.year).slice(-2),
+    MMMM: MONTH_NAMES[parts.month - 1],
+    MMM: MONTH_NAMES[parts.month - 1].slice(0, 3),
+    MM: pad(parts.month),
+    M: String(parts.month),
+    DD: pad(parts.day),
+    D: String(parts.day),
+    dddd: parts.weekday,
+    ddd: parts.weekday.slice(0, 3),
+    HH: pad(parts.hour),
+    H: String(parts.hour),
+    hh: pad(hour12),
+    h: String(hour12),
+    mm: pad(parts.minute),
+    A: parts.hour < 12 ? 'AM' : 'PM',
+    a: parts.hour < 12 ? 'am' : 'pm',
+    z: parts.calendarDay ? '' : timezoneService.getTimezoneLabel(parts.zone, parts.date)
+  };
+
+  // [text] is output literally
+  return pattern.replace(/\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd|HH|H|hh|h|mm|A|a|z/g,
+    (match, literal) => (literal !== undefined ? literal : tokens[match]));
+};
+
+// ============ FILTERS ============
+// Each filter gets (value, args, options) - options.timezone is the candidate's timezone
+
+const FILTERS = {
+  upper: (value) => toText(value).toUpperCase(),
+  lower: (value) => toText(value).toLowerCase(),
+  capitalize: (value) => {
+    const text = toText(value);
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  },
+  title: (value) => toText(value).toLowerCase().replace(/(^|\s)\S/g, c => c.toUpperCase()),
+  trim: (value) => toText(value).trim(),
+  default: (value, [fallback = '']) => (isEmpty(value) ? fallback : value),
+  date: (value, [format], options) => formatDate(value, format, options.timezone),
+  time: (value, [format = 'h:mm a z'], options) => formatDate(value, format, options.timezone),
+  datetime: (value, args, options) => {
+    const parts = toDateParts(value, options.timezone);
+    if (!parts) return value;
+    return parts.calendarDay
+      ? timezoneService.formatCalendarDate(parts.date)
+      : timezoneService.formatDateTime(parts.date, parts.zone);
+  },
+  currency: (value, [code = 'INR']) => {
+    const amount = toNumber(value);
+    if (isNaN(amount)) return value;
+    try {
+      return new Intl.NumberFormat(String(code).toUpperCase() === 'INR' ? 'en-IN' : 'en-US', {
+        style: 'currency',
+        currency: String(code).toUpperCase(),
+        maximumFractionDigits: Number.isInteger(amount) ? 0 : 2
+      }).format(amount);
+    } catch (error) {
+      // Unknown currency code
+      return value;
+    }
+  },
+  number: (value, [decimals]) => {
+    const amount = toNumber(value);
+    if (isNaN(amount)) return value;
+    const digits = decimals === undefined ? undefined : Math.max(0, Math.min(10, Number(decimals) || 0));
+    return new Intl.NumberFormat('en-IN', { minimumFractionDigits: digits, maximumFractionDigits: digits === undefined ? 2 : digits }).format(amount);
+  },
+  truncate: (value, [length = 100, suffix = '...']) => {
+    const text = toText(value);
+    const max = Number(length) || 0;
+    return text.length > max ? `${text.slice(0, max)}${suffix}` : text;
+  },
+  replace: (value, [search = '', replacement = '']) => (search === '' ? toText(value) : toText(value).split(String(search)).join(String(replacement))),
+  join: (value, [separator = ', ']) => (Array.isArray(value) ? value.map(toText).join(String(separator)) : toText(value)),
+  first: (value) => (Array.isArray(value) ? value[0] : toText(value).charAt(0)),
+  last: (value) => (Array.isArray(value) ? value[value.length - 1] : toText(value).slice(-1)),
+  length: (value) => (Array.isArray(value) || typeof value === 'string' ? value.length : (value && typeof value === 'object' ? Object.keys(value).length : 0)),
+  escape: (value) => toText(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+};
+
+// Output text for a value - null/undefined render as empty, like the old replacement
+const toText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'string') return value;
+  if (value instanceof Date) return timezoneService.formatDateTime(value);
+  if (Array.isArray(value)) return value.map(toText).join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// ============ EXPRESSIONS ============
+
+const tokenizeExpression = (source, line, column) => {
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    const char = source[i];
+    if (/\s/.test(char)) { i++; continue; }
+
+    if (char === '"' || char === '\'') {
+      let j = i + 1;
+      let value = '';
+      while (j < source.length && source[j] !== char) {
+        if (source[j] === '\\' && j + 1 < source.length) j++;
+        value += source[j];
+        j++;
+      }
+      if (j >= source.length) throw templateError(`Unterminated string in "${source}"`, line, column);
+      tokens.push({ type: 'literal', value });
+      i = j + 1;
+      continue;
+    }
+
+    const operator = source.slice(i).match(/^(==|!=|>=|<=|>|<|\(|\)|,|:|\|)/);
+    if (operator) {
+      tokens.push({ type: 'op', value: operator[1] });
+      i += operator[1].length;
+      continue;
+    }
+
+    const number = source.slice(i).match(/^-?\d+(\.\d+)?/);
+    if (number) {
+      tokens.push({ type: 'literal', value: Number(number[0]) });
+      i += number[0].length;
+      continue;
+    }
+
+    const word = source.slice(i).match(/^@?[A-Za-z_$][\w$.-]*/);
+    if (word) {
+      const value = word[0];
+      if (value === 'true' || value === 'false') tokens.push({ type: 'literal', value: value === 'true' });
+      else if (value === 'null') tokens.push({ type: 'literal', value: null });
+      else if (['and', 'or', 'not', 'contains'].includes(value)) tokens.push({ type: 'op', value });
+      else if (PATH_PATTERN.test(value)) tokens.push({ type: 'path', value });
+      else throw templateError(`Invalid name "${value}"`, line, column);
+      i += value.length;
+      continue;
+    }
+
+    throw templateError(`Unexpected "${char}" in "${source}"`, line, column);
+  }
+  return tokens;
+};
+
+// Recursive descent over: or > and > not > comparison > operand
+const parseCondition = (source, line, column) => {
+  const tokens = tokenizeExpression(source, line, column);
+  if (tokens.length === 0) throw templateError('Missing condition', line, column);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isOp = (value) => peek() && peek().type === 'op' && peek().value === value;
+
+  const parseOperand = () => {
+    const token = tokens[pos++];
+    if (!token) throw templateError(`Incomplete condition "${source}"`, line, column);
+    if (token.type === 'op' && token.value === '(') {
+      const inner = parseOr();
+      if (!isOp(')')) throw templateError(`Missing ")" in "${source}"`, line, column);
+      pos++;
+      return inner;
+    }
+    if (token.type === 'literal') return { kind: 'literal', value: token.value };
+    if (token.type === 'path') return { kind: 'path', path: token.value };
+    throw templateError(`Unexpected "${token.value}" in "${source}"`, line, column);
+  };
+
+  const parseComparison = () => {
+    const left = parseOperand();
+    const token = peek();
+    if (token && token.type === 'op' && ['==', '!=', '>', '>=', '<', '<=', 'contains'].includes(token.value)) {
+      pos++;
+      return { kind: 'compare', operator: token.value, left, right: parseOperand() };
+    }
+    return left;
+  };
+
+  const parseNot = () => {
+    if (isOp('not')) {
+      pos++;
+      return { kind: 'not', operand: parseNot() };
+    }
+    return parseComparison();
+  };
+
+  const parseAnd = () => {
+    let node = parseNot();
+    while (isOp('and')) {
+      pos++;
+      node = { kind: 'and', left: node, right: parseNot() };
+    }
+    return node;
+  };
+
+  const parseOr = () => {
+    let node = parseAnd();
+    while (isOp('or')) {
+      pos++;
+      node = { kind: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  };
+
+  const expression = parseOr();
+  if (pos < tokens.length) {
+    throw templateError(`Unexpected "${tokens[pos].value}" in "${source}"`, line, column);
+  }
+  return expression;
+};
+
+// path | filter | filter: arg, arg
+const parseOutput = (source, line, column) => {
+  const tokens = tokenizeExpression(source, line, column);
+  const first = tokens[0];
+  if (!first || first.type !== 'path') {
+    throw templateError(`Expected a placeholder name in "{{${source}}}"`, line, column);
+  }
+
+  const filters = [];
+  let pos = 1;
+  while (pos < tokens.length) {
+    if (!(tokens[pos].type === 'op' && tokens[pos].value === '|')) {
+      throw templateError(`Unexpected "${tokens[pos].value}" in "{{${source}}}"`, line, column);
+    }
+    pos++;
+    const nameToken = tokens[pos++];
+    if (!nameToken || nameToken.type !== 'path') {
+      throw templateError(`Missing filter name after "|" in "{{${source}}}"`, line, column);
+    }
+    if (!Object.prototype.hasOwnProperty.call(FILTERS, nameToken.value)) {
+      throw templateError(`Unknown filter "${nameToken.value}". Available filters: ${Object.keys(FILTERS).join(', ')}`, line, column);
+    }
+
+    const args = [];
+    if (tokens[pos] && tokens[pos].type === 'op' && tokens[pos].value === ':') {
+      pos++;
+      for (;;) {
+        const arg = tokens[pos++];
+        if (!arg || (arg.type !== 'literal' && arg.type !== 'path')) {
+          throw templateError(`Missing argument for filter "${nameToken.value}" in "{{${source}}}"`, line, column);
+        }
+        args.push(arg.type === 'literal' ? { kind: 'literal', value: arg.value } : { kind: 'path', path: arg.value });
+        if (tokens[pos] && tokens[pos].type === 'op' && tokens[pos].value === ',') {
+          pos++;
+          continue;
+        }
+        break;
+      }
+    }
+    filters.push({ name: nameToken.value, args });
+  }
+
+  return { path: first.value, filters };
+};
+
+// ============ PARSER ============
+
+const getPosition = (text, index) => {
+  const before = text.slice(0, index);
+  const line = before.split('\n').length;
+  const column = index - before.lastIndexOf('\n');
+  return { line, column };
+};
+
+/**
+ * Parse template text into a tree of nodes
+ * Throws an error with .templateError, .line and .column on a syntax error
+ */
+const parseTemplate = (text) => {
+  const root = { type: 'root', body: [] };
+  const stack = [root];
+  let current = root.body;
+  let lastIndex = 0;
+
+  const tagPattern = /\{\{([\s\S]*?)\}\}/g;
+  let match;
+  while ((match = tagPattern.exec(text || '')) !== null) {
+    if (match.index > lastIndex) {
+      current.push({ type: 'text', value: text.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + match[0].length;
+
+    const raw = match[0];
+    const content = match[1].trim();
+    const { line, column } = getPosition(text, match.index);
+    const block = stack[stack.length - 1];
+
+    if (content.startsWith('!')) {
+      continue; // comment
+    }
+
+    if (content.startsWith('#')) {
+      const [, keyword, rest = ''] = content.match(/^#(\S*)\s*([\s\S]*)$/);
+      if (stack.length > MAX_DEPTH) throw templateError('Blocks are nested too deeply', line, column);
+
+      let node;
+      if (keyword === 'if' || keyword === 'unless') {
+        node = { type: keyword, branches: [{ condition: parseCondition(rest, line, column), body: [] }], elseBody: null, line, column };
+        current.push(node);
+        current = node.branches[0].body;
+      } else if (keyword === 'each') {
+        const eachMatch = rest.match(/^(\S+)(?:\s+as\s+([A-Za-z_$][\w$]*))?$/);
+        if (!eachMatch || !PATH_PATTERN.test(eachMatch[1])) {
+          throw templateError(`Invalid {{#each}} - use {{#each list}} or {{#each list as item}}`, line, column);
+        }
+        node = { type: 'each', path: eachMatch[1], alias: eachMatch[2] || null, body: [], elseBody: null, line, column };
+        current.push(node);
+        current = node.body;
+      } else {
+        throw templateError(`Unknown block "{{#${keyword}}}" - use #if, #unless or #each`, line, column);
+      }
+      stack.push(node);
+      continue;
+    }
+
+    if (content.startsWith('/')) {
+      const keyword = content.slice(1).trim();
+      if (block.type === 'root') {
+        throw templateError(`"{{/${keyword}}}" has no matching {{#${keyword}}}`, line, column);
+      }
+      if (keyword !== block.type) {
+        throw templateError(`Expected {{/${block.type}}} to close {{#${block.type}}} from line ${block.line}, found "{{/${keyword}}}"`, line, column);
+      }
+      stack.pop();
+      const parent = stack[stack.length - 1];
+      current = parent.type === 'root' ? parent.body : currentBodyOf(parent);
+      continue;
+    }
+
+    if (content === 'else' || content.startsWith('else ')) {
+      const rest = content.slice(4).trim();
+      if (block.type === 'root') throw templateError('{{else}} outside of an {{#if}}, {{#unless}} or {{#each}} block', line, column);
+      if (block.elseBody) throw templateError(`{{else}} after {{else}} in the {{#${block.type}}} from line ${block.line}`, line, column);
+
+      if (rest) {
+        const elseIf = rest.match(/^if\s+([\s\S]+)$/);
+        if (!elseIf || block.type !== 'if') {
+          throw templateError(`Invalid "{{${content}}}" - only {{#if}} supports {{else if ...}}`, line, column);
+        }
+        const branch = { condition: parseCondition(elseIf[1], line, column), body: [] };
+        block.branches.push(branch);
+        current = branch.body;
+      } else {
+        block.elseBody = [];
+        current = block.elseBody;
+      }
+      continue;
+    }
+
+    // Placeholders with filters, or plain names, are expressions; anything else (e.g. "{{Offer Deadline}}")
+    // is matched against the context literally, as the old split/join replacement did
+    if (content.includes('|') || PATH_PATTERN.test(content)) {
+      current.push({ type: 'output', ...parseOutput(content, line, column), raw, line, column });
+    } else {
+      current.push({ type: 'literal', key: content, raw });
+    }
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw templateError(`{{#${open.type}}} is never closed with {{/${open.type}}}`, open.line, open.column);
+  }
+
+  if (lastIndex < (text || '').length) {
+    current.push({ type: 'text', value: text.slice(lastIndex) });
+  }
+  return root.body;
+};
+
+// Body that new nodes go into for an open block (after its last {{else}} if any)
+const currentBodyOf = (block) => {
+  if (block.elseBody) return block.elseBody;
+  if (block.type === 'each') return block.body;
+  return block.branches[block.branches.length - 1].body;
+};
+
+// ============ RENDERER ============
+
+const MISSING = Symbol('missing');
+
+// Scopes are searched innermost first: loop items, then the root context
+const lookup = (scopes, path) => {
+  const [head, ...rest] = path.split('.');
+  let value = MISSING;
+
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const scope = scopes[i];
+    if (head.startsWith('@')) {
+      if (scope.meta && hasOwn(scope.meta, head.slice(1))) { value = scope.meta[head.slice(1)]; break; }
+      continue;
+    }
+    if (scope.item !== undefined) {
+      if (head === 'this' || (scope.alias && head === scope.alias)) { value = scope.item; break; }
+      if (hasOwn(scope.item, head)) { value = scope.item[head]; break; }
+      continue;
+    }
+    if (hasOwn(scope.context, head)) { value = scope.context[head]; break; }
+  }
+
+  if (value === MISSING) return MISSING;
+  for (const key of rest) {
+    value = getOwn(value, key);
+    if (value === undefined) return undefined;
+  }
+  return value;
+};
+
+// Note a placeholder that didn't resolve or rendered empty (options.report, used by template preview)
+const reportPlaceholder = (options, kind, name) => {
+  if (options.report && !options.report[kind].includes(name)) {
+    options.report[kind].push(name);
+  }
+};
+
+const evaluate = (node, scopes, options) => {
+  switch (node.kind) {
+    case 'literal':
+      return node.value;
+    case 'path': {
+      const value = lookup(scopes, node.path);
+      if (value === MISSING) {
+        reportPlaceholder(options, 'unresolved', node.path);
+        return undefined;
+      }
+      return value;
+    }
+    case 'not':
+      return isEmpty(evaluate(node.operand, scopes, options));
+    case 'and':
+      return !isEmpty(evaluate(node.left, scopes, options)) && !isEmpty(evaluate(node.right, scopes, options));
+    case 'or':
+      return !isEmpty(evaluate(node.left, scopes, options)) || !isEmpty(evaluate(node.right, scopes, options));
+    case 'compare': {
+      const left = evaluate(node.left, scopes, options);
+      const right = evaluate(node.right, scopes, options);
+      if (node.operator === '==') return toComparable(left) === toComparable(right);
+      if (node.operator === '!=') return toComparable(left) !== toComparable(right);
+      if (node.operator === 'contains') {
+        if (Array.isArray(left)) return left.some(item => toComparable(item) === toComparable(right));
+        return toComparable(left).includes(toComparable(right));
+      }
+      // Numeric comparison - a missing value never matches
+      const a = toNumber(left);
+      const b = toNumber(right);
+      if (isEmpty(left) || isNaN(a) || isNaN(b)) return false;
+      if (node.operator === '>') return a > b;
+      if (node.operator === '>=') return a >= b;
+      if (node.operator === '<') return a < b;
+      return a <= b;
+    }
+    default:
+      return undefined;
+  }
+};
+
+// Items for {{#each}} - arrays, objects (with @key), or a comma/newline separated string
+const toLoopItems = (value) => {
+  if (Array.isArray(value)) return value.map(item => ({ item }));
+  if (typeof value === 'string') {
+    return value.split(/[\n,]/).map(item => item.trim()).filter(Boolean).map(item => ({ item }));
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.keys(value).filter(key => !BLOCKED_KEYS.includes(key)).map(key => ({ item: value[key], key }));
+  }
+  return [];
+};
+
+const write = (out, text) => {
+  out.parts.push(text);
+  out.length += text.length;
+  if (out.length > MAX_OUTPUT_LENGTH) {
+    throw templateError(`Rendered template is larger than ${MAX_OUTPUT_LENGTH / 1024} KB`);
+  }
+};
+
+const renderNodes = (nodes, scopes, options, out) => {
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        write(out, node.value);
+        break;
+      case 'literal': {
+        const root = scopes[0].context;
+        if (hasOwn(root, node.key)) {
+          const text = toText(root[node.key]);
+          if (text.trim() === '') reportPlaceholder(options, 'empty', node.key);
+          write(out, text);
+        } else {
+          reportPlaceholder(options, 'unresolved', node.key);
+          write(out, node.raw);
+        }
+        break;
+      }
+      case 'output': {
+        let value = lookup(scopes, node.path);
+        const missing = value === MISSING;
+        if (missing) {
+          reportPlaceholder(options, 'unresolved', node.path);
+          if (node.filters.length === 0) {
+            // Unknown placeholder - leave it in the text, like the old replacement did
+            write(out, node.raw);
+            break;
+          }
+          value = undefined;
+        }
+        for (const filter of node.filters) {
+          const args = filter.args.map(arg => evaluate(arg, scopes, options));
+          value = FILTERS[filter.name](value, args, options);
+        }
+        const text = toText(value);
+        if (!missing && text.trim() === '') reportPlaceholder(options, 'empty', node.path);
+        write(out, text);
+        break;
+      }
+      case 'if':
+      case 'unless': {
+        let rendered = false;
+        for (const branch of node.branches) {
+          const truthy = !isEmpty(evaluate(branch.condition, scopes, options));
+          if (node.type === 'unless' ? !truthy : truthy) {
+            renderNodes(branch.body, scopes, options, out);
+            rendered = true;
+            break;
+          }
+        }
+        if (!rendered && node.elseBody) renderNodes(node.elseBody, scopes, options, out);
+        break;
+      }
+      case 'each': {
+        const found = lookup(scopes, node.path);
+        if (found === MISSING) reportPlaceholder(options, 'unresolved', node.path);
+        const items = toLoopItems(found === MISSING ? undefined : found);
+        if (items.length === 0) {
+          if (node.elseBody) renderNodes(node.elseBody, scopes, options, out);
+          break;
+        }
+        if (items.length > MAX_LOOP_ITEMS) {
+          throw templateError(`{{#each ${node.path}}} has ${items.length} items - the limit is ${MAX_LOOP_ITEMS}`, node.line, node.column);
+        }
+        items.forEach(({ item, key }, index) => {
+          const meta = { index, number: index + 1, first: index === 0, last: index === items.length - 1 };
+          if (key !== undefined) meta.key = key;
+          renderNodes(node.body, [...scopes, { item: item === undefined ? null : item, alias: node.alias, meta }], options, out);
+        });
+        break;
+      }
+      default:
+        break;
+    }
+  }
+};
+
+// Old behaviour: replace each known {{key}} literally
+const legacyReplace = (text, context) => {
+  let result = text;
+  for (const [key, value] of Object.entries(context)) {
+    if (value !== null && typeof value === 'object' && !(value instanceof Date)) continue;
+    result = result.split(`{{${key}}}`).join(toText(value));
+  }
+  return result;
+};
+
+/**
+ * Check template text for syntax errors (used when templates are saved)
+ * Returns [] when valid, otherwise [{ message, line, column }]
+ */
+const validateTemplate = (text) => {
+  try {
+    parseTemplate(text || '');
+    return [];
+  } catch (error) {
+    if (!error.templateError) throw error;
+    return [{ message: error.message, line: error.line, column: error.column }];
+  }
+};
+
+/**
+ * Render template text against a context ({ firstName: 'Asha', whatsappGroups: [...] })
+ * options.timezone - timezone for date/time filters (the candidate's timezone)
+ * options.report   - { unresolved: [], empty: [] } to collect placeholder names that didn't resolve
+ *                    or rendered empty (for template preview)
+ *
+ * A template saved before syntax checking existed may not parse; it falls back to plain {{key}}
+ * replacement (with a warning) rather than blocking the email.
+ */
+const renderTemplate = (text, context = {}, options = {}) => {
+  if (!text) return '';
+
+  let nodes;
+  try {
+    nodes = parseTemplate(text);
+  } catch (error) {
+    if (!error.templateError) throw error;
+    logger.warn(`⚠️ Template syntax error, using plain placeholder replacement: ${error.message}`);
+    return legacyReplace(text, context);
+  }
+
+  const out = { parts: [], length: 0 };
+  renderNodes(nodes, [{ context }], options, out);
+  return out.parts.join('');
+};
+
+/**
+ * Convert a legacy placeholder map ({ '{{firstName}}': 'Asha' }) into a render context ({ firstName: 'Asha' })
+ */
+const placeholderMapToContext = (placeholders = {}) => {
+  const context = {};
+  Object.entries(placeholders).forEach(([key, value]) => {
+    const match = key.match(/^\{\{\s*([\s\S]+?)\s*\}\}$/);
+    const name = match ? match[1] : key;
+    if (!BLOCKED_KEYS.includes(name)) {
+      context[name] = value;
+    }
+  });
+  return context;
+};
+
+module.exports = {
+  TEMPLATE_FILTERS: Object.keys(FILTERS),
+  parseTemplate,
+  validateTemplate,
+  renderTemplate,
+  placeholderMapToContext
+};
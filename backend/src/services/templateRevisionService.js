@@ -0,0 +1,218 @@
+const { Prisma } = require('@prisma/client');
+const logger = require('../utils/logger');
+const languageService = require('./languageService');
+
+/**
+ * Email template revision history
+ *
+ * Every save of an EmailTemplate (create, edit, rollback) is stored as an EmailTemplateRevision
+ * snapshot with its author. Emails rendered from a template record the revision they used
+ * (Email.templateRevisionId), so a sent email can always be traced back to the exact wording.
+ *
+ * Templates created before revisions existed get revision 1 recorded lazily, the first time they
+ * are edited or used to send an email.
+ */
+
+// Template fields captured in a revision snapshot
+const REVISION_FIELDS = ['name', 'type', 'subject', 'body', 'customEmailType', 'translations', 'blocks'];
+
+// Compare field values (translations and blocks are JSON)
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const MAX_DIFF_CELLS = 1000000; // lines(old) x lines(new) - beyond this the diff is shown as a full replace
+
+const hasContentChanges = (before, after) => {
+  return REVISION_FIELDS.some(field => !sameValue(before[field], after[field]));
+};
+
+const getLatestRevision = async (prisma, templateId) => {
+  return prisma.emailTemplateRevision.findFirst({
+    where: { templateId },
+    orderBy: { revision: 'desc' }
+  });
+};
+
+/**
+ * Store the template's current content as its next revision
+ */
+const recordRevision = async (prisma, template, authorId = null, note = null) => {
+  const create = async () => {
+    const latest = await getLatestRevision(prisma, template.id);
+    const data = {
+      templateId: template.id,
+      revision: latest ? latest.revision + 1 : 1,
+      authorId,
+      note
+    };
+    REVISION_FIELDS.forEach(field => {
+      data[field] = template[field] ?? null;
+    });
+    ['translations', 'blocks'].forEach(field => {
+      if (data[field] === null) data[field] = Prisma.JsonNull;
+    });
+    return prisma.emailTemplateRevision.create({ data });
+  };
+
+  try {
+    return await create();
+  } catch (error) {
+    // Another save took the same revision number - take the next one
+    if (error.code === 'P2002') {
+      return create();
+    }
+    throw error;
+  }
+};
+
+/**
+ * Get the template's latest revision, recording revision 1 for templates saved before history existed
+ */
+const ensureRevision = async (prisma, template) => {
+  const latest = await getLatestRevision(prisma, template.id);
+  if (latest) return latest;
+
+  try {
+    return await recordRevision(prisma, template, null, 'Initial version (recorded automatically)');
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return getLatestRevision(prisma, template.id);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Revision id to store on an Email rendered from this template
+ * Never blocks a send - returns null (with a warning) if the revision can't be recorded
+ */
+const getRevisionIdForSend = async (prisma, template) => {
+  if (!template?.id) return null;
+  try {
+    const revision = await ensureRevision(prisma, template);
+    return revision?.id || null;
+  } catch (error) {
+    logger.warn(`⚠️ Could not record revision for template ${template.name || template.id}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Line diff for the side-by-side view
+ * Returns rows of { type: 'unchanged' | 'removed' | 'added' | 'changed', left, right },
+ * where left/right are { number, text } or null
+ */
+const diffLines = (oldText, newText) => {
+  const a = (oldText || '').split('\n');
+  const b = (newText || '').split('\n');
+  const ops = [];
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    a.forEach((text, i) => ops.push({ op: 'removed', left: { number: i + 1, text } }));
+    b.forEach((text, j) => ops.push({ op: 'added', right: { number: j + 1, text } }));
+  } else {
+    // Longest common subsequence table, filled from the end
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        ops.push({ op: 'unchanged', left: { number: i + 1, text: a[i] }, right: { number: j + 1, text: b[j] } });
+        i++;
+        j++;
+      } else if (j < b.length && (i >= a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+        ops.push({ op: 'added', right: { number: j + 1, text: b[j] } });
+        j++;
+      } else {
+        ops.push({ op: 'removed', left: { number: i + 1, text: a[i] } });
+        i++;
+      }
+    }
+  }
+
+  // Pair runs of removed/added lines side by side as 'changed' rows
+  const rows = [];
+  let k = 0;
+  while (k < ops.length) {
+    if (ops[k].op === 'unchanged') {
+      rows.push({ type: 'unchanged', left: ops[k].left, right: ops[k].right });
+      k++;
+      continue;
+    }
+    const removed = [];
+    const added = [];
+    while (k < ops.length && ops[k].op !== 'unchanged') {
+      if (ops[k].op === 'removed') removed.push(ops[k].left);
+      else added.push(ops[k].right);
+      k++;
+    }
+    for (let n = 0; n < Math.max(removed.length, added.length); n++) {
+      const left = removed[n] || null;
+      const right = added[n] || null;
+      rows.push({ type: left && right ? 'changed' : (left ? 'removed' : 'added'), left, right });
+    }
+  }
+  return rows;
+};
+
+/**
+ * Compare two revisions (or a revision and the live template)
+ */
+const diffRevisions = (from, to) => {
+  // LANGUAGE: Each translated variant gets its own subject/body diff
+  const fromTranslations = languageService.getTranslations(from);
+  const toTranslations = languageService.getTranslations(to);
+  const locales = [...new Set([...Object.keys(fromTranslations), ...Object.keys(toTranslations)])].sort();
+
+  return {
+    changedFields: REVISION_FIELDS.filter(field => !sameValue(from[field], to[field])),
+    subject: diffLines(from.subject, to.subject),
+    body: diffLines(from.body, to.body),
+    translations: locales
+      .filter(locale => !sameValue(fromTranslations[locale], toTranslations[locale]))
+      .map(locale => ({
+        locale,
+        name: languageService.getLanguageName(locale),
+        subject: diffLines(fromTranslations[locale]?.subject, toTranslations[locale]?.subject),
+        body: diffLines(fromTranslations[locale]?.body, toTranslations[locale]?.body)
+      }))
+  };
+};
+
+/**
+ * Restore a revision's subject, body, translations and editor blocks, recorded as a new revision
+ */
+const rollbackToRevision = async (prisma, template, revision, authorId = null) => {
+  await ensureRevision(prisma, template);
+
+  const updated = await prisma.emailTemplate.update({
+    where: { id: template.id },
+    data: {
+      subject: revision.subject,
+      body: revision.body,
+      translations: revision.translations ?? Prisma.JsonNull,
+      blocks: revision.blocks ?? Prisma.JsonNull
+    }
+  });
+
+  const newRevision = await recordRevision(prisma, updated, authorId, `Rolled back to revision ${revision.revision}`);
+  logger.info(`⏪ Template "${updated.name}" rolled back to revision ${revision.revision} (now revision ${newRevision.revision})`);
+  return { template: updated, revision: newRevision };
+};
+
+module.exports = {
+  REVISION_FIELDS,
+  hasContentChanges,
+  getLatestRevision,
+  recordRevision,
+  ensureRevision,
+  getRevisionIdForSend,
+  diffLines,
+  diffRevisions,
+  rollbackToRevision
+};
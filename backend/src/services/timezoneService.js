@@ -0,0 +1,224 @@
+const logger = require('../utils/logger');
+
+/**
+ * Timezones for scheduling and email rendering
+ *
+ * A candidate's timezone is resolved in this order:
+ * 1. candidate.timezone (set for remote hires)
+ * 2. the timezone of the candidate's office (Office.timezone)
+ * 3. the company timezone (WorkflowConfig "company_timezone", managed in Settings > Offices & Timezones)
+ * 4. TIMEZONE env var, falling back to Asia/Kolkata (the app's original fixed IST)
+ *
+ * Wall-clock times such as scheduledTimeDoj ("09:00") are interpreted in that zone, so a 09:00
+ * welcome email goes out at 09:00 for the candidate wherever they are (DST included).
+ */
+
+const DEFAULT_TIMEZONE = process.env.TIMEZONE || 'Asia/Kolkata';
+
+/**
+ * Check if a value is a valid IANA timezone name (e.g. "Europe/London")
+ */
+const isValidTimezone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * List of timezones for the Settings and candidate pickers
+ */
+const listTimezones = () => {
+  if (typeof Intl.supportedValuesOf === 'function') {
+    return Intl.supportedValuesOf('timeZone');
+  }
+  return [DEFAULT_TIMEZONE];
+};
+
+/**
+ * Get the company timezone (used when neither the candidate nor their office has one)
+ */
+const getCompanyTimezone = async (prisma) => {
+  try {
+    const config = await prisma.workflowConfig.findUnique({ where: { key: 'company_timezone' } });
+    if (config?.value && isValidTimezone(config.value)) {
+      return config.value;
+    }
+  } catch (error) {
+    logger.warn('⚠️ Failed to load company timezone, using default:', error.message);
+  }
+  return DEFAULT_TIMEZONE;
+};
+
+/**
+ * Pick a candidate's timezone from already-loaded data (candidate.office must be included to use it)
+ */
+const getCandidateTimezone = (candidate, companyTimezone = DEFAULT_TIMEZONE) => {
+  if (candidate?.timezone && isValidTimezone(candidate.timezone)) return candidate.timezone;
+  if (candidate?.office?.timezone && isValidTimezone(candidate.office.timezone)) return candidate.office.timezone;
+  return isValidTimezone(companyTimezone) ? companyTimezone : DEFAULT_TIMEZONE;
+};
+
+/**
+ * Resolve a candidate's timezone, loading their office and the company timezone as needed
+ */
+const resolveCandidateTimezone = async (prisma, candidate) => {
+  if (candidate?.timezone && isValidTimezone(candidate.timezone)) {
+    return candidate.timezone;
+  }
+
+  let office = candidate?.office;
+  if (!office && candidate?.officeId) {
+    try {
+      office = await prisma.office.findUnique({ where: { id: candidate.officeId } });
+    } catch (error) {
+      logger.warn(`⚠️ Failed to load office for ${candidate.email}:`, error.message);
+    }
+  }
+  if (office?.timezone && isValidTimezone(office.timezone)) {
+    return office.timezone;
+  }
+
+  return getCompanyTimezone(prisma);
+};
+
+// Offset of a timezone from UTC at a given instant, in milliseconds
+const getOffsetMs = (timeZone, date) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+
+  const asUtc = Date.UTC(
+    parseInt(parts.year, 10), parseInt(parts.month, 10) - 1, parseInt(parts.day, 10),
+    parseInt(parts.hour, 10), parseInt(parts.minute, 10), parseInt(parts.second, 10)
+  );
+  const wholeSeconds = Math.floor(date.getTime() / 1000) * 1000;
+  return asUtc - wholeSeconds;
+};
+
+/**
+ * Convert a wall-clock date and time in a timezone to a Date (UTC instant)
+ * dateKey = "YYYY-MM-DD", timeStr = "HH:mm"
+ * Returns an invalid Date if the input can't be parsed
+ */
+const zonedTimeToDate = (dateKey, timeStr, timeZone = DEFAULT_TIMEZONE) => {
+  const [year, month, day] = String(dateKey || '').split('-').map(v => parseInt(v, 10));
+  const [hour, minute] = String(timeStr || '').split(':').map(v => parseInt(v, 10));
+  if ([year, month, day, hour].some(v => isNaN(v))) {
+    return new Date(NaN);
+  }
+
+  const zone = isValidTimezone(timeZone) ? timeZone : DEFAULT_TIMEZONE;
+  const wallClockUtc = Date.UTC(year, month - 1, day, hour, minute || 0, 0);
+
+  // Guess with the offset at the wall-clock time, then correct once for a DST change in between
+  let instant = wallClockUtc - getOffsetMs(zone, new Date(wallClockUtc));
+  const correctedOffset = getOffsetMs(zone, new Date(instant));
+  instant = wallClockUtc - correctedOffset;
+  return new Date(instant);
+};
+
+/**
+ * Get the calendar day (YYYY-MM-DD) of a stored date such as the DOJ
+ * Uses the same local components the schedulers use for the base date
+ */
+const getCalendarDateKey = (date) => {
+  const value = new Date(date);
+  const year = value.getFullYear();
+  const month = String(value.getMonth() + 1).padStart(2, '0');
+  const day = String(value.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+/**
+ * Get the calendar date (YYYY-MM-DD) of an instant in a timezone
+ */
+const getZonedDateKey = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: isValidTimezone(timeZone) ? timeZone : DEFAULT_TIMEZONE,
+    year: 'numeric', month: '2-digit', day: '2-digit'
+  }).formatToParts(new Date(date)).forEach(part => { parts[part.type] = part.value; });
+  return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+/**
+ * Short label for a timezone at an instant (e.g. "IST", "EDT", "GST")
+ * Falls back to a GMT offset ("GMT+5:30") for zones without a common abbreviation
+ */
+const getTimezoneLabel = (timeZone = DEFAULT_TIMEZONE, date = new Date()) => {
+  const zone = isValidTimezone(timeZone) ? timeZone : DEFAULT_TIMEZONE;
+  const nameIn = (locale) => new Intl.DateTimeFormat(locale, { timeZone: zone, timeZoneName: 'short' })
+    .formatToParts(new Date(date))
+    .find(part => part.type === 'timeZoneName')?.value || zone;
+
+  // en-US knows American/European abbreviations, en-IN knows IST and most of Asia
+  const usName = nameIn('en-US');
+  if (!usName.startsWith('GMT')) return usName;
+  const inName = nameIn('en-IN');
+  return inName.startsWith('GMT') ? usName : inName;
+};
+
+/**
+ * Format an instant as a date and time in a timezone, with the zone label
+ * e.g. "Tuesday, 10 March 2026 at 9:30 am IST"
+ */
+const formatDateTime = (date, timeZone = DEFAULT_TIMEZONE) => {
+  if (!date) return '';
+  const value = new Date(date);
+  if (isNaN(value.getTime())) return '';
+  const zone = isValidTimezone(timeZone) ? timeZone : DEFAULT_TIMEZONE;
+  const formatted = value.toLocaleString('en-IN', {
+    timeZone: zone,
+    weekday: 'long', year: 'numeric', month: 'long', day: 'numeric',
+    hour: 'numeric', minute: '2-digit', hour12: true
+  });
+  return `${formatted} ${getTimezoneLabel(zone, value)}`;
+};
+
+/**
+ * Format an instant as a time of day in a timezone, with the zone label (e.g. "9:30 am IST")
+ */
+const formatTime = (date, timeZone = DEFAULT_TIMEZONE) => {
+  if (!date) return '';
+  const value = new Date(date);
+  if (isNaN(value.getTime())) return '';
+  const zone = isValidTimezone(timeZone) ? timeZone : DEFAULT_TIMEZONE;
+  const formatted = value.toLocaleTimeString('en-IN', { timeZone: zone, hour: 'numeric', minute: '2-digit', hour12: true });
+  return `${formatted} ${getTimezoneLabel(zone, value)}`;
+};
+
+/**
+ * Format a calendar date (joining date, offer expiry) - e.g. "Tuesday, 10 March 2026"
+ * These are stored as dates without a time, so they're shown as the stored day in every timezone
+ */
+const formatCalendarDate = (date) => {
+  if (!date) return '';
+  const value = new Date(date);
+  if (isNaN(value.getTime())) return '';
+  const day = new Date(`${getCalendarDateKey(value)}T12:00:00Z`);
+  return day.toLocaleDateString('en-IN', { timeZone: 'UTC', weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  listTimezones,
+  getCompanyTimezone,
+  getCandidateTimezone,
+  resolveCandidateTimezone,
+  zonedTimeToDate,
+  getCalendarDateKey,
+  getZonedDateKey,
+  getTimezoneLabel,
+  formatDateTime,
+  formatTime,
+  formatCalendarDate
+};
@@ -0,0 +1,561 @@
+const yaml = require('js-yaml');
+const { Prisma, EmailType } = require('@prisma/client');
+const stepConditionService = require('./stepConditionService');
+const logger = require('../utils/logger');
+
+/**
+ * Workflow bundles - export a department's full workflow as one portable JSON/YAML file
+ * and import it into another department or another deployment (e.g. staging -> production).
+ *
+ * A bundle contains the department's active steps, the email templates they link to,
+ * the custom placeholders those templates use and the department's training plans.
+ * Records are referenced by natural keys (template name, placeholder key, step number) instead of IDs
+ * because IDs differ between deployments. A step's sender identity is referenced by its email address
+ * only - identities (and their credentials) are set up per deployment, never imported.
+ * DOCUMENTS: Library documents attached to steps and templates are referenced by document name - the
+ * files themselves are not in the bundle and must already be uploaded in the target deployment.
+ */
+
+const BUNDLE_FORMAT = 'hr-onboarding-workflow';
+const BUNDLE_VERSION = 1;
+
+const CONFLICT_STRATEGIES = ['overwrite', 'skip'];
+
+// Placeholders like {{firstName}} in a template subject/body
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g;
+
+const extractPlaceholderKeys = (text) => {
+  const keys = new Set();
+  if (!text) return keys;
+  let match;
+  PLACEHOLDER_PATTERN.lastIndex = 0;
+  while ((match = PLACEHOLDER_PATTERN.exec(text)) !== null) {
+    keys.add(match[1]);
+  }
+  return keys;
+};
+
+/**
+ * Build an export bundle for a department
+ */
+const exportDepartmentWorkflow = async (prisma, department) => {
+  const steps = await prisma.departmentStepTemplate.findMany({
+    where: { department, isActive: true },
+    include: { emailTemplate: true, senderIdentity: { select: { email: true } } },
+    orderBy: { stepNumber: 'asc' }
+  });
+
+  if (steps.length === 0) {
+    throw new Error(`No active steps found for ${department} department`);
+  }
+
+  // Email templates linked to the steps (deduplicated by name)
+  const templatesByName = new Map();
+  steps.forEach(step => {
+    if (step.emailTemplate) {
+      templatesByName.set(step.emailTemplate.name, step.emailTemplate);
+    }
+  });
+
+  // Custom placeholders referenced in those templates
+  const placeholderKeys = new Set();
+  templatesByName.forEach(template => {
+    extractPlaceholderKeys(template.subject).forEach(key => placeholderKeys.add(key));
+    extractPlaceholderKeys(template.body).forEach(key => placeholderKeys.add(key));
+  });
+
+  const customPlaceholders = placeholderKeys.size > 0
+    ? await prisma.customPlaceholder.findMany({
+        where: { placeholderKey: { in: [...placeholderKeys] } },
+        orderBy: { order: 'asc' }
+      })
+    : [];
+
+  const trainingPlans = await prisma.trainingPlan.findMany({
+    where: { department, isActive: true },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  // DOCUMENTS: Attached documents are exported by name
+  const documentIds = new Set();
+  steps.forEach(step => (step.documentIds || []).forEach(id => documentIds.add(id)));
+  templatesByName.forEach(template => (template.documentIds || []).forEach(id => documentIds.add(id)));
+  const documents = documentIds.size > 0
+    ? await prisma.document.findMany({ where: { id: { in: [...documentIds] } }, select: { id: true, name: true } })
+    : [];
+  const documentNameById = {};
+  documents.forEach(document => { documentNameById[document.id] = document.name; });
+  const toDocumentNames = (ids) => (ids || []).map(id => documentNameById[id]).filter(Boolean);
+
+  // Prerequisites are exported as step numbers (IDs don't exist in the target deployment)
+  const stepNumberById = {};
+  steps.forEach(step => { stepNumberById[step.id] = step.stepNumber; });
+
+  return {
+    format: BUNDLE_FORMAT,
+    formatVersion: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    department,
+    steps: steps.map(step => ({
+      stepNumber: step.stepNumber,
+      title: step.title,
+      description: step.description,
+      type: step.type,
+      icon: step.icon,
+      isAuto: step.isAuto,
+      dueDateOffset: step.dueDateOffset,
+      scheduledTime: step.scheduledTime,
+      scheduledTimeDoj: step.scheduledTimeDoj,
+      scheduledTimeOfferLetter: step.scheduledTimeOfferLetter,
+      schedulingMethod: step.schedulingMethod,
+      anchorStep: step.anchorStepId ? stepNumberById[step.anchorStepId] ?? null : null,
+      anchorOffsetHours: step.anchorOffsetHours ?? null,
+      priority: step.priority,
+      emailTemplate: step.emailTemplate ? step.emailTemplate.name : null,
+      senderIdentity: step.senderIdentity ? step.senderIdentity.email : null,
+      documents: toDocumentNames(step.documentIds),
+      prerequisiteSteps: (step.prerequisiteStepIds || [])
+        .map(id => stepNumberById[id])
+        .filter(stepNumber => stepNumber !== undefined)
+        .sort((a, b) => a - b),
+      conditions: step.conditions || null
+    })),
+    emailTemplates: [...templatesByName.values()].map(template => ({
+      name: template.name,
+      type: template.type,
+      customEmailType: template.customEmailType,
+      subject: template.subject,
+      body: template.body,
+      placeholders: template.placeholders || [],
+      documents: toDocumentNames(template.documentIds),
+      isActive: template.isActive
+    })),
+    customPlaceholders: customPlaceholders.map(placeholder => ({
+      placeholderKey: placeholder.placeholderKey,
+      name: placeholder.name,
+      value: placeholder.value,
+      description: placeholder.description,
+      isActive: placeholder.isActive,
+      order: placeholder.order
+    })),
+    trainingPlans: trainingPlans.map(plan => ({
+      name: plan.name,
+      dayWiseContent: plan.dayWiseContent
+    }))
+  };
+};
+
+/**
+ * Serialize a bundle as JSON (default) or YAML
+ */
+const serializeBundle = (bundle, format = 'json') => {
+  if (format === 'yaml' || format === 'yml') {
+    return yaml.dump(bundle, { noRefs: true, lineWidth: -1 });
+  }
+  return JSON.stringify(bundle, null, 2);
+};
+
+/**
+ * Parse a bundle file (JSON or YAML - detected from the content)
+ * Returns { bundle, error }
+ */
+const parseBundle = (content) => {
+  if (!content || !String(content).trim()) {
+    return { bundle: null, error: 'Bundle file is empty' };
+  }
+
+  // Strip a UTF-8 BOM (files saved from Windows editors)
+  const text = String(content).replace(/^\uFEFF/, '');
+  let bundle;
+  try {
+    bundle = text.trim().startsWith('{') ? JSON.parse(text) : yaml.load(text);
+  } catch (parseError) {
+    return { bundle: null, error: `Could not parse bundle: ${parseError.message}` };
+  }
+
+  const error = validateBundle(bundle);
+  return error ? { bundle: null, error } : { bundle, error: null };
+};
+
+// Bundles exported before documents were included have none
+const isDocumentNameList = (documents) => {
+  return documents === undefined || documents === null ||
+    (Array.isArray(documents) && documents.every(name => typeof name === 'string' && name));
+};
+
+// Validate the structure of a parsed bundle - returns an error message or null
+const validateBundle = (bundle) => {
+  if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+    return 'Bundle must be an object';
+  }
+  if (bundle.format !== BUNDLE_FORMAT) {
+    return `Not a workflow bundle (expected format "${BUNDLE_FORMAT}")`;
+  }
+  if (bundle.formatVersion > BUNDLE_VERSION) {
+    return `Bundle format version ${bundle.formatVersion} is newer than this server supports (${BUNDLE_VERSION})`;
+  }
+  if (!Array.isArray(bundle.steps) || bundle.steps.length === 0) {
+    return 'Bundle has no steps';
+  }
+
+  const stepNumbers = new Set();
+  for (const step of bundle.steps) {
+    if (!step || !Number.isInteger(step.stepNumber) || step.stepNumber < 1) {
+      return 'Every step needs a positive stepNumber';
+    }
+    if (stepNumbers.has(step.stepNumber)) {
+      return `Step number ${step.stepNumber} appears more than once`;
+    }
+    stepNumbers.add(step.stepNumber);
+    if (!step.title || !step.type) {
+      return `Step ${step.stepNumber} needs a title and a type`;
+    }
+    const conditionsError = stepConditionService.validateConditions(step.conditions);
+    if (conditionsError) {
+      return `Step ${step.stepNumber}: ${conditionsError}`;
+    }
+    for (const prerequisite of step.prerequisiteSteps || []) {
+      if (!bundle.steps.some(s => s.stepNumber === prerequisite)) {
+        return `Step ${step.stepNumber} waits on step ${prerequisite}, which is not in the bundle`;
+      }
+      if (prerequisite >= step.stepNumber) {
+        return `Step ${step.stepNumber} can only wait on earlier steps (found step ${prerequisite})`;
+      }
+    }
+    if (step.anchorStep !== undefined && step.anchorStep !== null) {
+      if (!bundle.steps.some(s => s.stepNumber === step.anchorStep) || step.anchorStep >= step.stepNumber) {
+        return `Step ${step.stepNumber} can only be scheduled after an earlier step in the bundle (found step ${step.anchorStep})`;
+      }
+    }
+    if (step.senderIdentity && typeof step.senderIdentity !== 'string') {
+      return `Step ${step.stepNumber}: senderIdentity must be the sender's email address`;
+    }
+    if (!isDocumentNameList(step.documents)) {
+      return `Step ${step.stepNumber}: documents must be a list of document names`;
+    }
+  }
+
+  for (const template of bundle.emailTemplates || []) {
+    if (!template || !template.name || !template.type || !template.subject || template.body === undefined) {
+      return 'Every email template needs a name, type, subject and body';
+    }
+    if (!Object.values(EmailType).includes(template.type)) {
+      return `Email template "${template.name}" has an unknown type "${template.type}"`;
+    }
+    if (!isDocumentNameList(template.documents)) {
+      return `Email template "${template.name}": documents must be a list of document names`;
+    }
+  }
+
+  for (const step of bundle.steps) {
+    if (step.emailTemplate && !(bundle.emailTemplates || []).some(t => t.name === step.emailTemplate)) {
+      return `Step ${step.stepNumber} links to email template "${step.emailTemplate}", which is not in the bundle`;
+    }
+  }
+
+  for (const placeholder of bundle.customPlaceholders || []) {
+    if (!placeholder || !placeholder.placeholderKey || !placeholder.name || placeholder.value === undefined) {
+      return 'Every custom placeholder needs a placeholderKey, name and value';
+    }
+  }
+
+  for (const plan of bundle.trainingPlans || []) {
+    if (!plan || !plan.name || !plan.dayWiseContent) {
+      return 'Every training plan needs a name and dayWiseContent';
+    }
+  }
+
+  return null;
+};
+
+const isSameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// List the fields that differ between an existing record and the incoming data
+const getDifferences = (existing, incoming, fields) => {
+  return fields.filter(field => incoming[field] !== undefined && !isSameValue(existing[field], incoming[field]));
+};
+
+// Decide what happens to one record: create, update, unchanged or skip (conflict kept as is)
+const planRecord = (existing, differences, onConflict) => {
+  if (!existing) return { action: 'create', conflict: false };
+  if (differences.length === 0) return { action: 'unchanged', conflict: false };
+  return { action: onConflict === 'skip' ? 'skip' : 'update', conflict: true };
+};
+
+const TEMPLATE_FIELDS = ['type', 'customEmailType', 'subject', 'body', 'placeholders', 'documents', 'isActive'];
+const PLACEHOLDER_FIELDS = ['name', 'value', 'description', 'isActive', 'order'];
+const STEP_FIELDS = ['title', 'description', 'type', 'icon', 'isAuto', 'dueDateOffset', 'scheduledTime', 'scheduledTimeDoj', 'scheduledTimeOfferLetter', 'schedulingMethod', 'anchorStep', 'anchorOffsetHours', 'priority', 'emailTemplate', 'senderIdentity', 'documents', 'prerequisiteSteps', 'conditions'];
+
+/**
+ * Import a bundle into a department
+ * options: { department (defaults to the bundle's), dryRun, onConflict: 'overwrite' | 'skip' }
+ * Returns a report listing what was (or, in a dry run, would be) created, updated, skipped or left unchanged
+ */
+const importDepartmentWorkflow = async (prisma, bundle, options = {}) => {
+  const department = (options.department || bundle.department || '').trim();
+  const dryRun = !!options.dryRun;
+  const onConflict = CONFLICT_STRATEGIES.includes(options.onConflict) ? options.onConflict : 'overwrite';
+
+  if (!department) {
+    throw new Error('Target department is required');
+  }
+
+  const report = {
+    department,
+    sourceDepartment: bundle.department || null,
+    dryRun,
+    onConflict,
+    emailTemplates: [],
+    customPlaceholders: [],
+    trainingPlans: [],
+    steps: [],
+    warnings: []
+  };
+
+  const bundleTemplates = bundle.emailTemplates || [];
+  const bundlePlaceholders = bundle.customPlaceholders || [];
+  const bundlePlans = bundle.trainingPlans || [];
+
+  // ---- Plan: compare each record with what already exists ----
+  const existingTemplates = bundleTemplates.length > 0
+    ? await prisma.emailTemplate.findMany({ where: { name: { in: bundleTemplates.map(t => t.name) } } })
+    : [];
+
+  // Steps are matched by step number within the target department
+  const existingSteps = await prisma.departmentStepTemplate.findMany({
+    where: { department },
+    include: { emailTemplate: { select: { name: true } }, senderIdentity: { select: { email: true } } }
+  });
+
+  // DOCUMENTS: Resolve the bundle's document names here (and name the documents existing records attach)
+  const bundleDocumentNames = [...new Set([...bundleTemplates, ...bundle.steps].flatMap(record => record.documents || []))];
+  const existingDocumentIds = [...new Set([...existingTemplates, ...existingSteps].flatMap(record => record.documentIds || []))];
+  const documents = bundleDocumentNames.length > 0 || existingDocumentIds.length > 0
+    ? await prisma.document.findMany({
+        where: { OR: [{ name: { in: bundleDocumentNames } }, { id: { in: existingDocumentIds } }] },
+        select: { id: true, name: true }
+      })
+    : [];
+  const documentIdByName = {};
+  const documentNameById = {};
+  documents.forEach(document => {
+    documentIdByName[document.name] = document.id;
+    documentNameById[document.id] = document.name;
+  });
+  const toDocumentNames = (ids) => (ids || []).map(id => documentNameById[id]).filter(Boolean);
+  const toDocumentIds = (names) => (names || []).map(name => documentIdByName[name]).filter(Boolean);
+  const missingDocuments = bundleDocumentNames.filter(name => !documentIdByName[name]);
+  if (missingDocuments.length > 0) {
+    report.missingDocuments = missingDocuments;
+    report.warnings.push(`Document${missingDocuments.length === 1 ? '' : 's'} ${missingDocuments.map(name => `"${name}"`).join(', ')} not in the library here - steps and templates are imported without ${missingDocuments.length === 1 ? 'it' : 'them'} (upload in Documents, then attach)`);
+  }
+
+  bundleTemplates.forEach(template => {
+    const existing = existingTemplates.find(t => t.name === template.name);
+    const differences = existing
+      ? getDifferences({ ...existing, documents: toDocumentNames(existing.documentIds) }, template, TEMPLATE_FIELDS)
+      : [];
+    report.emailTemplates.push({ name: template.name, ...planRecord(existing, differences, onConflict), differences });
+  });
+
+  const existingPlaceholders = bundlePlaceholders.length > 0
+    ? await prisma.customPlaceholder.findMany({ where: { placeholderKey: { in: bundlePlaceholders.map(p => p.placeholderKey) } } })
+    : [];
+  bundlePlaceholders.forEach(placeholder => {
+    const existing = existingPlaceholders.find(p => p.placeholderKey === placeholder.placeholderKey);
+    const differences = existing ? getDifferences(existing, placeholder, PLACEHOLDER_FIELDS) : [];
+    report.customPlaceholders.push({ placeholderKey: placeholder.placeholderKey, ...planRecord(existing, differences, onConflict), differences });
+  });
+
+  const existingPlans = await prisma.trainingPlan.findMany({ where: { department } });
+  bundlePlans.forEach(plan => {
+    const existing = existingPlans.find(p => p.name === plan.name);
+    const differences = existing ? getDifferences(existing, plan, ['dayWiseContent']) : [];
+    report.trainingPlans.push({ name: plan.name, ...planRecord(existing, differences, onConflict), differences });
+  });
+
+  const existingStepNumberById = {};
+  existingSteps.forEach(step => { existingStepNumberById[step.id] = step.stepNumber; });
+
+  bundle.steps.forEach(step => {
+    const existing = existingSteps.find(s => s.stepNumber === step.stepNumber);
+    let differences = [];
+    if (existing) {
+      const comparable = {
+        ...existing,
+        emailTemplate: existing.emailTemplate ? existing.emailTemplate.name : null,
+        senderIdentity: existing.senderIdentity ? existing.senderIdentity.email : null,
+        documents: toDocumentNames(existing.documentIds),
+        prerequisiteSteps: (existing.prerequisiteStepIds || []).map(id => existingStepNumberById[id]).filter(n => n !== undefined).sort((a, b) => a - b),
+        anchorStep: existing.anchorStepId ? existingStepNumberById[existing.anchorStepId] ?? null : null
+      };
+      differences = getDifferences(comparable, { ...step, prerequisiteSteps: step.prerequisiteSteps || [], anchorStep: step.anchorStep ?? null }, STEP_FIELDS);
+      if (!existing.isActive) differences.push('isActive');
+    }
+    report.steps.push({ stepNumber: step.stepNumber, title: step.title, ...planRecord(existing, differences, onConflict), differences });
+  });
+
+  // Sender identities must already exist here - steps whose identity doesn't use the department's sender
+  const senderEmails = [...new Set(bundle.steps.map(step => step.senderIdentity).filter(Boolean))];
+  const senderIdentities = senderEmails.length > 0
+    ? await prisma.senderIdentity.findMany({ where: { email: { in: senderEmails } }, select: { id: true, email: true } })
+    : [];
+  const senderIdentityIdByEmail = {};
+  senderIdentities.forEach(identity => { senderIdentityIdByEmail[identity.email] = identity.id; });
+  const missingSenders = senderEmails.filter(email => !senderIdentityIdByEmail[email]);
+  if (missingSenders.length > 0) {
+    report.warnings.push(`Sender identit${missingSenders.length === 1 ? 'y' : 'ies'} ${missingSenders.join(', ')} not set up here - those steps will use the department's sender (add them in Settings > Sender Identities)`);
+  }
+
+  const extraSteps = existingSteps.filter(s => s.isActive && !bundle.steps.some(step => step.stepNumber === s.stepNumber));
+  if (extraSteps.length > 0) {
+    report.warnings.push(`${department} has ${extraSteps.length} step(s) not in the bundle (kept as is): ${extraSteps.map(s => `Step ${s.stepNumber} (${s.title})`).join(', ')}`);
+  }
+
+  const publishedVersion = await prisma.departmentWorkflowVersion.findFirst({ where: { department } });
+  if (publishedVersion && report.steps.some(s => s.action === 'create' || s.action === 'update')) {
+    report.warnings.push(`${department} has published workflow versions - publish a new version in the Steps page so new candidates use the imported steps`);
+  }
+
+  report.summary = summarizeReport(report);
+
+  if (dryRun) {
+    return report;
+  }
+
+  // ---- Apply: everything in one transaction so a failed import leaves nothing half-written ----
+  await prisma.$transaction(async (tx) => {
+    const templateIdByName = {};
+    existingTemplates.forEach(t => { templateIdByName[t.name] = t.id; });
+
+    for (const template of bundleTemplates) {
+      const plan = report.emailTemplates.find(t => t.name === template.name);
+      const data = {
+        type: template.type,
+        customEmailType: template.customEmailType || null,
+        subject: template.subject,
+        body: template.body,
+        placeholders: template.placeholders || [],
+        ...(template.documents !== undefined && { documentIds: toDocumentIds(template.documents) }),
+        isActive: template.isActive !== false
+      };
+      if (plan.action === 'create') {
+        const created = await tx.emailTemplate.create({ data: { name: template.name, ...data } });
+        templateIdByName[template.name] = created.id;
+      } else if (plan.action === 'update') {
+        await tx.emailTemplate.update({ where: { name: template.name }, data });
+      }
+    }
+
+    for (const placeholder of bundlePlaceholders) {
+      const plan = report.customPlaceholders.find(p => p.placeholderKey === placeholder.placeholderKey);
+      const data = {
+        name: placeholder.name,
+        value: String(placeholder.value),
+        description: placeholder.description || null,
+        isActive: placeholder.isActive !== false,
+        order: placeholder.order || 0
+      };
+      if (plan.action === 'create') {
+        await tx.customPlaceholder.create({ data: { placeholderKey: placeholder.placeholderKey, ...data } });
+      } else if (plan.action === 'update') {
+        await tx.customPlaceholder.update({ where: { placeholderKey: placeholder.placeholderKey }, data });
+      }
+    }
+
+    for (const trainingPlan of bundlePlans) {
+      const plan = report.trainingPlans.find(p => p.name === trainingPlan.name);
+      const existing = existingPlans.find(p => p.name === trainingPlan.name);
+      if (plan.action === 'create') {
+        await tx.trainingPlan.create({ data: { name: trainingPlan.name, department, dayWiseContent: trainingPlan.dayWiseContent } });
+      } else if (plan.action === 'update') {
+        await tx.trainingPlan.update({ where: { id: existing.id }, data: { dayWiseContent: trainingPlan.dayWiseContent } });
+      }
+    }
+
+    // First pass: upsert steps without prerequisites or anchors (they need the final step IDs)
+    const stepIdByNumber = {};
+    existingSteps.forEach(s => { stepIdByNumber[s.stepNumber] = s.id; });
+    const sortedSteps = [...bundle.steps].sort((a, b) => a.stepNumber - b.stepNumber);
+
+    for (const step of sortedSteps) {
+      const plan = report.steps.find(s => s.stepNumber === step.stepNumber);
+      if (plan.action !== 'create' && plan.action !== 'update') continue;
+
+      const data = {
+        title: step.title,
+        description: step.description || null,
+        type: step.type,
+        icon: step.icon || null,
+        isAuto: !!step.isAuto,
+        dueDateOffset: step.dueDateOffset ?? null,
+        scheduledTime: step.scheduledTime || null,
+        scheduledTimeDoj: step.scheduledTimeDoj || null,
+        scheduledTimeOfferLetter: step.scheduledTimeOfferLetter || null,
+        schedulingMethod: step.schedulingMethod || 'doj',
+        anchorOffsetHours: step.anchorOffsetHours ?? null,
+        priority: step.priority || 'MEDIUM',
+        isActive: true,
+        emailTemplateId: step.emailTemplate ? templateIdByName[step.emailTemplate] || null : null,
+        ...(step.senderIdentity !== undefined && {
+          senderIdentityId: step.senderIdentity ? senderIdentityIdByEmail[step.senderIdentity] || null : null
+        }),
+        ...(step.documents !== undefined && { documentIds: toDocumentIds(step.documents) }),
+        conditions: step.conditions ? step.conditions : Prisma.DbNull
+      };
+
+      if (plan.action === 'create') {
+        const created = await tx.departmentStepTemplate.create({
+          data: { department, stepNumber: step.stepNumber, ...data }
+        });
+        stepIdByNumber[step.stepNumber] = created.id;
+      } else {
+        await tx.departmentStepTemplate.update({
+          where: { id: stepIdByNumber[step.stepNumber] },
+          data
+        });
+      }
+    }
+
+    // Second pass: map prerequisite and anchor step numbers to the target department's step IDs
+    for (const step of sortedSteps) {
+      const plan = report.steps.find(s => s.stepNumber === step.stepNumber);
+      if (plan.action !== 'create' && plan.action !== 'update') continue;
+
+      const prerequisiteStepIds = (step.prerequisiteSteps || [])
+        .map(stepNumber => stepIdByNumber[stepNumber])
+        .filter(Boolean);
+      const anchorStepId = step.anchorStep ? stepIdByNumber[step.anchorStep] || null : null;
+
+      await tx.departmentStepTemplate.update({
+        where: { id: stepIdByNumber[step.stepNumber] },
+        data: { prerequisiteStepIds, anchorStepId }
+      });
+    }
+  });
+
+  logger.info(`✅ Imported workflow bundle into ${department}: ${report.summary.created} created, ${report.summary.updated} updated, ${report.summary.skipped} skipped`);
+
+  return report;
+};
+
+// Count actions across all record types
+const summarizeReport = (report) => {
+  const records = [...report.emailTemplates, ...report.customPlaceholders, ...report.trainingPlans, ...report.steps];
+  return {
+    created: records.filter(r => r.action === 'create').length,
+    updated: records.filter(r => r.action === 'update').length,
+    unchanged: records.filter(r => r.action === 'unchanged').length,
+    skipped: records.filter(r => r.action === 'skip').length,
+    conflicts: records.filter(r => r.conflict).length
+  };
+};
+
+module.exports = {
+  BUNDLE_FORMAT,
+  CONFLICT_STRATEGIES,
+  exportDepartmentWorkflow,
+  serializeBundle,
+  parseBundle,
+  importDepartmentWorkflow
+};
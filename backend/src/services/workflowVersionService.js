@@ -0,0 +1,384 @@
+const logger = require('../utils/logger');
+
+/**
+ * Versioned department workflows
+ *
+ * DepartmentStepTemplate rows are the editable "draft" of a department's workflow.
+ * Publishing snapshots the active steps into a DepartmentWorkflowVersion. Each candidate is pinned
+ * to the version that was active when they were created, so later edits in the Steps page don't
+ * silently change the workflow of candidates already mid-onboarding.
+ * Candidates with no pinned version (created before versioning) keep using the live steps.
+ */
+
+// Step fields captured in a version snapshot (id is kept so prerequisites and diffs can match steps)
+const SNAPSHOT_FIELDS = [
+  'id',
+  'stepNumber',
+  'title',
+  'description',
+  'type',
+  'icon',
+  'isAuto',
+  'dueDateOffset',
+  'scheduledTime',
+  'scheduledTimeDoj',
+  'scheduledTimeOfferLetter',
+  'schedulingMethod',
+  'anchorStepId',
+  'anchorOffsetHours',
+  'priority',
+  'emailTemplateId',
+  'senderIdentityId',
+  'documentIds',
+  'prerequisiteStepIds',
+  'conditions'
+];
+
+// Fields compared in the diff preview (scheduledTime is deprecated and mirrors the separate times)
+const DIFF_FIELDS = SNAPSHOT_FIELDS.filter(field => field !== 'id' && field !== 'scheduledTime');
+
+// Fields that decide when an auto step fires - a migrated candidate's event moves when one changes
+const SCHEDULE_FIELDS = ['isAuto', 'dueDateOffset', 'scheduledTimeDoj', 'scheduledTimeOfferLetter', 'schedulingMethod', 'anchorStepId', 'anchorOffsetHours'];
+
+const snapshotStep = (step) => {
+  const snapshot = {};
+  SNAPSHOT_FIELDS.forEach(field => {
+    snapshot[field] = step[field] === undefined ? null : step[field];
+  });
+  return snapshot;
+};
+
+// Get the live (draft) steps for a department
+const getDraftSteps = async (prisma, department, includeEmailTemplate = false) => {
+  return prisma.departmentStepTemplate.findMany({
+    where: {
+      department,
+      isActive: true
+    },
+    ...(includeEmailTemplate && { include: { emailTemplate: true } }),
+    orderBy: { stepNumber: 'asc' }
+  });
+};
+
+// Get the latest published version for a department (null if never published)
+const getActiveVersion = async (prisma, department) => {
+  return prisma.departmentWorkflowVersion.findFirst({
+    where: { department },
+    orderBy: { version: 'desc' }
+  });
+};
+
+/**
+ * Publish the department's current steps as a new version
+ */
+const publishVersion = async (prisma, department, userId = null, notes = null) => {
+  const steps = await getDraftSteps(prisma, department);
+  if (steps.length === 0) {
+    throw new Error(`No active steps found for ${department} department. Add steps before publishing.`);
+  }
+
+  const latest = await getActiveVersion(prisma, department);
+  const version = await prisma.departmentWorkflowVersion.create({
+    data: {
+      department,
+      version: latest ? latest.version + 1 : 1,
+      steps: steps.map(snapshotStep),
+      notes: notes || null,
+      publishedById: userId
+    }
+  });
+
+  logger.info(`✅ Published ${department} workflow v${version.version} (${steps.length} step(s))`);
+  return version;
+};
+
+/**
+ * Pin a candidate to the department's active version
+ * If the department has steps but was never published, v1 is published automatically
+ * Returns the version, or null when the department has no steps (hardcoded default flow)
+ */
+const pinCandidateToActiveVersion = async (prisma, candidate, userId = null) => {
+  let version = await getActiveVersion(prisma, candidate.department);
+
+  if (!version) {
+    const stepCount = await prisma.departmentStepTemplate.count({
+      where: { department: candidate.department, isActive: true }
+    });
+    if (stepCount === 0) {
+      return null;
+    }
+
+    try {
+      version = await publishVersion(prisma, candidate.department, userId, 'Initial version (published automatically)');
+    } catch (error) {
+      // Another request published v1 at the same time - use that one
+      if (error.code === 'P2002') {
+        version = await getActiveVersion(prisma, candidate.department);
+      } else {
+        throw error;
+      }
+    }
+  }
+
+  await prisma.candidate.update({
+    where: { id: candidate.id },
+    data: { workflowVersionId: version.id }
+  });
+
+  logger.info(`📌 Pinned ${candidate.email} to ${candidate.department} workflow v${version.version}`);
+  return version;
+};
+
+// Attach emailTemplate relations to snapshot steps (same shape as a Prisma include)
+const attachEmailTemplates = async (prisma, steps) => {
+  const templateIds = [...new Set(steps.map(s => s.emailTemplateId).filter(Boolean))];
+  const templates = templateIds.length > 0
+    ? await prisma.emailTemplate.findMany({ where: { id: { in: templateIds } } })
+    : [];
+
+  return steps.map(step => ({
+    ...step,
+    emailTemplate: templates.find(t => t.id === step.emailTemplateId) || null
+  }));
+};
+
+// Get the snapshot steps of the candidate's pinned version (null when not pinned or the version is missing)
+const getPinnedSteps = async (prisma, candidate) => {
+  if (!candidate.workflowVersionId) return null;
+
+  const version = await prisma.departmentWorkflowVersion.findUnique({
+    where: { id: candidate.workflowVersionId }
+  });
+
+  // CRITICAL: A version from another department (candidate moved) must never drive this candidate's steps
+  if (!version || version.department !== candidate.department) {
+    logger.warn(`⚠️ Pinned workflow version ${candidate.workflowVersionId} not usable for ${candidate.email} in ${candidate.department} - using live steps`);
+    return null;
+  }
+
+  return (Array.isArray(version.steps) ? version.steps : [])
+    .map(step => ({ ...step, department: version.department, isActive: true }))
+    .sort((a, b) => a.stepNumber - b.stepNumber);
+};
+
+/**
+ * Get the steps a candidate follows - their pinned version, or the live steps if not pinned
+ * Returned steps have the same shape as DepartmentStepTemplate rows
+ */
+const getCandidateSteps = async (prisma, candidate, includeEmailTemplate = true) => {
+  const pinnedSteps = await getPinnedSteps(prisma, candidate);
+  if (pinnedSteps) {
+    return includeEmailTemplate ? attachEmailTemplates(prisma, pinnedSteps) : pinnedSteps;
+  }
+
+  return getDraftSteps(prisma, candidate.department, includeEmailTemplate);
+};
+
+// Get a single step (by step number) from the candidate's workflow
+const getCandidateStep = async (prisma, candidate, stepNumber, includeEmailTemplate = true) => {
+  const pinnedSteps = await getPinnedSteps(prisma, candidate);
+  if (pinnedSteps) {
+    const step = pinnedSteps.find(s => s.stepNumber === parseInt(stepNumber));
+    if (!step) return null;
+    return includeEmailTemplate ? (await attachEmailTemplates(prisma, [step]))[0] : step;
+  }
+
+  return prisma.departmentStepTemplate.findFirst({
+    where: {
+      department: candidate.department,
+      stepNumber: parseInt(stepNumber)
+    },
+    ...(includeEmailTemplate && { include: { emailTemplate: true } })
+  });
+};
+
+// An empty list matches a missing value (list fields added after older versions were snapshotted)
+const normalizeValue = (value) => (Array.isArray(value) && value.length === 0 ? null : value ?? null);
+
+const isSameValue = (a, b) => JSON.stringify(normalizeValue(a)) === JSON.stringify(normalizeValue(b));
+
+/**
+ * Diff two step lists (matched by step template ID)
+ * Returns { added, removed, changed, unchanged } for the migration preview
+ */
+const diffSteps = (fromSteps = [], toSteps = []) => {
+  const added = [];
+  const removed = [];
+  const changed = [];
+  let unchanged = 0;
+
+  toSteps.forEach(toStep => {
+    const fromStep = fromSteps.find(s => s.id === toStep.id);
+    if (!fromStep) {
+      added.push({ id: toStep.id, stepNumber: toStep.stepNumber, title: toStep.title, type: toStep.type });
+      return;
+    }
+
+    const changes = DIFF_FIELDS
+      .filter(field => !isSameValue(fromStep[field], toStep[field]))
+      .map(field => ({ field, from: fromStep[field] ?? null, to: toStep[field] ?? null }));
+
+    if (changes.length > 0) {
+      changed.push({ id: toStep.id, stepNumber: toStep.stepNumber, title: toStep.title, changes });
+    } else {
+      unchanged++;
+    }
+  });
+
+  fromSteps.forEach(fromStep => {
+    if (!toSteps.some(s => s.id === fromStep.id)) {
+      removed.push({ id: fromStep.id, stepNumber: fromStep.stepNumber, title: fromStep.title, type: fromStep.type });
+    }
+  });
+
+  return { added, removed, changed, unchanged };
+};
+
+const hasDiff = (diff) => diff.added.length > 0 || diff.removed.length > 0 || diff.changed.length > 0;
+
+/**
+ * Preview migrating a candidate to another version of their department's workflow
+ */
+const previewMigration = async (prisma, candidate, targetVersion) => {
+  const fromSteps = await getCandidateSteps(prisma, candidate, false);
+  const toSteps = Array.isArray(targetVersion.steps) ? targetVersion.steps : [];
+  return diffSteps(fromSteps, toSteps);
+};
+
+/**
+ * Migrate a candidate to another version
+ * Pending calendar events and tasks follow their step to its new step number;
+ * those for steps removed in the target version are cancelled/skipped.
+ * Auto steps added in the target version are scheduled, and steps whose timing changed are rescheduled.
+ */
+const migrateCandidate = async (prisma, candidate, targetVersion, userId = null) => {
+  if (targetVersion.department !== candidate.department) {
+    throw new Error(`Version v${targetVersion.version} belongs to ${targetVersion.department}, not ${candidate.department}`);
+  }
+
+  const fromSteps = await getCandidateSteps(prisma, candidate, false);
+  const toSteps = Array.isArray(targetVersion.steps) ? targetVersion.steps : [];
+  const diff = diffSteps(fromSteps, toSteps);
+
+  // Map old step number -> new step number (null when the step was removed)
+  const stepNumberMap = {};
+  fromSteps.forEach(fromStep => {
+    const toStep = toSteps.find(s => s.id === fromStep.id);
+    stepNumberMap[fromStep.stepNumber] = toStep ? toStep.stepNumber : null;
+  });
+
+  const previousVersion = candidate.workflowVersionId
+    ? await prisma.departmentWorkflowVersion.findUnique({ where: { id: candidate.workflowVersionId } })
+    : null;
+
+  const fromLabel = previousVersion ? `v${previousVersion.version}` : 'live steps';
+
+  let eventsRemapped = 0;
+  let eventsCancelled = 0;
+  let tasksRemapped = 0;
+  let tasksSkipped = 0;
+
+  // Remaps, cancellations and the re-pin land together - a failure never leaves the candidate
+  // pinned to one version with events from the other
+  const updated = await prisma.$transaction(async (tx) => {
+    const pendingEvents = await tx.calendarEvent.findMany({
+      where: {
+        candidateId: candidate.id,
+        stepNumber: { not: null },
+        status: { in: ['SCHEDULED', 'RESCHEDULED', 'CONFIRMED'] }
+      }
+    });
+
+    for (const event of pendingEvents) {
+      if (!(event.stepNumber in stepNumberMap)) continue;
+      const newStepNumber = stepNumberMap[event.stepNumber];
+      if (newStepNumber === null) {
+        await tx.calendarEvent.update({ where: { id: event.id }, data: { status: 'CANCELLED' } });
+        eventsCancelled++;
+      } else if (newStepNumber !== event.stepNumber) {
+        await tx.calendarEvent.update({ where: { id: event.id }, data: { stepNumber: newStepNumber } });
+        eventsRemapped++;
+      }
+    }
+
+    const pendingTasks = await tx.task.findMany({
+      where: {
+        candidateId: candidate.id,
+        status: { in: ['PENDING', 'IN_PROGRESS'] }
+      }
+    });
+
+    for (const task of pendingTasks) {
+      const taskStep = task.metadata && typeof task.metadata === 'object' ? task.metadata.step : undefined;
+      if (taskStep === undefined || !(taskStep in stepNumberMap)) continue;
+      const newStepNumber = stepNumberMap[taskStep];
+      if (newStepNumber === null) {
+        await tx.task.update({ where: { id: task.id }, data: { status: 'SKIPPED' } });
+        tasksSkipped++;
+      } else if (newStepNumber !== taskStep) {
+        await tx.task.update({
+          where: { id: task.id },
+          data: { metadata: { ...task.metadata, step: newStepNumber } }
+        });
+        tasksRemapped++;
+      }
+    }
+
+    const repinned = await tx.candidate.update({
+      where: { id: candidate.id },
+      data: { workflowVersionId: targetVersion.id }
+    });
+
+    await tx.activityLog.create({
+      data: {
+        candidateId: candidate.id,
+        userId,
+        action: 'WORKFLOW_MIGRATED',
+        description: `Workflow migrated from ${fromLabel} to v${targetVersion.version} (${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed)`,
+        metadata: {
+          fromVersionId: previousVersion?.id || null,
+          fromVersion: previousVersion?.version || null,
+          toVersionId: targetVersion.id,
+          toVersion: targetVersion.version,
+          diff,
+          eventsRemapped,
+          eventsCancelled,
+          tasksRemapped,
+          tasksSkipped
+        }
+      }
+    });
+
+    return repinned;
+  });
+
+  // Schedule the added steps and move the events of steps whose timing changed - after the commit,
+  // since it creates Google Calendar events (required here - stepScheduleService requires this module)
+  const stepScheduleService = require('./stepScheduleService');
+  const rescheduledStepIds = [
+    ...diff.added.map(step => step.id),
+    ...diff.changed
+      .filter(step => step.changes.some(change => SCHEDULE_FIELDS.includes(change.field)))
+      .map(step => step.id)
+  ];
+  const { created: eventsScheduled, updated: eventsRescheduled } =
+    await stepScheduleService.scheduleCandidateSteps(prisma, updated, toSteps, rescheduledStepIds);
+
+  logger.info(`🔄 Migrated ${candidate.email} from ${fromLabel} to ${candidate.department} workflow v${targetVersion.version} (${eventsScheduled} step(s) scheduled, ${eventsRescheduled} rescheduled)`);
+
+  return { candidate: updated, diff, eventsRemapped, eventsCancelled, eventsScheduled, eventsRescheduled, tasksRemapped, tasksSkipped };
+};
+
+module.exports = {
+  snapshotStep,
+  getDraftSteps,
+  getActiveVersion,
+  publishVersion,
+  pinCandidateToActiveVersion,
+  getCandidateSteps,
+  getCandidateStep,
+  diffSteps,
+  hasDiff,
+  previewMigration,
+  migrateCandidate
+};
@@ -16,6 +16,9 @@ import Calendar from './pages/Calendar';
 import Steps from './pages/Steps';
 import Templates from './pages/Templates';
 import Settings from './pages/Settings';
+import Outbox from './pages/Outbox';
+import Documents from './pages/Documents';
+import OfferLetters from './pages/OfferLetters';
 
 // Protected Route Component
 const ProtectedRoute = ({ children }) => {
@@ -58,6 +61,9 @@ function App() {
           <Route path="steps" element={<Steps />} />
         <Route path="templates" element={<Templates />} />
         <Route path="settings" element={<Settings />} />
+        <Route path="outbox" element={<Outbox />} />
+        <Route path="documents" element={<Documents />} />
+        <Route path="offer-letters" element={<OfferLetters />} />
       </Route>
       
       <Route path="*" element={<Navigate to="/" />} />
@@ -0,0 +1,240 @@
+import React from 'react';
+
+// Block types offered in the toolbar, with the content a new block starts with
+const BLOCK_LIBRARY = [
+  { type: 'heading', label: 'Heading', icon: '🔠', defaults: { text: 'Heading', level: 2, align: 'left' } },
+  { type: 'text', label: 'Text', icon: '📝', defaults: { text: 'Dear {{firstName}},', align: 'left' } },
+  { type: 'button', label: 'Button', icon: '🔘', defaults: { label: 'Open', url: '{{formLink}}', align: 'center' } },
+  { type: 'image', label: 'Image', icon: '🖼️', defaults: { src: '', alt: '', width: 100, align: 'center' } },
+  { type: 'list', label: 'List', icon: '📋', defaults: { items: ['First item', 'Second item'], ordered: false } },
+  { type: 'divider', label: 'Divider', icon: '➖', defaults: {} },
+  { type: 'spacer', label: 'Spacer', icon: '↕️', defaults: { height: 16 } },
+  { type: 'html', label: 'HTML', icon: '</>', defaults: { html: '' } }
+];
+
+const ALIGN_CLASSES = { left: 'text-left', center: 'text-center', right: 'text-right' };
+const HEADING_CLASSES = { 1: 'text-2xl', 2: 'text-xl', 3: 'text-base' };
+
+let nextBlockId = 1;
+const newBlockId = () => `block-${Date.now()}-${nextBlockId++}`;
+
+// Visual editor for EmailTemplate.blocks - blocks are edited in place, styled roughly as they are sent
+// (the server compiles them to the template body on save)
+const EmailBlockEditor = ({ blocks, onChange, primaryColor = '#4F46E5' }) => {
+  const updateBlock = (index, changes) => {
+    onChange(blocks.map((block, i) => (i === index ? { ...block, ...changes } : block)));
+  };
+
+  const moveBlock = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= blocks.length) return;
+    const updated = [...blocks];
+    [updated[index], updated[target]] = [updated[target], updated[index]];
+    onChange(updated);
+  };
+
+  const removeBlock = (index) => {
+    onChange(blocks.filter((_, i) => i !== index));
+  };
+
+  const addBlock = (type) => {
+    const definition = BLOCK_LIBRARY.find(b => b.type === type);
+    onChange([...blocks, { id: newBlockId(), type, ...definition.defaults }]);
+  };
+
+  const renderAlign = (block, index) => (
+    <select
+      value={block.align || 'left'}
+      onChange={(e) => updateBlock(index, { align: e.target.value })}
+      className="text-xs border rounded px-1 py-0.5"
+      title="Alignment"
+    >
+      <option value="left">Left</option>
+      <option value="center">Center</option>
+      <option value="right">Right</option>
+    </select>
+  );
+
+  const renderBlockContent = (block, index) => {
+    const alignClass = ALIGN_CLASSES[block.align] || 'text-left';
+    switch (block.type) {
+      case 'heading':
+        return (
+          <input
+            type="text"
+            value={block.text || ''}
+            onChange={(e) => updateBlock(index, { text: e.target.value })}
+            className={`w-full font-bold border-0 focus:ring-0 p-0 ${HEADING_CLASSES[block.level] || 'text-xl'} ${alignClass}`}
+            placeholder="Heading"
+          />
+        );
+      case 'text':
+        return (
+          <textarea
+            value={block.text || ''}
+            onChange={(e) => updateBlock(index, { text: e.target.value })}
+            className={`w-full border-0 focus:ring-0 p-0 text-sm leading-relaxed resize-y ${alignClass}`}
+            rows={Math.max(2, (block.text || '').split('\n').length)}
+            placeholder="Write text - **bold**, *italic*, [link](https://...)"
+          />
+        );
+      case 'button':
+        return (
+          <div className={alignClass}>
+            <span
+              className="inline-block px-5 py-2 rounded text-white font-semibold text-sm"
+              style={{ background: block.color || primaryColor }}
+            >
+              <input
+                type="text"
+                value={block.label || ''}
+                onChange={(e) => updateBlock(index, { label: e.target.value })}
+                className="bg-transparent border-0 focus:ring-0 p-0 text-white text-center font-semibold"
+                placeholder="Button label"
+              />
+            </span>
+            <input
+              type="text"
+              value={block.url || ''}
+              onChange={(e) => updateBlock(index, { url: e.target.value })}
+              className="input text-xs mt-2"
+              placeholder="Link URL, e.g. {{formLink}}"
+            />
+          </div>
+        );
+      case 'image':
+        return (
+          <div className={alignClass}>
+            {block.src && !block.src.includes('{{') && (
+              <img src={block.src} alt={block.alt || ''} className="inline-block mb-2" style={{ maxWidth: `${block.width || 100}%` }} />
+            )}
+            <div className="grid grid-cols-3 gap-2">
+              <input
+                type="text"
+                value={block.src || ''}
+                onChange={(e) => updateBlock(index, { src: e.target.value })}
+                className="input text-xs col-span-2"
+                placeholder="Image URL"
+              />
+              <input
+                type="number"
+                min={10}
+                max={100}
+                value={block.width || 100}
+                onChange={(e) => updateBlock(index, { width: Number(e.target.value) })}
+                className="input text-xs"
+                title="Width (%)"
+              />
+              <input
+                type="text"
+                value={block.alt || ''}
+                onChange={(e) => updateBlock(index, { alt: e.target.value })}
+                className="input text-xs col-span-3"
+                placeholder="Alt text (shown when images are blocked)"
+              />
+            </div>
+          </div>
+        );
+      case 'list':
+        return (
+          <textarea
+            value={(Array.isArray(block.items) ? block.items : []).join('\n')}
+            onChange={(e) => updateBlock(index, { items: e.target.value.split('\n') })}
+            className="w-full border-0 focus:ring-0 p-0 text-sm leading-relaxed"
+            rows={Math.max(2, (block.items || []).length)}
+            placeholder="One item per line"
+          />
+        );
+      case 'divider':
+        return <hr className="my-2 border-gray-300" />;
+      case 'spacer':
+        return (
+          <div className="flex items-center text-xs text-gray-400" style={{ height: Math.min(Math.max(block.height || 16, 4), 120) }}>
+            <input
+              type="number"
+              min={4}
+              max={120}
+              value={block.height || 16}
+              onChange={(e) => updateBlock(index, { height: Number(e.target.value) })}
+              className="w-16 border rounded px-1 text-xs"
+            />
+            <span className="ml-1">px space</span>
+          </div>
+        );
+      case 'html':
+        return (
+          <textarea
+            value={block.html || ''}
+            onChange={(e) => updateBlock(index, { html: e.target.value })}
+            className="input font-mono text-xs"
+            rows={Math.min(12, Math.max(3, (block.html || '').split('\n').length))}
+            placeholder="<p>Raw HTML</p>"
+          />
+        );
+      default:
+        return <p className="text-xs text-red-600">Unknown block type: {block.type}</p>;
+    }
+  };
+
+  return (
+    <div className="border rounded-lg bg-gray-50">
+      <div className="flex flex-wrap gap-1 p-2 border-b bg-white rounded-t-lg">
+        <span className="text-xs text-gray-500 self-center mr-1">Add:</span>
+        {BLOCK_LIBRARY.map((definition) => (
+          <button
+            key={definition.type}
+            type="button"
+            onClick={() => addBlock(definition.type)}
+            className="px-2 py-1 text-xs border rounded hover:bg-indigo-50 hover:border-indigo-300"
+          >
+            {definition.icon} {definition.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="p-4">
+        <div className="bg-white rounded shadow-sm p-4 max-w-2xl mx-auto space-y-2">
+          {blocks.length === 0 && (
+            <p className="text-sm text-gray-400 text-center py-6">Add blocks to build the email</p>
+          )}
+          {blocks.map((block, index) => (
+            <div key={block.id || index} className="group relative border border-transparent hover:border-indigo-200 rounded p-2">
+              <div className="hidden group-hover:flex absolute -top-3 right-2 bg-white border rounded shadow-sm text-xs items-center space-x-1 px-1 z-10">
+                <span className="text-gray-400 px-1">{BLOCK_LIBRARY.find(b => b.type === block.type)?.label || block.type}</span>
+                {block.type === 'heading' && (
+                  <select
+                    value={block.level || 2}
+                    onChange={(e) => updateBlock(index, { level: Number(e.target.value) })}
+                    className="text-xs border rounded px-1 py-0.5"
+                  >
+                    <option value={1}>H1</option>
+                    <option value={2}>H2</option>
+                    <option value={3}>H3</option>
+                  </select>
+                )}
+                {block.type === 'list' && (
+                  <label className="flex items-center px-1">
+                    <input
+                      type="checkbox"
+                      checked={!!block.ordered}
+                      onChange={(e) => updateBlock(index, { ordered: e.target.checked })}
+                      className="mr-1"
+                    />
+                    Numbered
+                  </label>
+                )}
+                {['heading', 'text', 'button', 'image'].includes(block.type) && renderAlign(block, index)}
+                <button type="button" onClick={() => moveBlock(index, -1)} disabled={index === 0} className="px-1 hover:text-indigo-600 disabled:opacity-30" title="Move up">↑</button>
+                <button type="button" onClick={() => moveBlock(index, 1)} disabled={index === blocks.length - 1} className="px-1 hover:text-indigo-600 disabled:opacity-30" title="Move down">↓</button>
+                <button type="button" onClick={() => removeBlock(index)} className="px-1 text-red-500 hover:text-red-700" title="Remove">✕</button>
+              </div>
+              {renderBlockContent(block, index)}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EmailBlockEditor;
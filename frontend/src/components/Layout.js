@@ -46,6 +46,9 @@ const Layout = () => {
     { path: '/calendar', label: 'Calendar', icon: '📅' },
     { path: '/steps', label: 'Steps', icon: '📋' },
     { path: '/templates', label: 'Templates', icon: '📝' },
+    { path: '/documents', label: 'Documents', icon: '📎' },
+    { path: '/offer-letters', label: 'Offer Letters', icon: '📄' },
+    { path: '/outbox', label: 'Outbox', icon: '📥' },
     { path: '/settings', label: 'Settings', icon: '⚙️' }
   ];
 
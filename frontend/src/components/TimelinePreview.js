@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+
+// Status badge for a simulated step
+const STATUS_BADGES = {
+  upcoming: { label: 'Will run', className: 'badge-info' },
+  manual: { label: 'Manual', className: 'badge-warning' },
+  skipped: { label: 'Skipped', className: 'badge-gray' },
+  done: { label: 'Done', className: 'badge-success' }
+};
+
+const formatShortDateTime = (value) => {
+  if (!value) return '';
+  return new Date(value).toLocaleString('en-IN', {
+    day: 'numeric', month: 'short', year: 'numeric', hour: 'numeric', minute: '2-digit', hour12: true
+  });
+};
+
+// Dry-run timeline from /candidates/simulate - every email, calendar invite and task the workflow will generate
+const TimelinePreview = ({ simulation }) => {
+  const [expandedEmail, setExpandedEmail] = useState(null);
+
+  if (!simulation) return null;
+
+  const { items, summary } = simulation;
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-2 mb-3 text-xs">
+        <span className="badge badge-gray">📋 {summary.steps} step(s)</span>
+        <span className="badge badge-gray">📧 {summary.emails} email(s)</span>
+        <span className="badge badge-gray">📅 {summary.calendarEvents} new calendar invite(s)</span>
+        <span className="badge badge-gray">✅ {summary.tasks} new task(s)</span>
+        {summary.warnings > 0 && <span className="badge badge-warning">⚠️ {summary.warnings} warning(s)</span>}
+      </div>
+      <p className="text-xs text-gray-500 mb-4">
+        Times are in {simulation.timezone} ({simulation.timezoneLabel}).
+        {simulation.offerAssumed && ` Assumes the offer letter is sent ${formatShortDateTime(simulation.offerSentAt)}.`}
+        {' '}Nothing has been sent or scheduled.
+      </p>
+
+      {items.length === 0 ? (
+        <p className="text-sm text-gray-500">No steps are configured for this department.</p>
+      ) : (
+        <div className="space-y-3">
+          {items.map((item) => {
+            const badge = STATUS_BADGES[item.status] || STATUS_BADGES.upcoming;
+            const emailKey = `${item.stepNumber}-email`;
+            return (
+              <div
+                key={item.stepNumber}
+                className={`p-3 border rounded-lg ${item.status === 'skipped' || item.status === 'done' ? 'bg-gray-50 opacity-75' : 'bg-white'}`}
+              >
+                <div className="flex items-start justify-between">
+                  <div>
+                    <p className="font-medium text-sm">Step {item.stepNumber}: {item.title}</p>
+                    <p className="text-xs text-gray-500">
+                      {item.startTimeLabel || 'No time - triggered by HR'}
+                      {item.basis && <span className="ml-1">· {item.basis}</span>}
+                    </p>
+                  </div>
+                  <span className={`badge ${badge.className}`}>{badge.label}</span>
+                </div>
+
+                <div className="mt-2 space-y-1 text-sm">
+                  {item.email && (
+                    <div>
+                      <button
+                        type="button"
+                        onClick={() => setExpandedEmail(expandedEmail === emailKey ? null : emailKey)}
+                        className="text-left text-indigo-600 hover:text-indigo-800"
+                      >
+                        📧 {item.email.subject}
+                        <span className="text-xs text-gray-500 ml-2">({item.email.templateName}) {expandedEmail === emailKey ? '▲' : '▼'}</span>
+                      </button>
+                      {expandedEmail === emailKey && (
+                        <div className="mt-2 p-3 bg-gray-50 border rounded text-sm">
+                          <p className="text-xs text-gray-500 mb-2">To: {item.email.to}</p>
+                          <div dangerouslySetInnerHTML={{ __html: item.email.body.replace(/\n/g, '<br>') }} />
+                        </div>
+                      )}
+                    </div>
+                  )}
+                  {item.calendarEvent && (
+                    <p>
+                      📅 {item.calendarEvent.title}
+                      <span className="text-xs text-gray-500 ml-2">
+                        {formatShortDateTime(item.calendarEvent.startTime)} - {new Date(item.calendarEvent.endTime).toLocaleTimeString('en-IN', { hour: 'numeric', minute: '2-digit', hour12: true })}
+                        {item.calendarEvent.existing && ' (already on the calendar)'}
+                      </span>
+                    </p>
+                  )}
+                  {item.task && (
+                    <p>
+                      ✅ {item.task.title}
+                      <span className="text-xs text-gray-500 ml-2">
+                        due {new Date(item.task.dueDate).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' })}
+                        {item.task.existing && ` (${item.task.status.toLowerCase()})`}
+                      </span>
+                    </p>
+                  )}
+                  {item.warnings.map((warning, idx) => (
+                    <p key={idx} className="text-xs text-yellow-700">⚠️ {warning}</p>
+                  ))}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TimelinePreview;
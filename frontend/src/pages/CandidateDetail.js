@@ -1,7 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { candidateApi, calendarApi, configApi } from '../services/api';
+import { candidateApi, calendarApi, configApi, templateApi, emailApi, offerLetterTemplateApi } from '../services/api';
 import toast from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
+import TimelinePreview from '../components/TimelinePreview';
 
 // Helper function to format time (HH:mm to 12-hour format)
 const formatTime = (timeStr) => {
@@ -30,6 +32,7 @@ const statusColors = {
 const CandidateDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
+  const { isAdmin } = useAuth();
   const [candidate, setCandidate] = useState(null);
   const [loading, setLoading] = useState(true);
   const [actionLoading, setActionLoading] = useState('');
@@ -53,16 +56,47 @@ const CandidateDetail = () => {
   const [pendingAction, setPendingAction] = useState(null);
   const [pendingStep, setPendingStep] = useState(null);
   const [departmentSteps, setDepartmentSteps] = useState([]);
+  const [workflowVersion, setWorkflowVersion] = useState(null); // Pinned workflow version + diff preview against the latest
+  const [showMigrateModal, setShowMigrateModal] = useState(false);
+  const [migrating, setMigrating] = useState(false);
+  const [timelineSimulation, setTimelineSimulation] = useState(null); // Dry-run timeline preview (nothing is sent)
+  const [simulatingTimeline, setSimulatingTimeline] = useState(false);
+  const [workflowStatus, setWorkflowStatus] = useState({}); // stepNumber -> { status, skipReason } from backend (conditional steps)
   const [schedulingStepType, setSchedulingStepType] = useState(null);
   const [schedulingStepNumber, setSchedulingStepNumber] = useState(null);
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
   const [deleting, setDeleting] = useState(false);
   const [emailMonitorActive, setEmailMonitorActive] = useState(null); // null = not checked, true/false = status
+  const [timezones, setTimezones] = useState([]); // Selectable IANA timezones for the candidate's timezone
+  const [languages, setLanguages] = useState([]); // Languages email templates can be translated into
+  const [defaultLanguage, setDefaultLanguage] = useState('en');
+  const [expandedEmailId, setExpandedEmailId] = useState(null); // Email whose link clicks are shown
+  const [emailClicks, setEmailClicks] = useState({}); // emailId -> click breakdown
+  const [editingEmail, setEditingEmail] = useState(null); // New address while correcting the candidate's email
+  const [threads, setThreads] = useState([]); // Email conversations with the candidate (incl. their replies)
+  const [expandedThreadId, setExpandedThreadId] = useState(null);
+  const [replyText, setReplyText] = useState('');
+  const [sendingReply, setSendingReply] = useState(false);
+  const [offerTemplates, setOfferTemplates] = useState([]); // Offer letter templates for the candidate's department (+ fallback)
+  const [offerTemplateId, setOfferTemplateId] = useState(''); // '' = the department's template
 
   useEffect(() => {
     fetchCandidate();
+    fetchThreads();
     checkEmailMonitorStatus();
   }, [id]);
+
+  useEffect(() => {
+    configApi.getTimezones()
+      .then(response => setTimezones(response.data?.data?.timezones || []))
+      .catch(() => setTimezones([]));
+    templateApi.getLanguages()
+      .then(response => {
+        setLanguages(response.data?.data?.languages || []);
+        setDefaultLanguage(response.data?.data?.defaultLanguage || 'en');
+      })
+      .catch(() => setLanguages([]));
+  }, []);
   
   // Check email monitor status every 30 seconds
   useEffect(() => {
@@ -88,6 +122,15 @@ const CandidateDetail = () => {
   useEffect(() => {
     if (candidate?.department) {
       fetchDepartmentSteps();
+      fetchWorkflowVersion();
+    }
+  }, [candidate?.department, candidate?.workflowVersionId]);
+
+  useEffect(() => {
+    if (candidate?.department) {
+      offerLetterTemplateApi.getAll({ department: candidate.department })
+        .then(response => setOfferTemplates(response.data?.data || []))
+        .catch(() => setOfferTemplates([]));
     }
   }, [candidate?.department]);
 
@@ -95,6 +138,7 @@ const CandidateDetail = () => {
     try {
       const response = await candidateApi.getById(id);
       setCandidate(response.data.data);
+      fetchWorkflowStatus();
     } catch (error) {
       toast.error('Failed to load candidate');
       navigate('/candidates');
@@ -103,10 +147,35 @@ const CandidateDetail = () => {
     }
   };
 
+  const fetchThreads = async () => {
+    try {
+      const response = await emailApi.getThreads(id);
+      setThreads(response.data.data || []);
+    } catch (error) {
+      setThreads([]);
+    }
+  };
+
+  // Fetch per-step workflow status (includes steps skipped by their conditions)
+  const fetchWorkflowStatus = async () => {
+    try {
+      const response = await candidateApi.getWorkflow(id);
+      const statusMap = {};
+      (response.data.data?.workflow || []).forEach(item => {
+        statusMap[item.step] = item;
+      });
+      setWorkflowStatus(statusMap);
+    } catch (error) {
+      // Non-critical - steps still render from events and candidate fields
+      setWorkflowStatus({});
+    }
+  };
+
+  // Steps come from the workflow version the candidate is pinned to (live department steps if not pinned)
   const fetchDepartmentSteps = async () => {
     if (!candidate?.department) return;
     try {
-      const response = await configApi.getDepartmentSteps(candidate.department);
+      const response = await candidateApi.getSteps(id);
       const steps = response.data.data || [];
       // Sort by stepNumber
       steps.sort((a, b) => a.stepNumber - b.stepNumber);
@@ -117,6 +186,50 @@ const CandidateDetail = () => {
     }
   };
 
+  const fetchWorkflowVersion = async () => {
+    try {
+      const response = await candidateApi.getWorkflowVersion(id);
+      setWorkflowVersion(response.data.data || null);
+    } catch (error) {
+      // Non-critical - the workflow still renders without version info
+      setWorkflowVersion(null);
+    }
+  };
+
+  const handleMigrateWorkflow = async () => {
+    if (!workflowVersion?.latestVersion) return;
+    try {
+      setMigrating(true);
+      const response = await candidateApi.migrateWorkflow(id, workflowVersion.latestVersion.id);
+      toast.success(response.data.message || 'Workflow migrated');
+      setShowMigrateModal(false);
+      await fetchCandidate();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to migrate workflow');
+    } finally {
+      setMigrating(false);
+    }
+  };
+
+  const handlePreviewTimeline = async () => {
+    try {
+      setSimulatingTimeline(true);
+      const response = await candidateApi.simulateTimeline(id);
+      setTimelineSimulation(response.data.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to preview timeline');
+    } finally {
+      setSimulatingTimeline(false);
+    }
+  };
+
+  // Format a changed step field for the migration diff preview
+  const formatDiffValue = (value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  };
+
   const getFullName = () => {
     if (!candidate) return '';
     return `${candidate.firstName || ''} ${candidate.lastName || ''}`.trim();
@@ -143,6 +256,13 @@ const CandidateDetail = () => {
   };
 
   const handleSendClick = (stepNumber) => {
+    // Steps with unfinished prerequisites are held until those steps are completed
+    const waitingOn = workflowStatus[stepNumber]?.waitingOn || [];
+    if (waitingOn.length > 0) {
+      toast.error(`Step ${stepNumber} is waiting on step ${waitingOn.join(', ')}. Complete the prerequisite step(s) first.`);
+      return;
+    }
+    
     // For Step 1, show attachment modal; for others, show confirmation dialog
     if (stepNumber === 1) {
       const step = workflowSteps.find(s => s.step === stepNumber);
@@ -165,8 +285,12 @@ const CandidateDetail = () => {
     
     try {
       // Complete step (backend will send email if needed and mark as completed)
-      await candidateApi.completeStep(id, pendingStep);
-      toast.success(`Step ${pendingStep} completed! Email sent to candidate.`);
+      const response = await candidateApi.completeStep(id, pendingStep);
+      if (response.data.data?.skipped) {
+        toast(`⏭️ Step ${pendingStep} skipped: ${response.data.data.reason}`, { duration: 5000 });
+      } else {
+        toast.success(`Step ${pendingStep} completed! Email sent to candidate.`);
+      }
       fetchCandidate();
     } catch (error) {
       const errorMessage = error.response?.data?.message || 'Failed to complete step';
@@ -203,8 +327,12 @@ const CandidateDetail = () => {
       // Complete step with attachment (will upload file and send email)
       // For Step 1, if new file is selected, it will be uploaded and used
       // For other steps, new file will be attached to email
-      await candidateApi.completeStep(id, stepNumber, sendAttachmentFile || null);
-      toast.success(`Step ${stepNumber} completed! Email sent to candidate.`);
+      const response = await candidateApi.completeStep(id, stepNumber, sendAttachmentFile || null);
+      if (response.data.data?.skipped) {
+        toast(`⏭️ Step ${stepNumber} skipped: ${response.data.data.reason}`, { duration: 5000 });
+      } else {
+        toast.success(`Step ${stepNumber} completed! Email sent to candidate.`);
+      }
       
       setShowSendAttachmentModal(null);
       setSendAttachmentFile(null);
@@ -241,6 +369,8 @@ const CandidateDetail = () => {
       // Find Offer Reminder step template
       const offerReminderStep = departmentSteps.find(s => s.type === 'OFFER_REMINDER');
       if (!offerReminderStep) return;
+      // Reminders scheduled after another step are created by the backend when that step completes
+      if (offerReminderStep.schedulingMethod === 'step') return;
       
       // Check if already scheduled
       const existingEvent = candidate.scheduledEvents?.find(e => e.type === 'OFFER_REMINDER');
@@ -274,9 +404,11 @@ const CandidateDetail = () => {
         reminderDate.setHours(14, 0, 0, 0); // Fallback to 2:00 PM
       }
       
-      // Convert to UTC for backend (IST is UTC+5:30)
-      const istOffset = 5.5 * 60 * 60 * 1000;
-      const startTime = new Date(reminderDate.getTime() - istOffset);
+      // TIMEZONE: The reminder time is wall-clock time in the candidate's timezone
+      const pad = (n) => String(n).padStart(2, '0');
+      const startTime = zonedInputToDate(
+        `${reminderDate.getFullYear()}-${pad(reminderDate.getMonth() + 1)}-${pad(reminderDate.getDate())}T${pad(reminderDate.getHours())}:${pad(reminderDate.getMinutes())}`
+      );
       const endTime = new Date(startTime);
       endTime.setMinutes(endTime.getMinutes() + 15); // 15 minutes duration
       
@@ -319,6 +451,20 @@ const CandidateDetail = () => {
           // Auto-schedule Offer Reminder for next day at 2:00 PM
           await autoScheduleOfferReminder();
           break;
+        case 'generateOffer': {
+          const response = await candidateApi.generateOffer(id, { templateId: offerTemplateId || undefined });
+          const unresolved = response.data.data.unresolved || [];
+          if (unresolved.length > 0) {
+            toast(`Offer letter generated - no value for: ${unresolved.join(', ')}. Review it before approving.`, { icon: '⚠️', duration: 8000 });
+          } else {
+            toast.success('Offer letter generated - review and approve it before sending');
+          }
+          break;
+        }
+        case 'approveOffer':
+          await candidateApi.approveOffer(id);
+          toast.success('Offer letter approved - it can be sent now');
+          break;
         case 'sendOfferReminder':
           await candidateApi.sendOfferReminder(id);
           toast.success('Step 2: Offer reminder sent!');
@@ -389,12 +535,8 @@ const CandidateDetail = () => {
               description = replacePlaceholders(stepTemplate.description || description);
             }
             
-            // Parse datetime-local as IST (UTC+5:30) - India timezone
-            // datetime-local input doesn't include timezone, so we treat it as IST
-            const istOffset = 5.5 * 60 * 60 * 1000; // IST is UTC+5:30 in milliseconds
-            const localDate = new Date(hrDateTime);
-            // Create date in IST by subtracting the offset, then add it back when converting to UTC
-            const startTime = new Date(localDate.getTime() - istOffset);
+            // TIMEZONE: datetime-local input doesn't include a timezone - treat it as the candidate's timezone
+            const startTime = zonedInputToDate(hrDateTime);
             const endTime = new Date(startTime);
             endTime.setMinutes(endTime.getMinutes() + hrDuration);
             
@@ -468,12 +610,8 @@ const CandidateDetail = () => {
               return;
             }
             
-            // Parse datetime-local as IST (UTC+5:30) - India timezone
-            // datetime-local input doesn't include timezone, so we treat it as IST
-            const istOffset = 5.5 * 60 * 60 * 1000; // IST is UTC+5:30 in milliseconds
-            const localDate = new Date(dateTime);
-            // Create date in IST by subtracting the offset, then add it back when converting to UTC
-            const startTime = new Date(localDate.getTime() - istOffset);
+            // TIMEZONE: datetime-local input doesn't include a timezone - treat it as the candidate's timezone
+            const startTime = zonedInputToDate(dateTime);
             const endTime = new Date(startTime);
             endTime.setMinutes(endTime.getMinutes() + duration);
             
@@ -794,6 +932,10 @@ const CandidateDetail = () => {
     const previousStep = departmentSteps[currentStepIndex - 1];
     if (!previousStep) return true;
     
+    // A previous step skipped by its conditions doesn't block the next one
+    const previousEvent = getScheduledEventByType(previousStep.type, previousStep.stepNumber);
+    if (previousEvent?.status === 'SKIPPED' || workflowStatus[previousStep.stepNumber]?.status === 'skipped') return true;
+    
     // Check if previous step is completed based on its type
     return isStepCompleted(previousStep);
   };
@@ -860,30 +1002,88 @@ const CandidateDetail = () => {
     return actionMap[stepType] || 'scheduleGeneric';
   };
 
+  // TIMEZONE: Scheduled times are entered and shown in the candidate's timezone (candidate > office > company)
+  const candidateTimezone = candidate?.effectiveTimezone || 'Asia/Kolkata';
+
+  // Helper to get the wall-clock parts of a date in the candidate's timezone
+  const getZonedParts = (date) => {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: candidateTimezone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+    return parts;
+  };
+
+  // Helper to convert a datetime-local value (wall-clock time in the candidate's timezone) to a Date
+  const zonedInputToDate = (dateTimeLocal) => {
+    const [datePart, timePart = '00:00'] = (dateTimeLocal || '').split('T');
+    const [year, month, day] = datePart.split('-').map(Number);
+    const [hours, minutes] = timePart.split(':').map(Number);
+    const wallClockUtc = Date.UTC(year, month - 1, day, hours || 0, minutes || 0);
+    const offsetAt = (instant) => {
+      const parts = getZonedParts(new Date(instant));
+      const asUtc = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day), Number(parts.hour), Number(parts.minute), Number(parts.second));
+      return asUtc - Math.floor(instant / 1000) * 1000;
+    };
+    // Guess with the offset at the wall-clock time, then correct once for a DST change in between
+    const guess = wallClockUtc - offsetAt(wallClockUtc);
+    return new Date(wallClockUtc - offsetAt(guess));
+  };
+
   // Helper to format date/time for display
   const formatScheduleDate = (dateTime) => {
     if (!dateTime) return null;
     const date = new Date(dateTime);
     return date.toLocaleString('en-IN', { 
       dateStyle: 'medium', 
-      timeStyle: 'short' 
+      timeStyle: 'short',
+      timeZone: candidateTimezone
     });
   };
 
-  // Helper to convert date to local datetime-local format (YYYY-MM-DDTHH:mm)
-  // Converts from UTC (stored in DB) to IST (India Standard Time - UTC+5:30) for display
+  // Helper to convert date to datetime-local format (YYYY-MM-DDTHH:mm)
+  // Converts from UTC (stored in DB) to the candidate's timezone for display
   const formatDateForInput = (dateTime) => {
     if (!dateTime) return '';
-    const date = new Date(dateTime);
-    // Convert UTC to IST (UTC+5:30)
-    const istOffset = 5.5 * 60 * 60 * 1000; // IST offset in milliseconds
-    const istDate = new Date(date.getTime() + istOffset);
-    const year = istDate.getUTCFullYear();
-    const month = String(istDate.getUTCMonth() + 1).padStart(2, '0');
-    const day = String(istDate.getUTCDate()).padStart(2, '0');
-    const hours = String(istDate.getUTCHours()).padStart(2, '0');
-    const minutes = String(istDate.getUTCMinutes()).padStart(2, '0');
-    return `${year}-${month}-${day}T${hours}:${minutes}`;
+    const parts = getZonedParts(new Date(dateTime));
+    return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}`;
+  };
+
+  // Change the candidate's own timezone (empty = use the office/company timezone)
+  const handleTimezoneChange = async (timezone) => {
+    try {
+      await candidateApi.update(id, { timezone: timezone || null });
+      toast.success('Timezone updated - new schedules use this timezone');
+      fetchCandidate();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update timezone');
+    }
+  };
+
+  // Correct the candidate's email address (clears the bounced flag)
+  const handleSaveEmail = async () => {
+    try {
+      await candidateApi.update(id, { email: editingEmail.trim() });
+      toast.success('Email address updated');
+      setEditingEmail(null);
+      fetchCandidate();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update email address');
+    }
+  };
+
+  // Change the language the candidate's emails are sent in (empty = default language)
+  const handleLanguageChange = async (preferredLanguage) => {
+    try {
+      await candidateApi.update(id, { preferredLanguage: preferredLanguage || null });
+      toast.success('Preferred language updated - upcoming emails use this language where a translation exists');
+      fetchCandidate();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update preferred language');
+    }
   };
 
   // Helper to replace placeholders in text
@@ -905,6 +1105,10 @@ const CandidateDetail = () => {
     if (event && event.status === 'COMPLETED') return 'completed';
     if (isStepCompleted(stepTemplate)) return 'completed';
     
+    // If skipped because the step's conditions aren't met for this candidate
+    if (event && event.status === 'SKIPPED') return 'skipped';
+    if (workflowStatus[stepTemplate.stepNumber]?.status === 'skipped') return 'skipped';
+    
     // If scheduled
     if (event) return 'scheduled';
     
@@ -934,6 +1138,12 @@ const CandidateDetail = () => {
     // Use stepNumber to uniquely identify the event for this specific step
     const event = getScheduledEventByType(stepTemplate.type, stepTemplate.stepNumber);
     
+    // Conditional step skipped for this candidate - show why
+    const stepWorkflow = workflowStatus[stepTemplate.stepNumber];
+    if (stepWorkflow?.status === 'skipped') {
+      return `⏭️ ${stepWorkflow.skipReason || 'Skipped - step conditions not met'}`;
+    }
+    
     if (event) {
       return `Scheduled: ${formatScheduleDate(event.startTime)}`;
     }
@@ -1303,6 +1513,53 @@ const CandidateDetail = () => {
     }
   };
 
+  const EMAIL_STATUS_BADGES = {
+    PENDING: 'badge-gray',
+    SENDING: 'badge-info',
+    SENT: 'badge-info',
+    DELIVERED: 'badge-info',
+    OPENED: 'badge-warning',
+    CLICKED: 'badge-success',
+    BOUNCED: 'badge-danger',
+    FAILED: 'badge-danger'
+  };
+
+  // Show or hide the per-link click breakdown for an email (loaded on first open)
+  const handleToggleEmailClicks = async (email) => {
+    if (expandedEmailId === email.id) {
+      setExpandedEmailId(null);
+      return;
+    }
+    setExpandedEmailId(email.id);
+    try {
+      const response = await emailApi.getClicks(email.id);
+      setEmailClicks(prev => ({ ...prev, [email.id]: response.data.data }));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load link clicks');
+    }
+  };
+
+  // Reply to the latest message of a conversation - sent in the same thread
+  const handleSendReply = async (thread) => {
+    if (!replyText.trim()) {
+      toast.error('Write a reply first');
+      return;
+    }
+    const lastMessage = thread.messages[thread.messages.length - 1];
+    setSendingReply(true);
+    try {
+      await emailApi.reply(lastMessage.id, replyText);
+      toast.success('Reply sent');
+      setReplyText('');
+      fetchThreads();
+      fetchCandidate();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send reply');
+    } finally {
+      setSendingReply(false);
+    }
+  };
+
   return (
     <div className="animate-fadeIn">
       {/* Header */}
@@ -1342,7 +1599,32 @@ const CandidateDetail = () => {
           <div className="card">
             <h2 className="text-lg font-semibold mb-4">Candidate Information</h2>
             <div className="grid grid-cols-2 gap-4">
-              <div><p className="text-sm text-gray-500">Email</p><p className="font-medium">{candidate.email}</p></div>
+              <div>
+                <p className="text-sm text-gray-500">Email</p>
+                {editingEmail !== null ? (
+                  <div className="flex items-center space-x-2">
+                    <input
+                      type="email"
+                      value={editingEmail}
+                      onChange={(e) => setEditingEmail(e.target.value)}
+                      className="input py-1 text-sm"
+                      autoFocus
+                    />
+                    <button onClick={handleSaveEmail} disabled={!editingEmail.trim()} className="text-indigo-600 hover:text-indigo-800 text-sm font-medium">Save</button>
+                    <button onClick={() => setEditingEmail(null)} className="text-gray-500 hover:text-gray-700 text-sm">Cancel</button>
+                  </div>
+                ) : (
+                  <p className="font-medium">
+                    {candidate.email}
+                    <button onClick={() => setEditingEmail(candidate.email)} className="text-xs text-indigo-600 hover:text-indigo-800 ml-2" title="Change email address">✏️</button>
+                  </p>
+                )}
+                {candidate.emailInvalid && (
+                  <p className="text-xs text-red-600 mt-1" title={candidate.emailInvalidReason || ''}>
+                    ⚠️ Emails to this address bounced{candidate.emailInvalidAt ? ` (${new Date(candidate.emailInvalidAt).toLocaleDateString('en-IN')})` : ''}: {candidate.emailInvalidReason || 'delivery failed'}
+                  </p>
+                )}
+              </div>
               <div><p className="text-sm text-gray-500">Phone</p><p className="font-medium">{candidate.phone || '-'}</p></div>
               <div><p className="text-sm text-gray-500">Position</p><p className="font-medium">{candidate.position}</p></div>
               <div><p className="text-sm text-gray-500">Department</p><p className="font-medium">{candidate.department}</p></div>
@@ -1350,6 +1632,40 @@ const CandidateDetail = () => {
               <div><p className="text-sm text-gray-500">Reporting Manager</p><p className="font-medium">{candidate.reportingManager || '-'}</p></div>
               <div><p className="text-sm text-gray-500">Salary</p><p className="font-medium">{candidate.salary ? `₹${candidate.salary}` : '-'}</p></div>
               <div><p className="text-sm text-gray-500">Created</p><p className="font-medium">{new Date(candidate.createdAt).toLocaleDateString('en-IN')}</p></div>
+              <div><p className="text-sm text-gray-500">Office</p><p className="font-medium">{candidate.office ? candidate.office.name : '-'}</p></div>
+              <div>
+                <p className="text-sm text-gray-500">Timezone</p>
+                <select
+                  value={candidate.timezone || ''}
+                  onChange={(e) => handleTimezoneChange(e.target.value)}
+                  className="input py-1 text-sm"
+                >
+                  <option value="">
+                    {candidate.office ? 'Office' : 'Company'} timezone{!candidate.timezone && candidate.effectiveTimezone ? ` (${candidate.effectiveTimezone})` : ''}
+                  </option>
+                  {timezones.map((tz) => (
+                    <option key={tz} value={tz}>{tz}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <p className="text-sm text-gray-500">Preferred Language</p>
+                <select
+                  value={candidate.preferredLanguage || ''}
+                  onChange={(e) => handleLanguageChange(e.target.value)}
+                  className="input py-1 text-sm"
+                >
+                  <option value="">
+                    Default ({languages.find(l => l.code === defaultLanguage)?.name || defaultLanguage})
+                  </option>
+                  {candidate.preferredLanguage && !languages.some(l => l.code === candidate.preferredLanguage) && (
+                    <option value={candidate.preferredLanguage}>{candidate.preferredLanguage}</option>
+                  )}
+                  {languages.filter(l => l.code !== defaultLanguage).map((l) => (
+                    <option key={l.code} value={l.code}>{l.name}</option>
+                  ))}
+                </select>
+              </div>
             </div>
             
             {/* Custom Fields */}
@@ -1378,7 +1694,14 @@ const CandidateDetail = () => {
                     <div>
                       <p className="font-medium text-sm">Offer Letter</p>
                       <p className="text-xs text-gray-500">
-                        {candidate.offerLetterPath ? 'Uploaded' : 'Not uploaded'}
+                        {!candidate.offerLetterPath
+                          ? 'Not uploaded'
+                          : candidate.offerLetterStatus === 'DRAFT'
+                            ? '⚠️ Generated - review and approve before sending'
+                            : candidate.offerLetterStatus === 'APPROVED'
+                              ? `Generated, approved on ${new Date(candidate.offerLetterApprovedAt).toLocaleString('en-IN')}`
+                              : 'Uploaded'
+                        }
                       </p>
                     </div>
                   </div>
@@ -1407,6 +1730,40 @@ const CandidateDetail = () => {
                     </a>
                   )}
                 </div>
+
+                {/* Generate from an offer letter template - generated letters need approval before sending */}
+                {!candidate.offerSentAt && (offerTemplates.length > 0 || candidate.offerLetterStatus === 'DRAFT') && (
+                  <div className="flex flex-wrap items-center gap-2 px-3">
+                    {offerTemplates.length > 0 && (
+                      <>
+                        <select value={offerTemplateId} onChange={(e) => setOfferTemplateId(e.target.value)} className="input text-sm w-auto">
+                          <option value="">Department template</option>
+                          {offerTemplates.map(template => (
+                            <option key={template.id} value={template.id}>
+                              {template.name}{template.department ? '' : ' (all departments)'}
+                            </option>
+                          ))}
+                        </select>
+                        <button
+                          onClick={() => handleAction('generateOffer')}
+                          disabled={actionLoading === 'generateOffer'}
+                          className="btn btn-secondary text-sm"
+                        >
+                          {actionLoading === 'generateOffer' ? 'Generating...' : candidate.offerLetterPath ? '🔄 Regenerate' : '📝 Generate'}
+                        </button>
+                      </>
+                    )}
+                    {candidate.offerLetterStatus === 'DRAFT' && (
+                      <button
+                        onClick={() => handleAction('approveOffer')}
+                        disabled={actionLoading === 'approveOffer'}
+                        className="btn btn-primary text-sm"
+                      >
+                        ✅ Approve
+                      </button>
+                    )}
+                  </div>
+                )}
                 
                 {/* Signed Offer Letter */}
                 <div className={`flex items-center justify-between p-3 rounded-lg ${candidate.signedOfferPath ? 'bg-green-50 border border-green-200' : 'bg-gray-50'}`}>
@@ -1467,7 +1824,38 @@ const CandidateDetail = () => {
 
           {/* Dynamic Workflow Steps */}
           <div className="card">
-            <h2 className="text-lg font-semibold mb-4">📋 {workflowSteps.length}-Step Onboarding Workflow</h2>
+            <div className="flex items-center justify-between flex-wrap gap-2 mb-4">
+              <h2 className="text-lg font-semibold">📋 {workflowSteps.length}-Step Onboarding Workflow</h2>
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={handlePreviewTimeline}
+                  disabled={simulatingTimeline}
+                  className="btn btn-secondary text-xs"
+                >
+                  {simulatingTimeline ? 'Simulating...' : '🔮 Preview Timeline'}
+                </button>
+              {workflowVersion && (workflowVersion.currentVersion || workflowVersion.latestVersion) && (
+                <div className="flex items-center space-x-2">
+                  <span className="badge badge-gray" title={workflowVersion.currentVersion?.notes || ''}>
+                    📦 {workflowVersion.currentVersion ? `Workflow v${workflowVersion.currentVersion.version}` : 'Live steps (not pinned)'}
+                  </span>
+                  {workflowVersion.latestVersion && !workflowVersion.isLatest && (
+                    <>
+                      <span className="text-xs text-yellow-700">v{workflowVersion.latestVersion.version} available</span>
+                      {isAdmin && (
+                        <button
+                          onClick={() => setShowMigrateModal(true)}
+                          className="btn btn-secondary text-xs"
+                        >
+                          Migrate to v{workflowVersion.latestVersion.version}
+                        </button>
+                      )}
+                    </>
+                  )}
+                </div>
+              )}
+              </div>
+            </div>
             <div className="space-y-3">
               {workflowSteps.map((step) => (
                 <div key={step.step} className={`p-4 border rounded-lg ${step.status === 'completed' ? 'bg-green-50 border-green-200' : step.status === 'skipped' ? 'bg-gray-50 border-gray-200' : ''}`}>
@@ -1480,6 +1868,11 @@ const CandidateDetail = () => {
                           {step.auto && <span className="ml-2 text-xs bg-blue-100 text-blue-700 px-2 py-0.5 rounded">AUTO</span>}
                         </div>
                         <p className="text-sm text-gray-500">{step.description}</p>
+                        {step.status !== 'completed' && workflowStatus[step.step]?.waitingOn?.length > 0 && (
+                          <p className="text-xs text-yellow-700 mt-1">
+                            ⏳ Waiting on step {workflowStatus[step.step].waitingOn.join(', ')} - will be sent automatically once completed
+                          </p>
+                        )}
                         {step.date && <p className="text-xs text-gray-400 mt-1">Done: {new Date(step.date).toLocaleString('en-IN')}</p>}
                         
                         {/* Show Default Scheduled Time for all auto-scheduled steps */}
@@ -1490,6 +1883,25 @@ const CandidateDetail = () => {
                             ? (stepTemplate.scheduledTimeOfferLetter || stepTemplate.scheduledTime)
                             : (stepTemplate.scheduledTimeDoj || stepTemplate.scheduledTime);
                           
+                          if (schedulingMethod === 'step') {
+                            const anchorStep = departmentSteps.find(s => s.id === stepTemplate.anchorStepId);
+                            const offsetHours = stepTemplate.anchorOffsetHours || 0;
+                            const offsetLabel = offsetHours > 0 && offsetHours % 24 === 0
+                              ? `${offsetHours / 24} day${offsetHours === 24 ? '' : 's'}`
+                              : `${offsetHours} hour${offsetHours === 1 ? '' : 's'}`;
+                            return (
+                              <div className="mt-2 bg-blue-50 p-2 rounded-md border border-blue-200">
+                                <div className="flex items-center space-x-2 flex-wrap">
+                                  <span className="text-xs font-semibold text-gray-700">Default Schedule:</span>
+                                  <span className="text-sm bg-blue-100 text-blue-700 px-3 py-1 rounded-md font-medium">
+                                    ⏱️ {offsetLabel} after {anchorStep ? `Step ${anchorStep.stepNumber}` : 'the anchor step'}
+                                  </span>
+                                  <span className="text-xs text-gray-600">(scheduled when that step is completed)</span>
+                                </div>
+                              </div>
+                            );
+                          }
+
                           if (scheduledTime && stepTemplate.dueDateOffset !== undefined) {
                             return (
                               <div className="mt-2 bg-blue-50 p-2 rounded-md border border-blue-200">
@@ -1514,8 +1926,10 @@ const CandidateDetail = () => {
                     </div>
                     <div className="flex items-center space-x-2 ml-4">
                       {step.actions}
-                      {/* If step is completed, show completed badge only - no calendar */}
-                      {step.status === 'completed' ? (
+                      {/* If step is skipped (conditions not met) or completed, show badge only - no calendar */}
+                      {step.status === 'skipped' ? (
+                        <span className="badge badge-gray">⏭️ Skipped</span>
+                      ) : step.status === 'completed' ? (
                         <span className="badge badge-success">✓ Completed</span>
                       ) : step.scheduledEvent ? (
                         /* If scheduled, show "Scheduled" button for editing + "Send" button */
@@ -2101,6 +2515,129 @@ const CandidateDetail = () => {
 
         {/* Sidebar */}
         <div className="space-y-6">
+          {/* Emails */}
+          <div className="card">
+            <h2 className="text-lg font-semibold mb-4">📧 Emails</h2>
+            {(!candidate.emails || candidate.emails.filter(e => e.direction !== 'INBOUND').length === 0) ? (
+              <p className="text-gray-500 text-sm">No emails yet</p>
+            ) : (
+              <div className="space-y-3 max-h-96 overflow-y-auto">
+                {candidate.emails.filter(e => e.direction !== 'INBOUND').map((email) => {
+                  const clickCount = email._count?.clicks || 0;
+                  const breakdown = emailClicks[email.id];
+                  return (
+                    <div key={email.id} className="border rounded-lg p-3">
+                      <div className="flex items-start justify-between">
+                        <p className="text-sm font-medium text-gray-900 mr-2">{email.subject}</p>
+                        <span className={`badge ${EMAIL_STATUS_BADGES[email.status] || 'badge-gray'}`}>{email.status}</span>
+                      </div>
+                      <p className="text-xs text-gray-500 mt-1">
+                        {email.sentAt
+                          ? `Sent ${formatScheduleDate(email.sentAt)}`
+                          : (email.scheduledFor ? `Scheduled ${formatScheduleDate(email.scheduledFor)}` : `Created ${formatScheduleDate(email.createdAt)}`)}
+                        {email.openedAt && ` · Opened ${formatScheduleDate(email.openedAt)}`}
+                      </p>
+                      {email.status === 'BOUNCED' && email.errorMessage && (
+                        <p className="text-xs text-red-600 mt-1">{email.errorMessage}</p>
+                      )}
+                      {clickCount > 0 && (
+                        <button
+                          onClick={() => handleToggleEmailClicks(email)}
+                          className="text-xs text-indigo-600 hover:text-indigo-800 mt-1"
+                        >
+                          🔗 {clickCount} link click{clickCount === 1 ? '' : 's'} {expandedEmailId === email.id ? '▲' : '▼'}
+                        </button>
+                      )}
+                      {expandedEmailId === email.id && (
+                        !breakdown ? (
+                          <p className="text-xs text-gray-400 mt-2">Loading...</p>
+                        ) : (
+                          <div className="mt-2 space-y-1">
+                            {breakdown.links.map((link) => (
+                              <div key={link.url} className="text-xs bg-gray-50 rounded p-2">
+                                <div className="flex justify-between">
+                                  <a href={link.url} target="_blank" rel="noopener noreferrer" className="text-indigo-600 truncate mr-2" title={link.url}>
+                                    {link.url}
+                                  </a>
+                                  <span className="font-medium whitespace-nowrap">{link.count}×</span>
+                                </div>
+                                <p className="text-gray-500">
+                                  {link.count > 1
+                                    ? `First ${formatScheduleDate(link.firstClickedAt)} · last ${formatScheduleDate(link.lastClickedAt)}`
+                                    : formatScheduleDate(link.firstClickedAt)}
+                                </p>
+                              </div>
+                            ))}
+                          </div>
+                        )
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+
+          {/* Conversations - candidate replies threaded with the emails they answer */}
+          <div className="card">
+            <h2 className="text-lg font-semibold mb-4">💬 Conversations</h2>
+            {threads.filter(t => t.inboundCount > 0).length === 0 ? (
+              <p className="text-gray-500 text-sm">No replies from the candidate yet</p>
+            ) : (
+              <div className="space-y-3">
+                {threads.filter(t => t.inboundCount > 0).map((thread) => (
+                  <div key={thread.id} className="border rounded-lg">
+                    <button
+                      onClick={() => {
+                        setExpandedThreadId(expandedThreadId === thread.id ? null : thread.id);
+                        setReplyText('');
+                      }}
+                      className="w-full text-left p-3 hover:bg-gray-50 rounded-lg"
+                    >
+                      <div className="flex items-start justify-between">
+                        <p className="text-sm font-medium text-gray-900 mr-2">{thread.subject}</p>
+                        <span className="badge badge-info whitespace-nowrap">{thread.messageCount} msg{thread.messageCount === 1 ? '' : 's'}</span>
+                      </div>
+                      <p className="text-xs text-gray-500 mt-1">Last message {formatScheduleDate(thread.lastMessageAt)}</p>
+                    </button>
+                    {expandedThreadId === thread.id && (
+                      <div className="border-t p-3 space-y-2">
+                        <div className="space-y-2 max-h-96 overflow-y-auto">
+                          {thread.messages.map((message) => (
+                            <div
+                              key={message.id}
+                              className={`text-xs rounded-lg p-2 ${message.direction === 'INBOUND' ? 'bg-gray-100 mr-6' : 'bg-indigo-50 ml-6'}`}
+                            >
+                              <p className="font-medium text-gray-700">
+                                {message.direction === 'INBOUND' ? (message.fromEmail || candidate.email) : 'HR'}
+                                <span className="font-normal text-gray-500"> · {formatScheduleDate(message.date)}</span>
+                              </p>
+                              <p className="text-gray-800 mt-1 whitespace-pre-wrap break-words">{message.visibleText}</p>
+                            </div>
+                          ))}
+                        </div>
+                        <textarea
+                          value={replyText}
+                          onChange={(e) => setReplyText(e.target.value)}
+                          className="input text-sm"
+                          rows={3}
+                          placeholder={`Reply to ${candidate.firstName}...`}
+                        />
+                        <button
+                          onClick={() => handleSendReply(thread)}
+                          disabled={sendingReply || !replyText.trim()}
+                          className="btn btn-primary text-sm w-full"
+                        >
+                          {sendingReply ? 'Sending...' : 'Send Reply'}
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
           {/* Activity Timeline */}
           <div className="card">
             <h2 className="text-lg font-semibold mb-4">Activity Timeline</h2>
@@ -2496,7 +3033,9 @@ const CandidateDetail = () => {
               {/* Only show Exact Date & Time field in option 1 (exact mode) */}
               {scheduleMode === 'exact' && (
                 <>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Exact Date & Time *</label>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Exact Date & Time * <span className="text-xs font-normal text-gray-500">({candidateTimezone})</span>
+                  </label>
               <input 
                 type="datetime-local" 
                 value={scheduleDateTime}
@@ -2681,6 +3220,92 @@ const CandidateDetail = () => {
         </div>
       )}
 
+      {/* Migrate Workflow Version Dialog (diff preview) */}
+      {showMigrateModal && workflowVersion?.latestVersion && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+            <h2 className="text-xl font-bold mb-2">
+              Migrate to {candidate?.department} Workflow v{workflowVersion.latestVersion.version}
+            </h2>
+            <p className="text-sm text-gray-600 mb-4">
+              {workflowVersion.currentVersion ? `Currently on v${workflowVersion.currentVersion.version}.` : 'Currently following the live department steps.'}
+              {' '}Pending calendar events and tasks move with their step; those for removed steps are cancelled.
+            </p>
+            {workflowVersion.latestVersion.notes && (
+              <p className="text-sm text-gray-700 mb-4 p-2 bg-gray-50 rounded">📝 {workflowVersion.latestVersion.notes}</p>
+            )}
+
+            {!workflowVersion.hasChanges ? (
+              <p className="text-sm text-gray-500 mb-4">No step changes - only the version pin will be updated.</p>
+            ) : (
+              <div className="space-y-3 mb-4 text-sm">
+                {workflowVersion.diff.added.map((step) => (
+                  <div key={`added-${step.id}`} className="p-2 rounded bg-green-50 border border-green-200 text-green-800">
+                    + Step {step.stepNumber}: {step.title}
+                  </div>
+                ))}
+                {workflowVersion.diff.removed.map((step) => (
+                  <div key={`removed-${step.id}`} className="p-2 rounded bg-red-50 border border-red-200 text-red-800">
+                    − Step {step.stepNumber}: {step.title}
+                  </div>
+                ))}
+                {workflowVersion.diff.changed.map((step) => (
+                  <div key={`changed-${step.id}`} className="p-2 rounded bg-yellow-50 border border-yellow-200 text-yellow-800">
+                    <p className="font-medium">~ Step {step.stepNumber}: {step.title}</p>
+                    <ul className="mt-1 space-y-1">
+                      {step.changes.map((change) => (
+                        <li key={change.field} className="text-xs break-all">
+                          <span className="font-medium">{change.field}:</span>{' '}
+                          <span className="line-through">{formatDiffValue(change.from)}</span> → {formatDiffValue(change.to)}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <div className="flex justify-end space-x-3">
+              <button
+                onClick={() => setShowMigrateModal(false)}
+                className="btn btn-secondary"
+                disabled={migrating}
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleMigrateWorkflow}
+                className="btn btn-primary"
+                disabled={migrating}
+              >
+                {migrating ? 'Migrating...' : `Migrate to v${workflowVersion.latestVersion.version}`}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Timeline Preview Dialog (dry run) */}
+      {timelineSimulation && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+            <h2 className="text-xl font-bold mb-2">🔮 Onboarding Timeline Preview</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              Everything the workflow will still send, schedule or create for {candidate?.firstName} {candidate?.lastName}.
+            </p>
+            <TimelinePreview simulation={timelineSimulation} />
+            <div className="flex justify-end mt-4">
+              <button
+                onClick={() => setTimelineSimulation(null)}
+                className="btn btn-secondary"
+              >
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Delete Candidate Confirmation Dialog */}
       {showDeleteConfirm && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
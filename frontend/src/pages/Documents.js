@@ -0,0 +1,335 @@
+import React, { useState, useEffect } from 'react';
+import { documentApi } from '../services/api';
+import toast from 'react-hot-toast';
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-IN', {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric'
+});
+
+const formatSize = (bytes) => {
+  if (bytes === null || bytes === undefined) return '';
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+};
+
+const emptyForm = { name: '', description: '', tags: '', note: '', file: null };
+
+// Document library - files uploaded once and attached by templates and steps (latest version)
+const Documents = () => {
+  const [documents, setDocuments] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState('');
+  const [tagFilter, setTagFilter] = useState('');
+  const [showArchived, setShowArchived] = useState(false);
+  const [selected, setSelected] = useState(null);
+  const [showCreate, setShowCreate] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [details, setDetails] = useState({ name: '', description: '', tags: '' });
+  const [versionFile, setVersionFile] = useState(null);
+  const [versionNote, setVersionNote] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchDocuments();
+  }, [tagFilter, showArchived]);
+
+  const fetchDocuments = async (query = search) => {
+    try {
+      const [documentsRes, tagsRes] = await Promise.all([
+        documentApi.getAll({ search: query || undefined, tag: tagFilter || undefined, includeInactive: showArchived || undefined }),
+        documentApi.getTags()
+      ]);
+      setDocuments(documentsRes.data.data || []);
+      setTags(tagsRes.data.data || []);
+    } catch (error) {
+      toast.error('Failed to load documents');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const showDocument = (document) => {
+    setSelected(document);
+    setDetails({ name: document.name, description: document.description || '', tags: (document.tags || []).join(', ') });
+    setVersionFile(null);
+    setVersionNote('');
+  };
+
+  const handleSelect = async (id) => {
+    try {
+      const response = await documentApi.getById(id);
+      showDocument(response.data.data);
+      setShowCreate(false);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load document');
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!form.file) {
+      toast.error('Choose a file to upload');
+      return;
+    }
+    setSaving(true);
+    try {
+      const formData = new FormData();
+      formData.append('file', form.file);
+      formData.append('name', form.name);
+      formData.append('description', form.description);
+      formData.append('tags', form.tags);
+      formData.append('note', form.note);
+      const response = await documentApi.create(formData);
+      toast.success('Document added to the library');
+      setForm(emptyForm);
+      setShowCreate(false);
+      showDocument(response.data.data);
+      fetchDocuments();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to upload document');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSaveDetails = async () => {
+    setSaving(true);
+    try {
+      const response = await documentApi.update(selected.id, details);
+      toast.success('Document updated');
+      showDocument(response.data.data);
+      fetchDocuments();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update document');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUploadVersion = async () => {
+    if (!versionFile) {
+      toast.error('Choose a file to upload');
+      return;
+    }
+    setSaving(true);
+    try {
+      const formData = new FormData();
+      formData.append('file', versionFile);
+      formData.append('note', versionNote);
+      const response = await documentApi.uploadVersion(selected.id, formData);
+      toast.success('New version uploaded - emails now attach it');
+      showDocument(response.data.data);
+      fetchDocuments();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to upload version');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleArchived = async () => {
+    try {
+      const response = await documentApi.update(selected.id, { isActive: !selected.isActive });
+      toast.success(selected.isActive ? 'Document archived - it is no longer attached' : 'Document restored');
+      showDocument(response.data.data);
+      fetchDocuments();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update document');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete "${selected.name}" and all its versions?`)) return;
+    try {
+      await documentApi.delete(selected.id);
+      toast.success('Document deleted');
+      setSelected(null);
+      fetchDocuments();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete document');
+    }
+  };
+
+  const handleDownload = async (version) => {
+    try {
+      const response = await documentApi.downloadVersion(selected.id, version.id);
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', version.fileName);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Failed to download file');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="spinner" style={{ width: 40, height: 40 }}></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="animate-fadeIn">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Documents</h1>
+          <p className="text-sm text-gray-500">Files attached automatically by templates and steps - upload a new version to update every email</p>
+        </div>
+        <button onClick={() => { setShowCreate(true); setSelected(null); }} className="btn btn-primary text-sm">+ Add Document</button>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="card p-0 overflow-hidden">
+          <div className="p-3 border-b space-y-2">
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && fetchDocuments(search)}
+              className="input text-sm"
+              placeholder="Search name or description (Enter)"
+            />
+            <div className="flex items-center space-x-2">
+              <select value={tagFilter} onChange={(e) => setTagFilter(e.target.value)} className="input text-sm">
+                <option value="">All tags</option>
+                {tags.map(tag => <option key={tag} value={tag}>{tag}</option>)}
+              </select>
+              <label className="flex items-center text-xs text-gray-600 whitespace-nowrap">
+                <input type="checkbox" checked={showArchived} onChange={(e) => setShowArchived(e.target.checked)} className="mr-1" />
+                Archived
+              </label>
+            </div>
+          </div>
+          {documents.length === 0 ? (
+            <p className="text-gray-500 text-sm p-4">No documents</p>
+          ) : (
+            <div className="divide-y max-h-[70vh] overflow-y-auto">
+              {documents.map((item) => (
+                <button
+                  key={item.id}
+                  onClick={() => handleSelect(item.id)}
+                  className={`w-full text-left p-3 hover:bg-gray-50 ${selected?.id === item.id ? 'bg-indigo-50' : ''}`}
+                >
+                  <div className="flex justify-between">
+                    <p className={`text-sm font-medium truncate mr-2 ${item.isActive ? 'text-gray-900' : 'text-gray-400 line-through'}`}>{item.name}</p>
+                    {item.latestVersion && <span className="text-xs text-gray-500 whitespace-nowrap">v{item.latestVersion.version}</span>}
+                  </div>
+                  <p className="text-xs text-gray-500 truncate">{item.latestVersion?.fileName}</p>
+                  <div className="flex flex-wrap items-center gap-1 mt-1">
+                    {(item.tags || []).map(tag => <span key={tag} className="badge badge-gray">{tag}</span>)}
+                    {(item.usedBy.templates.length + item.usedBy.steps.length) > 0 && (
+                      <span className="text-xs text-gray-500">
+                        📎 {item.usedBy.templates.length} template(s), {item.usedBy.steps.length} step(s)
+                      </span>
+                    )}
+                  </div>
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="card lg:col-span-2">
+          {showCreate ? (
+            <form onSubmit={handleCreate} className="space-y-4">
+              <h2 className="text-lg font-semibold">New Document</h2>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Name *</label>
+                <input type="text" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} className="input" placeholder="e.g. Leave Policy" required />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+                <textarea value={form.description} onChange={(e) => setForm({ ...form, description: e.target.value })} className="input" rows={2} />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Tags</label>
+                <input type="text" value={form.tags} onChange={(e) => setForm({ ...form, tags: e.target.value })} className="input" placeholder="policy, handbook" />
+                <p className="text-xs text-gray-500 mt-1">Comma separated</p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">File *</label>
+                <input type="file" onChange={(e) => setForm({ ...form, file: e.target.files[0] || null })} className="text-sm" />
+              </div>
+              <div className="flex space-x-2">
+                <button type="submit" disabled={saving} className="btn btn-primary text-sm">{saving ? 'Uploading...' : 'Upload'}</button>
+                <button type="button" onClick={() => setShowCreate(false)} className="btn btn-secondary text-sm">Cancel</button>
+              </div>
+            </form>
+          ) : !selected ? (
+            <p className="text-gray-500 text-sm">Select a document to see its versions, or add one</p>
+          ) : (
+            <>
+              <div className="flex items-start justify-between mb-4">
+                <div className="mr-4">
+                  <h2 className="text-lg font-semibold">{selected.name}</h2>
+                  {!selected.isActive && <span className="badge badge-gray">Archived - not attached to emails</span>}
+                </div>
+                <div className="flex space-x-2">
+                  <button onClick={handleToggleArchived} className="btn btn-secondary text-sm whitespace-nowrap">
+                    {selected.isActive ? '📦 Archive' : '♻️ Restore'}
+                  </button>
+                  <button onClick={handleDelete} className="btn btn-secondary text-sm whitespace-nowrap">🗑️ Delete</button>
+                </div>
+              </div>
+
+              <div className="space-y-3 mb-6">
+                <input type="text" value={details.name} onChange={(e) => setDetails({ ...details, name: e.target.value })} className="input" />
+                <textarea value={details.description} onChange={(e) => setDetails({ ...details, description: e.target.value })} className="input" rows={2} placeholder="Description" />
+                <input type="text" value={details.tags} onChange={(e) => setDetails({ ...details, tags: e.target.value })} className="input" placeholder="Tags, comma separated" />
+                <button onClick={handleSaveDetails} disabled={saving} className="btn btn-primary text-sm">Save Details</button>
+              </div>
+
+              <div className="mb-6 p-3 bg-gray-50 border rounded">
+                <p className="text-sm font-medium text-gray-700 mb-2">Upload New Version</p>
+                <div className="flex flex-wrap items-center gap-2">
+                  <input type="file" onChange={(e) => setVersionFile(e.target.files[0] || null)} className="text-sm" />
+                  <input type="text" value={versionNote} onChange={(e) => setVersionNote(e.target.value)} className="input text-sm flex-1" placeholder="What changed? (optional)" />
+                  <button onClick={handleUploadVersion} disabled={saving} className="btn btn-secondary text-sm whitespace-nowrap">⬆️ Upload</button>
+                </div>
+              </div>
+
+              <p className="text-sm font-medium text-gray-700 mb-1">Versions</p>
+              <table className="w-full text-sm mb-6">
+                <tbody>
+                  {selected.versions.map((version, index) => (
+                    <tr key={version.id} className="border-b">
+                      <td className="py-1 pr-3 font-medium text-gray-700 whitespace-nowrap">
+                        v{version.version} {index === 0 && <span className="badge badge-info">Current</span>}
+                      </td>
+                      <td className="py-1 pr-3 text-gray-600 break-all">{version.fileName} <span className="text-xs text-gray-400">{formatSize(version.size)}</span></td>
+                      <td className="py-1 pr-3 text-gray-500">{version.note}</td>
+                      <td className="py-1 pr-3 text-gray-500 whitespace-nowrap">{formatDate(version.createdAt)}{version.uploadedBy && ` · ${version.uploadedBy.name}`}</td>
+                      <td className="py-1 text-right">
+                        <button onClick={() => handleDownload(version)} className="text-indigo-600 hover:text-indigo-800">⬇️</button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              <p className="text-sm font-medium text-gray-700 mb-1">Attached By</p>
+              {selected.usedBy.templates.length + selected.usedBy.steps.length === 0 ? (
+                <p className="text-sm text-gray-500">Not attached yet - select it on a template or a step</p>
+              ) : (
+                <ul className="text-sm text-gray-600 space-y-1">
+                  {selected.usedBy.templates.map(template => <li key={template.id}>📝 Template: {template.name}</li>)}
+                  {selected.usedBy.steps.map(step => <li key={step.id}>📋 {step.department} step {step.stepNumber}: {step.title}</li>)}
+                </ul>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Documents;
@@ -1,7 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { candidateApi, configApi } from '../services/api';
+import { candidateApi, configApi, templateApi } from '../services/api';
 import toast from 'react-hot-toast';
+import TimelinePreview from '../components/TimelinePreview';
 
 const NewCandidate = () => {
   const navigate = useNavigate();
@@ -13,11 +14,53 @@ const NewCandidate = () => {
   const [formData, setFormData] = useState({});
   const [allFields, setAllFields] = useState([]); // All fields (standard + custom)
 
+  // Office & timezone (steps are scheduled in the candidate's timezone)
+  const [offices, setOffices] = useState([]);
+  const [timezones, setTimezones] = useState([]);
+  const [companyTimezone, setCompanyTimezone] = useState('');
+  const [location, setLocation] = useState({ officeId: '', timezone: '' });
+
+  // Language the candidate's emails are sent in ('' = default language)
+  const [languages, setLanguages] = useState([]);
+  const [defaultLanguage, setDefaultLanguage] = useState('en');
+  const [preferredLanguage, setPreferredLanguage] = useState('');
+
+  // Dry-run timeline preview (nothing is saved)
+  const [simulation, setSimulation] = useState(null);
+  const [simulating, setSimulating] = useState(false);
+
   useEffect(() => {
     fetchDepartments();
     fetchCustomFields();
+    fetchTimezones();
+    fetchLanguages();
   }, []);
 
+  const fetchLanguages = async () => {
+    try {
+      const response = await templateApi.getLanguages();
+      if (response.data?.success) {
+        setLanguages(response.data.data.languages || []);
+        setDefaultLanguage(response.data.data.defaultLanguage || 'en');
+      }
+    } catch (error) {
+      console.error('Failed to fetch languages:', error);
+    }
+  };
+
+  const fetchTimezones = async () => {
+    try {
+      const response = await configApi.getTimezones();
+      if (response.data?.success) {
+        setOffices((response.data.data.offices || []).filter(o => o.isActive));
+        setTimezones(response.data.data.timezones || []);
+        setCompanyTimezone(response.data.data.companyTimezone || '');
+      }
+    } catch (error) {
+      console.error('Failed to fetch timezones:', error);
+    }
+  };
+
   const fetchCustomFields = async () => {
     try {
       const response = await configApi.getAllCustomFields();
@@ -182,33 +225,57 @@ const NewCandidate = () => {
     }
   };
 
+  // Build the request body - standard fields at the top level, custom fields under customFields
+  const buildSubmitData = () => {
+    const standardFieldsData = {};
+    const customFieldsData = {};
+    
+    allFields.forEach(field => {
+      const value = field.isStandard 
+        ? formData[field.fieldKey] 
+        : customFieldValues[field.fieldKey];
+      
+      if (value !== undefined && value !== null && value !== '') {
+        if (field.isStandard) {
+          standardFieldsData[field.fieldKey] = value;
+        } else {
+          customFieldsData[field.fieldKey] = value;
+        }
+      }
+    });
+
+    return {
+      ...standardFieldsData,
+      customFields: Object.keys(customFieldsData).length > 0 ? customFieldsData : null,
+      officeId: location.officeId || null,
+      timezone: location.timezone || null,
+      preferredLanguage: preferredLanguage || null
+    };
+  };
+
+  const handlePreviewTimeline = async () => {
+    const submitData = buildSubmitData();
+    if (!submitData.department) {
+      toast.error('Select a department to preview the timeline');
+      return;
+    }
+    setSimulating(true);
+    try {
+      const response = await candidateApi.simulate(submitData);
+      setSimulation(response.data.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to preview timeline');
+    } finally {
+      setSimulating(false);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
 
     try {
-      // Separate standard fields and custom fields
-      const standardFieldsData = {};
-      const customFieldsData = {};
-      
-      allFields.forEach(field => {
-        const value = field.isStandard 
-          ? formData[field.fieldKey] 
-          : customFieldValues[field.fieldKey];
-        
-        if (value !== undefined && value !== null && value !== '') {
-          if (field.isStandard) {
-            standardFieldsData[field.fieldKey] = value;
-          } else {
-            customFieldsData[field.fieldKey] = value;
-          }
-        }
-      });
-
-      const submitData = {
-        ...standardFieldsData,
-        customFields: Object.keys(customFieldsData).length > 0 ? customFieldsData : null
-      };
+      const submitData = buildSubmitData();
 
       const response = await candidateApi.create(submitData);
       toast.success('Candidate created successfully!');
@@ -257,6 +324,76 @@ const NewCandidate = () => {
           )}
         </div>
 
+        {/* Office & Timezone */}
+        <div className="mt-6 pt-6 border-t grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Office</label>
+            <select
+              value={location.officeId}
+              onChange={(e) => setLocation({ ...location, officeId: e.target.value })}
+              className="input"
+            >
+              <option value="">No office (company timezone)</option>
+              {offices.map((office) => (
+                <option key={office.id} value={office.id}>{office.name} ({office.timezone})</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Timezone</label>
+            <select
+              value={location.timezone}
+              onChange={(e) => setLocation({ ...location, timezone: e.target.value })}
+              className="input"
+            >
+              <option value="">
+                {location.officeId
+                  ? `Office timezone (${offices.find(o => o.id === location.officeId)?.timezone || ''})`
+                  : `Company timezone${companyTimezone ? ` (${companyTimezone})` : ''}`}
+              </option>
+              {timezones.map((tz) => (
+                <option key={tz} value={tz}>{tz}</option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">
+              For remote hires - step times and email dates use this timezone
+            </p>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Preferred Language</label>
+            <select
+              value={preferredLanguage}
+              onChange={(e) => setPreferredLanguage(e.target.value)}
+              className="input"
+            >
+              <option value="">Default ({languages.find(l => l.code === defaultLanguage)?.name || defaultLanguage})</option>
+              {languages.filter(l => l.code !== defaultLanguage).map((l) => (
+                <option key={l.code} value={l.code}>{l.name}</option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">
+              Emails use this language when the template has a translation
+            </p>
+          </div>
+        </div>
+
+        {/* Timeline preview (dry run) */}
+        {simulation && (
+          <div className="mt-6 pt-6 border-t">
+            <div className="flex items-center justify-between mb-3">
+              <h2 className="text-lg font-semibold">🔮 Onboarding Timeline Preview</h2>
+              <button
+                type="button"
+                onClick={() => setSimulation(null)}
+                className="text-gray-500 hover:text-gray-700 text-sm"
+              >
+                Hide
+              </button>
+            </div>
+            <TimelinePreview simulation={simulation} />
+          </div>
+        )}
+
         {/* Actions */}
         <div className="mt-8 flex justify-end space-x-4">
           <button
@@ -266,6 +403,14 @@ const NewCandidate = () => {
           >
             Cancel
           </button>
+          <button
+            type="button"
+            onClick={handlePreviewTimeline}
+            disabled={simulating}
+            className="btn btn-secondary"
+          >
+            {simulating ? 'Simulating...' : '🔮 Preview Timeline'}
+          </button>
           <button
             type="submit"
             disabled={loading}
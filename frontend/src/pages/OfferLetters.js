@@ -0,0 +1,296 @@
+import React, { useState, useEffect } from 'react';
+import { offerLetterTemplateApi, configApi } from '../services/api';
+import toast from 'react-hot-toast';
+
+const emptyForm = { name: '', department: '', format: 'DOCX', htmlContent: '', file: null };
+
+// Offer letter templates - merged with candidate fields and rendered to PDF from the candidate page
+const OfferLetters = () => {
+  const [templates, setTemplates] = useState([]);
+  const [departments, setDepartments] = useState([]);
+  const [fields, setFields] = useState({ standard: [], customFields: [], customPlaceholders: [] });
+  const [loading, setLoading] = useState(true);
+  const [showArchived, setShowArchived] = useState(false);
+  const [selected, setSelected] = useState(null); // null = nothing open, 'new' = create form
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchTemplates();
+  }, [showArchived]);
+
+  useEffect(() => {
+    fetchOptions();
+  }, []);
+
+  const fetchTemplates = async () => {
+    try {
+      const response = await offerLetterTemplateApi.getAll({ includeInactive: showArchived || undefined });
+      setTemplates(response.data.data || []);
+    } catch (error) {
+      toast.error('Failed to load offer letter templates');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchOptions = async () => {
+    try {
+      const [departmentsRes, fieldsRes] = await Promise.all([
+        configApi.getDepartments(),
+        offerLetterTemplateApi.getFields()
+      ]);
+      setDepartments(departmentsRes.data.data || []);
+      setFields(fieldsRes.data.data);
+    } catch (error) {
+      console.error('Failed to fetch departments or merge fields');
+    }
+  };
+
+  const showTemplate = (template) => {
+    setSelected(template);
+    setForm({
+      name: template.name,
+      department: template.department || '',
+      format: template.format,
+      htmlContent: template.htmlContent || '',
+      file: null
+    });
+  };
+
+  const handleNew = () => {
+    setSelected('new');
+    setForm(emptyForm);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const isNew = selected === 'new';
+    if (form.format === 'DOCX' && !form.file && (isNew || selected.format !== 'DOCX')) {
+      toast.error('Choose a .docx file to upload');
+      return;
+    }
+    setSaving(true);
+    try {
+      const formData = new FormData();
+      formData.append('name', form.name);
+      formData.append('department', form.department);
+      if (form.format === 'DOCX') {
+        if (form.file) formData.append('file', form.file);
+      } else {
+        formData.append('htmlContent', form.htmlContent);
+      }
+      const response = isNew
+        ? await offerLetterTemplateApi.create(formData)
+        : await offerLetterTemplateApi.update(selected.id, formData);
+      toast.success(isNew ? 'Offer letter template created' : 'Offer letter template saved');
+      showTemplate(response.data.data);
+      fetchTemplates();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save template');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleArchived = async () => {
+    try {
+      const formData = new FormData();
+      formData.append('isActive', String(!selected.isActive));
+      const response = await offerLetterTemplateApi.update(selected.id, formData);
+      toast.success(selected.isActive ? 'Template archived - it is no longer used' : 'Template restored');
+      showTemplate(response.data.data);
+      fetchTemplates();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update template');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete "${selected.name}"? Offer letters already generated from it are kept.`)) return;
+    try {
+      await offerLetterTemplateApi.delete(selected.id);
+      toast.success('Template deleted');
+      setSelected(null);
+      fetchTemplates();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete template');
+    }
+  };
+
+  const handleDownload = async () => {
+    try {
+      const response = await offerLetterTemplateApi.download(selected.id);
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', selected.fileName);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Failed to download file');
+    }
+  };
+
+  const insertField = (key) => {
+    if (form.format !== 'HTML') return;
+    setForm({ ...form, htmlContent: `${form.htmlContent}{{${key}}}` });
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="spinner" style={{ width: 40, height: 40 }}></div>
+      </div>
+    );
+  }
+
+  const mergeFields = [
+    ...fields.standard.map(key => ({ key, label: key })),
+    ...fields.customFields,
+    ...fields.customPlaceholders
+  ];
+
+  return (
+    <div className="animate-fadeIn">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Offer Letters</h1>
+          <p className="text-sm text-gray-500">Templates merged with candidate details and rendered to PDF - generated letters need approval before they are sent</p>
+        </div>
+        <button onClick={handleNew} className="btn btn-primary text-sm">+ Add Template</button>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="card p-0 overflow-hidden">
+          <div className="p-3 border-b">
+            <label className="flex items-center text-xs text-gray-600">
+              <input type="checkbox" checked={showArchived} onChange={(e) => setShowArchived(e.target.checked)} className="mr-1" />
+              Show archived
+            </label>
+          </div>
+          {templates.length === 0 ? (
+            <p className="text-gray-500 text-sm p-4">No offer letter templates</p>
+          ) : (
+            <div className="divide-y max-h-[70vh] overflow-y-auto">
+              {templates.map((item) => (
+                <button
+                  key={item.id}
+                  onClick={() => showTemplate(item)}
+                  className={`w-full text-left p-3 hover:bg-gray-50 ${selected?.id === item.id ? 'bg-indigo-50' : ''}`}
+                >
+                  <div className="flex justify-between">
+                    <p className={`text-sm font-medium truncate mr-2 ${item.isActive ? 'text-gray-900' : 'text-gray-400 line-through'}`}>{item.name}</p>
+                    <span className="badge badge-gray">{item.format}</span>
+                  </div>
+                  <p className="text-xs text-gray-500 truncate">{item.department || 'All departments (fallback)'}</p>
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="card lg:col-span-2">
+          {!selected ? (
+            <p className="text-gray-500 text-sm">Select a template to edit it, or add one</p>
+          ) : (
+            <form onSubmit={handleSave} className="space-y-4">
+              <div className="flex items-start justify-between">
+                <div className="mr-4">
+                  <h2 className="text-lg font-semibold">{selected === 'new' ? 'New Offer Letter Template' : selected.name}</h2>
+                  {selected !== 'new' && !selected.isActive && <span className="badge badge-gray">Archived - not used for new letters</span>}
+                </div>
+                {selected !== 'new' && (
+                  <div className="flex space-x-2">
+                    <button type="button" onClick={handleToggleArchived} className="btn btn-secondary text-sm whitespace-nowrap">
+                      {selected.isActive ? '📦 Archive' : '♻️ Restore'}
+                    </button>
+                    <button type="button" onClick={handleDelete} className="btn btn-secondary text-sm whitespace-nowrap">🗑️ Delete</button>
+                  </div>
+                )}
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Name *</label>
+                <input type="text" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} className="input" placeholder="e.g. Sales Offer Letter" required />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Department</label>
+                <select value={form.department} onChange={(e) => setForm({ ...form, department: e.target.value })} className="input">
+                  <option value="">All departments (fallback)</option>
+                  {departments.map(dept => <option key={dept} value={dept}>{dept}</option>)}
+                </select>
+                <p className="text-xs text-gray-500 mt-1">Candidates get their department's template, else the fallback</p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Format</label>
+                <div className="flex space-x-4 text-sm">
+                  {['DOCX', 'HTML'].map(format => (
+                    <label key={format} className="flex items-center">
+                      <input type="radio" checked={form.format === format} onChange={() => setForm({ ...form, format })} className="mr-1" />
+                      {format === 'DOCX' ? 'Word document (.docx)' : 'HTML'}
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              {form.format === 'DOCX' ? (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Template File {selected === 'new' || selected.format !== 'DOCX' ? '*' : ''}</label>
+                  {selected !== 'new' && selected.fileName && (
+                    <p className="text-sm text-gray-600 mb-2">
+                      Current: {selected.fileName}{' '}
+                      <button type="button" onClick={handleDownload} className="text-indigo-600 hover:text-indigo-800">⬇️ Download</button>
+                    </p>
+                  )}
+                  <input type="file" accept=".docx" onChange={(e) => setForm({ ...form, file: e.target.files[0] || null })} className="text-sm" />
+                  <p className="text-xs text-gray-500 mt-1">Type merge fields in the document as {'{{firstName}}'} - repeat a section with {'{{#items}}...{{/items}}'}</p>
+                </div>
+              ) : (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">HTML *</label>
+                  <textarea
+                    value={form.htmlContent}
+                    onChange={(e) => setForm({ ...form, htmlContent: e.target.value })}
+                    className="input font-mono text-sm"
+                    rows={14}
+                    placeholder="<p>Dear {{firstName}},</p>"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">Same syntax as email templates - {'{{#if}}'}, filters like {'{{salary | upper}}'}</p>
+                </div>
+              )}
+
+              {mergeFields.length > 0 && (
+                <div>
+                  <p className="text-sm font-medium text-gray-700 mb-1">Merge Fields{form.format === 'HTML' && ' (click to insert)'}</p>
+                  <div className="flex flex-wrap gap-1">
+                    {mergeFields.map(field => (
+                      <button
+                        key={field.key}
+                        type="button"
+                        onClick={() => insertField(field.key)}
+                        title={field.label}
+                        className="badge badge-info font-mono"
+                      >
+                        {`{{${field.key}}}`}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              <div className="flex space-x-2">
+                <button type="submit" disabled={saving} className="btn btn-primary text-sm">{saving ? 'Saving...' : 'Save Template'}</button>
+                <button type="button" onClick={() => setSelected(null)} className="btn btn-secondary text-sm">Cancel</button>
+              </div>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default OfferLetters;
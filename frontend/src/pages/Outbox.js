@@ -0,0 +1,236 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { emailApi } from '../services/api';
+import toast from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
+
+const formatDateTime = (value) => new Date(value).toLocaleString('en-IN', {
+  day: 'numeric',
+  month: 'short',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const formatSize = (bytes) => {
+  if (bytes === null || bytes === undefined) return '';
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+};
+
+// In-app mailbox for the "outbox" email transport - every email that would have gone out, as rendered
+const Outbox = () => {
+  const { isAdmin } = useAuth();
+  const [messages, setMessages] = useState([]);
+  const [captureEnabled, setCaptureEnabled] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState('');
+  const [selected, setSelected] = useState(null);
+  const [view, setView] = useState('html'); // 'html', 'text' or 'headers'
+
+  useEffect(() => {
+    fetchMessages();
+  }, []);
+
+  const fetchMessages = async (query = search) => {
+    try {
+      const response = await emailApi.getOutbox({ search: query || undefined });
+      setMessages(response.data.data || []);
+      setCaptureEnabled(!!response.data.captureEnabled);
+    } catch (error) {
+      toast.error('Failed to load outbox');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSelect = async (id) => {
+    try {
+      const response = await emailApi.getOutboxMessage(id);
+      setSelected(response.data.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load email');
+    }
+  };
+
+  const handleDownload = async () => {
+    try {
+      const response = await emailApi.downloadOutboxEml(selected.id);
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'message/rfc822' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `${(selected.subject || 'email').replace(/[^\w\- ]+/g, '').trim() || 'email'}.eml`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Failed to download .eml file');
+    }
+  };
+
+  const handleClear = async () => {
+    if (!window.confirm('Delete every captured email from the outbox?')) return;
+    try {
+      const response = await emailApi.clearOutbox();
+      toast.success(response.data.message || 'Outbox cleared');
+      setSelected(null);
+      fetchMessages();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to clear outbox');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="spinner" style={{ width: 40, height: 40 }}></div>
+      </div>
+    );
+  }
+
+  const headers = selected ? [
+    ['From', selected.fromAddress],
+    ['To', selected.toAddress],
+    ['Subject', selected.subject],
+    ['Message-ID', selected.messageId],
+    ...Object.entries(selected.headers || {}),
+    ['Captured', new Date(selected.createdAt).toLocaleString('en-IN')]
+  ].filter(([, value]) => value) : [];
+
+  return (
+    <div className="animate-fadeIn">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Outbox</h1>
+          <p className="text-sm text-gray-500">Emails captured by the outbox transport - none of these were sent</p>
+        </div>
+        {isAdmin && messages.length > 0 && (
+          <button onClick={handleClear} className="btn btn-secondary text-sm">🗑️ Clear Outbox</button>
+        )}
+      </div>
+
+      {!captureEnabled && (
+        <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded text-sm text-yellow-800">
+          Capture is off - emails are currently being delivered. Select "Outbox" in{' '}
+          <Link to="/settings" className="underline">Settings &gt; Email Transport</Link> to capture them here instead.
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="card p-0 overflow-hidden">
+          <div className="p-3 border-b">
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && fetchMessages(search)}
+              className="input text-sm"
+              placeholder="Search recipient or subject (Enter)"
+            />
+          </div>
+          {messages.length === 0 ? (
+            <p className="text-gray-500 text-sm p-4">No captured emails</p>
+          ) : (
+            <div className="divide-y max-h-[70vh] overflow-y-auto">
+              {messages.map((message) => (
+                <button
+                  key={message.id}
+                  onClick={() => handleSelect(message.id)}
+                  className={`w-full text-left p-3 hover:bg-gray-50 ${selected?.id === message.id ? 'bg-indigo-50' : ''}`}
+                >
+                  <div className="flex justify-between">
+                    <p className="text-sm font-medium text-gray-900 truncate mr-2">{message.toAddress}</p>
+                    <span className="text-xs text-gray-500 whitespace-nowrap">{formatDateTime(message.createdAt)}</span>
+                  </div>
+                  <p className="text-sm text-gray-700 truncate">{message.subject}</p>
+                  <div className="flex items-center space-x-2 mt-1">
+                    {message.email?.type && <span className="badge badge-gray">{message.email.type}</span>}
+                    {message.attachments?.length > 0 && <span className="text-xs text-gray-500">📎 {message.attachments.length}</span>}
+                  </div>
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="card lg:col-span-2">
+          {!selected ? (
+            <p className="text-gray-500 text-sm">Select an email to preview it</p>
+          ) : (
+            <>
+              <div className="flex items-start justify-between mb-4">
+                <div className="mr-4">
+                  <h2 className="text-lg font-semibold">{selected.subject}</h2>
+                  <p className="text-sm text-gray-500">To {selected.toAddress} · from {selected.fromAddress}</p>
+                  {selected.email?.candidate && (
+                    <Link to={`/candidates/${selected.email.candidate.id}`} className="text-sm text-indigo-600 hover:text-indigo-800">
+                      {selected.email.candidate.firstName} {selected.email.candidate.lastName} →
+                    </Link>
+                  )}
+                </div>
+                <button onClick={handleDownload} className="btn btn-secondary text-sm whitespace-nowrap">⬇️ .eml</button>
+              </div>
+
+              <div className="flex space-x-2 mb-3">
+                {[['html', 'HTML'], ['text', 'Plain text'], ['headers', 'Headers']].map(([id, label]) => (
+                  <button
+                    key={id}
+                    onClick={() => setView(id)}
+                    className={`px-3 py-1 text-sm rounded-md border ${view === id ? 'bg-indigo-50 border-indigo-300 text-indigo-700' : 'bg-white border-gray-200 text-gray-600'}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+
+              {view === 'html' && (
+                selected.html ? (
+                  <iframe
+                    title="Email preview"
+                    srcDoc={selected.html}
+                    sandbox=""
+                    className="w-full border rounded bg-white"
+                    style={{ height: '60vh' }}
+                  />
+                ) : (
+                  <p className="text-sm text-gray-500">No HTML part</p>
+                )
+              )}
+              {view === 'text' && (
+                <pre className="text-sm whitespace-pre-wrap break-words bg-gray-50 border rounded p-3 max-h-[60vh] overflow-y-auto">
+                  {selected.text || 'No plain-text part'}
+                </pre>
+              )}
+              {view === 'headers' && (
+                <table className="w-full text-sm">
+                  <tbody>
+                    {headers.map(([name, value]) => (
+                      <tr key={name} className="border-b">
+                        <td className="py-1 pr-4 font-medium text-gray-700 whitespace-nowrap align-top">{name}</td>
+                        <td className="py-1 text-gray-600 break-all">{String(value)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+
+              {selected.attachments?.length > 0 && (
+                <div className="mt-4">
+                  <p className="text-sm font-medium text-gray-700 mb-1">Attachments</p>
+                  <div className="flex flex-wrap gap-2">
+                    {selected.attachments.map((attachment, index) => (
+                      <span key={index} className="text-xs bg-gray-100 rounded px-2 py-1">
+                        📎 {attachment.filename} {formatSize(attachment.size)}
+                      </span>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Outbox;
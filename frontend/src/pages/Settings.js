@@ -1,10 +1,13 @@
 import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { configApi } from '../services/api';
 import toast from 'react-hot-toast';
 import { useAuth } from '../context/AuthContext';
 
+const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
 const Settings = () => {
-  const { user } = useAuth();
+  const { user, isAdmin } = useAuth();
   const [activeTab, setActiveTab] = useState('company');
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
@@ -60,6 +63,41 @@ const Settings = () => {
     order: 0
   });
   const [placeholderLoading, setPlaceholderLoading] = useState(false);
+
+  // Business calendar state (working week, roll rule, holidays)
+  const [businessCalendar, setBusinessCalendar] = useState({ workingDays: [1, 2, 3, 4, 5], rollRule: 'forward', businessDayOffsets: true, holidays: [] });
+  const [newHoliday, setNewHoliday] = useState({ date: '', name: '', recurring: false });
+  const [savingCalendar, setSavingCalendar] = useState(false);
+
+  // Send window state (quiet hours, per email type overrides)
+  const [sendWindow, setSendWindow] = useState({ enabled: false, start: '09:00', end: '19:00', days: [1, 2, 3, 4, 5], overrides: {}, emailTypes: [] });
+  const [savingSendWindow, setSavingSendWindow] = useState(false);
+
+  // Email transport state (SMTP / Gmail API / SES / outbox capture)
+  const [emailTransport, setEmailTransport] = useState({ provider: 'smtp', providers: [], smtp: {}, ses: {}, gmail: {} });
+  const [sesSecret, setSesSecret] = useState('');
+  const [savingTransport, setSavingTransport] = useState(false);
+  const [verifyingTransport, setVerifyingTransport] = useState(false);
+
+  // Sender identities state (per-department From / Reply-To)
+  const emptySenderIdentity = {
+    name: '', email: '', displayName: '', replyTo: '', signature: '', departments: [], isDefault: false, isActive: true,
+    provider: 'smtp', smtpHost: '', smtpPort: '', smtpSecure: false, smtpUser: '', smtpPass: '',
+    imapHost: '', imapPort: '', imapSecure: true, googleRefreshToken: '', monitorInbox: true
+  };
+  const [senderIdentities, setSenderIdentities] = useState([]);
+  const [senderForm, setSenderForm] = useState(null); // null = closed, { id?, ...fields } = editing
+  const [savingSender, setSavingSender] = useState(false);
+  const [verifyingSenderId, setVerifyingSenderId] = useState(null);
+
+  // Offices & timezones state
+  const [timezoneSettings, setTimezoneSettings] = useState({ companyTimezone: 'Asia/Kolkata', offices: [], timezones: [] });
+  const [newOffice, setNewOffice] = useState({ name: '', timezone: '', address: '' });
+
+  // Scheduled jobs (admin) - run history, "Run now" and the dead letter queue
+  const [scheduledJobs, setScheduledJobs] = useState({ jobs: [], leader: null });
+  const [deadJobs, setDeadJobs] = useState([]);
+  const [runningJob, setRunningJob] = useState(null);
   
   // HR Email test state
   const [testingEmail, setTestingEmail] = useState(false);
@@ -105,8 +143,367 @@ const Settings = () => {
     fetchSettings();
     fetchCustomFields();
     fetchCustomPlaceholders();
+    fetchBusinessCalendar();
+    fetchSendWindow();
+    fetchEmailTransport();
+    fetchSenderIdentities();
+    fetchTimezoneSettings();
   }, []);
 
+  useEffect(() => {
+    if (activeTab === 'scheduled-jobs' && isAdmin) {
+      fetchScheduledJobs();
+    }
+  }, [activeTab, isAdmin]);
+
+  const fetchScheduledJobs = async () => {
+    try {
+      const [jobsResponse, deadResponse] = await Promise.all([
+        configApi.getScheduledJobs(),
+        configApi.getQueueJobs({ status: 'DEAD' })
+      ]);
+      if (jobsResponse.data?.success) {
+        setScheduledJobs(jobsResponse.data.data);
+      }
+      if (deadResponse.data?.success) {
+        setDeadJobs(deadResponse.data.data.jobs || []);
+      }
+    } catch (error) {
+      console.error('Failed to fetch scheduled jobs:', error);
+    }
+  };
+
+  const handleRunJobNow = async (job) => {
+    setRunningJob(job.name);
+    try {
+      const response = await configApi.runScheduledJob(job.name);
+      const run = response.data?.data;
+      if (run?.status === 'FAILED') {
+        toast.error(`${job.label} failed: ${run.error || 'Unknown error'}`);
+      } else {
+        toast.success(`${job.label} finished - ${run?.itemsProcessed || 0} item(s) processed`);
+      }
+      fetchScheduledJobs();
+    } catch (error) {
+      toast.error(error.response?.data?.message || `Failed to run ${job.label}`);
+    } finally {
+      setRunningJob(null);
+    }
+  };
+
+  const handleRetryDeadJob = async (job) => {
+    try {
+      await configApi.retryQueueJob(job.id);
+      toast.success('Job re-queued');
+      fetchScheduledJobs();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to retry job');
+    }
+  };
+
+  const formatRunDuration = (run) => {
+    if (!run.finishedAt) return 'running...';
+    const ms = new Date(run.finishedAt) - new Date(run.startedAt);
+    return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+  };
+
+  const fetchTimezoneSettings = async () => {
+    try {
+      const response = await configApi.getTimezones();
+      if (response.data?.success) {
+        setTimezoneSettings(response.data.data);
+      }
+    } catch (error) {
+      console.error('Failed to fetch timezones:', error);
+    }
+  };
+
+  const handleSaveCompanyTimezone = async (companyTimezone) => {
+    try {
+      await configApi.updateCompanyTimezone(companyTimezone);
+      setTimezoneSettings({ ...timezoneSettings, companyTimezone });
+      toast.success('Company timezone saved!');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save company timezone');
+    }
+  };
+
+  const handleAddOffice = async () => {
+    if (!newOffice.name.trim() || !newOffice.timezone) {
+      toast.error('Office name and timezone are required');
+      return;
+    }
+    try {
+      await configApi.createOffice(newOffice);
+      toast.success('Office added!');
+      setNewOffice({ name: '', timezone: '', address: '' });
+      fetchTimezoneSettings();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to add office');
+    }
+  };
+
+  const handleUpdateOffice = async (office, data) => {
+    try {
+      await configApi.updateOffice(office.id, data);
+      toast.success('Office updated!');
+      fetchTimezoneSettings();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update office');
+    }
+  };
+
+  const handleDeleteOffice = async (office) => {
+    const candidateCount = office._count?.candidates || 0;
+    const message = candidateCount > 0
+      ? `Delete office "${office.name}"? ${candidateCount} candidate(s) will use the company timezone unless they have their own.`
+      : `Delete office "${office.name}"?`;
+    if (!window.confirm(message)) return;
+    try {
+      await configApi.deleteOffice(office.id);
+      toast.success('Office deleted');
+      fetchTimezoneSettings();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete office');
+    }
+  };
+
+  const fetchBusinessCalendar = async () => {
+    try {
+      const response = await configApi.getBusinessCalendar();
+      if (response.data?.success) {
+        setBusinessCalendar(response.data.data);
+      }
+    } catch (error) {
+      console.error('Failed to fetch business calendar:', error);
+    }
+  };
+
+  const handleToggleWorkingDay = (day) => {
+    const current = businessCalendar.workingDays || [];
+    setBusinessCalendar({
+      ...businessCalendar,
+      workingDays: current.includes(day) ? current.filter(d => d !== day) : [...current, day].sort((a, b) => a - b)
+    });
+  };
+
+  const handleSaveBusinessCalendar = async () => {
+    if (!businessCalendar.workingDays || businessCalendar.workingDays.length === 0) {
+      toast.error('Select at least one working day');
+      return;
+    }
+    setSavingCalendar(true);
+    try {
+      await configApi.updateBusinessCalendar({
+        workingDays: businessCalendar.workingDays,
+        rollRule: businessCalendar.rollRule,
+        businessDayOffsets: businessCalendar.businessDayOffsets
+      });
+      toast.success('Business calendar saved!');
+      fetchBusinessCalendar();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save business calendar');
+    } finally {
+      setSavingCalendar(false);
+    }
+  };
+
+  const fetchSendWindow = async () => {
+    try {
+      const response = await configApi.getSendWindow();
+      if (response.data?.success) {
+        setSendWindow(response.data.data);
+      }
+    } catch (error) {
+      console.error('Failed to fetch send window:', error);
+    }
+  };
+
+  const toggleDay = (days, day) => (
+    (days || []).includes(day) ? days.filter(d => d !== day) : [...(days || []), day].sort((a, b) => a - b)
+  );
+
+  // Override modes: '' = follow the send window, 'immediate' = always send, 'window' = own window
+  const handleSendWindowOverride = (type, changes) => {
+    const overrides = { ...sendWindow.overrides };
+    if (changes === null) {
+      delete overrides[type];
+    } else if (changes.mode === 'window' && overrides[type]?.mode !== 'window') {
+      overrides[type] = { mode: 'window', start: sendWindow.start, end: sendWindow.end, days: sendWindow.days, ...changes };
+    } else {
+      overrides[type] = { ...overrides[type], ...changes };
+    }
+    setSendWindow({ ...sendWindow, overrides });
+  };
+
+  const handleSaveSendWindow = async () => {
+    if (!sendWindow.days || sendWindow.days.length === 0) {
+      toast.error('Select at least one day for the send window');
+      return;
+    }
+    setSavingSendWindow(true);
+    try {
+      await configApi.updateSendWindow({
+        enabled: sendWindow.enabled,
+        start: sendWindow.start,
+        end: sendWindow.end,
+        days: sendWindow.days,
+        overrides: sendWindow.overrides
+      });
+      toast.success('Send window saved!');
+      fetchSendWindow();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save send window');
+    } finally {
+      setSavingSendWindow(false);
+    }
+  };
+
+  const fetchEmailTransport = async () => {
+    try {
+      const response = await configApi.getEmailTransport();
+      if (response.data?.success) {
+        setEmailTransport(response.data.data);
+      }
+    } catch (error) {
+      console.error('Failed to fetch email transport:', error);
+    }
+  };
+
+  const handleSaveEmailTransport = async () => {
+    setSavingTransport(true);
+    try {
+      const response = await configApi.updateEmailTransport({
+        provider: emailTransport.provider,
+        ...(emailTransport.provider === 'ses' && {
+          ses: {
+            region: emailTransport.ses.region,
+            accessKeyId: emailTransport.ses.accessKeyId,
+            secretAccessKey: sesSecret || undefined
+          }
+        })
+      });
+      setEmailTransport(response.data.data);
+      setSesSecret('');
+      toast.success('Email transport saved!');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save email transport');
+    } finally {
+      setSavingTransport(false);
+    }
+  };
+
+  const handleVerifyEmailTransport = async () => {
+    setVerifyingTransport(true);
+    try {
+      const response = await configApi.verifyEmailTransport();
+      toast.success(response.data.message || 'Email transport is ready');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Email transport check failed');
+    } finally {
+      setVerifyingTransport(false);
+    }
+  };
+
+  const fetchSenderIdentities = async () => {
+    try {
+      const response = await configApi.getSenderIdentities();
+      setSenderIdentities(response.data.data || []);
+    } catch (error) {
+      console.error('Failed to fetch sender identities:', error);
+    }
+  };
+
+  const handleEditSenderIdentity = (identity) => {
+    setSenderForm({
+      ...emptySenderIdentity,
+      ...Object.fromEntries(Object.entries(identity).map(([key, value]) => [key, value === null ? '' : value])),
+      // Secrets are never sent back - blank keeps the saved ones
+      smtpPass: '',
+      googleRefreshToken: ''
+    });
+  };
+
+  const handleSaveSenderIdentity = async () => {
+    if (!senderForm.name.trim() || !senderForm.email.trim()) {
+      toast.error('Name and email are required');
+      return;
+    }
+    setSavingSender(true);
+    try {
+      const { id, ...data } = senderForm;
+      if (id) {
+        await configApi.updateSenderIdentity(id, data);
+      } else {
+        await configApi.createSenderIdentity(data);
+      }
+      toast.success(id ? 'Sender identity updated!' : 'Sender identity created!');
+      setSenderForm(null);
+      fetchSenderIdentities();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save sender identity');
+    } finally {
+      setSavingSender(false);
+    }
+  };
+
+  const handleDeleteSenderIdentity = async (identity) => {
+    if (!window.confirm(`Delete the sender identity "${identity.name}"? Its steps will send from the department's sender instead.`)) return;
+    try {
+      await configApi.deleteSenderIdentity(identity.id);
+      toast.success('Sender identity deleted');
+      fetchSenderIdentities();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete sender identity');
+    }
+  };
+
+  const handleVerifySenderIdentity = async (identity) => {
+    setVerifyingSenderId(identity.id);
+    try {
+      const response = await configApi.verifySenderIdentity(identity.id);
+      toast.success(response.data.message || 'Sender identity is ready');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Sender identity check failed');
+    } finally {
+      setVerifyingSenderId(null);
+    }
+  };
+
+  const toggleSenderDepartment = (dept) => {
+    const current = senderForm.departments || [];
+    setSenderForm({
+      ...senderForm,
+      departments: current.includes(dept) ? current.filter(d => d !== dept) : [...current, dept]
+    });
+  };
+
+  const handleAddHoliday = async () => {
+    if (!newHoliday.date || !newHoliday.name.trim()) {
+      toast.error('Holiday date and name are required');
+      return;
+    }
+    try {
+      await configApi.createHoliday(newHoliday);
+      toast.success('Holiday added!');
+      setNewHoliday({ date: '', name: '', recurring: false });
+      fetchBusinessCalendar();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to add holiday');
+    }
+  };
+
+  const handleDeleteHoliday = async (holiday) => {
+    if (!window.confirm(`Delete holiday "${holiday.name}"?`)) return;
+    try {
+      await configApi.deleteHoliday(holiday.id);
+      toast.success('Holiday deleted');
+      fetchBusinessCalendar();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete holiday');
+    }
+  };
+
   const fetchCustomPlaceholders = async () => {
     try {
       const response = await configApi.getAllCustomPlaceholders();
@@ -604,6 +1001,12 @@ const Settings = () => {
     { id: 'custom-fields', label: 'Custom Form Fields', icon: '📝' },
     { id: 'placeholders', label: 'Custom Placeholders', icon: '🔖' },
     { id: 'departments', label: 'Departments', icon: '🏛️' },
+    { id: 'business-calendar', label: 'Business Calendar', icon: '📅' },
+    { id: 'send-window', label: 'Send Window', icon: '🌙' },
+    { id: 'email-transport', label: 'Email Transport', icon: '📮' },
+    { id: 'sender-identities', label: 'Sender Identities', icon: '🪪' },
+    { id: 'offices', label: 'Offices & Timezones', icon: '🌍' },
+    ...(isAdmin ? [{ id: 'scheduled-jobs', label: 'Scheduled Jobs', icon: '⏱️' }] : []),
   ];
 
   return (
@@ -1380,6 +1783,895 @@ const Settings = () => {
         </div>
       )}
 
+      {activeTab === 'business-calendar' && (
+        <div className="space-y-6">
+          <div className="card">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-lg font-semibold">📅 Working Week</h2>
+              <button onClick={handleSaveBusinessCalendar} disabled={savingCalendar} className="btn btn-primary text-sm">
+                {savingCalendar ? 'Saving...' : 'Save Calendar'}
+              </button>
+            </div>
+            <p className="text-sm text-gray-600 mb-4">
+              Auto-scheduled steps, task due dates and task snoozes never land on non-working days or holidays.
+            </p>
+
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Working Days</label>
+              <div className="flex flex-wrap gap-2">
+                {DAY_LABELS.map((label, day) => (
+                  <label
+                    key={day}
+                    className={`flex items-center px-3 py-2 rounded-md border cursor-pointer text-sm ${
+                      (businessCalendar.workingDays || []).includes(day)
+                        ? 'bg-indigo-50 border-indigo-300 text-indigo-700'
+                        : 'bg-white border-gray-200 text-gray-500'
+                    }`}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={(businessCalendar.workingDays || []).includes(day)}
+                      onChange={() => handleToggleWorkingDay(day)}
+                      className="mr-2"
+                    />
+                    {label}
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-2">When a Step Falls on a Non-Working Day</label>
+              <select
+                value={businessCalendar.rollRule}
+                onChange={(e) => setBusinessCalendar({ ...businessCalendar, rollRule: e.target.value })}
+                className="input w-auto"
+              >
+                <option value="forward">Move to the next working day</option>
+                <option value="backward">Move to the previous working day</option>
+              </select>
+            </div>
+
+            <label className="flex items-start cursor-pointer">
+              <input
+                type="checkbox"
+                checked={!!businessCalendar.businessDayOffsets}
+                onChange={(e) => setBusinessCalendar({ ...businessCalendar, businessDayOffsets: e.target.checked })}
+                className="mr-2 mt-1"
+              />
+              <span className="text-sm">
+                <strong>Count step offsets in business days</strong>
+                <span className="block text-xs text-gray-500">
+                  e.g. "DOJ + 1" for a Friday joiner lands on Monday. Untick to count calendar days (the result is still moved off non-working days).
+                </span>
+              </span>
+            </label>
+          </div>
+
+          <div className="card">
+            <h2 className="text-lg font-semibold mb-4">🎉 Company Holidays</h2>
+
+            <div className="mb-6 p-4 bg-gray-50 rounded-lg">
+              <h3 className="font-medium mb-3">Add Holiday</h3>
+              <div className="flex flex-wrap items-center gap-3">
+                <input
+                  type="date"
+                  value={newHoliday.date}
+                  onChange={(e) => setNewHoliday({ ...newHoliday, date: e.target.value })}
+                  className="input w-auto"
+                />
+                <input
+                  type="text"
+                  value={newHoliday.name}
+                  onChange={(e) => setNewHoliday({ ...newHoliday, name: e.target.value })}
+                  placeholder="Holiday name (e.g., Diwali)"
+                  className="input flex-1"
+                />
+                <label className="flex items-center text-sm cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={newHoliday.recurring}
+                    onChange={(e) => setNewHoliday({ ...newHoliday, recurring: e.target.checked })}
+                    className="mr-2"
+                  />
+                  Repeats every year
+                </label>
+                <button
+                  onClick={handleAddHoliday}
+                  disabled={!newHoliday.date || !newHoliday.name.trim()}
+                  className="btn btn-primary"
+                >
+                  + Add
+                </button>
+              </div>
+            </div>
+
+            {(businessCalendar.holidays || []).length === 0 ? (
+              <p className="text-gray-500 text-sm">No holidays added yet.</p>
+            ) : (
+              <div className="space-y-2">
+                {businessCalendar.holidays.map((holiday) => (
+                  <div key={holiday.id} className="flex items-center justify-between p-3 bg-white border rounded-lg hover:bg-gray-50">
+                    <div>
+                      <span className="font-medium">{holiday.name}</span>
+                      <span className="text-sm text-gray-500 ml-3">
+                        {new Date(`${holiday.date}T00:00:00`).toLocaleDateString('en-IN', holiday.recurring
+                          ? { day: 'numeric', month: 'long' }
+                          : { weekday: 'short', day: 'numeric', month: 'long', year: 'numeric' })}
+                      </span>
+                      {holiday.recurring && (
+                        <span className="badge badge-gray ml-2">Every year</span>
+                      )}
+                    </div>
+                    <button
+                      onClick={() => handleDeleteHoliday(holiday)}
+                      className="text-red-600 hover:text-red-800 text-sm font-medium"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {activeTab === 'send-window' && (
+        <div className="space-y-6">
+          <div className="card">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-lg font-semibold">🌙 Email Send Window</h2>
+              <button onClick={handleSaveSendWindow} disabled={savingSendWindow} className="btn btn-primary text-sm">
+                {savingSendWindow ? 'Saving...' : 'Save Send Window'}
+              </button>
+            </div>
+            <p className="text-sm text-gray-600 mb-4">
+              Emails that come due outside the window are held until it next opens, in the candidate's timezone
+              (their office's timezone, otherwise the company timezone{sendWindow.companyTimezone ? ` ${sendWindow.companyTimezone}` : ''}).
+            </p>
+
+            <label className="flex items-center cursor-pointer mb-4">
+              <input
+                type="checkbox"
+                checked={!!sendWindow.enabled}
+                onChange={(e) => setSendWindow({ ...sendWindow, enabled: e.target.checked })}
+                className="mr-2"
+              />
+              <span className="text-sm font-medium">Only send emails inside the send window</span>
+            </label>
+
+            <div className="flex flex-wrap items-center gap-3 mb-4">
+              <label className="text-sm font-medium text-gray-700">From</label>
+              <input
+                type="time"
+                value={sendWindow.start}
+                onChange={(e) => setSendWindow({ ...sendWindow, start: e.target.value })}
+                className="input w-auto"
+              />
+              <label className="text-sm font-medium text-gray-700">to</label>
+              <input
+                type="time"
+                value={sendWindow.end}
+                onChange={(e) => setSendWindow({ ...sendWindow, end: e.target.value })}
+                className="input w-auto"
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Send Days</label>
+              <div className="flex flex-wrap gap-2">
+                {DAY_LABELS.map((label, day) => (
+                  <label
+                    key={day}
+                    className={`flex items-center px-3 py-2 rounded-md border cursor-pointer text-sm ${
+                      (sendWindow.days || []).includes(day)
+                        ? 'bg-indigo-50 border-indigo-300 text-indigo-700'
+                        : 'bg-white border-gray-200 text-gray-500'
+                    }`}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={(sendWindow.days || []).includes(day)}
+                      onChange={() => setSendWindow({ ...sendWindow, days: toggleDay(sendWindow.days, day) })}
+                      className="mr-2"
+                    />
+                    {label}
+                  </label>
+                ))}
+              </div>
+            </div>
+          </div>
+
+          <div className="card">
+            <h2 className="text-lg font-semibold mb-2">⚡ Per Email Type</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              Let urgent emails skip the window, or give an email type its own hours. Overrides apply even when the send window above is off.
+            </p>
+
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Email Type</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Sending</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Own Window</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {(sendWindow.emailTypes || []).map((type) => {
+                    const override = sendWindow.overrides?.[type];
+                    return (
+                      <tr key={type}>
+                        <td className="px-4 py-2 text-sm font-medium">{type.replace(/_/g, ' ')}</td>
+                        <td className="px-4 py-2">
+                          <select
+                            value={override?.mode || ''}
+                            onChange={(e) => handleSendWindowOverride(type, e.target.value ? { mode: e.target.value } : null)}
+                            className="input w-auto text-sm"
+                          >
+                            <option value="">Default send window</option>
+                            <option value="immediate">Always send immediately</option>
+                            <option value="window">Custom window</option>
+                          </select>
+                        </td>
+                        <td className="px-4 py-2">
+                          {override?.mode === 'window' ? (
+                            <div className="flex flex-wrap items-center gap-2">
+                              <input
+                                type="time"
+                                value={override.start}
+                                onChange={(e) => handleSendWindowOverride(type, { start: e.target.value })}
+                                className="input w-auto text-sm"
+                              />
+                              <span className="text-sm text-gray-500">to</span>
+                              <input
+                                type="time"
+                                value={override.end}
+                                onChange={(e) => handleSendWindowOverride(type, { end: e.target.value })}
+                                className="input w-auto text-sm"
+                              />
+                              <div className="flex gap-1">
+                                {DAY_LABELS.map((label, day) => (
+                                  <button
+                                    key={day}
+                                    type="button"
+                                    onClick={() => handleSendWindowOverride(type, { days: toggleDay(override.days, day) })}
+                                    className={`px-2 py-1 rounded border text-xs ${
+                                      (override.days || []).includes(day)
+                                        ? 'bg-indigo-50 border-indigo-300 text-indigo-700'
+                                        : 'bg-white border-gray-200 text-gray-400'
+                                    }`}
+                                  >
+                                    {label}
+                                  </button>
+                                ))}
+                              </div>
+                            </div>
+                          ) : (
+                            <span className="text-sm text-gray-400">
+                              {override?.mode === 'immediate' ? 'Sent as soon as it is due' : 'Follows the send window'}
+                            </span>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {activeTab === 'email-transport' && (
+        <div className="space-y-6">
+          <div className="card">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-lg font-semibold">📮 Email Transport</h2>
+              <div className="flex space-x-2">
+                <button onClick={handleVerifyEmailTransport} disabled={verifyingTransport || !isAdmin} className="btn btn-secondary text-sm">
+                  {verifyingTransport ? 'Checking...' : 'Check Connection'}
+                </button>
+                <button onClick={handleSaveEmailTransport} disabled={savingTransport || !isAdmin} className="btn btn-primary text-sm">
+                  {savingTransport ? 'Saving...' : 'Save Transport'}
+                </button>
+              </div>
+            </div>
+            <p className="text-sm text-gray-600 mb-4">
+              How outgoing emails are delivered. Emails are sent from <strong>{emailTransport.fromAddress || 'the HR email'}</strong>.
+            </p>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-4">
+              {(emailTransport.providers || []).map((provider) => (
+                <label
+                  key={provider.id}
+                  className={`flex items-start p-3 rounded-md border cursor-pointer ${
+                    emailTransport.provider === provider.id ? 'bg-indigo-50 border-indigo-300' : 'bg-white border-gray-200'
+                  }`}
+                >
+                  <input
+                    type="radio"
+                    name="emailTransport"
+                    checked={emailTransport.provider === provider.id}
+                    onChange={() => setEmailTransport({ ...emailTransport, provider: provider.id })}
+                    className="mt-1 mr-2"
+                  />
+                  <div>
+                    <p className="text-sm font-medium">{provider.label}</p>
+                    <p className="text-xs text-gray-500">
+                      {provider.id === 'smtp' && 'SMTP server from the HR email settings (or SMTP_* in .env)'}
+                      {provider.id === 'gmail' && 'Gmail API with the Google account the email monitor uses'}
+                      {provider.id === 'ses' && 'Amazon Simple Email Service with an IAM access key'}
+                      {provider.id === 'outbox' && 'Nothing is sent - emails are kept in the in-app Outbox (staging / dev)'}
+                    </p>
+                  </div>
+                </label>
+              ))}
+            </div>
+
+            {emailTransport.provider === 'smtp' && (
+              <div className="text-sm text-gray-600 bg-gray-50 rounded p-3">
+                {emailTransport.smtp.host
+                  ? <>Server <strong>{emailTransport.smtp.host}:{emailTransport.smtp.port}</strong> as <strong>{emailTransport.smtp.user || 'no user'}</strong> · password {emailTransport.smtp.hasPassword ? 'set' : 'not set'}</>
+                  : 'No SMTP server configured yet - set it up with the HR email in the Company tab.'}
+              </div>
+            )}
+
+            {emailTransport.provider === 'gmail' && (
+              <div className="text-sm text-gray-600 bg-gray-50 rounded p-3">
+                {emailTransport.gmail.configured
+                  ? 'Google OAuth credentials found (GOOGLE_CLIENT_ID / GOOGLE_CLIENT_SECRET / GOOGLE_REFRESH_TOKEN).'
+                  : 'Set GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET and GOOGLE_REFRESH_TOKEN in the backend .env file.'}
+              </div>
+            )}
+
+            {emailTransport.provider === 'ses' && (
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Region</label>
+                  <input
+                    type="text"
+                    value={emailTransport.ses.region || ''}
+                    onChange={(e) => setEmailTransport({ ...emailTransport, ses: { ...emailTransport.ses, region: e.target.value.trim() } })}
+                    className="input"
+                    placeholder="us-east-1"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Access Key ID</label>
+                  <input
+                    type="text"
+                    value={emailTransport.ses.accessKeyId || ''}
+                    onChange={(e) => setEmailTransport({ ...emailTransport, ses: { ...emailTransport.ses, accessKeyId: e.target.value.trim() } })}
+                    className="input"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Secret Access Key</label>
+                  <input
+                    type="password"
+                    value={sesSecret}
+                    onChange={(e) => setSesSecret(e.target.value)}
+                    className="input"
+                    placeholder={emailTransport.ses.hasSecretAccessKey ? '•••••••• (saved - leave blank to keep)' : ''}
+                  />
+                </div>
+              </div>
+            )}
+
+            {emailTransport.provider === 'outbox' && (
+              <div className="text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded p-3">
+                Candidates will <strong>not</strong> receive any email while the outbox is selected. Captured emails are listed in the <Link to="/outbox" className="underline">Outbox</Link>.
+              </div>
+            )}
+
+            {emailTransport.configurationError && (
+              <p className="text-sm text-red-600 mt-4">⚠️ {emailTransport.configurationError}</p>
+            )}
+          </div>
+        </div>
+      )}
+
+      {activeTab === 'sender-identities' && (
+        <div className="space-y-6">
+          <div className="card">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-lg font-semibold">🪪 Sender Identities</h2>
+              {isAdmin && !senderForm && (
+                <button onClick={() => setSenderForm({ ...emptySenderIdentity })} className="btn btn-primary text-sm">
+                  + Add Identity
+                </button>
+              )}
+            </div>
+            <p className="text-sm text-gray-600 mb-4">
+              Send a department's emails from its own HR contact instead of <strong>{emailTransport.fromAddress || 'the HR email'}</strong>.
+              Steps can override the sender in the Steps page. Identities without their own mailbox send through the
+              Email Transport, which must be allowed to send as their address.
+            </p>
+
+            {senderIdentities.length === 0 ? (
+              <p className="text-gray-500 text-sm">No sender identities yet - every email is sent from the HR email.</p>
+            ) : (
+              <div className="space-y-2">
+                {senderIdentities.map((identity) => (
+                  <div key={identity.id} className="flex items-start justify-between p-3 bg-white border rounded-lg">
+                    <div>
+                      <p className="text-sm font-medium">
+                        {identity.name}{' '}
+                        <span className="text-gray-500 font-normal">&lt;{identity.email}&gt;</span>
+                        {identity.isDefault && <span className="badge badge-info ml-2">Default</span>}
+                        {!identity.isActive && <span className="badge badge-gray ml-2">Inactive</span>}
+                      </p>
+                      <p className="text-xs text-gray-500 mt-1">
+                        {identity.departments.length > 0 ? identity.departments.join(', ') : 'No departments'}
+                        {identity.replyTo && <> · Reply-To {identity.replyTo}</>}
+                        {identity._count?.steps > 0 && <> · {identity._count.steps} step override{identity._count.steps === 1 ? '' : 's'}</>}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {identity.hasOwnCredentials
+                          ? `Own mailbox (${identity.provider === 'gmail' ? 'Gmail' : 'SMTP'})${identity.inboxMonitored ? ' · inbox monitored' : ''}`
+                          : 'Sends through the Email Transport'}
+                      </p>
+                    </div>
+                    {isAdmin && (
+                      <div className="flex space-x-2">
+                        <button
+                          onClick={() => handleVerifySenderIdentity(identity)}
+                          disabled={verifyingSenderId === identity.id}
+                          className="text-sm text-gray-600 hover:text-gray-900"
+                        >
+                          {verifyingSenderId === identity.id ? 'Checking...' : 'Check'}
+                        </button>
+                        <button onClick={() => handleEditSenderIdentity(identity)} className="text-sm text-indigo-600 hover:text-indigo-900">Edit</button>
+                        <button onClick={() => handleDeleteSenderIdentity(identity)} className="text-sm text-red-600 hover:text-red-900">Delete</button>
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {senderForm && (
+            <div className="card">
+              <h2 className="text-lg font-semibold mb-4">{senderForm.id ? `Edit ${senderForm.name}` : 'New Sender Identity'}</h2>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Name *</label>
+                  <input
+                    type="text"
+                    value={senderForm.name}
+                    onChange={(e) => setSenderForm({ ...senderForm, name: e.target.value })}
+                    className="input"
+                    placeholder="Sales HRBP"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">From Email *</label>
+                  <input
+                    type="email"
+                    value={senderForm.email}
+                    onChange={(e) => setSenderForm({ ...senderForm, email: e.target.value })}
+                    className="input"
+                    placeholder="sales.hr@company.com"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">From Name</label>
+                  <input
+                    type="text"
+                    value={senderForm.displayName}
+                    onChange={(e) => setSenderForm({ ...senderForm, displayName: e.target.value })}
+                    className="input"
+                    placeholder="Defaults to the HR name"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Reply-To</label>
+                  <input
+                    type="email"
+                    value={senderForm.replyTo}
+                    onChange={(e) => setSenderForm({ ...senderForm, replyTo: e.target.value })}
+                    className="input"
+                    placeholder="Defaults to the from email"
+                  />
+                </div>
+                <div className="md:col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Signature (HTML)</label>
+                  <textarea
+                    value={senderForm.signature}
+                    onChange={(e) => setSenderForm({ ...senderForm, signature: e.target.value })}
+                    className="input font-mono text-sm"
+                    rows={3}
+                    placeholder="Priya Sharma<br>HR Business Partner, Sales"
+                  />
+                </div>
+                <div className="md:col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Departments</label>
+                  <div className="flex flex-wrap gap-2">
+                    {departments.map((dept) => (
+                      <label key={dept} className="flex items-center text-sm bg-gray-50 border rounded px-2 py-1">
+                        <input
+                          type="checkbox"
+                          checked={(senderForm.departments || []).includes(dept)}
+                          onChange={() => toggleSenderDepartment(dept)}
+                          className="mr-1"
+                        />
+                        {dept}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+                <div className="md:col-span-2 flex flex-wrap gap-6">
+                  <label className="flex items-center text-sm">
+                    <input
+                      type="checkbox"
+                      checked={senderForm.isDefault}
+                      onChange={(e) => setSenderForm({ ...senderForm, isDefault: e.target.checked })}
+                      className="mr-2"
+                    />
+                    Default for departments without an identity
+                  </label>
+                  <label className="flex items-center text-sm">
+                    <input
+                      type="checkbox"
+                      checked={senderForm.isActive}
+                      onChange={(e) => setSenderForm({ ...senderForm, isActive: e.target.checked })}
+                      className="mr-2"
+                    />
+                    Active
+                  </label>
+                </div>
+              </div>
+
+              <h3 className="text-sm font-semibold text-gray-700 mt-6 mb-2">Own mailbox (optional)</h3>
+              <p className="text-xs text-gray-500 mb-3">
+                Leave blank to send through the Email Transport. With credentials the identity sends from its own
+                mailbox, and its inbox is checked for replies, bounces and signed offers.
+              </p>
+              <div className="flex space-x-4 mb-3">
+                {[['smtp', 'SMTP / IMAP'], ['gmail', 'Gmail (OAuth)']].map(([id, label]) => (
+                  <label key={id} className="flex items-center text-sm">
+                    <input
+                      type="radio"
+                      name="senderProvider"
+                      checked={senderForm.provider === id}
+                      onChange={() => setSenderForm({ ...senderForm, provider: id })}
+                      className="mr-2"
+                    />
+                    {label}
+                  </label>
+                ))}
+              </div>
+
+              {senderForm.provider === 'smtp' ? (
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">SMTP Host</label>
+                    <input
+                      type="text"
+                      value={senderForm.smtpHost}
+                      onChange={(e) => setSenderForm({ ...senderForm, smtpHost: e.target.value })}
+                      className="input"
+                      placeholder="smtp.office365.com"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">SMTP Port</label>
+                    <input
+                      type="number"
+                      value={senderForm.smtpPort}
+                      onChange={(e) => setSenderForm({ ...senderForm, smtpPort: e.target.value })}
+                      className="input"
+                      placeholder="587"
+                    />
+                  </div>
+                  <label className="flex items-center text-sm mt-6">
+                    <input
+                      type="checkbox"
+                      checked={senderForm.smtpSecure}
+                      onChange={(e) => setSenderForm({ ...senderForm, smtpSecure: e.target.checked })}
+                      className="mr-2"
+                    />
+                    SSL/TLS (port 465)
+                  </label>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Username</label>
+                    <input
+                      type="text"
+                      value={senderForm.smtpUser}
+                      onChange={(e) => setSenderForm({ ...senderForm, smtpUser: e.target.value })}
+                      className="input"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Password</label>
+                    <input
+                      type="password"
+                      value={senderForm.smtpPass}
+                      onChange={(e) => setSenderForm({ ...senderForm, smtpPass: e.target.value })}
+                      className="input"
+                      placeholder={senderForm.hasSmtpPassword ? '•••••••• (saved - leave blank to keep)' : ''}
+                    />
+                  </div>
+                  <div></div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">IMAP Host (inbox)</label>
+                    <input
+                      type="text"
+                      value={senderForm.imapHost}
+                      onChange={(e) => setSenderForm({ ...senderForm, imapHost: e.target.value })}
+                      className="input"
+                      placeholder="outlook.office365.com"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">IMAP Port</label>
+                    <input
+                      type="number"
+                      value={senderForm.imapPort}
+                      onChange={(e) => setSenderForm({ ...senderForm, imapPort: e.target.value })}
+                      className="input"
+                      placeholder="993"
+                    />
+                  </div>
+                  <label className="flex items-center text-sm mt-6">
+                    <input
+                      type="checkbox"
+                      checked={senderForm.imapSecure}
+                      onChange={(e) => setSenderForm({ ...senderForm, imapSecure: e.target.checked })}
+                      className="mr-2"
+                    />
+                    IMAP over TLS
+                  </label>
+                </div>
+              ) : (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Google Refresh Token</label>
+                  <input
+                    type="password"
+                    value={senderForm.googleRefreshToken}
+                    onChange={(e) => setSenderForm({ ...senderForm, googleRefreshToken: e.target.value })}
+                    className="input"
+                    placeholder={senderForm.hasGoogleRefreshToken ? '•••••••• (saved - leave blank to keep)' : 'Refresh token for this Google account'}
+                  />
+                  <p className="text-xs text-gray-500 mt-1">Uses the app's GOOGLE_CLIENT_ID / GOOGLE_CLIENT_SECRET from the backend .env file.</p>
+                </div>
+              )}
+
+              <label className="flex items-center text-sm mt-4">
+                <input
+                  type="checkbox"
+                  checked={senderForm.monitorInbox}
+                  onChange={(e) => setSenderForm({ ...senderForm, monitorInbox: e.target.checked })}
+                  className="mr-2"
+                />
+                Check this inbox for replies, bounces and signed offers
+              </label>
+
+              <div className="flex justify-end space-x-2 mt-6">
+                <button onClick={() => setSenderForm(null)} className="btn btn-secondary text-sm">Cancel</button>
+                <button onClick={handleSaveSenderIdentity} disabled={savingSender} className="btn btn-primary text-sm">
+                  {savingSender ? 'Saving...' : 'Save Identity'}
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {activeTab === 'offices' && (
+        <div className="space-y-6">
+          <div className="card">
+            <h2 className="text-lg font-semibold mb-2">🌍 Company Timezone</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              Step times (e.g. "DOJ at 09:00") and dates in emails use the candidate's own timezone, then their office's, then this one.
+            </p>
+            <select
+              value={timezoneSettings.companyTimezone}
+              onChange={(e) => handleSaveCompanyTimezone(e.target.value)}
+              className="input w-auto"
+            >
+              {timezoneSettings.timezones.map((tz) => (
+                <option key={tz} value={tz}>{tz}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="card">
+            <h2 className="text-lg font-semibold mb-4">🏢 Offices</h2>
+
+            <div className="mb-6 p-4 bg-gray-50 rounded-lg">
+              <h3 className="font-medium mb-3">Add Office</h3>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                <input
+                  type="text"
+                  value={newOffice.name}
+                  onChange={(e) => setNewOffice({ ...newOffice, name: e.target.value })}
+                  placeholder="Office name (e.g., Bangalore, London)"
+                  className="input"
+                />
+                <select
+                  value={newOffice.timezone}
+                  onChange={(e) => setNewOffice({ ...newOffice, timezone: e.target.value })}
+                  className="input"
+                >
+                  <option value="">Select timezone</option>
+                  {timezoneSettings.timezones.map((tz) => (
+                    <option key={tz} value={tz}>{tz}</option>
+                  ))}
+                </select>
+                <input
+                  type="text"
+                  value={newOffice.address}
+                  onChange={(e) => setNewOffice({ ...newOffice, address: e.target.value })}
+                  placeholder="Address (optional)"
+                  className="input"
+                />
+              </div>
+              <button
+                onClick={handleAddOffice}
+                disabled={!newOffice.name.trim() || !newOffice.timezone}
+                className="btn btn-primary mt-3"
+              >
+                + Add Office
+              </button>
+            </div>
+
+            {timezoneSettings.offices.length === 0 ? (
+              <p className="text-gray-500 text-sm">No offices added yet. Candidates use the company timezone.</p>
+            ) : (
+              <div className="space-y-2">
+                {timezoneSettings.offices.map((office) => (
+                  <div key={office.id} className={`flex items-center justify-between p-3 border rounded-lg ${office.isActive ? 'bg-white' : 'bg-gray-50 opacity-75'}`}>
+                    <div className="flex-1">
+                      <span className="font-medium">{office.name}</span>
+                      {!office.isActive && <span className="badge badge-gray ml-2">Inactive</span>}
+                      <span className="text-xs text-gray-500 ml-3">{office._count?.candidates || 0} candidate(s)</span>
+                      {office.address && <p className="text-xs text-gray-500 mt-1">{office.address}</p>}
+                    </div>
+                    <div className="flex items-center space-x-3">
+                      <select
+                        value={office.timezone}
+                        onChange={(e) => handleUpdateOffice(office, { timezone: e.target.value })}
+                        className="input py-1 text-sm w-auto"
+                      >
+                        {timezoneSettings.timezones.map((tz) => (
+                          <option key={tz} value={tz}>{tz}</option>
+                        ))}
+                      </select>
+                      <button
+                        onClick={() => handleUpdateOffice(office, { isActive: !office.isActive })}
+                        className="text-indigo-600 hover:text-indigo-800 text-sm font-medium"
+                      >
+                        {office.isActive ? 'Deactivate' : 'Activate'}
+                      </button>
+                      <button
+                        onClick={() => handleDeleteOffice(office)}
+                        className="text-red-600 hover:text-red-800 text-sm font-medium"
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {activeTab === 'scheduled-jobs' && isAdmin && (
+        <div className="space-y-6">
+          <div className="card">
+            <div className="flex items-center justify-between mb-2">
+              <h2 className="text-lg font-semibold">⏱️ Scheduled Jobs</h2>
+              <button onClick={fetchScheduledJobs} className="btn btn-secondary text-sm">
+                🔄 Refresh
+              </button>
+            </div>
+            <p className="text-sm text-gray-600">
+              Only one backend instance (the leader) runs the schedules below. "Run now" runs the job immediately on this instance.
+            </p>
+            <p className="text-xs text-gray-500 mt-2">
+              {scheduledJobs.leader?.active
+                ? <>Leader: <span className="font-mono">{scheduledJobs.leader.holderId}</span> (since {new Date(scheduledJobs.leader.acquiredAt).toLocaleString()})</>
+                : 'No active leader - the next instance to tick takes over.'}
+            </p>
+          </div>
+
+          {scheduledJobs.jobs.map((job) => (
+            <div key={job.name} className="card">
+              <div className="flex items-start justify-between mb-3">
+                <div>
+                  <h3 className="font-semibold">{job.label}</h3>
+                  <p className="text-sm text-gray-600">{job.description}</p>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {job.schedule ? <>Schedule: <span className="font-mono">{job.schedule}</span></> : 'Manual only (automatic trigger disabled)'}
+                  </p>
+                </div>
+                <button
+                  onClick={() => handleRunJobNow(job)}
+                  disabled={runningJob === job.name}
+                  className="btn btn-primary text-sm"
+                >
+                  {runningJob === job.name ? 'Running...' : '▶️ Run now'}
+                </button>
+              </div>
+
+              {job.runs.length === 0 ? (
+                <p className="text-sm text-gray-500">No runs yet</p>
+              ) : (
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs text-gray-500 uppercase">
+                      <th className="py-2 pr-4">Started</th>
+                      <th className="py-2 pr-4">Duration</th>
+                      <th className="py-2 pr-4">Status</th>
+                      <th className="py-2 pr-4">Items</th>
+                      <th className="py-2 pr-4">Errors</th>
+                      <th className="py-2">Trigger</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y">
+                    {job.runs.map((run) => (
+                      <tr key={run.id}>
+                        <td className="py-2 pr-4">{new Date(run.startedAt).toLocaleString()}</td>
+                        <td className="py-2 pr-4">{formatRunDuration(run)}</td>
+                        <td className="py-2 pr-4">
+                          <span className={`badge ${run.status === 'SUCCESS' ? 'badge-success' : run.status === 'FAILED' ? 'badge-danger' : 'badge-gray'}`}>
+                            {run.status}
+                          </span>
+                        </td>
+                        <td className="py-2 pr-4">{run.itemsProcessed}</td>
+                        <td className="py-2 pr-4" title={run.error || ''}>
+                          {run.errorCount}
+                          {run.error && <span className="text-xs text-red-600 ml-2">{run.error}</span>}
+                        </td>
+                        <td className="py-2 text-xs text-gray-500">
+                          {run.trigger === 'MANUAL' ? `Run now${run.triggeredBy ? ` by ${run.triggeredBy.name}` : ''}` : 'Schedule'}
+                          <span className="block font-mono">{run.instanceId}</span>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          ))}
+
+          <div className="card">
+            <h2 className="text-lg font-semibold mb-2">💀 Dead Letter Queue</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              Email sends and step executions that failed every retry. Check the error, fix the cause, then retry.
+            </p>
+            {deadJobs.length === 0 ? (
+              <p className="text-sm text-gray-500">No dead jobs 🎉</p>
+            ) : (
+              <div className="space-y-2">
+                {deadJobs.map((job) => (
+                  <div key={job.id} className="flex items-start justify-between p-3 border rounded-lg">
+                    <div className="flex-1 mr-4">
+                      <span className="badge badge-gray mr-2">{job.type}</span>
+                      <span className="font-mono text-xs">{job.idempotencyKey}</span>
+                      <p className="text-xs text-red-600 mt-1">{job.lastError}</p>
+                      <p className="text-xs text-gray-500">{job.attempts} attempt(s), last {new Date(job.updatedAt).toLocaleString()}</p>
+                    </div>
+                    <button
+                      onClick={() => handleRetryDeadJob(job)}
+                      className="text-indigo-600 hover:text-indigo-800 text-sm font-medium"
+                    >
+                      Retry
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* Save Button (Fixed at bottom) */}
       <div className="fixed bottom-6 right-6">
         <button 
@@ -2075,7 +3367,7 @@ const Settings = () => {
                         className="input w-full"
                       />
                       <p className="text-xs text-gray-500 mt-1">
-                        This will be saved to your backend .env file as GOOGLE_REFRESH_TOKEN
+                        Saved encrypted in the database - used instead of GOOGLE_REFRESH_TOKEN in the backend .env file
                       </p>
                     </div>
                     <div className="flex gap-2">
@@ -2558,7 +3850,7 @@ const Settings = () => {
                             let successMsg = 'HR email saved successfully!';
                             if (emailFlow === 'gmail' && googleRefreshToken) {
                               if (response.data.data?.refreshTokenUpdated) {
-                                successMsg += ' ✅ Google Refresh Token updated in .env file.';
+                                successMsg += ' ✅ Google Refresh Token saved.';
                               } else if (response.data.data?.refreshTokenMessage) {
                                 toast.warning(response.data.data.refreshTokenMessage);
                               }
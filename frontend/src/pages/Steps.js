@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
-import { configApi, templateApi } from '../services/api';
+import { configApi, templateApi, documentApi } from '../services/api';
 import toast from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
 
 // Helper function to format time from HH:MM to readable format (e.g., "14:00" -> "2:00 PM")
 const formatTime = (timeString) => {
@@ -12,14 +13,71 @@ const formatTime = (timeString) => {
   return `${displayHour}:${minutes} ${ampm}`;
 };
 
+// Step condition options (conditional branching) - evaluated by the backend when the step runs
+const CONDITION_FIELDS = [
+  { value: 'position', label: 'Position' },
+  { value: 'department', label: 'Department' },
+  { value: 'reportingManager', label: 'Reporting Manager' },
+  { value: 'salary', label: 'Salary' },
+  { value: 'offerSigned', label: 'Offer Signed (true/false)' },
+  { value: 'daysToSignOffer', label: 'Days taken to sign offer' },
+  { value: 'customFields.', label: 'Custom Field...' }
+];
+
+const CONDITION_OPERATORS = [
+  { value: 'equals', label: 'equals' },
+  { value: 'not_equals', label: 'does not equal' },
+  { value: 'contains', label: 'contains' },
+  { value: 'not_contains', label: 'does not contain' },
+  { value: 'is_empty', label: 'is empty' },
+  { value: 'is_not_empty', label: 'is not empty' },
+  { value: 'gt', label: '>' },
+  { value: 'gte', label: '>=' },
+  { value: 'lt', label: '<' },
+  { value: 'lte', label: '<=' }
+];
+
+const emptyConditions = () => ({ mode: 'only_if', match: 'all', rules: [] });
+
+// Helper to describe step conditions in one line (e.g. "Only if position contains "Manager"")
+const describeConditions = (conditions) => {
+  if (!conditions || !conditions.rules || conditions.rules.length === 0) return '';
+  const rules = conditions.rules.map((rule) => {
+    const operator = CONDITION_OPERATORS.find(o => o.value === rule.operator)?.label || rule.operator;
+    return ['is_empty', 'is_not_empty'].includes(rule.operator)
+      ? `${rule.field} ${operator}`
+      : `${rule.field} ${operator} "${rule.value}"`;
+  });
+  const prefix = conditions.mode === 'skip_if' ? 'Skip if' : 'Only if';
+  return `${prefix} ${rules.join(conditions.match === 'any' ? ' OR ' : ' AND ')}`;
+};
+
 const Steps = () => {
+  const { isAdmin } = useAuth();
   const [departments, setDepartments] = useState([]);
   const [selectedDepartment, setSelectedDepartment] = useState('');
   const [departmentSteps, setDepartmentSteps] = useState([]);
   const [emailTemplates, setEmailTemplates] = useState([]);
+  const [senderIdentities, setSenderIdentities] = useState([]);
+  const [documents, setDocuments] = useState([]);
+  const [templateLint, setTemplateLint] = useState(null); // Unresolved/empty placeholders of the selected template
   const [loading, setLoading] = useState(false);
   const [showStepModal, setShowStepModal] = useState(false);
   const [editingStep, setEditingStep] = useState(null);
+  // Published workflow versions for the selected department (candidates are pinned to a version)
+  const [workflowVersions, setWorkflowVersions] = useState(null);
+  const [showPublishModal, setShowPublishModal] = useState(false);
+  const [publishNotes, setPublishNotes] = useState('');
+  const [publishing, setPublishing] = useState(false);
+  const [showVersionHistory, setShowVersionHistory] = useState(false);
+  // Workflow import/export (portable JSON/YAML bundle)
+  const [exporting, setExporting] = useState(false);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [importFile, setImportFile] = useState(null);
+  const [importDepartment, setImportDepartment] = useState('');
+  const [importOnConflict, setImportOnConflict] = useState('overwrite');
+  const [importReport, setImportReport] = useState(null);
+  const [importing, setImporting] = useState(false);
   const [stepForm, setStepForm] = useState({
     stepNumber: '',
     title: '',
@@ -27,16 +85,25 @@ const Steps = () => {
     type: 'MANUAL',
     icon: '📋',
     emailTemplateId: '',
+    senderIdentityId: '', // Sender override ('' = the department's sender identity)
+    documentIds: [], // Library documents attached to the step's email (on top of the template's)
     scheduledTime: '', // For backward compatibility - will be mapped to scheduledTimeDoj or scheduledTimeOfferLetter
     scheduledTimeDoj: '', // Separate time for DOJ-based scheduling
     scheduledTimeOfferLetter: '', // Separate time for Offer Letter-based scheduling
     dueDateOffset: 0,
-    schedulingMethod: 'doj' // 'doj', 'offerLetter', or 'manual'
+    schedulingMethod: 'doj', // 'doj', 'offerLetter', 'step', or 'manual'
+    anchorStepId: '', // 'step' scheduling: earlier step whose completion anchors this step
+    anchorOffset: 24, // 'step' scheduling: time after the anchor step completes
+    anchorOffsetUnit: 'hours', // 'hours' or 'days' (saved as hours)
+    conditions: emptyConditions(), // Conditional branching rules (no rules = always run)
+    prerequisiteStepIds: [] // Earlier steps that must be completed before this step fires
   });
 
   useEffect(() => {
     fetchDepartments();
     fetchEmailTemplates();
+    fetchSenderIdentities();
+    fetchDocuments();
   }, []);
 
   const fetchEmailTemplates = async () => {
@@ -48,7 +115,30 @@ const Steps = () => {
     }
   };
 
+  const fetchSenderIdentities = async () => {
+    try {
+      const response = await configApi.getSenderIdentities();
+      setSenderIdentities(response.data.data || []);
+    } catch (error) {
+      console.error('Failed to fetch sender identities:', error);
+    }
+  };
+
+  const fetchDocuments = async () => {
+    try {
+      const response = await documentApi.getAll({ includeInactive: true });
+      setDocuments(response.data.data || []);
+    } catch (error) {
+      console.error('Failed to fetch documents:', error);
+    }
+  };
+
+  // Identity the department's steps send from unless overridden (same order as the backend)
+  const departmentSender = senderIdentities.find(identity => identity.isActive && identity.departments.includes(selectedDepartment)) ||
+    senderIdentities.find(identity => identity.isActive && identity.isDefault);
+
   useEffect(() => {
+    setWorkflowVersions(null);
     if (selectedDepartment) {
       fetchDepartmentSteps();
     } else {
@@ -75,6 +165,7 @@ const Steps = () => {
       setLoading(true);
       const response = await configApi.getDepartmentSteps(selectedDepartment);
       setDepartmentSteps(response.data.data || []);
+      fetchWorkflowVersions();
     } catch (error) {
       if (error.response?.status === 404 || departmentSteps.length === 0) {
         setDepartmentSteps([]);
@@ -86,6 +177,113 @@ const Steps = () => {
     }
   };
 
+  const fetchWorkflowVersions = async () => {
+    if (!selectedDepartment) return;
+
+    try {
+      const response = await configApi.getWorkflowVersions(selectedDepartment);
+      setWorkflowVersions(response.data.data || null);
+    } catch (error) {
+      console.error('Failed to fetch workflow versions:', error);
+      setWorkflowVersions(null);
+    }
+  };
+
+  const handlePublishVersion = async () => {
+    try {
+      setPublishing(true);
+      const response = await configApi.publishWorkflowVersion(selectedDepartment, publishNotes.trim() || null);
+      toast.success(response.data.message || 'Workflow version published');
+      setShowPublishModal(false);
+      setPublishNotes('');
+      fetchWorkflowVersions();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to publish workflow version');
+    } finally {
+      setPublishing(false);
+    }
+  };
+
+  const handleExportWorkflow = async (format) => {
+    try {
+      setExporting(true);
+      const response = await configApi.exportWorkflow(selectedDepartment, format);
+      const disposition = response.headers['content-disposition'] || '';
+      const match = disposition.match(/filename="?([^"]+)"?/);
+      const filename = match ? match[1] : `workflow-${selectedDepartment.toLowerCase()}.${format}`;
+
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', filename);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+      toast.success(`Exported ${selectedDepartment} workflow`);
+    } catch (error) {
+      // Error responses come back as a Blob because of responseType: 'blob'
+      let message = 'Failed to export workflow';
+      if (error.response?.data instanceof Blob) {
+        try {
+          message = JSON.parse(await error.response.data.text()).message || message;
+        } catch (parseError) {
+          // Keep the default message
+        }
+      }
+      toast.error(message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const openImportModal = () => {
+    setImportFile(null);
+    setImportDepartment(selectedDepartment);
+    setImportOnConflict('overwrite');
+    setImportReport(null);
+    setShowImportModal(true);
+  };
+
+  // Dry run first (conflict report), then import with the same file and options
+  const handleImportWorkflow = async (dryRun) => {
+    if (!importFile) {
+      toast.error('Please choose a workflow bundle file');
+      return;
+    }
+
+    try {
+      setImporting(true);
+      const formData = new FormData();
+      formData.append('bundle', importFile);
+      formData.append('department', importDepartment);
+      formData.append('onConflict', importOnConflict);
+      formData.append('dryRun', dryRun ? 'true' : 'false');
+
+      const response = await configApi.importWorkflow(formData);
+      const report = response.data.data;
+
+      if (dryRun) {
+        setImportReport(report);
+        return;
+      }
+
+      toast.success(response.data.message || 'Workflow imported');
+      setShowImportModal(false);
+      setImportReport(null);
+      if (report.department === selectedDepartment) {
+        fetchDepartmentSteps();
+      } else {
+        await fetchDepartments();
+        setSelectedDepartment(report.department);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to import workflow');
+    } finally {
+      setImporting(false);
+    }
+  };
+
   const handleInitDefaultSteps = async () => {
     if (!selectedDepartment) {
       toast.error('Please select a department first');
@@ -113,15 +311,39 @@ const Steps = () => {
       type: 'MANUAL',
       icon: '📋',
       emailTemplateId: '',
+      senderIdentityId: '',
+      documentIds: [],
       scheduledTime: '',
       dueDateOffset: 0,
-      schedulingMethod: 'doj' // Default to DOJ-based scheduling
+      schedulingMethod: 'doj', // Default to DOJ-based scheduling
+      anchorStepId: '',
+      anchorOffset: 24,
+      anchorOffsetUnit: 'hours',
+      conditions: emptyConditions(),
+      prerequisiteStepIds: []
     });
+    setTemplateLint(null);
     setShowStepModal(true);
   };
 
+  // Render the template for a candidate in this department and list placeholders that won't be filled
+  // Returns the lint result (null if it couldn't be checked)
+  const lintTemplate = async (templateId) => {
+    setTemplateLint(null);
+    if (!templateId) return null;
+    try {
+      const response = await templateApi.lint(templateId, { department: selectedDepartment });
+      setTemplateLint(response.data.data);
+      return response.data.data;
+    } catch (error) {
+      console.error('Failed to check template placeholders:', error);
+      return null;
+    }
+  };
+
   const handleEditStep = (step) => {
     setEditingStep(step);
+    setTemplateLint(null);
     // Determine scheduling method based on step type
     let schedulingMethod = 'doj'; // Default
     if (step.type === 'OFFER_REMINDER') {
@@ -160,6 +382,10 @@ const Steps = () => {
     
     // Set the active time based on current scheduling method
     const activeScheduledTime = currentSchedulingMethod === 'offerLetter' ? scheduledTimeOfferLetter : scheduledTimeDoj;
+
+    // Show whole-day anchor offsets in days (stored as hours)
+    const anchorOffsetHours = step.anchorOffsetHours ?? 24;
+    const anchorInDays = anchorOffsetHours > 0 && anchorOffsetHours % 24 === 0;
     
     setStepForm({
       stepNumber: step.stepNumber,
@@ -168,15 +394,84 @@ const Steps = () => {
       type: step.type,
       icon: step.icon || '📋',
       emailTemplateId: step.emailTemplateId || '',
+      senderIdentityId: step.senderIdentityId || '',
+      documentIds: step.documentIds || [],
       scheduledTime: activeScheduledTime, // Active time for current method
       scheduledTimeDoj: scheduledTimeDoj, // Separate time for DOJ
       scheduledTimeOfferLetter: scheduledTimeOfferLetter, // Separate time for Offer Letter
       dueDateOffset: step.dueDateOffset !== undefined && step.dueDateOffset !== null ? step.dueDateOffset : 0,
-      schedulingMethod: currentSchedulingMethod
+      schedulingMethod: currentSchedulingMethod,
+      anchorStepId: step.anchorStepId || '',
+      anchorOffset: anchorInDays ? anchorOffsetHours / 24 : anchorOffsetHours,
+      anchorOffsetUnit: anchorInDays ? 'days' : 'hours',
+      conditions: step.conditions && step.conditions.rules
+        ? { mode: step.conditions.mode || 'only_if', match: step.conditions.match || 'all', rules: step.conditions.rules }
+        : emptyConditions(),
+      prerequisiteStepIds: step.prerequisiteStepIds || []
     });
     setShowStepModal(true);
   };
 
+  // Condition rule helpers for the step modal
+  const updateConditions = (changes) => {
+    setStepForm({ ...stepForm, conditions: { ...stepForm.conditions, ...changes } });
+  };
+
+  const handleAddConditionRule = () => {
+    updateConditions({
+      rules: [...stepForm.conditions.rules, { field: 'position', operator: 'contains', value: '' }]
+    });
+  };
+
+  const handleUpdateConditionRule = (index, changes) => {
+    updateConditions({
+      rules: stepForm.conditions.rules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule))
+    });
+  };
+
+  const handleRemoveConditionRule = (index) => {
+    updateConditions({
+      rules: stepForm.conditions.rules.filter((_, i) => i !== index)
+    });
+  };
+
+  // Helper to get step numbers for prerequisite IDs (e.g. "Step 4, 6")
+  const getPrerequisiteStepNumbers = (prerequisiteStepIds) => {
+    return (prerequisiteStepIds || [])
+      .map(prereqId => departmentSteps.find(s => s.id === prereqId)?.stepNumber)
+      .filter(stepNumber => stepNumber !== undefined)
+      .sort((a, b) => a - b);
+  };
+
+  // Describe a 'step'-scheduled offset, e.g. "24 hours" or "2 days"
+  const formatAnchorOffset = (hours) => {
+    const value = hours || 0;
+    if (value > 0 && value % 24 === 0) {
+      return `${value / 24} day${value === 24 ? '' : 's'}`;
+    }
+    return `${value} hour${value === 1 ? '' : 's'}`;
+  };
+
+  const handleToggleDocument = (documentId) => {
+    const current = stepForm.documentIds || [];
+    setStepForm({
+      ...stepForm,
+      documentIds: current.includes(documentId)
+        ? current.filter(existingId => existingId !== documentId)
+        : [...current, documentId]
+    });
+  };
+
+  const handleTogglePrerequisite = (prereqId) => {
+    const current = stepForm.prerequisiteStepIds || [];
+    setStepForm({
+      ...stepForm,
+      prerequisiteStepIds: current.includes(prereqId)
+        ? current.filter(existingId => existingId !== prereqId)
+        : [...current, prereqId]
+    });
+  };
+
   const handleSaveStep = async (e) => {
     e.preventDefault();
     
@@ -186,11 +481,50 @@ const Steps = () => {
       return;
     }
     
+    // Warn before linking a template whose placeholders won't all be filled
+    // (lint it now if the check started on select hasn't come back yet)
+    const linkingNewTemplate = stepForm.emailTemplateId !== (editingStep?.emailTemplateId || '');
+    const lint = linkingNewTemplate && (templateLint?.templateId === stepForm.emailTemplateId
+      ? templateLint
+      : await lintTemplate(stepForm.emailTemplateId));
+    if (lint && (lint.unresolved.length > 0 || lint.empty.length > 0 || lint.syntaxErrors.length > 0)) {
+      const problems = [
+        ...lint.syntaxErrors.map(error => `syntax error: ${error.message}`),
+        ...lint.unresolved.map(name => `{{${name}}} is unresolved`),
+        ...lint.empty.map(name => `{{${name}}} renders empty`)
+      ];
+      if (!window.confirm(`This template has problems when rendered for ${lint.renderedFor}:\n\n• ${problems.join('\n• ')}\n\nLink it to this step anyway?`)) {
+        return;
+      }
+    }
+    
     // Validate: If scheduling method is not manual, scheduledTime is required
-    if (stepForm.schedulingMethod !== 'manual' && !stepForm.scheduledTime) {
+    if (stepForm.schedulingMethod !== 'manual' && stepForm.schedulingMethod !== 'step' && !stepForm.scheduledTime) {
       toast.error('Please set a default scheduled time for this step');
       return;
     }
+
+    // Validate: Steps scheduled after another step need an anchor step and a time after it
+    if (stepForm.schedulingMethod === 'step') {
+      if (!stepForm.anchorStepId) {
+        toast.error('Please choose the step this step runs after');
+        return;
+      }
+      if (stepForm.anchorOffset === '' || isNaN(stepForm.anchorOffset) || parseInt(stepForm.anchorOffset) < 0) {
+        toast.error('Please enter how long after that step this step should run');
+        return;
+      }
+    }
+    
+    // Validate: Every condition rule needs a field (and a value unless it's an empty check)
+    const invalidRule = (stepForm.conditions?.rules || []).find(rule =>
+      !rule.field || rule.field.endsWith('.') ||
+      (!['is_empty', 'is_not_empty'].includes(rule.operator) && (rule.value === undefined || String(rule.value).trim() === ''))
+    );
+    if (invalidRule) {
+      toast.error('Please complete all condition rules (field and value) or remove them');
+      return;
+    }
     
     // Prepare data to send - send separate times for each scheduling method
     // IMPORTANT: Explicitly exclude isAuto from stepForm - backend will auto-detect it
@@ -204,6 +538,8 @@ const Steps = () => {
       type: stepForm.type,
       icon: stepForm.icon,
       emailTemplateId: stepForm.emailTemplateId,
+      senderIdentityId: stepForm.senderIdentityId || null,
+      documentIds: stepForm.documentIds || [],
       department: selectedDepartment,
       // Send separate times for each method
       scheduledTimeDoj: (stepForm.scheduledTimeDoj && stepForm.scheduledTimeDoj.trim() !== '') 
@@ -213,13 +549,24 @@ const Steps = () => {
         ? stepForm.scheduledTimeOfferLetter.trim() 
         : null,
       // Keep scheduledTime for backward compatibility (set to active method's time)
-      scheduledTime: stepForm.schedulingMethod === 'manual' 
+      scheduledTime: stepForm.schedulingMethod === 'manual' || stepForm.schedulingMethod === 'step'
         ? null 
         : (stepForm.scheduledTime && stepForm.scheduledTime.trim() !== '' ? stepForm.scheduledTime.trim() : null),
       // Only send dueDateOffset if scheduling method is not manual
-      dueDateOffset: stepForm.schedulingMethod === 'manual' ? null : (stepForm.dueDateOffset !== undefined ? stepForm.dueDateOffset : 0),
+      dueDateOffset: stepForm.schedulingMethod === 'manual' || stepForm.schedulingMethod === 'step' ? null : (stepForm.dueDateOffset !== undefined ? stepForm.dueDateOffset : 0),
       // Always send schedulingMethod
-      schedulingMethod: stepForm.schedulingMethod || 'doj'
+      schedulingMethod: stepForm.schedulingMethod || 'doj',
+      // Relative scheduling - anchor step and offset in hours (cleared for other methods)
+      anchorStepId: stepForm.schedulingMethod === 'step' ? stepForm.anchorStepId : null,
+      anchorOffsetHours: stepForm.schedulingMethod === 'step'
+        ? parseInt(stepForm.anchorOffset) * (stepForm.anchorOffsetUnit === 'days' ? 24 : 1)
+        : null,
+      // Conditional branching - null clears conditions so the step always runs
+      conditions: stepForm.conditions?.rules?.length > 0 ? stepForm.conditions : null,
+      // Only keep prerequisites that are still earlier than this step
+      prerequisiteStepIds: (stepForm.prerequisiteStepIds || []).filter(prereqId =>
+        departmentSteps.some(s => s.id === prereqId && s.stepNumber < stepForm.stepNumber)
+      )
       // NOTE: isAuto is explicitly NOT included - backend will auto-detect it from scheduling config
     };
     
@@ -341,6 +688,34 @@ const Steps = () => {
                   Initialize Default Steps
                 </button>
               )}
+              {departmentSteps.length > 0 && (
+                <>
+                  <button
+                    onClick={() => handleExportWorkflow('json')}
+                    className="btn btn-secondary"
+                    disabled={exporting}
+                    title="Download steps, linked email templates, custom placeholders and training plans"
+                  >
+                    ⬇️ Export JSON
+                  </button>
+                  <button
+                    onClick={() => handleExportWorkflow('yaml')}
+                    className="btn btn-secondary"
+                    disabled={exporting}
+                  >
+                    ⬇️ Export YAML
+                  </button>
+                </>
+              )}
+              {isAdmin && (
+                <button
+                  onClick={openImportModal}
+                  className="btn btn-secondary"
+                  disabled={loading}
+                >
+                  ⬆️ Import
+                </button>
+              )}
               <button
                 onClick={handleCreateStep}
                 className="btn btn-primary"
@@ -393,6 +768,81 @@ const Steps = () => {
             )}
           </div>
 
+          {/* Workflow Versions - candidates are pinned to the version active when they were created */}
+          {departmentSteps.length > 0 && workflowVersions && (
+            <div className="mb-4">
+              {(() => {
+                const latest = workflowVersions.versions[0];
+                const diff = workflowVersions.draftDiff;
+                return (
+                  <>
+                    <div className="flex items-center justify-between flex-wrap gap-2 p-3 bg-gray-50 border rounded-lg">
+                      <div className="text-sm text-gray-700">
+                        {latest ? (
+                          <>
+                            📦 Published: <span className="font-semibold">v{latest.version}</span>
+                            <span className="text-gray-500"> · {new Date(latest.publishedAt).toLocaleString()}</span>
+                            <span className="text-gray-500"> · {latest.candidateCount} candidate(s) pinned</span>
+                          </>
+                        ) : (
+                          <span className="text-gray-500">📦 Not published yet - v1 is published automatically when the first candidate is added</span>
+                        )}
+                        {workflowVersions.unpinnedCandidates > 0 && (
+                          <span className="text-gray-500"> · {workflowVersions.unpinnedCandidates} candidate(s) on live steps</span>
+                        )}
+                      </div>
+                      <div className="flex items-center space-x-2">
+                        {workflowVersions.versions.length > 0 && (
+                          <button
+                            onClick={() => setShowVersionHistory(!showVersionHistory)}
+                            className="btn btn-secondary text-sm"
+                          >
+                            {showVersionHistory ? 'Hide History' : `History (${workflowVersions.versions.length})`}
+                          </button>
+                        )}
+                        {isAdmin && (
+                          <button
+                            onClick={() => setShowPublishModal(true)}
+                            className="btn btn-primary text-sm"
+                            disabled={publishing || (latest && !workflowVersions.hasUnpublishedChanges)}
+                            title={latest && !workflowVersions.hasUnpublishedChanges ? 'No changes since the last published version' : ''}
+                          >
+                            Publish v{latest ? latest.version + 1 : 1}
+                          </button>
+                        )}
+                      </div>
+                    </div>
+
+                    {latest && workflowVersions.hasUnpublishedChanges && (
+                      <div className="mt-2 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+                        ✏️ Unpublished changes since v{latest.version}: {diff.added.length} added, {diff.removed.length} removed, {diff.changed.length} changed.
+                        {' '}Candidates already onboarding keep their pinned version - publish to use these steps for new candidates.
+                      </div>
+                    )}
+
+                    {showVersionHistory && (
+                      <div className="mt-2 border rounded-lg divide-y">
+                        {workflowVersions.versions.map((version) => (
+                          <div key={version.id} className="p-3 text-sm flex items-start justify-between">
+                            <div>
+                              <span className="font-semibold">v{version.version}</span>
+                              <span className="text-gray-500"> · {version.stepCount} step(s) · {new Date(version.publishedAt).toLocaleString()}</span>
+                              {version.publishedBy && (
+                                <span className="text-gray-500"> · by {version.publishedBy.name || version.publishedBy.email}</span>
+                              )}
+                              {version.notes && <p className="text-gray-600 mt-1">{version.notes}</p>}
+                            </div>
+                            <span className="badge badge-gray">{version.candidateCount} candidate(s)</span>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </>
+                );
+              })()}
+            </div>
+          )}
+
           {departmentSteps.length === 0 ? (
             <div className="text-center py-8">
               <p className="text-gray-500 mb-4">No steps configured for {selectedDepartment} department</p>
@@ -442,10 +892,23 @@ const Steps = () => {
                             AUTO
                           </span>
                         )}
+                        {step.conditions?.rules?.length > 0 && (
+                          <span className="text-xs bg-purple-100 text-purple-700 px-2 py-0.5 rounded font-semibold">
+                            🔀 CONDITIONAL
+                          </span>
+                        )}
+                        {getPrerequisiteStepNumbers(step.prerequisiteStepIds).length > 0 && (
+                          <span className="text-xs bg-yellow-100 text-yellow-800 px-2 py-0.5 rounded font-semibold">
+                            ⏳ Waits on Step {getPrerequisiteStepNumbers(step.prerequisiteStepIds).join(', ')}
+                          </span>
+                        )}
                       </div>
                       {step.description && (
                         <p className="text-sm text-gray-600 mt-1">{step.description}</p>
                       )}
+                      {step.conditions?.rules?.length > 0 && (
+                        <p className="text-xs text-purple-700 mt-1">🔀 {describeConditions(step.conditions)}</p>
+                      )}
                       {step.scheduledTime && step.dueDateOffset !== undefined && step.schedulingMethod !== 'manual' && (
                         <div className="mt-2 bg-blue-50 p-2 rounded-md border border-blue-200">
                           <div className="flex items-center space-x-2 flex-wrap mb-1">
@@ -475,6 +938,29 @@ const Steps = () => {
                           </p>
                         </div>
                       )}
+                      {step.schedulingMethod === 'step' && (() => {
+                        const anchorStep = departmentSteps.find(s => s.id === step.anchorStepId);
+                        return (
+                          <div className="mt-2 bg-blue-50 p-2 rounded-md border border-blue-200">
+                            <div className="flex items-center space-x-2 flex-wrap mb-1">
+                              <span className="text-xs font-semibold text-gray-700">Scheduled:</span>
+                              <span className="text-sm bg-blue-100 text-blue-700 px-3 py-1 rounded-md font-medium">
+                                ⏱️ {formatAnchorOffset(step.anchorOffsetHours)} after {anchorStep ? `Step ${anchorStep.stepNumber}` : 'a removed step'}
+                              </span>
+                              <button
+                                onClick={() => handleEditStep(step)}
+                                className="text-xs text-indigo-600 hover:text-indigo-800 underline"
+                                title="Click Edit to change the anchor step or offset"
+                              >
+                                (Edit)
+                              </button>
+                            </div>
+                            <p className="text-xs text-gray-600 mt-1">
+                              <strong>How it works:</strong> For each candidate, this step is scheduled <strong>{formatAnchorOffset(step.anchorOffsetHours)}</strong> after {anchorStep ? <>Step {anchorStep.stepNumber} (<strong>{anchorStep.title}</strong>)</> : 'the anchor step'} is completed, and moves if that step is completed again.
+                            </p>
+                          </div>
+                        );
+                      })()}
                       {step.scheduledTime && step.dueDateOffset === undefined && (
                         <div className="mt-2 flex items-center space-x-2">
                           <span className="text-xs font-semibold text-gray-700">Default Scheduled Time:</span>
@@ -520,6 +1006,180 @@ const Steps = () => {
         </div>
       )}
 
+      {/* Import Workflow Modal */}
+      {showImportModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+            <h2 className="text-xl font-bold mb-2">Import Workflow</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              Upload a JSON or YAML bundle exported from the Steps page (this or another deployment). Run a dry run first to see what will change.
+            </p>
+            <div className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Bundle File *</label>
+                <input
+                  type="file"
+                  accept=".json,.yaml,.yml"
+                  onChange={(e) => {
+                    setImportFile(e.target.files[0] || null);
+                    setImportReport(null);
+                  }}
+                  className="input"
+                />
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Target Department</label>
+                  <select
+                    value={importDepartment}
+                    onChange={(e) => {
+                      setImportDepartment(e.target.value);
+                      setImportReport(null);
+                    }}
+                    className="input"
+                  >
+                    <option value="">Same as in the bundle</option>
+                    {departments.map((dept) => (
+                      <option key={dept} value={dept}>{dept}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">When a record already exists and differs</label>
+                  <select
+                    value={importOnConflict}
+                    onChange={(e) => {
+                      setImportOnConflict(e.target.value);
+                      setImportReport(null);
+                    }}
+                    className="input"
+                  >
+                    <option value="overwrite">Overwrite with the bundle</option>
+                    <option value="skip">Keep the existing record</option>
+                  </select>
+                </div>
+              </div>
+
+              {importReport && (
+                <div className="border rounded-lg p-3">
+                  <p className="text-sm font-medium mb-2">
+                    Dry run for {importReport.department}: {importReport.summary.created} to create, {importReport.summary.updated} to update, {importReport.summary.unchanged} unchanged, {importReport.summary.skipped} skipped
+                    {importReport.summary.conflicts > 0 && (
+                      <span className="text-yellow-700"> · {importReport.summary.conflicts} conflict(s)</span>
+                    )}
+                  </p>
+                  {importReport.warnings.map((warning, index) => (
+                    <p key={index} className="text-xs text-yellow-800 bg-yellow-50 border border-yellow-200 rounded p-2 mb-2">⚠️ {warning}</p>
+                  ))}
+                  {[
+                    { key: 'steps', label: 'Steps', getName: (r) => `Step ${r.stepNumber}: ${r.title}` },
+                    { key: 'emailTemplates', label: 'Email Templates', getName: (r) => r.name },
+                    { key: 'customPlaceholders', label: 'Custom Placeholders', getName: (r) => `{{${r.placeholderKey}}}` },
+                    { key: 'trainingPlans', label: 'Training Plans', getName: (r) => r.name }
+                  ].filter(group => importReport[group.key].length > 0).map((group) => (
+                    <div key={group.key} className="mt-2">
+                      <p className="text-xs font-semibold text-gray-500 uppercase mb-1">{group.label}</p>
+                      <div className="space-y-1">
+                        {importReport[group.key].map((record, index) => (
+                          <div key={index} className="flex items-start justify-between text-sm">
+                            <span className="text-gray-700">
+                              {group.getName(record)}
+                              {record.differences.length > 0 && (
+                                <span className="text-xs text-gray-500"> ({record.differences.join(', ')})</span>
+                              )}
+                            </span>
+                            <span className={`badge ml-2 ${
+                              record.action === 'create' ? 'bg-green-100 text-green-800' :
+                              record.action === 'update' ? 'bg-yellow-100 text-yellow-800' :
+                              record.action === 'skip' ? 'bg-red-100 text-red-800' :
+                              'badge-gray'
+                            }`}>
+                              {record.action === 'skip' ? 'conflict - kept' : record.action}
+                            </span>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+            <div className="flex justify-end space-x-3 mt-6">
+              <button
+                type="button"
+                onClick={() => setShowImportModal(false)}
+                className="btn btn-secondary"
+                disabled={importing}
+              >
+                Cancel
+              </button>
+              <button
+                type="button"
+                onClick={() => handleImportWorkflow(true)}
+                className="btn btn-secondary"
+                disabled={importing || !importFile}
+              >
+                {importing && !importReport ? 'Checking...' : 'Dry Run'}
+              </button>
+              <button
+                type="button"
+                onClick={() => handleImportWorkflow(false)}
+                className="btn btn-primary"
+                disabled={importing || !importReport}
+                title={!importReport ? 'Run a dry run first' : ''}
+              >
+                {importing && importReport ? 'Importing...' : 'Import'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Publish Version Modal */}
+      {showPublishModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-lg">
+            <h2 className="text-xl font-bold mb-2">
+              Publish {selectedDepartment} Workflow
+            </h2>
+            <p className="text-sm text-gray-600 mb-4">
+              New candidates will follow the current {departmentSteps.length} step(s). Candidates already onboarding stay on their version until an admin migrates them from their profile.
+            </p>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              What changed? (Optional)
+            </label>
+            <textarea
+              value={publishNotes}
+              onChange={(e) => setPublishNotes(e.target.value)}
+              className="input"
+              rows={3}
+              placeholder="e.g., Added Sales Induction for Manager roles"
+            />
+            <div className="flex justify-end space-x-3 mt-6">
+              <button
+                type="button"
+                onClick={() => {
+                  setShowPublishModal(false);
+                  setPublishNotes('');
+                }}
+                className="btn btn-secondary"
+                disabled={publishing}
+              >
+                Cancel
+              </button>
+              <button
+                type="button"
+                onClick={handlePublishVersion}
+                className="btn btn-primary"
+                disabled={publishing}
+              >
+                {publishing ? 'Publishing...' : 'Publish'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Step Modal */}
       {showStepModal && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -639,6 +1299,17 @@ const Steps = () => {
                         />
                         <span className="text-sm">Based on Offer Letter Date</span>
                       </label>
+                      <label className="flex items-center cursor-pointer">
+                        <input
+                          type="radio"
+                          name="schedulingMethod"
+                          value="step"
+                          checked={stepForm.schedulingMethod === 'step'}
+                          onChange={(e) => setStepForm({ ...stepForm, schedulingMethod: e.target.value })}
+                          className="mr-2"
+                        />
+                        <span className="text-sm">After Another Step</span>
+                      </label>
                       <label className="flex items-center cursor-pointer">
                         <input
                           type="radio"
@@ -652,7 +1323,7 @@ const Steps = () => {
                       </label>
                     </div>
                     <p className="text-xs text-gray-500 mt-1">
-                      How this step should be scheduled by default. "Based on DOJ" calculates from candidate's joining date. "Based on Offer Letter Date" calculates from when Step 1 (Offer Letter) is sent/scheduled. "Manual" requires HR to set exact date/time each time.
+                      How this step should be scheduled by default. "Based on DOJ" calculates from candidate's joining date. "Based on Offer Letter Date" calculates from when Step 1 (Offer Letter) is sent/scheduled. "After Another Step" runs a set number of hours or days after an earlier step is completed (e.g. reminders). "Manual" requires HR to set exact date/time each time.
                     </p>
                   </div>
 
@@ -720,6 +1391,52 @@ const Steps = () => {
                     </>
                   )}
 
+                  {/* Show anchor step and offset for relative scheduling */}
+                  {stepForm.schedulingMethod === 'step' && (
+                    <div className="mb-4">
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Run After *
+                      </label>
+                      <div className="flex items-center space-x-2 flex-wrap">
+                        <input
+                          type="number"
+                          min="0"
+                          value={stepForm.anchorOffset}
+                          onChange={(e) => setStepForm({ ...stepForm, anchorOffset: e.target.value === '' ? '' : parseInt(e.target.value) })}
+                          className="input w-24"
+                        />
+                        <select
+                          value={stepForm.anchorOffsetUnit}
+                          onChange={(e) => setStepForm({ ...stepForm, anchorOffsetUnit: e.target.value })}
+                          className="input w-auto"
+                        >
+                          <option value="hours">hours</option>
+                          <option value="days">days</option>
+                        </select>
+                        <span className="text-sm text-gray-600">after</span>
+                        <select
+                          value={stepForm.anchorStepId}
+                          onChange={(e) => setStepForm({ ...stepForm, anchorStepId: e.target.value })}
+                          className="input w-auto"
+                        >
+                          <option value="">Select an earlier step...</option>
+                          {departmentSteps
+                            .filter(s => s.stepNumber < stepForm.stepNumber && s.id !== editingStep?.id)
+                            .sort((a, b) => a.stepNumber - b.stepNumber)
+                            .map((anchorStep) => (
+                              <option key={anchorStep.id} value={anchorStep.id}>
+                                Step {anchorStep.stepNumber}: {anchorStep.title}
+                              </option>
+                            ))}
+                        </select>
+                        <span className="text-sm text-gray-600">is completed</span>
+                      </div>
+                      <p className="text-xs text-gray-500 mt-1">
+                        The calendar event is created when the selected step is completed (or skipped) for a candidate, and moved if that step is completed again. Events HR rescheduled by hand are not moved.
+                      </p>
+                    </div>
+                  )}
+
                   {/* Show message for manual mode */}
                   {stepForm.schedulingMethod === 'manual' && (
                     <div className="bg-yellow-50 border border-yellow-200 rounded-md p-3">
@@ -749,6 +1466,7 @@ const Steps = () => {
                           emailTemplateId: e.target.value || '',
                           emailTemplateType: '' // Clear type when template is selected
                         });
+                        lintTemplate(e.target.value);
                       }}
                       className="input"
                       required
@@ -765,6 +1483,21 @@ const Steps = () => {
                     <p className="text-xs text-gray-500 mt-1">
                       <strong>Required:</strong> Every step must have an email template. Create templates in the Templates page if needed.
                     </p>
+                    {templateLint && templateLint.templateId === stepForm.emailTemplateId &&
+                      (templateLint.unresolved.length > 0 || templateLint.empty.length > 0 || templateLint.syntaxErrors.length > 0) && (
+                      <div className="mt-2 p-2 bg-yellow-50 border border-yellow-200 rounded text-xs text-yellow-800 space-y-1">
+                        <p className="font-medium">⚠️ Rendered for {templateLint.renderedFor}:</p>
+                        {templateLint.syntaxErrors.map((error, idx) => (
+                          <p key={idx}>• Syntax error: {error.message}</p>
+                        ))}
+                        {templateLint.unresolved.length > 0 && (
+                          <p>• Unresolved: {templateLint.unresolved.map(name => `{{${name}}}`).join(', ')}</p>
+                        )}
+                        {templateLint.empty.length > 0 && (
+                          <p>• Empty: {templateLint.empty.map(name => `{{${name}}}`).join(', ')}</p>
+                        )}
+                      </div>
+                    )}
                     {emailTemplates.filter(t => t.isActive).length === 0 && (
                       <p className="text-xs text-red-600 mt-1">
                         ⚠️ No active templates found. Please create templates in the Templates page first.
@@ -772,6 +1505,189 @@ const Steps = () => {
                     )}
                   </div>
                 </div>
+
+                {/* Sender - OPTIONAL */}
+                <div className="border-t pt-4 mt-4">
+                  <h3 className="text-sm font-semibold text-gray-700 mb-3">🪪 Sender (Optional)</h3>
+                  <select
+                    value={stepForm.senderIdentityId || ''}
+                    onChange={(e) => setStepForm({ ...stepForm, senderIdentityId: e.target.value })}
+                    className="input"
+                  >
+                    <option value="">
+                      Department default ({departmentSender ? `${departmentSender.name} <${departmentSender.email}>` : 'HR email'})
+                    </option>
+                    {senderIdentities
+                      .filter(identity => identity.isActive || identity.id === stepForm.senderIdentityId)
+                      .map((identity) => (
+                        <option key={identity.id} value={identity.id}>
+                          {identity.name} &lt;{identity.email}&gt;
+                        </option>
+                      ))}
+                  </select>
+                  <p className="text-xs text-gray-500 mt-1">
+                    From / Reply-To for this step's email. Manage identities in Settings &gt; Sender Identities.
+                  </p>
+                </div>
+
+                {/* Attachments - OPTIONAL */}
+                <div className="border-t pt-4 mt-4">
+                  <h3 className="text-sm font-semibold text-gray-700 mb-3">📎 Attachments (Optional)</h3>
+                  <p className="text-xs text-gray-500 mb-3">
+                    Library documents sent with this step's email (latest version), on top of the ones its template attaches.
+                  </p>
+                  {documents.filter(d => d.isActive || (stepForm.documentIds || []).includes(d.id)).length === 0 ? (
+                    <p className="text-xs text-gray-400 italic">No documents yet - upload them on the Documents page.</p>
+                  ) : (
+                    <div className="space-y-1">
+                      {documents
+                        .filter(d => d.isActive || (stepForm.documentIds || []).includes(d.id))
+                        .map((libraryDocument) => (
+                          <label key={libraryDocument.id} className="flex items-center cursor-pointer">
+                            <input
+                              type="checkbox"
+                              checked={(stepForm.documentIds || []).includes(libraryDocument.id)}
+                              onChange={() => handleToggleDocument(libraryDocument.id)}
+                              className="mr-2"
+                            />
+                            <span className="text-sm">
+                              {libraryDocument.name}
+                              {libraryDocument.latestVersion && <span className="text-xs text-gray-500"> · v{libraryDocument.latestVersion.version} {libraryDocument.latestVersion.fileName}</span>}
+                              {!libraryDocument.isActive && <span className="text-xs text-gray-400"> (archived - not attached)</span>}
+                            </span>
+                          </label>
+                        ))}
+                    </div>
+                  )}
+                </div>
+
+                {/* Prerequisites - OPTIONAL */}
+                <div className="border-t pt-4 mt-4">
+                  <h3 className="text-sm font-semibold text-gray-700 mb-3">⏳ Prerequisites (Optional)</h3>
+                  <p className="text-xs text-gray-500 mb-3">
+                    This step won't fire until the selected earlier steps are completed for the candidate. If its scheduled time passes first, it is held and sent automatically once the prerequisites are done.
+                  </p>
+                  {departmentSteps.filter(s => s.stepNumber < stepForm.stepNumber && s.id !== editingStep?.id).length === 0 ? (
+                    <p className="text-xs text-gray-400 italic">No earlier steps to depend on.</p>
+                  ) : (
+                    <div className="space-y-1">
+                      {departmentSteps
+                        .filter(s => s.stepNumber < stepForm.stepNumber && s.id !== editingStep?.id)
+                        .sort((a, b) => a.stepNumber - b.stepNumber)
+                        .map((prereqStep) => (
+                          <label key={prereqStep.id} className="flex items-center cursor-pointer">
+                            <input
+                              type="checkbox"
+                              checked={(stepForm.prerequisiteStepIds || []).includes(prereqStep.id)}
+                              onChange={() => handleTogglePrerequisite(prereqStep.id)}
+                              className="mr-2"
+                            />
+                            <span className="text-sm">
+                              {prereqStep.icon || '📋'} Step {prereqStep.stepNumber}: {prereqStep.title}
+                            </span>
+                          </label>
+                        ))}
+                    </div>
+                  )}
+                </div>
+
+                {/* Conditional Branching - OPTIONAL */}
+                <div className="border-t pt-4 mt-4">
+                  <h3 className="text-sm font-semibold text-gray-700 mb-3">🔀 Conditions (Optional)</h3>
+                  <p className="text-xs text-gray-500 mb-3">
+                    Run this step only for some candidates instead of copying the whole department. Steps whose conditions aren't met are marked as Skipped for that candidate. Leave empty to always run this step.
+                  </p>
+
+                  {stepForm.conditions.rules.length > 0 && (
+                    <div className="flex items-center space-x-2 mb-3 flex-wrap">
+                      <select
+                        value={stepForm.conditions.mode}
+                        onChange={(e) => updateConditions({ mode: e.target.value })}
+                        className="input w-auto"
+                      >
+                        <option value="only_if">Only run if</option>
+                        <option value="skip_if">Skip if</option>
+                      </select>
+                      <select
+                        value={stepForm.conditions.match}
+                        onChange={(e) => updateConditions({ match: e.target.value })}
+                        className="input w-auto"
+                      >
+                        <option value="all">all rules match</option>
+                        <option value="any">any rule matches</option>
+                      </select>
+                    </div>
+                  )}
+
+                  <div className="space-y-2">
+                    {stepForm.conditions.rules.map((rule, index) => {
+                      const isCustomField = rule.field.startsWith('customFields.');
+                      const fieldOption = isCustomField ? 'customFields.' : rule.field;
+                      return (
+                        <div key={index} className="flex items-center space-x-2">
+                          <select
+                            value={fieldOption}
+                            onChange={(e) => handleUpdateConditionRule(index, { field: e.target.value })}
+                            className="input w-auto"
+                          >
+                            {CONDITION_FIELDS.map(field => (
+                              <option key={field.value} value={field.value}>{field.label}</option>
+                            ))}
+                          </select>
+                          {isCustomField && (
+                            <input
+                              type="text"
+                              value={rule.field.replace('customFields.', '')}
+                              onChange={(e) => handleUpdateConditionRule(index, { field: `customFields.${e.target.value}` })}
+                              className="input w-32"
+                              placeholder="location"
+                            />
+                          )}
+                          <select
+                            value={rule.operator}
+                            onChange={(e) => handleUpdateConditionRule(index, { operator: e.target.value })}
+                            className="input w-auto"
+                          >
+                            {CONDITION_OPERATORS.map(operator => (
+                              <option key={operator.value} value={operator.value}>{operator.label}</option>
+                            ))}
+                          </select>
+                          {!['is_empty', 'is_not_empty'].includes(rule.operator) && (
+                            <input
+                              type="text"
+                              value={rule.value ?? ''}
+                              onChange={(e) => handleUpdateConditionRule(index, { value: e.target.value })}
+                              className="input flex-1"
+                              placeholder={rule.field === 'daysToSignOffer' ? '2' : 'Manager'}
+                            />
+                          )}
+                          <button
+                            type="button"
+                            onClick={() => handleRemoveConditionRule(index)}
+                            className="text-red-600 hover:text-red-700 text-sm"
+                            title="Remove rule"
+                          >
+                            ✕
+                          </button>
+                        </div>
+                      );
+                    })}
+                  </div>
+
+                  <button
+                    type="button"
+                    onClick={handleAddConditionRule}
+                    className="text-sm text-indigo-600 hover:text-indigo-800 mt-2"
+                  >
+                    + Add Condition
+                  </button>
+
+                  {stepForm.conditions.rules.length > 0 && (
+                    <p className="text-xs text-purple-700 mt-2">
+                      🔀 {describeConditions(stepForm.conditions)}
+                    </p>
+                  )}
+                </div>
               </div>
 
               <div className="flex justify-end space-x-3 mt-6">
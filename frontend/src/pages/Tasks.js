@@ -108,8 +108,12 @@ const Tasks = () => {
 
   const handleSnooze = async (id) => {
     try {
-      await taskApi.snooze(id, { hours: 24 });
-      toast.success('Task snoozed for 24 hours');
+      const response = await taskApi.snooze(id, { hours: 24 });
+      // Snoozes that land on a weekend or holiday move to the next working day
+      const newDueDate = response.data?.data?.dueDate;
+      toast.success(newDueDate
+        ? `Task snoozed until ${new Date(newDueDate).toLocaleString('en-IN', { weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })}`
+        : 'Task snoozed for 24 hours');
       fetchData();
     } catch (error) {
       toast.error('Failed to snooze task');
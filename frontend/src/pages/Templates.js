@@ -1,14 +1,17 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { templateApi } from '../services/api';
+import { templateApi, candidateApi, documentApi } from '../services/api';
 import toast from 'react-hot-toast';
+import EmailBlockEditor from '../components/EmailBlockEditor';
 
 const Templates = () => {
   const [templates, setTemplates] = useState([]);
   const [loading, setLoading] = useState(true);
   const [selectedTemplate, setSelectedTemplate] = useState(null);
   const [isEditing, setIsEditing] = useState(false);
-  const [editData, setEditData] = useState({ name: '', subject: '', body: '' });
+  const [editData, setEditData] = useState({ name: '', subject: '', body: '', translations: {}, blocks: null, useLayout: true, trackingEnabled: true, documentIds: [] });
   const [previewData, setPreviewData] = useState(null);
+  const [previewCandidates, setPreviewCandidates] = useState([]); // Real candidates to preview against
+  const [previewCandidateId, setPreviewCandidateId] = useState('');
   const [showNewTemplateModal, setShowNewTemplateModal] = useState(false);
   const [newTemplate, setNewTemplate] = useState({
     name: '',
@@ -18,6 +21,22 @@ const Templates = () => {
     placeholders: [],
     customEmailType: ''
   });
+  // Revision history (diff + rollback)
+  const [revisions, setRevisions] = useState(null);
+  const [revisionDiff, setRevisionDiff] = useState(null);
+  const [rollingBack, setRollingBack] = useState(false);
+  const [syntaxErrors, setSyntaxErrors] = useState([]); // Template syntax errors returned on save
+  const [documents, setDocuments] = useState([]); // Document library - files attached to every email from the template
+  // Language variants ('' = the default language's subject/body)
+  const [languages, setLanguages] = useState([]);
+  const [defaultLanguage, setDefaultLanguage] = useState('en');
+  const [activeLocale, setActiveLocale] = useState('');
+  const [translationStatus, setTranslationStatus] = useState(null);
+  // Shared branded layout (header/footer wrapped around every email)
+  const [layout, setLayout] = useState(null);
+  const [layoutForm, setLayoutForm] = useState(null); // Layout settings modal (null = closed)
+  const [layoutPreview, setLayoutPreview] = useState(null);
+  const [previewTab, setPreviewTab] = useState('html'); // 'html' | 'text'
   const [availablePlaceholders, setAvailablePlaceholders] = useState([]);
   const [loadingPlaceholders, setLoadingPlaceholders] = useState(false);
   const bodyTextareaRef = useRef(null);
@@ -25,8 +44,162 @@ const Templates = () => {
   useEffect(() => {
     fetchTemplates();
     fetchPlaceholders();
+    fetchPreviewCandidates();
+    fetchLanguages();
+    fetchLayout();
+    fetchDocuments();
   }, []);
 
+  const fetchDocuments = async () => {
+    try {
+      const response = await documentApi.getAll({ includeInactive: true });
+      setDocuments(response.data.data || []);
+    } catch (error) {
+      console.error('Failed to fetch documents:', error);
+    }
+  };
+
+  const handleToggleDocument = (documentId) => {
+    const current = editData.documentIds || [];
+    setEditData({
+      ...editData,
+      documentIds: current.includes(documentId)
+        ? current.filter(existingId => existingId !== documentId)
+        : [...current, documentId]
+    });
+  };
+
+  const fetchLayout = async () => {
+    try {
+      const response = await templateApi.getLayout();
+      setLayout(response.data.data);
+    } catch (error) {
+      console.error('Failed to fetch email layout:', error);
+    }
+  };
+
+  const openLayoutSettings = () => {
+    if (!layout) return;
+    setLayoutForm({ enabled: layout.enabled, html: layout.html || '', footerText: layout.footerText || '' });
+    setLayoutPreview(null);
+  };
+
+  const handlePreviewLayout = async () => {
+    try {
+      const response = await templateApi.previewLayout({ html: layoutForm.html, footerText: layoutForm.footerText });
+      setLayoutPreview(response.data.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to preview layout');
+    }
+  };
+
+  const handleSaveLayout = async () => {
+    try {
+      await templateApi.updateLayout(layoutForm);
+      toast.success('Email layout saved');
+      setLayoutForm(null);
+      fetchLayout();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save layout');
+    }
+  };
+
+  // Visual editor <-> HTML editor (HTML bodies become a single HTML block, blocks are compiled to HTML)
+  const switchToVisualEditor = () => {
+    setEditData({
+      ...editData,
+      blocks: editData.body.trim() ? [{ id: `block-${Date.now()}`, type: 'html', html: editData.body }] : []
+    });
+  };
+
+  const switchToHtmlEditor = async () => {
+    if (!window.confirm('Switch to the HTML editor? The blocks are converted to HTML and can no longer be edited visually.')) {
+      return;
+    }
+    try {
+      const response = await templateApi.renderBlocks(editData.blocks);
+      setEditData({ ...editData, body: response.data.data.body, blocks: null });
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to convert blocks');
+    }
+  };
+
+  const fetchLanguages = async () => {
+    try {
+      const response = await templateApi.getLanguages();
+      setLanguages(response.data.data.languages || []);
+      setDefaultLanguage(response.data.data.defaultLanguage || 'en');
+    } catch (error) {
+      console.error('Failed to fetch languages:', error);
+    }
+  };
+
+  const fetchTranslationStatus = async (templateId) => {
+    try {
+      const response = await templateApi.getTranslationStatus(templateId);
+      setTranslationStatus(response.data.data);
+    } catch (error) {
+      console.error('Failed to fetch translation status:', error);
+      setTranslationStatus(null);
+    }
+  };
+
+  const getLanguageName = (code) => languages.find(l => l.code === code)?.name || code;
+
+  // Label for a syntax error field ("subject", "body", "translations.hi.body")
+  const getFieldLabel = (field) => {
+    const [, locale, part] = field.match(/^translations\.([^.]+)\.(subject|body)$/) || [];
+    if (locale) return `${getLanguageName(locale)} ${part}`;
+    return field === 'subject' ? 'Subject' : 'Body';
+  };
+
+  // Subject/body of the language tab being shown
+  const getLocaleContent = (source) => {
+    if (!activeLocale) return source;
+    return source.translations?.[activeLocale] || { subject: '', body: '' };
+  };
+
+  const updateLocaleContent = (changes) => {
+    if (!activeLocale) {
+      setEditData({ ...editData, ...changes });
+      return;
+    }
+    setEditData({
+      ...editData,
+      translations: {
+        ...editData.translations,
+        [activeLocale]: { ...getLocaleContent(editData), ...changes }
+      }
+    });
+  };
+
+  const handleAddLanguage = (code) => {
+    if (!code) return;
+    setEditData({
+      ...editData,
+      translations: { ...editData.translations, [code]: { subject: editData.subject, body: editData.body } }
+    });
+    setActiveLocale(code);
+  };
+
+  const handleRemoveLanguage = (code) => {
+    if (!window.confirm(`Remove the ${getLanguageName(code)} translation? Candidates who prefer it will get ${getLanguageName(defaultLanguage)} emails.`)) {
+      return;
+    }
+    const { [code]: removed, ...rest } = editData.translations;
+    setEditData({ ...editData, translations: rest });
+    setActiveLocale('');
+  };
+
+  const fetchPreviewCandidates = async () => {
+    try {
+      const response = await candidateApi.getAll({ limit: 100 });
+      setPreviewCandidates(response.data.data || []);
+    } catch (error) {
+      console.error('Failed to fetch candidates for preview:', error);
+    }
+  };
+
   const fetchPlaceholders = async () => {
     setLoadingPlaceholders(true);
     try {
@@ -58,32 +231,118 @@ const Templates = () => {
     setEditData({
       name: template.name,
       subject: template.subject,
-      body: template.body
+      body: template.body,
+      translations: template.translations || {},
+      blocks: template.blocks || null,
+      useLayout: template.useLayout !== false,
+      trackingEnabled: template.trackingEnabled !== false,
+      documentIds: template.documentIds || []
     });
     setIsEditing(false);
     setPreviewData(null);
+    setSyntaxErrors([]);
+    setActiveLocale('');
+    fetchTranslationStatus(template.id);
+  };
+
+  const handleCancelEdit = () => {
+    setEditData({
+      name: selectedTemplate.name,
+      subject: selectedTemplate.subject,
+      body: selectedTemplate.body,
+      translations: selectedTemplate.translations || {},
+      blocks: selectedTemplate.blocks || null,
+      useLayout: selectedTemplate.useLayout !== false,
+      trackingEnabled: selectedTemplate.trackingEnabled !== false,
+      documentIds: selectedTemplate.documentIds || []
+    });
+    setIsEditing(false);
+    setSyntaxErrors([]);
+    setActiveLocale('');
   };
 
   const handleSave = async () => {
     try {
-      await templateApi.update(selectedTemplate.id, editData);
+      const response = await templateApi.update(selectedTemplate.id, editData);
       toast.success('Template updated successfully');
       setIsEditing(false);
+      setSyntaxErrors([]);
+      setSelectedTemplate(response.data.data);
       fetchTemplates();
+      fetchTranslationStatus(selectedTemplate.id);
     } catch (error) {
-      toast.error('Failed to update template');
+      setSyntaxErrors(error.response?.data?.errors?.filter(e => e.field) || []);
+      toast.error(error.response?.data?.message || 'Failed to update template');
     }
   };
 
   const handlePreview = async () => {
     try {
-      const response = await templateApi.preview(selectedTemplate.id, {});
+      const response = await templateApi.preview(selectedTemplate.id, {
+        ...(previewCandidateId && { candidateId: previewCandidateId }),
+        ...(activeLocale && { locale: activeLocale })
+      });
       setPreviewData(response.data.data);
+      setPreviewTab('html');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to generate preview');
+    }
+  };
+
+  const handleShowHistory = async () => {
+    try {
+      const response = await templateApi.getRevisions(selectedTemplate.id);
+      setRevisions(response.data.data);
+      setRevisionDiff(null);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load revision history');
+    }
+  };
+
+  const handleShowDiff = async (revision, against) => {
+    try {
+      const response = await templateApi.diffRevision(selectedTemplate.id, revision.id, against ? { against } : {});
+      setRevisionDiff(response.data.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load diff');
+    }
+  };
+
+  const handleRollback = async (revision) => {
+    if (!window.confirm(`Roll "${selectedTemplate.name}" back to revision ${revision.revision}? The current content is kept in the history.`)) {
+      return;
+    }
+    try {
+      setRollingBack(true);
+      const response = await templateApi.rollback(selectedTemplate.id, revision.id);
+      toast.success(response.data.message || 'Template rolled back');
+      const updated = response.data.data.template;
+      setSelectedTemplate(updated);
+      setEditData({
+        name: updated.name,
+        subject: updated.subject,
+        body: updated.body,
+        translations: updated.translations || {},
+        blocks: updated.blocks || null,
+        useLayout: updated.useLayout !== false,
+        trackingEnabled: updated.trackingEnabled !== false,
+        documentIds: updated.documentIds || []
+      });
+      fetchTemplates();
+      fetchTranslationStatus(updated.id);
+      handleShowHistory();
     } catch (error) {
-      toast.error('Failed to generate preview');
+      toast.error(error.response?.data?.message || 'Failed to roll back template');
+    } finally {
+      setRollingBack(false);
     }
   };
 
+  const closeHistory = () => {
+    setRevisions(null);
+    setRevisionDiff(null);
+  };
+
   const handleInitDefaults = async () => {
     try {
       await templateApi.initDefaults();
@@ -100,6 +359,7 @@ const Templates = () => {
       await templateApi.create(newTemplate);
       toast.success('Template created successfully!');
       setShowNewTemplateModal(false);
+      setSyntaxErrors([]);
       setNewTemplate({
         name: '',
         type: 'OFFER_LETTER',
@@ -110,6 +370,7 @@ const Templates = () => {
       });
       fetchTemplates();
     } catch (error) {
+      setSyntaxErrors(error.response?.data?.errors?.filter(e => e.field) || []);
       toast.error(error.response?.data?.message || 'Failed to create template');
     }
   };
@@ -141,6 +402,9 @@ const Templates = () => {
       <div className="flex items-center justify-between mb-6">
         <h1 className="text-2xl font-bold text-gray-900">Email Templates</h1>
         <div className="flex space-x-3">
+          <button onClick={openLayoutSettings} disabled={!layout} className="btn btn-secondary">
+            🎨 Email Layout
+          </button>
           <button onClick={handleInitDefaults} className="btn btn-secondary">
             Initialize Defaults
           </button>
@@ -206,16 +470,32 @@ const Templates = () => {
                 <div className="flex space-x-2">
                   {!isEditing ? (
                     <>
+                      <select
+                        value={previewCandidateId}
+                        onChange={(e) => setPreviewCandidateId(e.target.value)}
+                        className="input text-sm py-1"
+                        title="Preview with a real candidate's data"
+                      >
+                        <option value="">Sample data</option>
+                        {previewCandidates.map((candidate) => (
+                          <option key={candidate.id} value={candidate.id}>
+                            {candidate.firstName} {candidate.lastName} ({candidate.department})
+                          </option>
+                        ))}
+                      </select>
                       <button onClick={handlePreview} className="btn btn-secondary text-sm">
                         Preview
                       </button>
+                      <button onClick={handleShowHistory} className="btn btn-secondary text-sm">
+                        🕘 History
+                      </button>
                       <button onClick={() => setIsEditing(true)} className="btn btn-primary text-sm">
                         Edit
                       </button>
                     </>
                   ) : (
                     <>
-                      <button onClick={() => setIsEditing(false)} className="btn btn-secondary text-sm">
+                      <button onClick={handleCancelEdit} className="btn btn-secondary text-sm">
                         Cancel
                       </button>
                       <button onClick={handleSave} className="btn btn-primary text-sm">
@@ -228,16 +508,74 @@ const Templates = () => {
 
               {previewData ? (
                 <div className="space-y-4">
+                  <p className="text-sm text-gray-500">
+                    Rendered for {previewData.candidate ? `${previewData.candidate.name} (${previewData.candidate.email})` : 'sample data'}
+                    {previewData.locale && ` · ${getLanguageName(previewData.locale)}`}
+                  </p>
+                  {previewData.languageFallback && (
+                    <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+                      ⚠️ No translation for this language - the {getLanguageName(previewData.locale)} version is sent instead.
+                    </div>
+                  )}
+                  {(previewData.unresolved?.length > 0 || previewData.empty?.length > 0) && (
+                    <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800 space-y-1">
+                      {previewData.unresolved?.length > 0 && (
+                        <p>
+                          ⚠️ Unresolved placeholders (sent as-is):{' '}
+                          {previewData.unresolved.map(name => <code key={name} className="mr-1">{`{{${name}}}`}</code>)}
+                        </p>
+                      )}
+                      {previewData.empty?.length > 0 && (
+                        <p>
+                          ⚠️ Placeholders that rendered empty:{' '}
+                          {previewData.empty.map(name => <code key={name} className="mr-1">{`{{${name}}}`}</code>)}
+                        </p>
+                      )}
+                    </div>
+                  )}
+                  {previewData.syntaxErrors?.length > 0 && (
+                    <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+                      ⚠️ This template has syntax errors, so plain placeholder replacement is used:
+                      {previewData.syntaxErrors.map((error, idx) => (
+                        <p key={idx}>• {getFieldLabel(error.field)}: {error.message}</p>
+                      ))}
+                    </div>
+                  )}
                   <div className="p-4 bg-gray-50 rounded-lg">
                     <p className="text-sm text-gray-500 mb-1">Subject Preview</p>
                     <p className="font-medium">{previewData.subject}</p>
                   </div>
                   <div className="p-4 bg-gray-50 rounded-lg">
-                    <p className="text-sm text-gray-500 mb-2">Body Preview</p>
-                    <div 
-                      className="prose prose-sm max-w-none"
-                      dangerouslySetInnerHTML={{ __html: previewData.body.replace(/\n/g, '<br>') }}
-                    />
+                    <div className="flex items-center justify-between mb-2">
+                      <p className="text-sm text-gray-500">Body Preview</p>
+                      <div className="flex space-x-1 text-xs">
+                        {[['html', 'HTML'], ['text', 'Plain text']].map(([tab, label]) => (
+                          <button
+                            key={tab}
+                            onClick={() => setPreviewTab(tab)}
+                            className={`px-2 py-1 rounded ${previewTab === tab ? 'bg-indigo-100 text-indigo-700 font-medium' : 'text-gray-600 hover:bg-gray-100'}`}
+                          >
+                            {label}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                    {previewTab === 'text' ? (
+                      <pre className="text-sm whitespace-pre-wrap font-sans bg-white p-3 rounded border">{previewData.text}</pre>
+                    ) : previewData.html ? (
+                      <iframe
+                        title="Email preview"
+                        srcDoc={previewData.html}
+                        sandbox=""
+                        className="w-full bg-white rounded border"
+                        style={{ height: 500 }}
+                      />
+                    ) : (
+                      <div 
+                        className="prose prose-sm max-w-none"
+                        dangerouslySetInnerHTML={{ __html: previewData.body.replace(/\n/g, '<br>') }}
+                      />
+                    )}
                   </div>
                   <button 
                     onClick={() => setPreviewData(null)}
@@ -248,6 +586,27 @@ const Templates = () => {
                 </div>
               ) : (
                 <div className="space-y-4">
+                  {syntaxErrors.length > 0 && (
+                    <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+                      <p className="font-medium mb-1">Template syntax errors:</p>
+                      {syntaxErrors.map((error, idx) => (
+                        <p key={idx}>• {getFieldLabel(error.field)}: {error.message}</p>
+                      ))}
+                    </div>
+                  )}
+
+                  {translationStatus?.stepsMissingTranslations?.length > 0 && (
+                    <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+                      <p className="font-medium mb-1">⚠️ Steps missing a translation (candidates get {getLanguageName(defaultLanguage)}):</p>
+                      {translationStatus.stepsMissingTranslations.map((step) => (
+                        <p key={step.id}>
+                          • {step.department} - Step {step.stepNumber}: {step.title} -{' '}
+                          {step.missingLocales.map(l => `${l.name} (${l.candidateCount} candidate${l.candidateCount === 1 ? '' : 's'})`).join(', ')}
+                        </p>
+                      ))}
+                    </div>
+                  )}
+
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-2">
                       Template Name
@@ -271,6 +630,45 @@ const Templates = () => {
                     <p className="text-gray-900">{selectedTemplate.type.replace(/_/g, ' ')}</p>
                   </div>
 
+                  {/* Language tabs */}
+                  <div className="flex flex-wrap items-center gap-2 border-b pb-2">
+                    {['', ...Object.keys((isEditing ? editData : selectedTemplate).translations || {})].map((code) => (
+                      <button
+                        key={code || 'default'}
+                        type="button"
+                        onClick={() => setActiveLocale(code)}
+                        className={`px-3 py-1 rounded text-sm ${
+                          activeLocale === code ? 'bg-indigo-100 text-indigo-700 font-medium' : 'text-gray-600 hover:bg-gray-100'
+                        }`}
+                      >
+                        {code ? getLanguageName(code) : `Default (${getLanguageName(defaultLanguage)})`}
+                      </button>
+                    ))}
+                    {isEditing && (
+                      <select
+                        value=""
+                        onChange={(e) => handleAddLanguage(e.target.value)}
+                        className="input text-sm py-1 w-auto"
+                      >
+                        <option value="">➕ Add language</option>
+                        {languages
+                          .filter(l => l.code !== defaultLanguage && !editData.translations?.[l.code])
+                          .map((l) => (
+                            <option key={l.code} value={l.code}>{l.name}</option>
+                          ))}
+                      </select>
+                    )}
+                    {isEditing && activeLocale && (
+                      <button
+                        type="button"
+                        onClick={() => handleRemoveLanguage(activeLocale)}
+                        className="text-red-600 hover:text-red-700 text-sm ml-auto"
+                      >
+                        Remove translation
+                      </button>
+                    )}
+                  </div>
+
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-2">
                       Subject Line
@@ -278,25 +676,51 @@ const Templates = () => {
                     {isEditing ? (
                       <input
                         type="text"
-                        value={editData.subject}
-                        onChange={(e) => setEditData({ ...editData, subject: e.target.value })}
+                        value={getLocaleContent(editData).subject}
+                        onChange={(e) => updateLocaleContent({ subject: e.target.value })}
                         className="input"
                       />
                     ) : (
-                      <p className="text-gray-900 bg-gray-50 p-3 rounded">{selectedTemplate.subject}</p>
+                      <p className="text-gray-900 bg-gray-50 p-3 rounded">{getLocaleContent(selectedTemplate).subject}</p>
                     )}
                   </div>
 
                   <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">
-                      Email Body
-                    </label>
-                    {isEditing ? (
+                    <div className="flex items-center justify-between mb-2">
+                      <label className="block text-sm font-medium text-gray-700">
+                        Email Body
+                      </label>
+                      {isEditing && !activeLocale && (
+                        <div className="flex space-x-1 text-xs">
+                          <button
+                            type="button"
+                            onClick={() => !editData.blocks && switchToVisualEditor()}
+                            className={`px-2 py-1 rounded ${editData.blocks ? 'bg-indigo-100 text-indigo-700 font-medium' : 'text-gray-600 hover:bg-gray-100'}`}
+                          >
+                            🧱 Visual
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => editData.blocks && switchToHtmlEditor()}
+                            className={`px-2 py-1 rounded ${!editData.blocks ? 'bg-indigo-100 text-indigo-700 font-medium' : 'text-gray-600 hover:bg-gray-100'}`}
+                          >
+                            {'</>'} HTML
+                          </button>
+                        </div>
+                      )}
+                    </div>
+                    {isEditing && !activeLocale && editData.blocks ? (
+                      <EmailBlockEditor
+                        blocks={editData.blocks}
+                        onChange={(blocks) => setEditData({ ...editData, blocks })}
+                        primaryColor={layout?.brand?.primaryColor}
+                      />
+                    ) : isEditing ? (
                       <div>
                         <textarea
                           ref={bodyTextareaRef}
-                          value={editData.body}
-                          onChange={(e) => setEditData({ ...editData, body: e.target.value })}
+                          value={getLocaleContent(editData).body}
+                          onChange={(e) => updateLocaleContent({ body: e.target.value })}
                           className="input font-mono text-sm"
                           rows={15}
                         />
@@ -313,11 +737,11 @@ const Templates = () => {
                                     e.preventDefault();
                                     const textarea = bodyTextareaRef.current;
                                     if (textarea) {
-                                      const start = textarea.selectionStart || editData.body.length;
-                                      const end = textarea.selectionEnd || editData.body.length;
-                                      const text = editData.body;
+                                      const text = getLocaleContent(editData).body;
+                                      const start = textarea.selectionStart || text.length;
+                                      const end = textarea.selectionEnd || text.length;
                                       const newText = text.substring(0, start) + placeholder.key + text.substring(end);
-                                      setEditData({ ...editData, body: newText });
+                                      updateLocaleContent({ body: newText });
                                       // Set cursor position after inserted placeholder
                                       setTimeout(() => {
                                         textarea.focus();
@@ -325,7 +749,7 @@ const Templates = () => {
                                       }, 0);
                                     } else {
                                       // Fallback: just append to the end
-                                      setEditData({ ...editData, body: editData.body + placeholder.key });
+                                      updateLocaleContent({ body: getLocaleContent(editData).body + placeholder.key });
                                     }
                                   }}
                                 >
@@ -337,12 +761,81 @@ const Templates = () => {
                         )}
                       </div>
                     ) : (
-                      <pre className="text-gray-900 bg-gray-50 p-3 rounded text-sm whitespace-pre-wrap font-sans">
-                        {selectedTemplate.body}
-                      </pre>
+                      <>
+                        {!activeLocale && selectedTemplate.blocks && (
+                          <p className="text-xs text-gray-500 mb-1">🧱 Built with the visual editor - use Preview to see it as sent</p>
+                        )}
+                        <pre className="text-gray-900 bg-gray-50 p-3 rounded text-sm whitespace-pre-wrap font-sans">
+                          {getLocaleContent(selectedTemplate).body}
+                        </pre>
+                      </>
                     )}
                   </div>
 
+                  <div>
+                    <label className="flex items-center text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={isEditing ? editData.useLayout : selectedTemplate.useLayout !== false}
+                        onChange={(e) => setEditData({ ...editData, useLayout: e.target.checked })}
+                        disabled={!isEditing}
+                        className="mr-2"
+                      />
+                      Wrap in the branded email layout
+                      {layout && !layout.enabled && <span className="text-xs text-gray-500 ml-2">(the layout is currently turned off)</span>}
+                    </label>
+                    <label className="flex items-center text-sm text-gray-700 mt-2">
+                      <input
+                        type="checkbox"
+                        checked={isEditing ? editData.trackingEnabled : selectedTemplate.trackingEnabled !== false}
+                        onChange={(e) => setEditData({ ...editData, trackingEnabled: e.target.checked })}
+                        disabled={!isEditing}
+                        className="mr-2"
+                      />
+                      Track opens and link clicks
+                      <span className="text-xs text-gray-500 ml-2">(untick for privacy-sensitive emails)</span>
+                    </label>
+                  </div>
+
+                  {/* Attachments from the document library */}
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">📎 Attachments</label>
+                    {(() => {
+                      const attachedIds = (isEditing ? editData.documentIds : selectedTemplate.documentIds) || [];
+                      const shown = isEditing
+                        ? documents.filter(d => d.isActive || attachedIds.includes(d.id))
+                        : documents.filter(d => attachedIds.includes(d.id));
+                      if (shown.length === 0) {
+                        return (
+                          <p className="text-xs text-gray-500">
+                            {isEditing ? 'No documents yet - upload them on the Documents page.' : 'No documents attached'}
+                          </p>
+                        );
+                      }
+                      return (
+                        <div className="space-y-1">
+                          {shown.map((libraryDocument) => (
+                            <label key={libraryDocument.id} className="flex items-center text-sm text-gray-700">
+                              <input
+                                type="checkbox"
+                                checked={attachedIds.includes(libraryDocument.id)}
+                                onChange={() => handleToggleDocument(libraryDocument.id)}
+                                disabled={!isEditing}
+                                className="mr-2"
+                              />
+                              {libraryDocument.name}
+                              {libraryDocument.latestVersion && (
+                                <span className="text-xs text-gray-500 ml-2">v{libraryDocument.latestVersion.version} · {libraryDocument.latestVersion.fileName}</span>
+                              )}
+                              {!libraryDocument.isActive && <span className="text-xs text-gray-400 ml-2">(archived - not attached)</span>}
+                            </label>
+                          ))}
+                        </div>
+                      );
+                    })()}
+                    <p className="text-xs text-gray-500 mt-1">Sent with every email from this template - the latest version of each document.</p>
+                  </div>
+
                   {/* Available Placeholders Section */}
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -352,7 +845,7 @@ const Templates = () => {
                     {availablePlaceholders.length > 0 ? (
                       <div className="space-y-3">
                         {/* Group by category */}
-                        {['Standard', 'Company', 'Dynamic', 'Custom', 'Custom Placeholder'].map((category) => {
+                        {['Standard', 'Company', 'Dynamic', 'Custom', 'Custom Placeholder', 'Logic', 'Filters'].map((category) => {
                           const categoryPlaceholders = availablePlaceholders.filter(p => p.category === category);
                           if (categoryPlaceholders.length === 0) return null;
                           
@@ -404,6 +897,215 @@ const Templates = () => {
         </div>
       </div>
 
+      {/* Email Layout Modal */}
+      {layoutForm && layout && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-5xl max-h-[90vh] overflow-y-auto">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-xl font-bold">🎨 Email Layout</h2>
+              <button onClick={() => setLayoutForm(null)} className="text-gray-500 hover:text-gray-700">✕</button>
+            </div>
+            <p className="text-sm text-gray-500 mb-4">
+              Every email is wrapped in this layout - the header uses the company logo and primary colour from Settings,
+              the footer shows the HR contact details. Templates can opt out individually.
+            </p>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <div className="space-y-4">
+                <label className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={layoutForm.enabled}
+                    onChange={(e) => setLayoutForm({ ...layoutForm, enabled: e.target.checked })}
+                    className="mr-2"
+                  />
+                  Wrap emails in the layout
+                </label>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Footer text</label>
+                  <input
+                    type="text"
+                    value={layoutForm.footerText}
+                    onChange={(e) => setLayoutForm({ ...layoutForm, footerText: e.target.value })}
+                    className="input"
+                    placeholder="e.g. You are receiving this email as part of your onboarding."
+                  />
+                </div>
+
+                <div>
+                  <div className="flex items-center justify-between mb-2">
+                    <label className="block text-sm font-medium text-gray-700">Layout HTML</label>
+                    {layoutForm.html ? (
+                      <button
+                        type="button"
+                        onClick={() => setLayoutForm({ ...layoutForm, html: '' })}
+                        className="text-xs text-indigo-600 hover:text-indigo-700"
+                      >
+                        Use built-in layout
+                      </button>
+                    ) : (
+                      <button
+                        type="button"
+                        onClick={() => setLayoutForm({ ...layoutForm, html: layout.defaultHtml })}
+                        className="text-xs text-indigo-600 hover:text-indigo-700"
+                      >
+                        Customize HTML
+                      </button>
+                    )}
+                  </div>
+                  {layoutForm.html ? (
+                    <textarea
+                      value={layoutForm.html}
+                      onChange={(e) => setLayoutForm({ ...layoutForm, html: e.target.value })}
+                      className="input font-mono text-xs"
+                      rows={16}
+                    />
+                  ) : (
+                    <p className="text-sm text-gray-500 p-3 bg-gray-50 rounded">Using the built-in branded layout.</p>
+                  )}
+                  <div className="flex flex-wrap gap-1 mt-2">
+                    {layout.placeholders.map((placeholder) => (
+                      <code key={placeholder.key} className="px-1.5 py-0.5 bg-gray-50 border rounded text-xs text-indigo-600" title={placeholder.description}>
+                        {placeholder.key}
+                      </code>
+                    ))}
+                  </div>
+                </div>
+              </div>
+
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <p className="text-sm font-medium text-gray-700">Preview</p>
+                  <button type="button" onClick={handlePreviewLayout} className="btn btn-secondary text-xs">
+                    Refresh preview
+                  </button>
+                </div>
+                {layoutPreview ? (
+                  <iframe
+                    title="Layout preview"
+                    srcDoc={layoutPreview.html}
+                    sandbox=""
+                    className="w-full bg-white rounded border"
+                    style={{ height: 460 }}
+                  />
+                ) : (
+                  <p className="text-sm text-gray-500 p-3 bg-gray-50 rounded">Click "Refresh preview" to see the layout.</p>
+                )}
+              </div>
+            </div>
+
+            <div className="flex justify-end space-x-3 mt-6">
+              <button onClick={() => setLayoutForm(null)} className="btn btn-secondary">Cancel</button>
+              <button onClick={handleSaveLayout} className="btn btn-primary">Save Layout</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Revision History Modal */}
+      {revisions && selectedTemplate && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-5xl max-h-[90vh] overflow-y-auto">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-xl font-bold">🕘 Revision History - {selectedTemplate.name}</h2>
+              <button onClick={closeHistory} className="text-gray-500 hover:text-gray-700">✕</button>
+            </div>
+
+            {revisionDiff ? (
+              <div>
+                <button
+                  onClick={() => setRevisionDiff(null)}
+                  className="text-indigo-600 hover:text-indigo-700 text-sm mb-3"
+                >
+                  ← Back to revisions
+                </button>
+                {revisionDiff.changedFields.length === 0 && (
+                  <p className="text-sm text-gray-500 mb-3">No differences.</p>
+                )}
+                {[
+                  { key: 'subject', label: 'Subject', rows: revisionDiff.subject },
+                  { key: 'body', label: 'Body', rows: revisionDiff.body },
+                  ...(revisionDiff.translations || []).flatMap(translation => [
+                    { key: `${translation.locale}.subject`, label: `${translation.name} subject`, rows: translation.subject },
+                    { key: `${translation.locale}.body`, label: `${translation.name} body`, rows: translation.body }
+                  ])
+                ].map((section) => (
+                  <div key={section.key} className="mb-4">
+                    <h3 className="text-sm font-semibold text-gray-700 mb-2">{section.label}</h3>
+                    <div className="border rounded-lg overflow-x-auto">
+                      <table className="w-full text-xs font-mono table-fixed">
+                        <thead className="bg-gray-50 text-gray-600">
+                          <tr>
+                            <th className="w-10"></th>
+                            <th className="text-left px-2 py-1">{revisionDiff.fromLabel}</th>
+                            <th className="w-10"></th>
+                            <th className="text-left px-2 py-1">{revisionDiff.toLabel}</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {section.rows.map((row, idx) => (
+                            <tr key={idx} className="align-top">
+                              <td className="text-right pr-2 text-gray-400 select-none">{row.left?.number}</td>
+                              <td className={`px-2 whitespace-pre-wrap break-words ${row.type === 'removed' || row.type === 'changed' ? 'bg-red-50 text-red-800' : ''}`}>
+                                {row.left?.text}
+                              </td>
+                              <td className="text-right pr-2 text-gray-400 select-none border-l">{row.right?.number}</td>
+                              <td className={`px-2 whitespace-pre-wrap break-words ${row.type === 'added' || row.type === 'changed' ? 'bg-green-50 text-green-800' : ''}`}>
+                                {row.right?.text}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <div className="space-y-2">
+                {revisions.map((revision, idx) => (
+                  <div key={revision.id} className="p-3 border rounded-lg flex items-center justify-between">
+                    <div>
+                      <p className="font-medium text-sm">
+                        Revision {revision.revision}
+                        {idx === 0 && <span className="badge badge-success ml-2">Current</span>}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {new Date(revision.createdAt).toLocaleString('en-IN')} · {revision.author?.name || 'System'}
+                        {revision._count?.emails > 0 && ` · used by ${revision._count.emails} email(s)`}
+                      </p>
+                      {revision.note && <p className="text-xs text-gray-600 mt-1">{revision.note}</p>}
+                    </div>
+                    <div className="flex space-x-2">
+                      {idx < revisions.length - 1 && (
+                        <button onClick={() => handleShowDiff(revision)} className="btn btn-secondary text-xs">
+                          Changes
+                        </button>
+                      )}
+                      {idx > 0 && (
+                        <>
+                          <button onClick={() => handleShowDiff(revision, 'current')} className="btn btn-secondary text-xs">
+                            Compare to current
+                          </button>
+                          <button
+                            onClick={() => handleRollback(revision)}
+                            disabled={rollingBack}
+                            className="btn btn-primary text-xs"
+                          >
+                            ⏪ Roll back
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* New Template Modal */}
       {showNewTemplateModal && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -411,6 +1113,15 @@ const Templates = () => {
             <h2 className="text-xl font-bold mb-4">Create New Template</h2>
             <form onSubmit={handleCreateTemplate}>
               <div className="space-y-4">
+                {syntaxErrors.length > 0 && (
+                  <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+                    <p className="font-medium mb-1">Template syntax errors:</p>
+                    {syntaxErrors.map((error, idx) => (
+                      <p key={idx}>• {getFieldLabel(error.field)}: {error.message}</p>
+                    ))}
+                  </div>
+                )}
+
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">
                     Template Name *
@@ -493,7 +1204,7 @@ const Templates = () => {
                     onChange={(e) => setNewTemplate({ ...newTemplate, body: e.target.value })}
                     className="input font-mono text-sm"
                     rows={12}
-                    placeholder="Enter email body. Use {{placeholder}} for dynamic content."
+                    placeholder="Enter email body. Use {{placeholder}} for dynamic content, {{#if ...}}...{{/if}} and {{#each ...}}...{{/each}} for logic."
                     required
                   />
                   {availablePlaceholders.length > 0 && (
@@ -535,6 +1246,7 @@ const Templates = () => {
                   type="button"
                   onClick={() => {
                     setShowNewTemplateModal(false);
+                    setSyntaxErrors([]);
                     setNewTemplate({
                       name: '',
                       type: 'OFFER_LETTER',
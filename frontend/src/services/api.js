@@ -73,6 +73,8 @@ export const candidateApi = {
   uploadOffer: (id, formData) => api.post(`/candidates/${id}/offer-letter`, formData, {
     headers: { 'Content-Type': 'multipart/form-data' }
   }),
+  generateOffer: (id, data) => api.post(`/candidates/${id}/offer-letter/generate`, data),
+  approveOffer: (id) => api.post(`/candidates/${id}/offer-letter/approve`),
   sendOffer: (id) => api.post(`/candidates/${id}/send-offer`),
   
   // Step 2: Signed Offer (auto-reminder in scheduler)
@@ -120,6 +122,15 @@ export const candidateApi = {
   // Workflow Status
   getWorkflow: (id) => api.get(`/candidates/${id}/workflow`),
   
+  // Workflow Versions
+  getSteps: (id) => api.get(`/candidates/${id}/steps`),
+  getWorkflowVersion: (id, targetVersionId) => api.get(`/candidates/${id}/workflow-version`, { params: targetVersionId ? { targetVersionId } : {} }),
+  migrateWorkflow: (id, targetVersionId) => api.post(`/candidates/${id}/migrate-workflow`, { targetVersionId }),
+  
+  // Timeline simulation (dry run - nothing is sent or scheduled)
+  simulate: (data) => api.post('/candidates/simulate', data),
+  simulateTimeline: (id, params) => api.get(`/candidates/${id}/simulate`, { params }),
+  
   // Joining
   confirmJoining: (id, data) => api.post(`/candidates/${id}/confirm-joining`, data),
   markJoined: (id) => api.post(`/candidates/${id}/mark-joined`),
@@ -165,6 +176,14 @@ export const emailApi = {
   schedule: (data) => api.post('/emails/schedule', data),
   resend: (id) => api.post(`/emails/${id}/resend`),
   cancel: (id) => api.delete(`/emails/${id}/cancel`),
+  getClicks: (id) => api.get(`/emails/${id}/clicks`),
+  getThreads: (candidateId) => api.get(`/emails/threads/${candidateId}`),
+  reply: (id, body) => api.post(`/emails/${id}/reply`, { body }),
+  // Outbox (emails captured instead of sent)
+  getOutbox: (params) => api.get('/emails/outbox', { params }),
+  getOutboxMessage: (id) => api.get(`/emails/outbox/${id}`),
+  downloadOutboxEml: (id) => api.get(`/emails/outbox/${id}/eml`, { responseType: 'blob' }),
+  clearOutbox: () => api.delete('/emails/outbox'),
   getStats: () => api.get('/emails/stats/overview')
 };
 
@@ -177,10 +196,51 @@ export const templateApi = {
   update: (id, data) => api.put(`/templates/${id}`, data),
   delete: (id) => api.delete(`/templates/${id}`),
   preview: (id, data) => api.post(`/templates/${id}/preview`, data),
+  lint: (id, params) => api.get(`/templates/${id}/lint`, { params }),
+  getRevisions: (id) => api.get(`/templates/${id}/revisions`),
+  diffRevision: (id, revisionId, params) => api.get(`/templates/${id}/revisions/${revisionId}/diff`, { params }),
+  rollback: (id, revisionId) => api.post(`/templates/${id}/revisions/${revisionId}/rollback`),
+  getTranslationStatus: (id) => api.get(`/templates/${id}/translation-status`),
+  getLanguages: () => api.get('/templates/meta/languages'),
+  getLayout: () => api.get('/templates/meta/layout'),
+  updateLayout: (data) => api.put('/templates/meta/layout', data),
+  previewLayout: (data) => api.post('/templates/meta/layout/preview', data),
+  renderBlocks: (blocks) => api.post('/templates/meta/blocks/render', { blocks }),
   getPlaceholders: () => api.get('/templates/meta/placeholders'),
   initDefaults: () => api.post('/templates/init/defaults')
 };
 
+// Document library APIs (reusable attachments)
+export const documentApi = {
+  getAll: (params) => api.get('/documents', { params }),
+  getById: (id) => api.get(`/documents/${id}`),
+  getTags: () => api.get('/documents/tags'),
+  create: (formData) => api.post('/documents', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
+  uploadVersion: (id, formData) => api.post(`/documents/${id}/versions`, formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
+  downloadVersion: (id, versionId) => api.get(`/documents/${id}/versions/${versionId}/download`, { responseType: 'blob' }),
+  update: (id, data) => api.put(`/documents/${id}`, data),
+  delete: (id) => api.delete(`/documents/${id}`)
+};
+
+// Offer letter template APIs (DOCX upload or HTML, merged and rendered to PDF)
+export const offerLetterTemplateApi = {
+  getAll: (params) => api.get('/offer-letter-templates', { params }),
+  getById: (id) => api.get(`/offer-letter-templates/${id}`),
+  getFields: () => api.get('/offer-letter-templates/fields'),
+  create: (formData) => api.post('/offer-letter-templates', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
+  update: (id, formData) => api.put(`/offer-letter-templates/${id}`, formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
+  download: (id) => api.get(`/offer-letter-templates/${id}/download`, { responseType: 'blob' }),
+  delete: (id) => api.delete(`/offer-letter-templates/${id}`)
+};
+
 // Calendar APIs
 export const calendarApi = {
   getAll: (params) => api.get('/calendar', { params }),
@@ -250,6 +310,33 @@ export const configApi = {
   createDepartment: (data) => api.post('/config/departments', data),
   updateDepartment: (oldName, data) => api.put(`/config/departments/${encodeURIComponent(oldName)}`, data),
   deleteDepartment: (name) => api.delete(`/config/departments/${encodeURIComponent(name)}`),
+  // Business calendar (working week, roll rule, holidays)
+  getBusinessCalendar: () => api.get('/config/business-calendar'),
+  updateBusinessCalendar: (data) => api.put('/config/business-calendar', data),
+  createHoliday: (data) => api.post('/config/holidays', data),
+  deleteHoliday: (id) => api.delete(`/config/holidays/${id}`),
+  // Send window (quiet hours for outgoing emails)
+  getSendWindow: () => api.get('/config/send-window'),
+  updateSendWindow: (data) => api.put('/config/send-window', data),
+  getEmailTransport: () => api.get('/config/email-transport'),
+  updateEmailTransport: (data) => api.put('/config/email-transport', data),
+  verifyEmailTransport: () => api.post('/config/email-transport/verify'),
+  // Sender identities (per-department From / Reply-To, optionally with their own mailbox)
+  getSenderIdentities: () => api.get('/config/sender-identities'),
+  createSenderIdentity: (data) => api.post('/config/sender-identities', data),
+  updateSenderIdentity: (id, data) => api.put(`/config/sender-identities/${id}`, data),
+  deleteSenderIdentity: (id) => api.delete(`/config/sender-identities/${id}`),
+  verifySenderIdentity: (id) => api.post(`/config/sender-identities/${id}/verify`),
+  // Offices & timezones
+  getTimezones: () => api.get('/config/timezones'),
+  updateCompanyTimezone: (companyTimezone) => api.put('/config/timezones', { companyTimezone }),
+  createOffice: (data) => api.post('/config/offices', data),
+  updateOffice: (id, data) => api.put(`/config/offices/${id}`, data),
+  deleteOffice: (id) => api.delete(`/config/offices/${id}`),
+  getScheduledJobs: () => api.get('/config/scheduled-jobs'),
+  runScheduledJob: (name) => api.post(`/config/scheduled-jobs/${name}/run`),
+  getQueueJobs: (params) => api.get('/config/jobs', { params }),
+  retryQueueJob: (id) => api.post(`/config/jobs/${id}/retry`),
   getSettings: () => api.get('/config/settings'),
   uploadLogo: (formData) => api.post('/config/logo', formData, {
     headers: { 'Content-Type': 'multipart/form-data' }
@@ -278,7 +365,21 @@ export const configApi = {
   updateDepartmentStep: (id, data) => api.put(`/config/department-steps/${id}`, data),
   deleteDepartmentStep: (id) => api.delete(`/config/department-steps/${id}`),
   reorderDepartmentSteps: (stepId1, stepId2) => api.post('/config/department-steps/reorder', { stepId1, stepId2 }),
-  initDefaultSteps: (department) => api.post(`/config/department-steps/init-defaults/${department}`)
+  initDefaultSteps: (department) => api.post(`/config/department-steps/init-defaults/${department}`),
+  
+  // Department Workflow Versions
+  getWorkflowVersions: (department) => api.get(`/config/department-workflow-versions/${encodeURIComponent(department)}`),
+  getWorkflowVersionDetail: (id) => api.get(`/config/department-workflow-versions/version/${id}`),
+  publishWorkflowVersion: (department, notes) => api.post(`/config/department-workflow-versions/${encodeURIComponent(department)}/publish`, { notes }),
+  
+  // Workflow Import / Export
+  exportWorkflow: (department, format = 'json') => api.get(`/config/department-steps/${encodeURIComponent(department)}/export`, {
+    params: { format },
+    responseType: 'blob'
+  }),
+  importWorkflow: (formData) => api.post('/config/department-steps/import', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  })
 };
 
 export default api;